@@ -5,14 +5,13 @@ const path = require("path");
 const fs = require("fs");
 const { execSync } = require("child_process");
 const { getCaptchaScreenShot, getCaptchaText } = require("./captchaUtils");
+const { resolvePortalCredentials } = require("./lib/credentialVault");
 // ============================================
 // CONFIGURATION
 // ============================================
 const CONFIG = {
   LOGIN_URL: "https://smartzone.reliancegeneral.co.in/Login/IMDLogin",
   DASHBOARD_URL: "https://smartzone.reliancegeneral.co.in/",
-  USERNAME: "rfcpolicy",
-  PASSWORD: "Pass@123",
   LOGIN_TIMEOUT: 5000, // 30 seconds for manual login
   CHECK_TIMEOUT: 5000,
 };
@@ -21,8 +20,34 @@ const PATHS = {
   BASE_PROFILE: path.join(os.homedir(), "chrome_profile"),
   MASTER_PROFILE: path.join(os.homedir(), "chrome_profile", "Demo"),
   CLONED_PROFILE_BASE: path.join(process.cwd(), "cloned_profiles"),
+  ACCOUNT_PROFILES_BASE: path.join(os.homedir(), "chrome_profile_accounts"), // One master profile per extra account
 };
 
+/**
+ * Master profile location for an account session (see sessionManager.js pool).
+ * The primary session keeps the original profile so its saved login survives.
+ * @param {string} sessionKey - "primary" or the pooled account's key
+ * @returns {Object} { userDataDir, profileDirectory, masterProfile, baseProfile }
+ */
+function getMasterProfilePaths(sessionKey = "primary") {
+  if (sessionKey === "primary") {
+    return {
+      userDataDir: PATHS.BASE_PROFILE,
+      profileDirectory: "Demo",
+      masterProfile: PATHS.MASTER_PROFILE,
+      baseProfile: PATHS.BASE_PROFILE,
+    };
+  }
+
+  const userDataDir = path.join(PATHS.ACCOUNT_PROFILES_BASE, sessionKey);
+  return {
+    userDataDir,
+    profileDirectory: "Demo",
+    masterProfile: path.join(userDataDir, "Demo"),
+    baseProfile: userDataDir,
+  };
+}
+
 // ============================================
 // UTILITY FUNCTIONS
 // ============================================
@@ -40,9 +65,10 @@ function ensureDirectoryExists(dirPath) {
 /**
  * Clones the master Chrome profile to a new profile
  * @param {string} profileName - Name for the cloned profile
+ * @param {string} masterProfile - Master profile to clone (defaults to the primary account's)
  * @returns {Object} Object with userDataDir and profileDirectory paths
  */
-function cloneChromeProfile(profileName) {
+function cloneChromeProfile(profileName, masterProfile = PATHS.MASTER_PROFILE) {
   try {
     const timestamp = Date.now();
     const clonedBasePath = path.join(
@@ -57,12 +83,12 @@ function cloneChromeProfile(profileName) {
     ensureDirectoryExists(PATHS.CLONED_PROFILE_BASE);
 
     console.log(`→ Cloning Chrome profile: ${profileName}`);
-    console.log(`   From: ${PATHS.MASTER_PROFILE}`);
+    console.log(`   From: ${masterProfile}`);
     console.log(`   To: ${clonedProfileDir}`);
 
     // Copy the entire profile directory to Default
-    if (fs.existsSync(PATHS.MASTER_PROFILE)) {
-      copyDirectoryRecursive(PATHS.MASTER_PROFILE, clonedProfileDir);
+    if (fs.existsSync(masterProfile)) {
+      copyDirectoryRecursive(masterProfile, clonedProfileDir);
       console.log(`✓ Profile cloned successfully!`);
       console.log(`   User Data Dir: ${clonedUserDataDir}`);
       console.log(`   Profile Dir: Default`);
@@ -73,7 +99,7 @@ function cloneChromeProfile(profileName) {
         fullPath: clonedProfileDir,
       };
     } else {
-      console.warn(`⚠ Master profile not found at: ${PATHS.MASTER_PROFILE}`);
+      console.warn(`⚠ Master profile not found at: ${masterProfile}`);
       return null;
     }
   } catch (error) {
@@ -138,21 +164,26 @@ async function isUserLoggedIn(driver) {
 /**
  * Performs the login process
  * @param {WebDriver} driver - Selenium WebDriver instance
+ * @param {Object} credentials - { username, password } (defaults to the vault's primary Reliance account)
  */
-async function performLogin(driver) {
+async function performLogin(driver, credentials = null) {
   console.log("→ Navigating to login page...");
   await driver.get(CONFIG.LOGIN_URL);
   await driver.sleep(2000);
 
   console.log("→ Filling login credentials...");
 
+  if (!credentials) {
+    credentials = await resolvePortalCredentials("reliance");
+  }
+
   // Get captcha text
   const captchaText = await getCaptchaText(driver, "reliance_captcha");
   console.log("Captcha text:", captchaText);
 
   // Fill login form
-  await driver.findElement(By.id("txtUserName")).sendKeys(CONFIG.USERNAME);
-  await driver.findElement(By.id("txtPassword")).sendKeys(CONFIG.PASSWORD);
+  await driver.findElement(By.id("txtUserName")).sendKeys(credentials.username);
+  await driver.findElement(By.id("txtPassword")).sendKeys(credentials.password);
   await driver.sleep(2000);
   await driver.findElement(By.id("CaptchaInputText")).sendKeys(captchaText);
   await driver.findElement(By.id("btnLogin")).click();
@@ -195,13 +226,14 @@ async function saveCookies(driver) {
 
 /**
  * Creates Chrome options for the master profile
+ * @param {Object} profilePaths - From getMasterProfilePaths() (defaults to the primary account)
  * @returns {chrome.Options} Configured Chrome options
  */
-function createMasterProfileOptions() {
+function createMasterProfileOptions(profilePaths = getMasterProfilePaths()) {
   const options = new chrome.Options();
   // options.addArguments("--headless=new")
-  options.addArguments(`user-data-dir=${PATHS.BASE_PROFILE}`);
-  options.addArguments("profile-directory=Demo");
+  options.addArguments(`user-data-dir=${profilePaths.userDataDir}`);
+  options.addArguments(`profile-directory=${profilePaths.profileDirectory}`);
   options.addArguments("--no-first-run");
   options.addArguments("--no-default-browser-check");
   options.addArguments("--disable-background-timer-throttling");
@@ -220,7 +252,7 @@ function createMasterProfileOptions() {
  * @param {Object} clonedProfileInfo - Object with userDataDir and profileDirectory
  * @returns {chrome.Options} Configured Chrome options
  */
-function createClonedProfileOptions(clonedProfileInfo) {
+function createClonedProfileOptions(clonedProfileInfo, { downloadDir = null } = {}) {
   const options = new chrome.Options();
   // options.addArguments("--headless=new");
   options.addArguments(`user-data-dir=${clonedProfileInfo.userDataDir}`);
@@ -234,16 +266,28 @@ function createClonedProfileOptions(clonedProfileInfo) {
   options.excludeSwitches(["enable-automation"]);
   options.addArguments("--disable-blink-features=AutomationControlled");
 
+  // Per-job downloads: parallel jobs must never pick up each other's policy PDF
+  if (downloadDir) {
+    options.setUserPreferences({
+      "download.default_directory": downloadDir,
+      "download.prompt_for_download": false,
+      "download.directory_upgrade": true,
+      "plugins.always_open_pdf_externally": true, // Save PDFs instead of opening the viewer
+    });
+  }
+
   return options;
 }
 
 /**
  * Creates a new browser instance with the master profile
+ * @param {Object} profilePaths - From getMasterProfilePaths() (defaults to the primary account)
  * @returns {Promise<WebDriver>} Selenium WebDriver instance
  */
-async function createMasterBrowser() {
+async function createMasterBrowser(profilePaths = getMasterProfilePaths()) {
   console.log("→ Creating master browser instance...");
-  const options = createMasterProfileOptions();
+  ensureDirectoryExists(profilePaths.userDataDir);
+  const options = createMasterProfileOptions(profilePaths);
 
   const driver = await new Builder()
     .forBrowser("chrome")
@@ -257,11 +301,12 @@ async function createMasterBrowser() {
 /**
  * Creates a new browser instance with a cloned profile
  * @param {Object} clonedProfileInfo - Object with userDataDir and profileDirectory
+ * @param {Object} options - { downloadDir } to keep this browser's downloads apart
  * @returns {Promise<WebDriver>} Selenium WebDriver instance
  */
-async function createClonedBrowser(clonedProfileInfo) {
+async function createClonedBrowser(clonedProfileInfo, { downloadDir = null } = {}) {
   console.log("→ Creating cloned browser instance...");
-  const options = createClonedProfileOptions(clonedProfileInfo);
+  const options = createClonedProfileOptions(clonedProfileInfo, { downloadDir });
 
   const driver = await new Builder()
     .forBrowser("chrome")
@@ -389,6 +434,7 @@ module.exports = {
   cloneChromeProfile,
   isUserLoggedIn,
   performLogin,
+  getMasterProfilePaths,
   CONFIG,
   PATHS,
   initializeMasterSession,
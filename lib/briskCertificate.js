@@ -0,0 +1,380 @@
+/**
+ * 🛵 Brisk Certificate
+ * Client for the Brisk certificate API (CPA / RSA cover issued with a two-wheeler policy)
+ *
+ * The payload is built from the job's formData only. Customer and vehicle
+ * values are never filled in: a missing field, a known placeholder (the old
+ * "FERNANDO" / "674r56732" style fallbacks) or a malformed value rejects the
+ * payload with a ValidationError before anything is sent. The plan (name,
+ * vehicle type, cover, price) is chosen by the plan catalogue
+ * (lib/briskPlans.js); only account settings (wallet login, payment mode)
+ * have defaults, and those can be set per environment.
+ *
+ * Errors carry retryable codes: network problems, timeouts and 5xx answers
+ * may be retried; a rejected request or an answer without a policy ID may
+ * not (a retry could issue a second certificate).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const moment = require('moment');
+const { PolicyAutomationError, ValidationError } = require('./errorHandler');
+const { normalizeStateName } = require('./policyMapper');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const BRISK_API = {
+    baseUrl: process.env.BRISK_API_URL || null, // e.g. http://brisk-host:8080
+    createPath: '/api/createBriskCertificate',
+    timeoutMs: parseInt(process.env.BRISK_API_TIMEOUT_MS, 10) || 30000,
+    downloadTimeoutMs: parseInt(process.env.BRISK_DOWNLOAD_TIMEOUT_MS, 10) || 60000
+};
+
+// Account settings - the same for every customer (the plan comes from lib/briskPlans.js)
+const BRISK_DEFAULTS = {
+    clientId: process.env.BRISK_CLIENT_ID || '65a343220a6016a8f93424e7',
+    loginid: process.env.BRISK_LOGIN_ID || 'masterwallet@gmail.com',
+    PaymentMode: 'FromWallet'
+};
+
+const BRISK_PDF_DIR = path.join(__dirname, '..', 'brisk_certificates');
+
+// Values the old payload builder used as fallbacks; seeing one means the real value is missing
+const PLACEHOLDER_VALUES = new Set([
+    'TESTING', 'TEST', 'FERNANDO', 'TEST@GMAIL.COM', '6789054367',
+    'DACUS', 'GOLD PLUS', '674R56732', '567R74W', 'TYU66456',
+    'ADDR 1', 'ADDR 2', 'TEST ADDR 1', 'TEST ADDR 2'
+]);
+
+const REQUIRED_FIELDS = [
+    'CustomerName', 'MobileNo', 'EmailID', 'City', 'State', 'CustomerGender', 'CustomerDOB',
+    'NomineeName', 'NomineeGender', 'Relation',
+    'Make', 'Model', 'EngineNo', 'ChassisNo', 'RegistrationNo',
+    'Address_Line1'
+];
+
+// Checked on top of presence and placeholders
+const FIELD_FORMATS = {
+    MobileNo: /^[6-9]\d{9}$/,
+    EmailID: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+    CustomerDOB: /^\d{2}-\d{2}-\d{4}$/ // MM-DD-YYYY
+};
+
+const TITLE_GENDERS = { MR: 'Male', MRS: 'Female', MS: 'Female', MISS: 'Female' };
+
+const RELATION_GENDERS = {
+    FATHER: 'Male', SON: 'Male', BROTHER: 'Male', HUSBAND: 'Male',
+    MOTHER: 'Female', DAUGHTER: 'Female', SISTER: 'Female', WIFE: 'Female'
+};
+
+// ============================================================================
+// PAYLOAD
+// ============================================================================
+
+function isBlank(value) {
+    return value === undefined || value === null || String(value).trim() === '';
+}
+
+function firstValue(...values) {
+    const found = values.find(value => !isBlank(value));
+    return found === undefined ? null : String(found).trim();
+}
+
+function joinParts(...parts) {
+    return parts.filter(part => !isBlank(part)).map(part => String(part).trim()).join(' ') || null;
+}
+
+/**
+ * "Male" / "Female" from a gender value, or null
+ */
+function normalizeGender(value) {
+    const key = String(value || '').trim().toUpperCase();
+    if (key === 'M' || key === 'MALE') return 'Male';
+    if (key === 'F' || key === 'FEMALE') return 'Female';
+    return null;
+}
+
+/**
+ * Customer gender: the gender field, else the title (Mr. / Mrs. / Ms.)
+ */
+function customerGender(data) {
+    const title = String(data.proposerTitle || '').replace(/\./g, '').trim().toUpperCase();
+    return normalizeGender(firstValue(data.gender, data.customerGender)) || TITLE_GENDERS[title] || null;
+}
+
+/**
+ * Nominee gender: the nomineeGender field, else the relation (Father, Wife, ...)
+ */
+function nomineeGender(data, relation) {
+    return normalizeGender(data.nomineeGender) || RELATION_GENDERS[String(relation || '').toUpperCase()] || null;
+}
+
+/**
+ * Brisk wants the date of birth as MM-DD-YYYY; formData carries the portal's DD-MM-YYYY
+ */
+function formatBriskDate(value) {
+    if (isBlank(value)) return null;
+    const raw = typeof value === 'object' && value.$date ? value.$date : value;
+    const parsed = raw instanceof Date
+        ? moment(raw)
+        : moment(String(raw).trim(), ['DD-MM-YYYY', 'DD/MM/YYYY', moment.ISO_8601], true);
+    return parsed.isValid() ? parsed.format('MM-DD-YYYY') : null;
+}
+
+/**
+ * Problems that stop a payload from being sent
+ * @param {Object} payload - From buildBriskPayload()
+ * @returns {Array<Object>} [{ field, reason: 'missing' | 'placeholder' | 'invalid', value }]
+ */
+function checkBriskPayload(payload) {
+    const problems = [];
+
+    for (const field of REQUIRED_FIELDS) {
+        if (isBlank(payload[field])) {
+            problems.push({ field, reason: 'missing', value: null });
+        }
+    }
+
+    for (const [field, value] of Object.entries(payload)) {
+        if (isBlank(value)) continue;
+        if (PLACEHOLDER_VALUES.has(String(value).trim().toUpperCase())) {
+            problems.push({ field, reason: 'placeholder', value });
+        } else if (FIELD_FORMATS[field] && !FIELD_FORMATS[field].test(String(value))) {
+            problems.push({ field, reason: 'invalid', value });
+        }
+    }
+
+    return problems;
+}
+
+/**
+ * Build the certificate request from a job's formData
+ * @param {Object} data - Job formData
+ * @param {Object} plan - Plan chosen by the catalogue (lib/briskPlans.js): { planName, vehicleType, cover, price }
+ * @returns {Object} Payload for /api/createBriskCertificate
+ * @throws {ValidationError} E101 (missing values) or E102 (placeholder / malformed values), with details.problems
+ */
+function buildBriskPayload(data, plan) {
+    const relation = firstValue(data.nomineeRelation, data.relation);
+    const payload = {
+        CustomerName: firstValue(data.customerName, joinParts(data.fullName || data.firstName, data.surname || data.lastName)),
+        MobileNo: firstValue(data.mobileNumber, data.mobile, data.mobileNo),
+        EmailID: firstValue(data.email, data.emailID),
+        City: firstValue(data.city),
+        State: normalizeStateName(firstValue(data.stateName, data.state)), // formData.state is a portal code
+        CustomerGender: customerGender(data),
+        NomineeName: firstValue(data.nomineeName),
+        NomineeGender: nomineeGender(data, relation),
+        Relation: relation,
+        Make: firstValue(data.vehicleMake, data.make),
+        Model: firstValue(data.vehicleModel, data.model),
+        EngineNo: firstValue(data.engineNumber, data.engineNo),
+        ChassisNo: firstValue(data.chassisNumber, data.chassisNo),
+        RegistrationNo: firstValue(data.registrationNo, data.registrationNumber),
+        PaymentMode: firstValue(data.paymentMode) || BRISK_DEFAULTS.PaymentMode,
+        Address_Line1: firstValue(data.addressLine1, data.address_Line1,
+            joinParts(data.flatDoorNo || data.flatNo, data.buildingName || data.premisesName)),
+        Address_Line2: firstValue(data.addressLine2, data.address_Line2,
+            joinParts(data.roadStreetLane || data.road, data.areaAndLocality || data.area)) || '',
+        PlanName: plan.planName,
+        CustomerDOB: formatBriskDate(firstValue(data.customerDOB) || data.dob || data.dateOfBirth),
+        loginid: firstValue(data.loginid) || BRISK_DEFAULTS.loginid,
+        VehicleType: plan.vehicleType,
+        Gstno: firstValue(data.gstno, data.Gstno) || '',
+        Flaxprice: String(plan.price),
+        policyType: plan.cover
+    };
+
+    const problems = checkBriskPayload(payload);
+    if (problems.length > 0) {
+        const onlyMissing = problems.every(problem => problem.reason === 'missing');
+        throw new ValidationError(
+            problems.map(problem => problem.field).join(', '),
+            null,
+            onlyMissing ? 'E101_MISSING_REQUIRED_FIELD' : 'E102_INVALID_FORMAT',
+            {
+                message: `Brisk payload not sent: ${problems.map(problem => `${problem.field} ${problem.reason}`).join(', ')}`,
+                problems
+            }
+        );
+    }
+
+    return payload;
+}
+
+// ============================================================================
+// API
+// ============================================================================
+
+/**
+ * Create a certificate
+ * @param {Object} payload - From buildBriskPayload()
+ * @param {Object} options - { userId } (sent as clientid / userid; defaults to BRISK_CLIENT_ID)
+ * @returns {Promise<Object>} { policyId, downloadUrl, message }
+ * @throws {PolicyAutomationError} E502 / E302 (retryable), E308 / E404 (not retryable), E100 (BRISK_API_URL not set)
+ */
+function requestBriskCertificate(payload, { userId = null } = {}) {
+    if (!BRISK_API.baseUrl) {
+        return Promise.reject(new PolicyAutomationError('E100_INVALID_INPUT', {
+            message: 'BRISK_API_URL is not set'
+        }));
+    }
+
+    const url = new URL(BRISK_API.createPath, BRISK_API.baseUrl);
+    const postData = JSON.stringify(payload);
+    const clientId = userId || BRISK_DEFAULTS.clientId;
+    const protocol = url.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+        const req = protocol.request(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(postData),
+                'clientid': clientId,
+                'userid': clientId
+            }
+        }, (res) => {
+            let responseData = '';
+            res.on('data', (chunk) => { responseData += chunk; });
+            res.on('end', () => {
+                console.log(`📥 Brisk API Response Status: ${res.statusCode}`);
+
+                if (res.statusCode >= 500) {
+                    reject(new PolicyAutomationError('E502_NETWORK_ERROR', {
+                        message: `Brisk API returned status ${res.statusCode}: ${responseData.slice(0, 500)}`,
+                        statusCode: res.statusCode
+                    }));
+                    return;
+                }
+                if (res.statusCode < 200 || res.statusCode >= 300) {
+                    reject(new PolicyAutomationError('E308_FORM_VALIDATION_FAILED', {
+                        message: `Brisk API rejected the request (${res.statusCode}): ${responseData.slice(0, 500)}`,
+                        statusCode: res.statusCode
+                    }));
+                    return;
+                }
+
+                let parsed;
+                try {
+                    parsed = JSON.parse(responseData);
+                } catch (err) {
+                    parsed = null;
+                }
+
+                if (parsed && parsed.error === true) {
+                    reject(new PolicyAutomationError('E308_FORM_VALIDATION_FAILED', {
+                        message: `Brisk API returned an error: ${parsed.message || 'no message'}`
+                    }));
+                    return;
+                }
+                if (!parsed?.data?.policyId) {
+                    // The certificate may exist; retrying could issue a second one
+                    reject(new PolicyAutomationError('E404_POLICY_NOT_GENERATED', {
+                        message: `Brisk API answered without a policy ID: ${responseData.slice(0, 500)}`
+                    }));
+                    return;
+                }
+
+                resolve({
+                    policyId: parsed.data.policyId,
+                    downloadUrl: parsed.data.downloadUrl || null,
+                    message: parsed.message || null
+                });
+            });
+        });
+
+        req.setTimeout(BRISK_API.timeoutMs, () => {
+            req.destroy(new PolicyAutomationError('E302_TIMEOUT', {
+                message: `Brisk API did not answer within ${BRISK_API.timeoutMs / 1000}s`
+            }));
+        });
+
+        req.on('error', (error) => {
+            reject(error instanceof PolicyAutomationError
+                ? error
+                : new PolicyAutomationError('E502_NETWORK_ERROR', { message: `Brisk API unreachable: ${error.message}` }, error));
+        });
+
+        req.write(postData);
+        req.end();
+    });
+}
+
+/**
+ * Download the certificate PDF to brisk_certificates/<policyId>.pdf
+ * @param {string} downloadUrl - From requestBriskCertificate()
+ * @param {string} policyId - Brisk policy ID (file name)
+ * @returns {Promise<string>} Path to the downloaded file
+ * @throws {PolicyAutomationError} E502 / E302 (retryable)
+ */
+function downloadBriskPdf(downloadUrl, policyId) {
+    return new Promise((resolve, reject) => {
+        if (!downloadUrl) {
+            reject(new PolicyAutomationError('E404_POLICY_NOT_GENERATED', {
+                message: 'Brisk certificate has no download URL'
+            }));
+            return;
+        }
+
+        fs.mkdirSync(BRISK_PDF_DIR, { recursive: true });
+        const filePath = path.join(BRISK_PDF_DIR, `${String(policyId).replace(/[^a-zA-Z0-9_-]/g, '_')}.pdf`);
+        const protocol = downloadUrl.startsWith('https') ? https : http;
+
+        const fail = (error) => {
+            fs.rmSync(filePath, { force: true });
+            reject(error instanceof PolicyAutomationError
+                ? error
+                : new PolicyAutomationError('E502_NETWORK_ERROR', { message: `Brisk PDF download failed: ${error.message}` }, error));
+        };
+
+        console.log(`📥 Downloading Brisk PDF from: ${downloadUrl}`);
+        const req = protocol.get(downloadUrl, (response) => {
+            if (response.statusCode !== 200) {
+                response.resume();
+                fail(new PolicyAutomationError('E502_NETWORK_ERROR', {
+                    message: `Brisk PDF download failed. Status: ${response.statusCode}`,
+                    statusCode: response.statusCode
+                }));
+                return;
+            }
+
+            const file = fs.createWriteStream(filePath);
+            response.pipe(file);
+            file.on('finish', () => file.close(() => {
+                console.log(`✅ Brisk PDF downloaded: ${filePath}`);
+                resolve(filePath);
+            }));
+            file.on('error', fail);
+        });
+
+        req.setTimeout(BRISK_API.downloadTimeoutMs, () => {
+            req.destroy(new PolicyAutomationError('E302_TIMEOUT', {
+                message: `Brisk PDF download took longer than ${BRISK_API.downloadTimeoutMs / 1000}s`
+            }));
+        });
+        req.on('error', fail);
+    });
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+    BRISK_API,
+    BRISK_DEFAULTS,
+    PLACEHOLDER_VALUES,
+
+    // Payload
+    buildBriskPayload,
+    checkBriskPayload,
+
+    // API
+    requestBriskCertificate,
+    downloadBriskPdf
+};
@@ -0,0 +1,337 @@
+/**
+ * 🧾 Brisk Issuance
+ * Issues the Brisk certificate of a completed Reliance job as its own tracked sub-job
+ *
+ * The portal flow and the certificate are separate: a job is completed once
+ * the portal is done, and job.brisk follows the certificate on its own:
+ *
+ *   pending -> processing -> completed
+ *                        \-> retry_scheduled -> processing ... (backoff)
+ *                        \-> failed            (attempts used up / not retryable)
+ *                        \-> invalid_payload   (formData has missing or placeholder values)
+ *
+ * failed and invalid_payload wait for an operator (POST /api/jobs/:id/brisk/retry).
+ * The certificate is created at most once per job: as soon as the API returns
+ * a policy ID it is stored, and later attempts only redo the download and merge.
+ * The plan is chosen from the catalogue (lib/briskPlans.js) on each creation
+ * attempt and recorded as brisk.plan; no matching plan is an invalid_payload.
+ *
+ * Claims are atomic and leased (brisk.workerId / brisk.leaseExpiresAt), so a
+ * sub-job whose worker died is picked up again by the next sweep.
+ */
+
+const fs = require('fs');
+const {
+    PolicyAutomationError,
+    ValidationError,
+    classifyError,
+    calculateRetryDelay
+} = require('./errorHandler');
+const { buildBriskPayload, requestBriskCertificate, downloadBriskPdf } = require('./briskCertificate');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const BRISK_STATUS = {
+    PENDING: 'pending',
+    PROCESSING: 'processing',
+    RETRY_SCHEDULED: 'retry_scheduled',
+    COMPLETED: 'completed',
+    FAILED: 'failed',
+    INVALID_PAYLOAD: 'invalid_payload'
+};
+
+// States an operator may send back to pending
+const OPERATOR_RETRY_STATES = [
+    BRISK_STATUS.FAILED,
+    BRISK_STATUS.INVALID_PAYLOAD,
+    BRISK_STATUS.RETRY_SCHEDULED
+];
+
+const BRISK_RETRY = {
+    maxAttempts: parseInt(process.env.BRISK_MAX_ATTEMPTS, 10) || 5,
+    baseDelayMs: parseInt(process.env.BRISK_RETRY_BASE_MS, 10) || 60000,
+    maxDelayMs: 30 * 60000,
+    leaseMs: 5 * 60000 // Longer than API timeout + download + merge
+};
+
+/**
+ * Initial job.brisk for a job whose portal flow just completed
+ * @returns {Object}
+ */
+function initialBriskState(now = new Date()) {
+    return {
+        status: BRISK_STATUS.PENDING,
+        attempts: 0,
+        maxAttempts: BRISK_RETRY.maxAttempts,
+        nextAttemptAt: null,
+        createdAt: now
+    };
+}
+
+// ============================================================================
+// SERVICE FACTORY
+// ============================================================================
+
+/**
+ * Create the Brisk issuance service for a job collection
+ * @param {Object} config
+ * @param {Object} config.collection - RelianceJobQueue collection
+ * @param {Object} config.planCatalogue - From createBriskPlanCatalogue()
+ * @param {Function} config.mergeAndUpload - async (policyPdfPath, briskPdfPath, formData, { jobId, proposalNumber, briskPolicyId }) => mergedPdf
+ * @param {Function} config.audit - async (action, details) => void, e.g. server.js logAuditEntry
+ * @param {string} config.workerId - Instance ID holding the claim
+ * @returns {Object} { claim, run, runDue, requeue }
+ */
+function createBriskIssuanceService({ collection, planCatalogue, mergeAndUpload, audit = async () => {}, workerId = null }) {
+
+    /**
+     * Filter for sub-jobs that may be claimed now (due, or leased by a worker that died)
+     */
+    function dueFilter(now) {
+        return {
+            $or: [
+                {
+                    'brisk.status': { $in: [BRISK_STATUS.PENDING, BRISK_STATUS.RETRY_SCHEDULED] },
+                    $or: [{ 'brisk.nextAttemptAt': null }, { 'brisk.nextAttemptAt': { $lte: now } }]
+                },
+                { 'brisk.status': BRISK_STATUS.PROCESSING, 'brisk.leaseExpiresAt': { $lt: now } }
+            ]
+        };
+    }
+
+    /**
+     * Atomically take one due sub-job
+     * @param {ObjectId} jobId - A specific job (optional)
+     * @returns {Promise<Object|null>} The job, or null if nothing was due
+     */
+    async function claim(jobId = null) {
+        const now = new Date();
+        return collection.findOneAndUpdate(
+            { ...(jobId ? { _id: jobId } : {}), ...dueFilter(now) },
+            {
+                $set: {
+                    'brisk.status': BRISK_STATUS.PROCESSING,
+                    'brisk.workerId': workerId,
+                    'brisk.leaseExpiresAt': new Date(now.getTime() + BRISK_RETRY.leaseMs),
+                    'brisk.lastAttemptAt': now
+                },
+                $inc: { 'brisk.attempts': 1 }
+            },
+            { sort: { 'brisk.nextAttemptAt': 1 }, returnDocument: 'after' }
+        );
+    }
+
+    /**
+     * Write to a claimed sub-job; ignored if the lease was lost to another worker
+     */
+    function updateClaimed(job, set, push = null) {
+        const update = { $set: set };
+        if (push) {
+            update.$push = push;
+        }
+        return collection.updateOne(
+            { _id: job._id, 'brisk.status': BRISK_STATUS.PROCESSING, 'brisk.workerId': workerId },
+            update
+        );
+    }
+
+    /**
+     * Create (once), download and merge the certificate of a claimed job
+     */
+    async function issue(job) {
+        const brisk = job.brisk;
+        const data = job.formData || {};
+        let { policyId = null, downloadUrl = null, plan = null } = brisk;
+
+        if (!policyId) {
+            const { applied } = await planCatalogue.selectPlan(data);
+            plan = applied;
+            const payload = buildBriskPayload(data, applied);
+            await updateClaimed(job, { 'brisk.plan': applied });
+
+            console.log(`📝 [Brisk] Creating certificate for job ${job._id} on plan ${applied.planName} (₹${applied.price}, attempt ${brisk.attempts}/${brisk.maxAttempts})`);
+            const created = await requestBriskCertificate(payload, { userId: data.userId?.$oid || data.userId || null });
+            ({ policyId, downloadUrl } = created);
+
+            // Stored before anything else can fail: a retry must never issue a second certificate
+            await updateClaimed(job, {
+                'brisk.policyId': policyId,
+                'brisk.downloadUrl': downloadUrl,
+                'brisk.issuedAt': new Date()
+            });
+            console.log(`✅ [Brisk] Certificate ${policyId} created for job ${job._id}`);
+        }
+
+        const localPdfPath = brisk.localPdfPath && fs.existsSync(brisk.localPdfPath)
+            ? brisk.localPdfPath
+            : await downloadBriskPdf(downloadUrl, policyId);
+
+        // Merged with the policy PDF the job downloaded and linked (lib/policyPdf.js), when there is one
+        const policyPdfPath = job.policyPdf?.linked ? job.policyPdf.path : null;
+        if (!policyPdfPath || !fs.existsSync(policyPdfPath)) {
+            return {
+                policyId,
+                plan,
+                localPdfPath,
+                mergedPdf: null,
+                mergeSkippedReason: job.policyPdf?.reason || 'No linked policy PDF on this job'
+            };
+        }
+
+        const mergedPdf = await mergeAndUpload(policyPdfPath, localPdfPath, data, {
+            jobId: String(job._id),
+            proposalNumber: job.proposalNumber || null,
+            briskPolicyId: policyId
+        });
+        return { policyId, plan, localPdfPath, mergedPdf, mergeSkippedReason: null };
+    }
+
+    /**
+     * Run a claimed sub-job and record the outcome
+     * @param {Object} job - From claim()
+     * @returns {Promise<string>} The new brisk.status
+     */
+    async function runClaimed(job) {
+        const attempt = job.brisk.attempts;
+        const now = () => new Date();
+
+        try {
+            const result = await issue(job);
+            await updateClaimed(job, {
+                'brisk.status': BRISK_STATUS.COMPLETED,
+                'brisk.localPdfPath': result.localPdfPath,
+                'brisk.mergedPdf': result.mergedPdf,
+                'brisk.mergeSkippedReason': result.mergeSkippedReason,
+                'brisk.completedAt': now(),
+                'brisk.leaseExpiresAt': null,
+                'brisk.nextAttemptAt': null,
+                'brisk.lastError': null,
+                'brisk.lastErrorCode': null,
+                'brisk.problems': null
+            }, {
+                'brisk.history': { at: now(), attempt, status: BRISK_STATUS.COMPLETED }
+            });
+
+            await audit('BRISK_CERTIFICATE_COMPLETED', {
+                jobId: job._id,
+                briskPolicyId: result.policyId,
+                planName: result.plan?.planName || null,
+                price: result.plan?.price ?? null,
+                merged: Boolean(result.mergedPdf),
+                mergeSkippedReason: result.mergeSkippedReason,
+                attempt
+            });
+            return BRISK_STATUS.COMPLETED;
+        } catch (error) {
+            const invalid = error instanceof ValidationError;
+            const classified = error instanceof PolicyAutomationError ? error : classifyError(error);
+            const retryable = !invalid && classified.retryable && attempt < job.brisk.maxAttempts;
+            const status = invalid
+                ? BRISK_STATUS.INVALID_PAYLOAD
+                : retryable ? BRISK_STATUS.RETRY_SCHEDULED : BRISK_STATUS.FAILED;
+            const nextAttemptAt = retryable
+                ? new Date(Date.now() + calculateRetryDelay(attempt, BRISK_RETRY.baseDelayMs, BRISK_RETRY.maxDelayMs))
+                : null;
+
+            await updateClaimed(job, {
+                'brisk.status': status,
+                'brisk.nextAttemptAt': nextAttemptAt,
+                'brisk.leaseExpiresAt': null,
+                'brisk.lastError': error.message,
+                'brisk.lastErrorCode': classified.code,
+                'brisk.problems': invalid ? error.details.problems : null,
+                ...(status === BRISK_STATUS.RETRY_SCHEDULED ? {} : { 'brisk.failedAt': now() })
+            }, {
+                'brisk.history': { at: now(), attempt, status, errorCode: classified.code, message: error.message }
+            });
+
+            if (retryable) {
+                console.warn(`🔄 [Brisk] Job ${job._id} attempt ${attempt}/${job.brisk.maxAttempts} failed [${classified.code}], retry at ${nextAttemptAt.toISOString()}: ${error.message}`);
+            } else {
+                console.error(`❌ [Brisk] Job ${job._id} ${status} [${classified.code}]: ${error.message}`);
+            }
+
+            await audit(retryable ? 'BRISK_CERTIFICATE_RETRY_SCHEDULED' : 'BRISK_CERTIFICATE_FAILED', {
+                jobId: job._id,
+                status,
+                errorCode: classified.code,
+                errorMessage: error.message,
+                problems: invalid ? error.details.problems : null,
+                attempt,
+                maxAttempts: job.brisk.maxAttempts,
+                nextAttemptAt
+            });
+            return status;
+        }
+    }
+
+    /**
+     * Run the sub-job of one job if it is due
+     * @param {ObjectId} jobId
+     * @returns {Promise<string|null>} The new brisk.status, or null if it was not due / already taken
+     */
+    async function run(jobId) {
+        const job = await claim(jobId);
+        return job ? runClaimed(job) : null;
+    }
+
+    /**
+     * Run due sub-jobs one after another (periodic sweep)
+     * @param {number} limit - Most sub-jobs per sweep
+     * @returns {Promise<number>} Sub-jobs run
+     */
+    async function runDue(limit = 5) {
+        let count = 0;
+        for (; count < limit; count++) {
+            const job = await claim();
+            if (!job) break;
+            await runClaimed(job);
+        }
+        return count;
+    }
+
+    /**
+     * Send a failed / invalid sub-job back to pending (operator retry)
+     * Without resetAttempts an exhausted sub-job gets exactly one more attempt.
+     * @param {Object} job - Job as last read
+     * @param {Object} options - { by, reason, resetAttempts }
+     * @returns {Promise<boolean>} false if the sub-job changed state concurrently
+     */
+    async function requeue(job, { by = null, reason = null, resetAttempts = false } = {}) {
+        const attempts = resetAttempts ? 0 : job.brisk.attempts || 0;
+        const now = new Date();
+        const result = await collection.updateOne(
+            { _id: job._id, 'brisk.status': job.brisk.status },
+            {
+                $set: {
+                    'brisk.status': BRISK_STATUS.PENDING,
+                    'brisk.attempts': attempts,
+                    'brisk.maxAttempts': Math.max(job.brisk.maxAttempts || BRISK_RETRY.maxAttempts, attempts + 1),
+                    'brisk.nextAttemptAt': null,
+                    'brisk.requeuedAt': now,
+                    'brisk.requeuedBy': by
+                },
+                $push: {
+                    'brisk.history': { at: now, status: BRISK_STATUS.PENDING, by, reason: reason || 'Manual retry' }
+                }
+            }
+        );
+        return result.matchedCount === 1;
+    }
+
+    return { claim, run, runDue, requeue };
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+    BRISK_STATUS,
+    BRISK_RETRY,
+    OPERATOR_RETRY_STATES,
+    initialBriskState,
+    createBriskIssuanceService
+};
@@ -0,0 +1,310 @@
+/**
+ * 📒 Brisk Plans
+ * Catalogue of Brisk add-on plans (BriskPlans collection, editable through /api/brisk-plans)
+ *
+ * A plan maps vehicle type, insurer, cover (CPA, RSA or both) and price to
+ * the Brisk plan name. The plan of a certificate is chosen from the job's
+ * formData:
+ *   - vehicleType: formData.vehicleType (TW when absent - both portal flows are two-wheeler)
+ *   - insurer: the job's lane (reliance / national); plans with insurer "*" apply to any
+ *   - cover: formData.briskCover (cpa, rsa or cpa/rsa; cpa/rsa when absent)
+ *   - price: formData.briskPrice / paCoverAmount, when the customer was quoted one
+ *   - planName: formData.briskPlanName pins a plan by name
+ *
+ * Insurer-specific plans win over "*" plans. When several plans still match
+ * (no price given), the one marked isDefault is used; no match or no single
+ * default rejects the payload, so a certificate is never issued on a guessed plan.
+ */
+
+const { ObjectId } = require('mongodb');
+const { ValidationError } = require('./errorHandler');
+const { LANES, resolveLane } = require('./queueLanes');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const BRISK_PLAN_COLLECTION = 'BriskPlans';
+
+const COVER_TYPES = ['cpa', 'rsa', 'cpa/rsa'];
+
+const ANY_INSURER = '*';
+
+const DEFAULT_VEHICLE_TYPE = 'TW';
+const DEFAULT_COVER = 'cpa/rsa';
+
+// Inserted when the catalogue is empty: the plan every certificate used before the catalogue
+const SEED_PLANS = [
+    {
+        planName: 'TWHRN30K3S244',
+        vehicleType: 'TW',
+        insurer: ANY_INSURER,
+        cover: 'cpa/rsa',
+        price: 244,
+        isDefault: true,
+        label: 'Two-wheeler CPA + RSA'
+    }
+];
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+function toObjectId(id) {
+    return id instanceof ObjectId ? id : ObjectId.isValid(id) ? new ObjectId(id) : null;
+}
+
+function normalizeCover(value) {
+    const cover = String(value || '').trim().toLowerCase().replace(/\s+/g, '').replace('+', '/');
+    return COVER_TYPES.includes(cover) ? cover : null;
+}
+
+function parsePrice(value) {
+    if (value === undefined || value === null || String(value).trim() === '') return null;
+    const price = Number(String(value).replace(/[₹,\s]/g, ''));
+    return Number.isFinite(price) && price > 0 ? price : NaN;
+}
+
+/**
+ * Validate plan fields from the API
+ * @param {Object} input - Plan fields
+ * @param {Object} options - { partial } (PATCH: only the given fields)
+ * @returns {Object} Normalised fields
+ * @throws {RangeError} Invalid field (400 in the API)
+ */
+function validatePlanInput(input, { partial = false } = {}) {
+    const plan = {};
+    const has = field => input[field] !== undefined;
+
+    if (!partial || has('planName')) {
+        if (!input.planName || !String(input.planName).trim()) throw new RangeError('planName is required');
+        plan.planName = String(input.planName).trim();
+    }
+    if (!partial || has('vehicleType')) {
+        if (!input.vehicleType || !/^[A-Za-z]{2,4}$/.test(String(input.vehicleType).trim())) {
+            throw new RangeError('vehicleType must be a short code such as TW or PC');
+        }
+        plan.vehicleType = String(input.vehicleType).trim().toUpperCase();
+    }
+    if (!partial || has('insurer')) {
+        const insurer = String(input.insurer ?? ANY_INSURER).trim().toLowerCase();
+        if (insurer !== ANY_INSURER && !LANES.includes(insurer)) {
+            throw new RangeError(`insurer must be "${ANY_INSURER}" or one of: ${LANES.join(', ')}`);
+        }
+        plan.insurer = insurer;
+    }
+    if (!partial || has('cover')) {
+        const cover = normalizeCover(input.cover);
+        if (!cover) throw new RangeError(`cover must be one of: ${COVER_TYPES.join(', ')}`);
+        plan.cover = cover;
+    }
+    if (!partial || has('price')) {
+        const price = parsePrice(input.price);
+        if (!price) throw new RangeError('price must be a positive amount');
+        plan.price = price;
+    }
+    if (!partial || has('isDefault')) plan.isDefault = input.isDefault === true;
+    if (!partial || has('active')) plan.active = input.active !== false;
+    if (has('label')) plan.label = input.label ? String(input.label) : null;
+
+    return plan;
+}
+
+function quotedPrice(data) {
+    return data.briskPrice ?? data.paCoverAmount ?? data.flaxprice ?? data.Flaxprice;
+}
+
+/**
+ * Plan criteria of a job
+ * @param {Object} data - Job formData
+ * @returns {Object} { vehicleType, insurer, cover, price, planName }
+ */
+function planCriteria(data = {}) {
+    const price = parsePrice(quotedPrice(data));
+    return {
+        vehicleType: String(data.vehicleType || DEFAULT_VEHICLE_TYPE).trim().toUpperCase(),
+        insurer: resolveLane(data),
+        cover: normalizeCover(data.briskCover) || (data.briskCover ? null : DEFAULT_COVER),
+        price: Number.isNaN(price) ? NaN : price,
+        planName: data.briskPlanName ? String(data.briskPlanName).trim() : null
+    };
+}
+
+function describeCriteria({ vehicleType, insurer, cover, price, planName }) {
+    return [vehicleType, insurer, cover, price ? `₹${price}` : null, planName].filter(Boolean).join(' / ');
+}
+
+/**
+ * What a job records about the plan its certificate was issued on
+ */
+function toAppliedPlan(plan) {
+    return {
+        planId: plan._id,
+        planName: plan.planName,
+        vehicleType: plan.vehicleType,
+        insurer: plan.insurer,
+        cover: plan.cover,
+        price: plan.price,
+        selectedAt: new Date()
+    };
+}
+
+// ============================================================================
+// CATALOGUE FACTORY
+// ============================================================================
+
+/**
+ * Create the plan catalogue
+ * @param {Object} config
+ * @param {Object} config.collection - BriskPlans collection
+ * @param {Function} config.audit - async (action, details) => void
+ * @returns {Object} { ensureIndexes, seedDefaults, listPlans, addPlan, updatePlan, selectPlan }
+ */
+function createBriskPlanCatalogue({ collection, audit = async () => {} }) {
+
+    /**
+     * Create the collection's indexes (one active plan per vehicle type / insurer / cover / price)
+     */
+    async function ensureIndexes() {
+        await collection.createIndex(
+            { vehicleType: 1, insurer: 1, cover: 1, price: 1 },
+            { unique: true, partialFilterExpression: { active: true } }
+        );
+    }
+
+    /**
+     * Insert SEED_PLANS when the catalogue is empty
+     * @returns {Promise<number>} Plans inserted
+     */
+    async function seedDefaults() {
+        if (await collection.countDocuments({}, { limit: 1 }) > 0) {
+            return 0;
+        }
+        const now = new Date();
+        try {
+            await collection.insertMany(SEED_PLANS.map(plan => ({
+                ...plan,
+                active: true,
+                createdAt: now,
+                createdBy: 'seed',
+                updatedAt: now
+            })));
+        } catch (error) {
+            if (error.code === 11000) return 0; // Another instance seeded first
+            throw error;
+        }
+        return SEED_PLANS.length;
+    }
+
+    /**
+     * List plans
+     * @param {Object} filter - { vehicleType, insurer, active }
+     */
+    async function listPlans({ vehicleType = null, insurer = null, active = null } = {}) {
+        const query = {};
+        if (vehicleType) query.vehicleType = String(vehicleType).toUpperCase();
+        if (insurer) query.insurer = String(insurer).toLowerCase();
+        if (active !== null) query.active = active;
+        return collection.find(query).sort({ vehicleType: 1, insurer: 1, cover: 1, price: 1 }).toArray();
+    }
+
+    /**
+     * Add a plan
+     * @param {Object} input - Plan fields (see validatePlanInput)
+     * @param {Object} options - { by }
+     * @returns {Promise<Object>} The plan
+     * @throws {RangeError} Invalid field; MongoServerError 11000 when an active plan has the same key
+     */
+    async function addPlan(input, { by = null } = {}) {
+        const now = new Date();
+        const plan = { ...validatePlanInput(input), createdAt: now, createdBy: by, updatedAt: now, updatedBy: by };
+        const result = await collection.insertOne(plan);
+        await audit('BRISK_PLAN_ADDED', { planId: result.insertedId, planName: plan.planName, price: plan.price, by });
+        return { ...plan, _id: result.insertedId };
+    }
+
+    /**
+     * Change a plan (active: false retires it; jobs keep the plan they recorded)
+     * @returns {Promise<Object|null>} The plan, or null if not found
+     */
+    async function updatePlan(planId, input, { by = null } = {}) {
+        const _id = toObjectId(planId);
+        if (!_id) return null;
+
+        const changes = validatePlanInput(input, { partial: true });
+        if (Object.keys(changes).length === 0) {
+            throw new RangeError('Nothing to change');
+        }
+
+        const updated = await collection.findOneAndUpdate(
+            { _id },
+            { $set: { ...changes, updatedAt: new Date(), updatedBy: by } },
+            { returnDocument: 'after' }
+        );
+        if (!updated) return null;
+
+        await audit('BRISK_PLAN_UPDATED', { planId: _id, planName: updated.planName, changes, by });
+        return updated;
+    }
+
+    /**
+     * Choose the plan for a job
+     * @param {Object} data - Job formData
+     * @returns {Promise<Object>} { plan, applied, criteria } - applied is what the job records
+     * @throws {ValidationError} E101 no matching plan, E102 invalid criteria or no single default
+     */
+    async function selectPlan(data) {
+        const criteria = planCriteria(data);
+        if (!criteria.cover || Number.isNaN(criteria.price)) {
+            const field = !criteria.cover ? 'briskCover' : 'briskPrice';
+            throw new ValidationError(field, criteria, 'E102_INVALID_FORMAT', {
+                message: !criteria.cover
+                    ? `Unknown Brisk cover "${data.briskCover}" (expected ${COVER_TYPES.join(', ')})`
+                    : 'Brisk price in formData is not a positive amount',
+                problems: [{ field, reason: 'invalid', value: !criteria.cover ? data.briskCover : quotedPrice(data) }]
+            });
+        }
+
+        const candidates = await collection.find({
+            active: true,
+            vehicleType: criteria.vehicleType,
+            cover: criteria.cover,
+            insurer: { $in: [criteria.insurer, ANY_INSURER] },
+            ...(criteria.price ? { price: criteria.price } : {}),
+            ...(criteria.planName ? { planName: criteria.planName } : {})
+        }).toArray();
+
+        const specific = candidates.filter(plan => plan.insurer === criteria.insurer);
+        const pool = specific.length > 0 ? specific : candidates;
+        const defaults = pool.filter(plan => plan.isDefault === true);
+        const plan = pool.length === 1 ? pool[0] : defaults.length === 1 ? defaults[0] : null;
+
+        if (!plan) {
+            throw new ValidationError('briskPlan', criteria,
+                pool.length === 0 ? 'E101_MISSING_REQUIRED_FIELD' : 'E102_INVALID_FORMAT', {
+                    message: pool.length === 0
+                        ? `No active Brisk plan for ${describeCriteria(criteria)}`
+                        : `${pool.length} Brisk plans match ${describeCriteria(criteria)} and none is the single default`,
+                    problems: [{ field: 'briskPlan', reason: pool.length === 0 ? 'missing' : 'ambiguous', value: describeCriteria(criteria) }]
+                });
+        }
+
+        return { plan, applied: toAppliedPlan(plan), criteria };
+    }
+
+    return { ensureIndexes, seedDefaults, listPlans, addPlan, updatePlan, selectPlan };
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+    BRISK_PLAN_COLLECTION,
+    COVER_TYPES,
+    ANY_INSURER,
+    SEED_PLANS,
+    validatePlanInput,
+    planCriteria,
+    createBriskPlanCatalogue
+};
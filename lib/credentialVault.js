@@ -0,0 +1,480 @@
+/**
+ * 🔐 Credential Vault
+ * Portal agent accounts, encrypted at rest in MongoDB
+ *
+ * Passwords are stored AES-256-GCM encrypted under a local master key
+ * (CREDENTIAL_MASTER_KEY or CREDENTIAL_MASTER_KEY_FILE) and only decrypted
+ * in memory when a login needs them. An insurer can have several accounts;
+ * each job takes the least recently used active one (or the one it asks for),
+ * and records the account ID - never the password.
+ *
+ * Rotation:
+ * - Password: rotatePassword() replaces the secret and stamps rotatedAt/By.
+ * - Master key: set the new key as CREDENTIAL_MASTER_KEY and the old one in
+ *   CREDENTIAL_MASTER_KEY_PREVIOUS; reencryptStale() moves every secret over.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { ObjectId } = require('mongodb');
+const { SessionError } = require('./errorHandler');
+
+const CREDENTIAL_COLLECTION = 'PortalCredentials';
+
+const ACCOUNT_STATUS = {
+    ACTIVE: 'active',
+    DISABLED: 'disabled'
+};
+
+const CIPHER = 'aes-256-gcm';
+const SECRET_VERSION = 1;
+
+// ============================================================================
+// MASTER KEY
+// ============================================================================
+
+/**
+ * Parse a 32-byte key given as 64 hex characters or base64
+ */
+function parseKey(value, source) {
+    const trimmed = String(value).trim();
+    const key = /^[0-9a-f]{64}$/i.test(trimmed) ? Buffer.from(trimmed, 'hex') : Buffer.from(trimmed, 'base64');
+    if (key.length !== 32) {
+        throw new Error(`${source} must be a 32-byte key (64 hex characters or base64)`);
+    }
+    return key;
+}
+
+/**
+ * Short fingerprint stored with each secret, so the right key is picked after a key rotation
+ */
+function keyId(key) {
+    return crypto.createHash('sha256').update(key).digest('hex').slice(0, 12);
+}
+
+/**
+ * Load the master key (and any previous keys still needed for decryption)
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {Object} { current: Buffer, previous: Buffer[] }
+ * @throws {Error} If no master key is configured
+ */
+function loadMasterKeys(env = process.env) {
+    let current = null;
+    if (env.CREDENTIAL_MASTER_KEY) {
+        current = parseKey(env.CREDENTIAL_MASTER_KEY, 'CREDENTIAL_MASTER_KEY');
+    } else if (env.CREDENTIAL_MASTER_KEY_FILE) {
+        current = parseKey(fs.readFileSync(env.CREDENTIAL_MASTER_KEY_FILE, 'utf8'), 'CREDENTIAL_MASTER_KEY_FILE');
+    } else {
+        throw new Error(
+            'No credential master key: set CREDENTIAL_MASTER_KEY or CREDENTIAL_MASTER_KEY_FILE ' +
+            '(generate one with: node -e "console.log(require(\'crypto\').randomBytes(32).toString(\'hex\'))")'
+        );
+    }
+
+    const previous = (env.CREDENTIAL_MASTER_KEY_PREVIOUS || '')
+        .split(',')
+        .filter(value => value.trim())
+        .map(value => parseKey(value, 'CREDENTIAL_MASTER_KEY_PREVIOUS'));
+
+    return { current, previous };
+}
+
+// ============================================================================
+// ENCRYPTION
+// ============================================================================
+
+/**
+ * Additional authenticated data: binds a secret to its account, so a ciphertext
+ * copied onto another account document fails to decrypt
+ */
+function accountAad(insurer, username) {
+    return Buffer.from(`${insurer}:${username}`, 'utf8');
+}
+
+/**
+ * Encrypt a password
+ * @returns {Object} { v, keyId, iv, tag, data } (base64 fields)
+ */
+function encryptSecret(key, plaintext, aad) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(CIPHER, key, iv);
+    cipher.setAAD(aad);
+    const data = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+    return {
+        v: SECRET_VERSION,
+        keyId: keyId(key),
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64')
+    };
+}
+
+/**
+ * Decrypt a password
+ * @param {Map} keyring - keyId -> key
+ * @throws {Error} If the key is unknown or the secret was tampered with
+ */
+function decryptSecret(keyring, secret, aad) {
+    const key = keyring.get(secret.keyId);
+    if (!key) {
+        throw new Error(`Credential was encrypted with an unknown master key (${secret.keyId})`);
+    }
+
+    const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(secret.iv, 'base64'));
+    decipher.setAAD(aad);
+    decipher.setAuthTag(Buffer.from(secret.tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(secret.data, 'base64')), decipher.final()]).toString('utf8');
+}
+
+// ============================================================================
+// VAULT FACTORY
+// ============================================================================
+
+/**
+ * Account document without its secret (safe for APIs and logs)
+ */
+function toPublicAccount(account) {
+    const { secret, ...rest } = account;
+    return { ...rest, keyId: secret ? secret.keyId : null };
+}
+
+function toObjectId(id) {
+    return id instanceof ObjectId ? id : ObjectId.isValid(id) ? new ObjectId(id) : null;
+}
+
+/**
+ * Create the credential vault
+ * @param {Object} config
+ * @param {Object} config.collection - PortalCredentials collection
+ * @param {Object} config.keys - { current, previous } from loadMasterKeys()
+ * @param {Function} config.audit - async (action, details) => void
+ * @returns {Object} Vault operations
+ */
+function createCredentialVault({ collection, keys, audit = async () => {} }) {
+    const currentKeyId = keyId(keys.current);
+    const keyring = new Map([keys.current, ...keys.previous].map(key => [keyId(key), key]));
+
+    const normalizeInsurer = insurer => String(insurer || '').trim().toLowerCase();
+
+    /**
+     * Create the collection's indexes
+     */
+    async function ensureIndexes() {
+        await collection.createIndex({ insurer: 1, username: 1 }, { unique: true });
+        await collection.createIndex({ insurer: 1, status: 1, lastUsedAt: 1 });
+    }
+
+    /**
+     * Add an agent account
+     * @param {Object} account - { insurer, username, password, label }
+     * @param {Object} options - { by }
+     * @returns {Promise<Object>} Public account document
+     */
+    async function addAccount({ insurer, username, password, label = null }, { by = null } = {}) {
+        insurer = normalizeInsurer(insurer);
+        username = String(username).trim();
+
+        const now = new Date();
+        const account = {
+            insurer,
+            username,
+            label,
+            secret: encryptSecret(keys.current, password, accountAad(insurer, username)),
+            status: ACCOUNT_STATUS.ACTIVE,
+            createdAt: now,
+            createdBy: by,
+            rotatedAt: now,
+            rotatedBy: by,
+            lastUsedAt: null,
+            lastUsedByJob: null,
+            useCount: 0
+        };
+
+        const result = await collection.insertOne(account);
+        await audit('CREDENTIAL_ADDED', { accountId: result.insertedId, insurer, username, by });
+        return toPublicAccount({ ...account, _id: result.insertedId });
+    }
+
+    /**
+     * Replace an account's password
+     * @returns {Promise<Object|null>} Public account document, or null if not found
+     */
+    async function rotatePassword(accountId, newPassword, { by = null } = {}) {
+        const _id = toObjectId(accountId);
+        const account = _id && await collection.findOne({ _id });
+        if (!account) return null;
+
+        const now = new Date();
+        const updated = await collection.findOneAndUpdate(
+            { _id },
+            {
+                $set: {
+                    secret: encryptSecret(keys.current, newPassword, accountAad(account.insurer, account.username)),
+                    rotatedAt: now,
+                    rotatedBy: by
+                }
+            },
+            { returnDocument: 'after' }
+        );
+
+        await audit('CREDENTIAL_ROTATED', { accountId: _id, insurer: account.insurer, username: account.username, by });
+        return toPublicAccount(updated);
+    }
+
+    /**
+     * Enable or disable an account (disabled accounts are never handed to jobs)
+     * @returns {Promise<Object|null>} Public account document, or null if not found
+     */
+    async function setStatus(accountId, status, { by = null, reason = null } = {}) {
+        const _id = toObjectId(accountId);
+        if (!_id) return null;
+
+        const updated = await collection.findOneAndUpdate(
+            { _id },
+            { $set: { status, statusChangedAt: new Date(), statusChangedBy: by, statusReason: reason } },
+            { returnDocument: 'after' }
+        );
+        if (!updated) return null;
+
+        await audit('CREDENTIAL_STATUS_CHANGED', { accountId: _id, insurer: updated.insurer, username: updated.username, status, by, reason });
+        return toPublicAccount(updated);
+    }
+
+    /**
+     * List accounts (secrets stripped)
+     * @param {Object} filter - { insurer, status }
+     */
+    async function listAccounts({ insurer = null, status = null } = {}) {
+        const query = {};
+        if (insurer) query.insurer = normalizeInsurer(insurer);
+        if (status) query.status = status;
+
+        const accounts = await collection.find(query).sort({ insurer: 1, createdAt: 1 }).toArray();
+        return accounts.map(toPublicAccount);
+    }
+
+    /**
+     * Decrypt an account document into login credentials
+     */
+    function toCredentials(account) {
+        return {
+            accountId: account._id,
+            insurer: account.insurer,
+            username: account.username,
+            password: decryptSecret(keyring, account.secret, accountAad(account.insurer, account.username)),
+            label: account.label || null
+        };
+    }
+
+    /**
+     * Take an account for a job: the requested one, else the least recently used active one
+     * @param {string} insurer - 'reliance' | 'national'
+     * @param {Object} options - { accountId, jobId }
+     * @returns {Promise<Object>} { accountId, insurer, username, password, label }
+     * @throws {SessionError} E205 when no active account matches
+     */
+    async function acquireAccount(insurer, { accountId = null, jobId = null } = {}) {
+        insurer = normalizeInsurer(insurer);
+        const filter = { insurer, status: ACCOUNT_STATUS.ACTIVE };
+        if (accountId) {
+            filter._id = toObjectId(accountId);
+        }
+
+        const account = await collection.findOneAndUpdate(
+            filter,
+            { $set: { lastUsedAt: new Date(), lastUsedByJob: jobId }, $inc: { useCount: 1 } },
+            { sort: { lastUsedAt: 1, createdAt: 1 }, returnDocument: 'after' }
+        );
+
+        if (!account) {
+            throw new SessionError(null, 'E205_NO_PORTAL_ACCOUNT', {
+                message: accountId
+                    ? `Portal account ${accountId} for ${insurer} is missing or disabled`
+                    : `No active ${insurer} portal account in the credential vault`,
+                insurer,
+                accountId
+            });
+        }
+
+        return toCredentials(account);
+    }
+
+    /**
+     * Credentials for a master/session login, without marking the account used
+     * @param {string} insurer - 'reliance' | 'national'
+     * @param {Object} options - { accountId } of a pooled session (default: oldest active account)
+     * @throws {SessionError} E205 when no active account matches
+     */
+    async function getPrimaryCredentials(insurer, { accountId = null } = {}) {
+        insurer = normalizeInsurer(insurer);
+        const filter = { insurer, status: ACCOUNT_STATUS.ACTIVE };
+        if (accountId) {
+            filter._id = toObjectId(accountId);
+        }
+
+        const [account] = await collection
+            .find(filter)
+            .sort({ createdAt: 1 })
+            .limit(1)
+            .toArray();
+
+        if (!account) {
+            throw new SessionError(null, 'E205_NO_PORTAL_ACCOUNT', {
+                message: accountId
+                    ? `Portal account ${accountId} for ${insurer} is missing or disabled`
+                    : `No active ${insurer} portal account in the credential vault`,
+                insurer,
+                accountId
+            });
+        }
+
+        return toCredentials(account);
+    }
+
+    /**
+     * Re-encrypt secrets still under a previous master key
+     * @returns {Promise<number>} Number of accounts re-encrypted
+     */
+    async function reencryptStale() {
+        const stale = await collection.find({ 'secret.keyId': { $ne: currentKeyId } }).toArray();
+
+        let reencrypted = 0;
+        for (const account of stale) {
+            const aad = accountAad(account.insurer, account.username);
+            try {
+                const password = decryptSecret(keyring, account.secret, aad);
+                await collection.updateOne(
+                    { _id: account._id, 'secret.keyId': account.secret.keyId },
+                    { $set: { secret: encryptSecret(keys.current, password, aad), reencryptedAt: new Date() } }
+                );
+                reencrypted++;
+            } catch (error) {
+                console.error(`[Credential Vault] ❌ Cannot re-encrypt ${account.insurer}/${account.username}: ${error.message}`);
+            }
+        }
+
+        if (reencrypted > 0) {
+            await audit('CREDENTIALS_REENCRYPTED', { count: reencrypted, keyId: currentKeyId });
+        }
+        return reencrypted;
+    }
+
+    /**
+     * One-time migration: add <INSURER>_USERNAME / <INSURER>_PASSWORD from the environment
+     * for insurers that have no account in the vault yet
+     * @param {string[]} insurers - Insurers to check
+     * @returns {Promise<string[]>} Insurers that were imported
+     */
+    async function importFromEnv(insurers, env = process.env) {
+        const imported = [];
+        for (const insurer of insurers) {
+            const prefix = insurer.toUpperCase();
+            const username = env[`${prefix}_USERNAME`];
+            const password = env[`${prefix}_PASSWORD`];
+            if (!username || !password) continue;
+            if (await collection.countDocuments({ insurer }, { limit: 1 }) > 0) continue;
+
+            await addAccount({ insurer, username, password, label: 'imported from environment' }, { by: 'env-import' });
+            imported.push(insurer);
+        }
+        return imported;
+    }
+
+    return {
+        ensureIndexes,
+        addAccount,
+        rotatePassword,
+        setStatus,
+        listAccounts,
+        acquireAccount,
+        getPrimaryCredentials,
+        reencryptStale,
+        importFromEnv
+    };
+}
+
+// ============================================================================
+// PROCESS-WIDE ACCESS
+// ============================================================================
+
+// The vault server.js opened at startup; master-session logins look credentials up through it
+let registeredVault = null;
+
+function registerVault(vault) {
+    registeredVault = vault;
+}
+
+function getRegisteredVault() {
+    return registeredVault;
+}
+
+/**
+ * Credentials for a standalone run (no vault): <INSURER>_USERNAME / <INSURER>_PASSWORD
+ */
+function credentialsFromEnv(insurer, env = process.env) {
+    const prefix = String(insurer).toUpperCase();
+    const username = env[`${prefix}_USERNAME`];
+    const password = env[`${prefix}_PASSWORD`];
+    if (!username || !password) {
+        throw new SessionError(null, 'E205_NO_PORTAL_ACCOUNT', {
+            message: `No ${insurer} portal account: credential vault not open and ${prefix}_USERNAME/${prefix}_PASSWORD not set`,
+            insurer
+        });
+    }
+    return { accountId: null, insurer, username, password, label: 'environment' };
+}
+
+/**
+ * Credentials for one job (vault when open, environment otherwise)
+ * @param {string} insurer - 'reliance' | 'national'
+ * @param {Object} options - { accountId, jobId }
+ */
+async function acquireCredentials(insurer, options = {}) {
+    return registeredVault ? registeredVault.acquireAccount(insurer, options) : credentialsFromEnv(insurer);
+}
+
+/**
+ * Credentials for a master-session login (vault when open, environment otherwise)
+ * @param {string} insurer - 'reliance' | 'national'
+ * @param {Object} options - { accountId } of a pooled session (vault only)
+ */
+async function resolvePortalCredentials(insurer, options = {}) {
+    return registeredVault ? registeredVault.getPrimaryCredentials(insurer, options) : credentialsFromEnv(insurer);
+}
+
+/**
+ * Active accounts a session pool can log in with, oldest first (secrets stripped).
+ * Without a vault this is the single environment account, if configured.
+ * @param {string} insurer - 'reliance' | 'national'
+ * @returns {Promise<Array>} [{ _id, insurer, username, label, ... }]
+ */
+async function listPortalAccounts(insurer) {
+    if (registeredVault) {
+        return registeredVault.listAccounts({ insurer, status: ACCOUNT_STATUS.ACTIVE });
+    }
+    try {
+        const { accountId, username, label } = credentialsFromEnv(insurer);
+        return [{ _id: accountId, insurer, username, label, status: ACCOUNT_STATUS.ACTIVE }];
+    } catch (error) {
+        return [];
+    }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+    CREDENTIAL_COLLECTION,
+    ACCOUNT_STATUS,
+    loadMasterKeys,
+    encryptSecret,
+    decryptSecret,
+    createCredentialVault,
+    registerVault,
+    getRegisteredVault,
+    acquireCredentials,
+    resolvePortalCredentials,
+    listPortalAccounts
+};
@@ -0,0 +1,100 @@
+/**
+ * 🧪 Dry Run
+ * Runs a job against the live portal up to premium calculation, captures
+ * the quote and a screenshot, and stops before anything that creates a
+ * proposal or moves money (Save / Pay / Send Payment Link)
+ *
+ * Enabled per job (`dryRun: true` on POST /api/jobs) or for every job with
+ * DRY_RUN=true. Dry-run jobs end in completed_dry_run and never write to the
+ * originating onlinePolicy record. The switch is read when a job runs, so
+ * change-stream jobs picked up while it is on are dry runs too and need a
+ * new job for the live run.
+ */
+
+const { uploadScreenshotToS3, generateScreenshotKey } = require('../s3Uploader');
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const DRY_RUN_STATUS = 'completed_dry_run';
+const DRY_RUN_STAGE = 'dry-run';
+
+// ============================================================================
+// SWITCHES
+// ============================================================================
+
+/**
+ * Whether the global DRY_RUN switch is on
+ */
+function isGlobalDryRun() {
+    return process.env.DRY_RUN === 'true';
+}
+
+/**
+ * Whether a job runs as a dry run (its own flag or the global switch)
+ * @param {Object} job - Job document
+ */
+function isDryRunJob(job) {
+    return Boolean(job && job.dryRun === true) || isGlobalDryRun();
+}
+
+// ============================================================================
+// FILLER HELPERS
+// ============================================================================
+
+/**
+ * Screenshot of the page the dry run stopped on (normally the quote)
+ * @param {WebDriver} driver - Selenium WebDriver
+ * @param {Object} data - Filler data (_jobIdentifier, _attemptNumber)
+ * @returns {Promise<Object>} { screenshotUrl, screenshotKey } (nulls when the capture failed)
+ */
+async function captureDryRunScreenshot(driver, data = {}) {
+    try {
+        const screenshot = await driver.takeScreenshot();
+        const screenshotKey = generateScreenshotKey(
+            data._jobIdentifier || `dry_run_${Date.now()}`,
+            data._attemptNumber || 1,
+            DRY_RUN_STAGE
+        );
+        const screenshotUrl = await uploadScreenshotToS3(screenshot, screenshotKey);
+        console.log(`📸 Dry-run screenshot uploaded to S3: ${screenshotUrl}`);
+        return { screenshotUrl, screenshotKey };
+    } catch (err) {
+        console.log('⚠️ Could not capture dry-run screenshot:', err.message);
+        return { screenshotUrl: null, screenshotKey: null };
+    }
+}
+
+/**
+ * Filler result for a dry run that reached its stopping point
+ * @param {Object} portalArtifacts - What the portal quoted
+ * @param {Object} screenshot - From captureDryRunScreenshot()
+ * @param {string} stoppedBefore - The money-moving step that was skipped
+ * @returns {Object}
+ */
+function buildDryRunResult(portalArtifacts, screenshot, stoppedBefore) {
+    return {
+        success: true,
+        dryRun: true,
+        stage: DRY_RUN_STAGE,
+        stoppedBefore,
+        screenshotUrl: screenshot.screenshotUrl,
+        screenshotKey: screenshot.screenshotKey,
+        proposalNumber: null,
+        portalArtifacts
+    };
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+    DRY_RUN_STATUS,
+    DRY_RUN_STAGE,
+    isGlobalDryRun,
+    isDryRunJob,
+    captureDryRunScreenshot,
+    buildDryRunResult
+};
@@ -7,6 +7,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const { WARNING_CODES, resolvePortalState } = require('./policyMapper');
 
 // ============================================================================
 // ERROR CODES - Structured error classification for debugging and reporting
@@ -24,6 +25,7 @@ const ERROR_CODES = {
     E107_INVALID_PIN: { code: 'E107', message: 'Invalid PIN code', severity: 'warning', retryable: false },
     E108_INVALID_DATE: { code: 'E108', message: 'Invalid date format', severity: 'warning', retryable: false },
     E109_INVALID_IDV: { code: 'E109', message: 'Invalid IDV value', severity: 'warning', retryable: false },
+    E110_UNKNOWN_STATE: { code: 'E110', message: 'State has no portal mapping', severity: 'warning', retryable: false },
 
     // Authentication Errors (200-299)
     E200_LOGIN_FAILED: { code: 'E200', message: 'Login failed', severity: 'error', retryable: true },
@@ -31,6 +33,7 @@ const ERROR_CODES = {
     E202_CAPTCHA_FAILED: { code: 'E202', message: 'Captcha resolution failed', severity: 'warning', retryable: true },
     E203_INVALID_CREDENTIALS: { code: 'E203', message: 'Invalid credentials', severity: 'error', retryable: false },
     E204_ACCOUNT_LOCKED: { code: 'E204', message: 'Account locked', severity: 'critical', retryable: false },
+    E205_NO_PORTAL_ACCOUNT: { code: 'E205', message: 'No active portal account available', severity: 'critical', retryable: true },
 
     // Form Processing Errors (300-399)
     E300_FORM_SUBMISSION_FAILED: { code: 'E300', message: 'Form submission failed', severity: 'error', retryable: true },
@@ -42,6 +45,7 @@ const ERROR_CODES = {
     E306_DROPDOWN_ERROR: { code: 'E306', message: 'Dropdown selection failed', severity: 'warning', retryable: true },
     E307_UPLOAD_FIELD_ERROR: { code: 'E307', message: 'File upload failed on form', severity: 'warning', retryable: true },
     E308_FORM_VALIDATION_FAILED: { code: 'E308', message: 'Server-side form validation failed', severity: 'warning', retryable: false },
+    E309_JOB_CANCELLED: { code: 'E309', message: 'Job cancelled by operator', severity: 'warning', retryable: false },
 
     // Post-Submission Errors (400-499) - CRITICAL: Money involved
     E400_PAYMENT_FAILED: { code: 'E400', message: 'Payment processing failed', severity: 'critical', retryable: false },
@@ -50,6 +54,7 @@ const ERROR_CODES = {
     E403_DB_UPDATE_FAILED: { code: 'E403', message: 'Database update failed', severity: 'error', retryable: true },
     E404_POLICY_NOT_GENERATED: { code: 'E404', message: 'Policy document not generated', severity: 'critical', retryable: false },
     E405_PREMIUM_MISMATCH: { code: 'E405', message: 'Premium amount mismatch', severity: 'critical', retryable: false },
+    E406_MONEY_BOUNDARY_NOT_RECORDED: { code: 'E406', message: 'Money boundary could not be recorded', severity: 'critical', retryable: false },
 
     // System Errors (500-599)
     E500_BROWSER_CRASH: { code: 'E500', message: 'Browser crashed', severity: 'error', retryable: true },
@@ -134,6 +139,30 @@ class SessionError extends PolicyAutomationError {
     }
 }
 
+/**
+ * Cancellation error - Job aborted by timeout or operator cancel
+ * A timeout keeps the retryable E302 code; an operator cancel is final (E309).
+ */
+class JobCancelledError extends PolicyAutomationError {
+    constructor(reason = 'operator', details = {}) {
+        super(reason === 'timeout' ? 'E302_TIMEOUT' : 'E309_JOB_CANCELLED', { reason, ...details });
+        this.name = 'JobCancelledError';
+        this.reason = reason;
+    }
+}
+
+/**
+ * Step error - A named filler step failed (see lib/stepPipeline.js)
+ * Structured causes keep their code (E405, E309); anything else gets the step's code.
+ */
+class StepError extends PolicyAutomationError {
+    constructor(step, errorType = 'E300_FORM_SUBMISSION_FAILED', details = {}, originalError = null) {
+        super(errorType, { step, ...details }, originalError);
+        this.name = 'StepError';
+        this.step = step;
+    }
+}
+
 // ============================================================================
 // INPUT VALIDATION FUNCTIONS
 // ============================================================================
@@ -216,6 +245,17 @@ function validateFormData(formData, company = 'reliance') {
         }
     }
 
+    // Validate state - the portal must have an option for it; nothing falls back to a default state
+    const state = resolvePortalState(company, formData.state);
+    if (!state.known) {
+        errors.push(new ValidationError('state', formData.state, 'E110_UNKNOWN_STATE', {
+            message: formData.state
+                ? `State "${formData.state}" has no ${String(company).toLowerCase()} portal mapping`
+                : 'State is required',
+            warning: WARNING_CODES.UNKNOWN_STATE
+        }));
+    }
+
     // Validate IDV (if provided, must be positive number)
     if (formData.idv !== undefined && formData.idv !== null) {
         const idv = Number(formData.idv);
@@ -241,6 +281,10 @@ function validateFormData(formData, company = 'reliance') {
 function sanitizeFormData(formData) {
     const sanitized = { ...formData };
 
+    // Portal credentials come from the credential vault at run time - never store them with a job
+    delete sanitized.username;
+    delete sanitized.password;
+
     // Trim all string values
     for (const key of Object.keys(sanitized)) {
         if (typeof sanitized[key] === 'string') {
@@ -291,6 +335,11 @@ function capitalizeWords(str) {
  * @returns {Object} Classified error info
  */
 function classifyError(error) {
+    // Structured errors already carry their code
+    if (error instanceof PolicyAutomationError && ERROR_CODES[error.errorType]) {
+        return ERROR_CODES[error.errorType];
+    }
+
     const message = error.message?.toLowerCase() || '';
 
     // Check for specific error patterns
@@ -514,23 +563,39 @@ async function checkDuplicateSubmission(collection, idempotencyKey, windowMinute
 
 const JOB_STATES = {
     pending: {
-        allowedTransitions: ['processing', 'failed_login_form'],
+        allowedTransitions: ['processing', 'failed_login_form', 'cancelled'],
         final: false
     },
     processing: {
-        allowedTransitions: ['completed', 'failed_login_form', 'failed_post_submission', 'pending'],
+        allowedTransitions: ['completed', 'completed_dry_run', 'failed_login_form', 'failed_post_submission', 'pending', 'cancelled'],
         final: false
     },
     completed: {
         allowedTransitions: [],
         final: true
     },
+    completed_dry_run: {
+        allowedTransitions: [], // Stopped on the quote; a live run is a new job
+        final: true
+    },
     failed_login_form: {
         allowedTransitions: ['pending'], // Can be retried
         final: false
     },
     failed_post_submission: {
-        allowedTransitions: [], // Cannot be retried - money involved
+        allowedTransitions: ['resolved', 'pending'], // No automatic retry - money involved; manual review resolves it or marks it safe to re-run
+        final: true
+    },
+    failed_validation: {
+        allowedTransitions: ['pending'], // After the form data is corrected
+        final: false
+    },
+    resolved: {
+        allowedTransitions: [],
+        final: true
+    },
+    cancelled: {
+        allowedTransitions: [], // Operator decision
         final: true
     }
 };
@@ -625,6 +690,8 @@ module.exports = {
     ValidationError,
     TransactionError,
     SessionError,
+    JobCancelledError,
+    StepError,
 
     // Validation
     validateFormData,
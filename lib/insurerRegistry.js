@@ -0,0 +1,251 @@
+/**
+ * 🧩 Insurer Registry
+ * Insurer adapters the queue routes jobs to (one module per insurer in lib/insurers/)
+ *
+ * Every .js file in lib/insurers/ exports one adapter, checked by
+ * defineInsurer. The queue, lanes, policy mapper and server.js only talk to
+ * adapters, so onboarding an insurer is a new file in lib/insurers/:
+ *
+ *   key        Lane name and Companyname value routed to it (lowercase)
+ *   label      For logs ("<label> Queue")
+ *   aliases    Other Companyname values routed to it
+ *   lane       { maxConcurrent } per server instance (see lib/queueLanes.js)
+ *   session    Login/session strategy:
+ *                strategy: 'pool' (long-lived master sessions) | 'per-job' (fresh login per job)
+ *                prepare(job, { acquireCredentials, recordAccount }) -> filler fields (account / credentials)
+ *                initialize(), refresh(), status() - optional, for 'pool'
+ *   mapping    { fields, states } field map and state table for lib/policyMapper.js
+ *   fill       (formData, run) -> result; run is the queue context (see runInsurerFill)
+ *   extractResult  Optional raw filler result -> job result (success, dryRun, portalArtifacts, ...)
+ *   documents  { kycUpload, briskCertificate } - KYC documents uploaded by the filler,
+ *              Brisk certificate issued and merged after completion
+ *   payment    { modes, default } - 'pay' and/or 'link' (send payment link)
+ *
+ * Heavy modules (Selenium fillers, session managers) must be required inside
+ * the adapter's functions: the registry is loaded by the policy mapper and
+ * the lanes too, which run without a browser.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const INSURERS_DIR = path.join(__dirname, 'insurers');
+
+// Jobs whose Companyname matches no adapter run on this one (historic routing)
+const DEFAULT_INSURER = 'reliance';
+
+const SESSION_STRATEGIES = ['pool', 'per-job'];
+
+const PAYMENT_MODES = ['pay', 'link'];
+
+// key -> adapter, filled on first use
+let registry = null;
+
+// ============================================================================
+// ADAPTER DEFINITION
+// ============================================================================
+
+/**
+ * Check an adapter and fill in optional hooks
+ * @param {Object} adapter - See the module header
+ * @returns {Object} The adapter, frozen
+ * @throws {TypeError} Missing or invalid part (a code error in the adapter module)
+ */
+function defineInsurer(adapter) {
+    const problems = [];
+    const key = adapter?.key;
+
+    if (!key || !/^[a-z][a-z0-9_-]*$/.test(key)) problems.push('key must be a lowercase identifier');
+    if (!adapter?.label) problems.push('label is required');
+    if (!Number.isInteger(adapter?.lane?.maxConcurrent) || adapter.lane.maxConcurrent < 0) {
+        problems.push('lane.maxConcurrent must be a non-negative integer');
+    }
+    if (!SESSION_STRATEGIES.includes(adapter?.session?.strategy)) {
+        problems.push(`session.strategy must be one of: ${SESSION_STRATEGIES.join(', ')}`);
+    }
+    if (typeof adapter?.session?.prepare !== 'function') problems.push('session.prepare must be a function');
+    if (!adapter?.mapping?.fields || !adapter?.mapping?.states?.codes) {
+        problems.push('mapping needs fields and states.codes');
+    }
+    if (typeof adapter?.fill !== 'function') problems.push('fill must be a function');
+    const modes = adapter?.payment?.modes || [];
+    if (modes.length === 0 || modes.some(mode => !PAYMENT_MODES.includes(mode)) || !modes.includes(adapter.payment.default)) {
+        problems.push(`payment.modes must be some of: ${PAYMENT_MODES.join(', ')}, including payment.default`);
+    }
+
+    if (problems.length > 0) {
+        throw new TypeError(`Insurer adapter ${key || '(no key)'}: ${problems.join('; ')}`);
+    }
+
+    return Object.freeze({
+        aliases: [],
+        extractResult: result => result,
+        ...adapter,
+        session: Object.freeze({ ...adapter.session }),
+        documents: Object.freeze({ kycUpload: false, briskCertificate: false, ...adapter.documents }),
+        payment: Object.freeze({ ...adapter.payment })
+    });
+}
+
+// ============================================================================
+// DISCOVERY
+// ============================================================================
+
+function loadRegistry() {
+    if (registry) {
+        return registry;
+    }
+
+    const adapters = new Map();
+    const files = fs.readdirSync(INSURERS_DIR).filter(file => file.endsWith('.js')).sort();
+    for (const file of files) {
+        const adapter = require(path.join(INSURERS_DIR, file));
+        if (adapters.has(adapter.key)) {
+            throw new Error(`Insurer ${adapter.key} is defined twice (${file})`);
+        }
+        adapters.set(adapter.key, adapter);
+    }
+    if (!adapters.has(DEFAULT_INSURER)) {
+        throw new Error(`Default insurer ${DEFAULT_INSURER} has no adapter in ${INSURERS_DIR}`);
+    }
+
+    registry = adapters;
+    return registry;
+}
+
+/**
+ * All adapters, the default insurer first
+ * @returns {Array<Object>}
+ */
+function listInsurers() {
+    const adapters = [...loadRegistry().values()];
+    return [
+        ...adapters.filter(adapter => adapter.key === DEFAULT_INSURER),
+        ...adapters.filter(adapter => adapter.key !== DEFAULT_INSURER)
+    ];
+}
+
+/**
+ * Adapter by key
+ * @param {string} key
+ * @returns {Object|null}
+ */
+function getInsurer(key) {
+    return loadRegistry().get(String(key || '').toLowerCase()) || null;
+}
+
+/**
+ * Adapter a Companyname value names (key or alias)
+ * @param {string} company - Companyname / company as given
+ * @returns {Object|null} null when no adapter matches
+ */
+function findInsurer(company) {
+    const name = String(company || '').trim().toLowerCase();
+    if (!name) return null;
+    return listInsurers().find(adapter => adapter.key === name || adapter.aliases.includes(name)) || null;
+}
+
+/**
+ * Adapter a job runs on: the one its Companyname names, else the default insurer
+ * @param {Object} formData - Job form data
+ * @returns {Object} Adapter
+ */
+function resolveInsurer(formData = {}) {
+    return findInsurer(formData.Companyname || formData.company) || getInsurer(DEFAULT_INSURER);
+}
+
+// ============================================================================
+// RUNNING A JOB
+// ============================================================================
+
+/**
+ * Payment mode of a job: formData.Paymentmethod when the insurer supports it, else its default
+ * @param {Object} adapter
+ * @param {Object} formData
+ * @returns {Object} { mode, requested, supported }
+ */
+function resolvePaymentMode(adapter, formData = {}) {
+    const requested = formData.Paymentmethod ? String(formData.Paymentmethod).trim().toLowerCase() : null;
+    const supported = !requested || adapter.payment.modes.includes(requested);
+    return {
+        mode: requested && supported ? requested : adapter.payment.default,
+        requested,
+        supported
+    };
+}
+
+/**
+ * Run an insurer's fill flow for a claimed job
+ * @param {Object} adapter
+ * @param {Object} job - The job document
+ * @param {Object} run - Queue context
+ * @param {Function} run.acquireCredentials - (insurer, { accountId, jobId }) => account, from the vault
+ * @param {Function} run.recordAccount - async (account) => void
+ * @param {Function} run.onCheckpoint - async ({ step, moneyBoundaryCrossed, completedAt, data }) => void
+ * @param {Function} run.onMoneyBoundary - async ({ step, startedAt }) => void; fillers call it before
+ *   anything that can create a proposal or payment (timeouts and cancels after it go to review)
+ * @param {Object} run.resume - { from, checkpoint } when retrying after Save, else null
+ * @param {string} run.jobIdentifier - Label for logs and files
+ * @param {Object} run.jobQueueCollection - For the filler's error logging
+ * @param {AbortSignal} run.abortSignal - Timeout / cancel
+ * @param {boolean} run.dryRun - Stop on the quote
+ * @returns {Promise<Object>} Job result (after extractResult)
+ */
+async function runInsurerFill(adapter, job, run) {
+    const sessionFields = await adapter.session.prepare(job, {
+        acquireCredentials: run.acquireCredentials,
+        recordAccount: run.recordAccount
+    });
+    const payment = resolvePaymentMode(adapter, job.formData);
+    if (!payment.supported) {
+        console.warn(`[${adapter.label} Queue] Payment method "${payment.requested}" is not supported; using ${payment.mode}`);
+    }
+
+    const result = await adapter.fill(job.formData, {
+        ...run,
+        jobId: job._id,
+        attemptNumber: job.attempts + 1,
+        session: sessionFields,
+        paymentMode: payment.mode
+    });
+    return adapter.extractResult(result);
+}
+
+/**
+ * What the insurers API shows of an adapter
+ */
+function describeInsurer(adapter) {
+    return {
+        key: adapter.key,
+        label: adapter.label,
+        aliases: adapter.aliases,
+        isDefault: adapter.key === DEFAULT_INSURER,
+        lane: { ...adapter.lane },
+        session: { strategy: adapter.session.strategy },
+        documents: { ...adapter.documents },
+        payment: { ...adapter.payment },
+        mappedFields: Object.keys(adapter.mapping.fields).length
+    };
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+    DEFAULT_INSURER,
+    SESSION_STRATEGIES,
+    PAYMENT_MODES,
+    defineInsurer,
+    listInsurers,
+    getInsurer,
+    findInsurer,
+    resolveInsurer,
+    resolvePaymentMode,
+    runInsurerFill,
+    describeInsurer
+};
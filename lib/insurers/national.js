@@ -0,0 +1,67 @@
+/**
+ * 🏛️ National adapter
+ * National Insurance two-wheeler portal (national.js)
+ *
+ * No master session: every job opens a fresh browser and logs in with a
+ * vault account. KYC is manual on the portal (no document upload), and the
+ * flow always ends in Send Payment Link.
+ */
+
+const { defineInsurer } = require('../insurerRegistry');
+const { COMMON_FIELDS, INDIAN_STATES } = require('../policyMapper');
+
+// Loaded on first use: the adapter is also read by the policy mapper and the lanes
+const filler = () => require('../../national');
+
+module.exports = defineInsurer({
+    key: 'national',
+    label: 'National',
+
+    lane: {
+        maxConcurrent: parseInt(process.env.NATIONAL_MAX_PARALLEL_JOBS) || 2 // Fresh browser + login per job
+    },
+
+    session: {
+        strategy: 'per-job',
+        prepare: async (job, { acquireCredentials, recordAccount }) => {
+            const account = await acquireCredentials('national', {
+                accountId: job.accountId || null,
+                jobId: job._id
+            });
+            await recordAccount(account);
+            return { username: account.username, password: account.password };
+        }
+    },
+
+    mapping: {
+        fields: COMMON_FIELDS,
+        // The portal takes the state as typed text: every state maps to its name,
+        // an unrecognised value is typed as given
+        states: {
+            codes: Object.fromEntries(INDIAN_STATES.map(name => [name, name])),
+            fallback: null
+        }
+    },
+
+    fill: (formData, run) => filler().fillNationalForm({
+        ...formData,
+        ...run.session,
+        _onMoneyBoundary: run.onMoneyBoundary,
+        _jobId: run.jobId, // Job ID for error logging
+        _jobIdentifier: run.jobIdentifier,
+        _attemptNumber: run.attemptNumber,
+        _jobQueueCollection: run.jobQueueCollection,
+        _abortSignal: run.abortSignal, // Timeout / cancel stops the filler
+        _dryRun: run.dryRun // Stop before Save / Pay / Send Payment Link
+    }),
+
+    documents: {
+        kycUpload: false,
+        briskCertificate: false
+    },
+
+    payment: {
+        modes: ['link'],
+        default: 'link'
+    }
+});
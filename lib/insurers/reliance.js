@@ -0,0 +1,81 @@
+/**
+ * 🏢 Reliance adapter
+ * Reliance General two-wheeler portal (relianceForm.js)
+ *
+ * Jobs run in tabs cloned from long-lived master sessions, one per vault
+ * account (sessionManager.js); the pool picks the account unless the job
+ * pins one. The filler reports step checkpoints and resumes a saved proposal
+ * on retry, uploads the KYC documents, and the Brisk certificate is issued
+ * and merged into the policy PDF after completion.
+ */
+
+const { defineInsurer } = require('../insurerRegistry');
+const { COMMON_FIELDS } = require('../policyMapper');
+
+// Loaded on first use: the adapter is also read by the policy mapper and the lanes
+const sessionManager = () => require('../../sessionManager');
+const filler = () => require('../../relianceForm');
+
+module.exports = defineInsurer({
+    key: 'reliance',
+    label: 'Reliance',
+
+    lane: {
+        maxConcurrent: parseInt(process.env.RELIANCE_MAX_PARALLEL_JOBS) || 3 // Tabs cloned from the master session
+    },
+
+    session: {
+        strategy: 'pool',
+        prepare: async (job, { recordAccount }) => ({
+            _accountId: job.accountId || null,
+            _onAccountSelected: recordAccount
+        }),
+        initialize: () => sessionManager().initializeSessionPool(),
+        refresh: () => sessionManager().refreshSessionPool(),
+        status: () => sessionManager().getSessionStatus()
+    },
+
+    mapping: {
+        fields: COMMON_FIELDS,
+        /*
+         * Option values of the "state" dropdown. Only codes confirmed on the
+         * portal are listed; add a state here once its option value has been checked
+         * (getStateName in relianceForm.js is a certificate table, not portal codes).
+         * Unlisted states raise UNKNOWN_STATE and fail validation (E110) - a job
+         * is never filled with some other state's code.
+         */
+        states: {
+            codes: {
+                'TAMIL NADU': '30',
+                'KARNATAKA': '26'
+            },
+            fallback: null
+        }
+    },
+
+    fill: (formData, run) => filler().fillRelianceForm({
+        ...formData,
+        ...run.session,
+        _onCheckpoint: run.onCheckpoint,
+        _onMoneyBoundary: run.onMoneyBoundary,
+        // Set by an earlier attempt that failed after Save: pick up on the saved proposal
+        _resume: run.resume,
+        _paymentMode: run.paymentMode,
+        _jobId: run.jobId, // Job ID for error logging
+        _jobIdentifier: run.jobIdentifier,
+        _attemptNumber: run.attemptNumber,
+        _jobQueueCollection: run.jobQueueCollection,
+        _abortSignal: run.abortSignal, // Timeout / cancel stops the filler
+        _dryRun: run.dryRun // Stop before Save / Pay / Send Payment Link
+    }),
+
+    documents: {
+        kycUpload: true,
+        briskCertificate: true
+    },
+
+    payment: {
+        modes: ['pay', 'link'],
+        default: 'pay'
+    }
+});
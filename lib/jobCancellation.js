@@ -0,0 +1,110 @@
+/**
+ * 🛑 Job Cancellation
+ * Abort signals for running form-filler jobs
+ *
+ * server.js owns one AbortController per running job and aborts it on timeout
+ * or operator cancel. The fillers bind their browser to that signal: aborting
+ * tears the browser down immediately, and every step helper checks the signal
+ * first so the flow stops at the next step boundary instead of driving on
+ * towards Pay in the background.
+ */
+
+const { JobCancelledError } = require('./errorHandler');
+
+// driver -> AbortSignal, so step helpers only need the driver they already receive
+const driverSignals = new WeakMap();
+
+// ============================================================================
+// SIGNAL HELPERS
+// ============================================================================
+
+/**
+ * Normalise an abort reason into a JobCancelledError
+ * @param {*} reason - signal.reason
+ * @returns {JobCancelledError}
+ */
+function toCancelledError(reason) {
+    if (reason instanceof JobCancelledError) {
+        return reason;
+    }
+    return new JobCancelledError('operator', { message: reason?.message || 'Job cancelled' });
+}
+
+/**
+ * Promise that rejects with a JobCancelledError once the signal aborts.
+ * Meant for Promise.race against a filler; never resolves.
+ * @param {AbortSignal} signal - Job abort signal
+ * @returns {Promise<never>}
+ */
+function whenCancelled(signal) {
+    return new Promise((_, reject) => {
+        if (signal.aborted) {
+            reject(toCancelledError(signal.reason));
+            return;
+        }
+        signal.addEventListener('abort', () => reject(toCancelledError(signal.reason)), { once: true });
+    });
+}
+
+// ============================================================================
+// DRIVER BINDING
+// ============================================================================
+
+/**
+ * Tie a job's browser to its abort signal.
+ * On abort the teardown runs straight away (any in-flight WebDriver call then fails),
+ * and throwIfCancelled(driver) starts throwing.
+ * @param {Object} driver - Selenium WebDriver
+ * @param {AbortSignal} signal - Job abort signal (optional; standalone runs have none)
+ * @param {Function} teardown - Closes the browser (defaults to driver.quit())
+ * @returns {Function} Unbinds the signal (call when the filler finishes)
+ */
+function bindDriverToSignal(driver, signal, teardown = () => driver.quit()) {
+    if (!driver || !signal) {
+        return () => {};
+    }
+
+    driverSignals.set(driver, signal);
+
+    const onAbort = () => {
+        const error = toCancelledError(signal.reason);
+        console.warn(`🛑 Job cancelled (${error.reason}), tearing down browser...`);
+        Promise.resolve()
+            .then(teardown)
+            .catch(err => console.warn('⚠️  Browser teardown after cancel failed:', err.message));
+    };
+
+    if (signal.aborted) {
+        onAbort();
+    } else {
+        signal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    return () => {
+        signal.removeEventListener('abort', onAbort);
+        driverSignals.delete(driver);
+    };
+}
+
+/**
+ * Step-boundary check: throw if the job this driver belongs to was cancelled
+ * @param {Object|AbortSignal} source - Bound driver, or the signal itself
+ * @throws {JobCancelledError}
+ */
+function throwIfCancelled(source) {
+    const signal = source instanceof AbortSignal ? source : driverSignals.get(source);
+    if (signal?.aborted) {
+        throw toCancelledError(signal.reason);
+    }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+    toCancelledError,
+    whenCancelled,
+    bindDriverToSignal,
+    throwIfCancelled
+};
@@ -0,0 +1,230 @@
+/**
+ * 🔀 Job State Service
+ * The single place where a RelianceJobQueue job changes status
+ *
+ * Every status change is checked against JOB_STATES, applied with an
+ * optimistic filter on the current status (so two writers can never both
+ * move the same job), and appends exactly one accurate statusHistory entry.
+ * Illegal transitions and lost races are rejected and flagged in the audit log.
+ */
+
+const { isValidStateTransition } = require('./errorHandler');
+
+// States a job may be created in
+const INITIAL_STATES = ['pending', 'failed_validation'];
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Build a statusHistory entry
+ * @param {string|null} from - Previous state (null on creation)
+ * @param {string} to - New state
+ * @param {Date} timestamp - When the change happened
+ * @param {Object} options - { reason, by, workerId }
+ * @returns {Object} History entry (optional keys omitted when empty)
+ */
+function buildHistoryEntry(from, to, timestamp, { reason = null, by = null, workerId = null } = {}) {
+    const entry = { from, to, timestamp };
+    if (reason) entry.reason = reason;
+    if (by) entry.by = by;
+    if (workerId) entry.workerId = workerId;
+    return entry;
+}
+
+/**
+ * Whether a job's portal flow has got to Save / Pay / Send Payment Link, as far as the job records it
+ * @param {Object} job - Needs resumeFrom, moneyBoundaryCrossed, checkpointAttempt, attempts
+ * @returns {boolean} true when the portal may hold a proposal or payment for it
+ */
+function hasCrossedMoneyBoundary(job) {
+    if (job.resumeFrom) {
+        return true; // Only set after Save
+    }
+    // moneyBoundaryCrossed belongs to the attempt that wrote it; the running attempt is attempts + 1
+    return job.moneyBoundaryCrossed === true && job.checkpointAttempt === (job.attempts || 0) + 1;
+}
+
+/**
+ * hasCrossedMoneyBoundary as a query filter, for bulk moves such as lease recovery
+ * @returns {Object} MongoDB filter
+ */
+function moneyBoundaryCrossedFilter() {
+    return {
+        $or: [
+            { resumeFrom: { $type: 'string' } },
+            {
+                moneyBoundaryCrossed: true,
+                $expr: { $eq: ['$checkpointAttempt', { $add: [{ $ifNull: ['$attempts', 0] }, 1] }] }
+            }
+        ]
+    };
+}
+
+// ============================================================================
+// SERVICE FACTORY
+// ============================================================================
+
+/**
+ * Create the job state service for a job collection
+ * @param {Object} config
+ * @param {Object} config.collection - RelianceJobQueue collection
+ * @param {Function} config.audit - async (action, details) => void, e.g. server.js logAuditEntry
+ * @param {string} config.workerId - Instance ID recorded on every history entry
+ * @returns {Object} { insert, transition, claimOne, transitionMany }
+ */
+function createJobStateService({ collection, audit = async () => {}, workerId = null }) {
+
+    /**
+     * Reject a transition the state machine does not allow
+     */
+    async function rejectIllegal(details) {
+        console.error(`[State Machine] ❌ Illegal transition rejected: ${details.from} -> ${details.to} (job ${details.jobId || 'bulk'})`);
+        await audit('ILLEGAL_STATE_TRANSITION', { ...details, workerId });
+        return { ok: false, illegal: true };
+    }
+
+    /**
+     * Insert a new job in its initial state
+     * @param {Object} doc - Job document (status/statusHistory are set here)
+     * @param {string} state - Initial state
+     * @param {Object} options - { reason, by }
+     * @returns {Promise<Object>} insertOne result
+     */
+    async function insert(doc, state, options = {}) {
+        if (!INITIAL_STATES.includes(state)) {
+            await rejectIllegal({ from: null, to: state, reason: options.reason || null });
+            throw new Error(`[State Machine] Jobs cannot be created in state "${state}"`);
+        }
+
+        const now = new Date();
+        return collection.insertOne({
+            ...doc,
+            status: state,
+            statusChangedAt: now,
+            statusHistory: [buildHistoryEntry(null, state, now, { ...options, workerId })]
+        });
+    }
+
+    /**
+     * Move one job from an expected state to a new state
+     * @param {ObjectId} jobId - Job ID
+     * @param {string} from - State the caller believes the job is in (optimistic check)
+     * @param {string} to - New state
+     * @param {Object} options
+     * @param {Object} options.filter - Extra match conditions (e.g. { workerId } for lease ownership)
+     * @param {Object} options.set - Extra $set fields
+     * @param {Object} options.inc - $inc fields
+     * @param {Object} options.push - Extra $push fields (statusHistory is added automatically)
+     * @param {string} options.reason - Why (stored on the history entry)
+     * @param {string} options.by - Operator, if manual
+     * @returns {Promise<Object>} { ok, illegal?, conflict?, currentStatus? }
+     */
+    async function transition(jobId, from, to, { filter = {}, set = {}, inc = null, push = {}, reason = null, by = null } = {}) {
+        if (!isValidStateTransition(from, to)) {
+            return rejectIllegal({ jobId, from, to, reason, by });
+        }
+
+        const now = new Date();
+        const update = {
+            $set: { ...set, status: to, statusChangedAt: now, previousStatus: from },
+            $push: { ...push, statusHistory: buildHistoryEntry(from, to, now, { reason, by, workerId }) }
+        };
+        if (inc) {
+            update.$inc = inc;
+        }
+
+        const result = await collection.updateOne({ ...filter, _id: jobId, status: from }, update);
+        if (result.matchedCount === 1) {
+            return { ok: true };
+        }
+
+        // Lost the optimistic check: someone else moved (or reclaimed) the job first
+        const current = await collection.findOne({ _id: jobId }, { projection: { status: 1, workerId: 1 } });
+        console.warn(`[State Machine] ⚠️ Transition ${from} -> ${to} for job ${jobId} skipped: job is now ${current ? current.status : 'missing'}`);
+        await audit('STATE_TRANSITION_CONFLICT', {
+            jobId,
+            from,
+            to,
+            actualStatus: current ? current.status : null,
+            actualWorkerId: current ? current.workerId || null : null,
+            reason,
+            by,
+            workerId
+        });
+        return { ok: false, conflict: true, currentStatus: current ? current.status : null };
+    }
+
+    /**
+     * Atomically pick one job in `from` and move it to `to` (queue claim)
+     * @param {Object} options - { from, to, filter, set, sort, reason }
+     * @returns {Promise<Object|null>} The updated job, or null if none matched
+     */
+    async function claimOne({ from, to, filter = {}, set = {}, sort = { createdAt: 1 }, reason = null }) {
+        if (!isValidStateTransition(from, to)) {
+            await rejectIllegal({ from, to, reason });
+            return null;
+        }
+
+        const now = new Date();
+        return collection.findOneAndUpdate(
+            { ...filter, status: from },
+            {
+                $set: { ...set, status: to, statusChangedAt: now, previousStatus: from },
+                $push: { statusHistory: buildHistoryEntry(from, to, now, { reason, workerId }) }
+            },
+            { sort, returnDocument: 'after' }
+        );
+    }
+
+    /**
+     * Move every job matching a filter from one state to another (bulk recovery).
+     * Runs as a pipeline update, so `set` values may reference fields ("$workerId").
+     * @param {string} from - Current state
+     * @param {string} to - New state
+     * @param {Object} options - { filter, set, reason }
+     * @returns {Promise<number>} Number of jobs moved
+     */
+    async function transitionMany(from, to, { filter = {}, set = {}, reason = null } = {}) {
+        if (!isValidStateTransition(from, to)) {
+            await rejectIllegal({ from, to, reason });
+            return 0;
+        }
+
+        const now = new Date();
+        const entry = buildHistoryEntry(from, to, now, { reason, workerId });
+        const result = await collection.updateMany(
+            { ...filter, status: from },
+            [
+                {
+                    $set: {
+                        ...set,
+                        status: to,
+                        statusChangedAt: now,
+                        previousStatus: from,
+                        statusHistory: {
+                            $concatArrays: [{ $ifNull: ['$statusHistory', []] }, [{ $literal: entry }]]
+                        }
+                    }
+                }
+            ]
+        );
+
+        return result.modifiedCount;
+    }
+
+    return { insert, transition, claimOne, transitionMany };
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+    INITIAL_STATES,
+    buildHistoryEntry,
+    hasCrossedMoneyBoundary,
+    moneyBoundaryCrossedFilter,
+    createJobStateService
+};
@@ -0,0 +1,311 @@
+/**
+ * 🪪 KYC Documents
+ * Decides which customer document goes into which KYC slot on the insurer
+ * portal and prepares the file for the portal's upload limits
+ *
+ * Routing: PAN proves identity, Aadhaar proves identity and address. The
+ * routing policy (KYC_DOCUMENT_POLICY) decides what happens when one of
+ * them is missing:
+ *   - pan-identity (default): PAN for identity, Aadhaar when there is no PAN
+ *   - strict: PAN for identity and Aadhaar for address, nothing else
+ *   - aadhaar-only: Aadhaar in both slots (the old behaviour)
+ *
+ * Files: PDFs go up whole (multi-page included) and must fit the size
+ * limit. Images over the limit, or in a format the portal does not take,
+ * are re-encoded as JPEG in the job's own browser (canvas) - no image
+ * library needed on the server.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PolicyAutomationError } = require('./errorHandler');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const DOCUMENT_TYPES = {
+    panCard: { label: 'PAN' },
+    aadharCard: { label: 'Aadhaar' }
+};
+
+// Slots on the KYC upload page, in upload order
+const KYC_SLOTS = {
+    identity: { label: 'Identity Verification' },
+    address: { label: 'Address Verification' }
+};
+
+// Documents each slot accepts, in order of preference
+const ROUTING_POLICIES = {
+    'pan-identity': { identity: ['panCard', 'aadharCard'], address: ['aadharCard'] },
+    strict: { identity: ['panCard'], address: ['aadharCard'] },
+    'aadhaar-only': { identity: ['aadharCard'], address: ['aadharCard'] }
+};
+
+const DEFAULT_POLICY = 'pan-identity';
+
+const UPLOAD_LIMITS = {
+    maxBytes: parseInt(process.env.KYC_MAX_UPLOAD_BYTES, 10) || 2 * 1024 * 1024, // Portal rejects larger files
+    maxImageSide: 2000, // px; longest side after re-encoding
+    jpegQualities: [0.85, 0.7, 0.55, 0.4], // Tried in order until the file fits
+    scaleStep: 0.75 // Shrink further when the lowest quality is still too large
+};
+
+const PORTAL_FILE_TYPES = ['pdf', 'jpeg', 'png'];
+
+// ============================================================================
+// ROUTING
+// ============================================================================
+
+/**
+ * Name of the routing policy to use
+ * @param {string} requested - Per-job override (optional)
+ * @returns {string}
+ */
+function resolvePolicyName(requested = null) {
+    const name = requested || process.env.KYC_DOCUMENT_POLICY || DEFAULT_POLICY;
+    if (!ROUTING_POLICIES[name]) {
+        throw new Error(`Unknown KYC document policy "${name}" (expected ${Object.keys(ROUTING_POLICIES).join(', ')})`);
+    }
+    return name;
+}
+
+/**
+ * Whether a job carries a usable document of this type
+ */
+function hasDocument(document) {
+    return Boolean(document && (document.presignedUrl || document.key || document.location));
+}
+
+/**
+ * Pick the document for every KYC slot
+ * @param {Object} data - Form data ({ panCard, aadharCard })
+ * @param {string} policyName - Routing policy (defaults to KYC_DOCUMENT_POLICY)
+ * @returns {Object} { policy, slots: { identity: { docType, label, document, fallback }, address: {...} } }
+ * @throws {PolicyAutomationError} E101 when a slot has no acceptable document
+ */
+function routeKycDocuments(data, policyName = null) {
+    const policy = resolvePolicyName(policyName);
+    const slots = {};
+
+    for (const [slot, accepted] of Object.entries(ROUTING_POLICIES[policy])) {
+        const docType = accepted.find(type => hasDocument(data[type]));
+        if (!docType) {
+            throw new PolicyAutomationError('E101_MISSING_REQUIRED_FIELD', {
+                message: `No document for ${KYC_SLOTS[slot].label} under KYC policy "${policy}" (accepts ${accepted.map(type => DOCUMENT_TYPES[type].label).join(' or ')})`,
+                slot,
+                policy
+            });
+        }
+        slots[slot] = {
+            docType,
+            label: DOCUMENT_TYPES[docType].label,
+            document: data[docType],
+            fallback: docType !== accepted[0]
+        };
+    }
+
+    return { policy, slots };
+}
+
+// ============================================================================
+// FILE INSPECTION
+// ============================================================================
+
+/**
+ * File type from the first bytes (the S3 content type / extension is not trusted)
+ * @param {Buffer} buffer
+ * @returns {string} 'pdf' | 'jpeg' | 'png' | 'gif' | 'webp' | 'bmp' | 'unknown'
+ */
+function detectFileType(buffer) {
+    if (buffer.length >= 4 && buffer.toString('latin1', 0, 4) === '%PDF') return 'pdf';
+    if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpeg';
+    if (buffer.length >= 8 && buffer.readUInt32BE(0) === 0x89504e47) return 'png';
+    if (buffer.length >= 6 && buffer.toString('latin1', 0, 3) === 'GIF') return 'gif';
+    if (buffer.length >= 12 && buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') return 'webp';
+    if (buffer.length >= 2 && buffer.toString('latin1', 0, 2) === 'BM') return 'bmp';
+    return 'unknown';
+}
+
+/**
+ * Page count of a PDF (page objects, not the page tree nodes)
+ * @param {Buffer} buffer
+ * @returns {number} 0 when the pages cannot be counted (e.g. compressed object streams)
+ */
+function countPdfPages(buffer) {
+    const matches = buffer.toString('latin1').match(/\/Type\s*\/Page(?![a-zA-Z])/g);
+    return matches ? matches.length : 0;
+}
+
+const MIME_TYPES = {
+    pdf: 'application/pdf',
+    jpeg: 'image/jpeg',
+    png: 'image/png',
+    gif: 'image/gif',
+    webp: 'image/webp',
+    bmp: 'image/bmp'
+};
+
+// ============================================================================
+// IMAGE RE-ENCODING (in the browser)
+// ============================================================================
+
+/**
+ * Re-encode an image as JPEG in the browser until it fits maxBytes
+ * @param {WebDriver} driver - Any open page works; the image never leaves the browser's memory
+ * @param {Buffer} buffer - Source image
+ * @param {string} mimeType - Source MIME type
+ * @returns {Promise<Buffer>} JPEG bytes
+ */
+async function reencodeImageInBrowser(driver, buffer, mimeType) {
+    const base64 = await driver.executeAsyncScript(`
+        var done = arguments[arguments.length - 1];
+        var source = arguments[0], maxSide = arguments[1], maxBytes = arguments[2];
+        var qualities = arguments[3], scaleStep = arguments[4];
+        var img = new Image();
+        img.onerror = function () { done({ error: 'Browser could not decode the image' }); };
+        img.onload = function () {
+            var scale = Math.min(1, maxSide / Math.max(img.naturalWidth, img.naturalHeight));
+            var best = null;
+            for (var round = 0; round < 4; round++) {
+                var canvas = document.createElement('canvas');
+                canvas.width = Math.max(1, Math.round(img.naturalWidth * scale));
+                canvas.height = Math.max(1, Math.round(img.naturalHeight * scale));
+                var context = canvas.getContext('2d');
+                context.fillStyle = '#fff'; // Transparent PNG areas would turn black in JPEG
+                context.fillRect(0, 0, canvas.width, canvas.height);
+                context.drawImage(img, 0, 0, canvas.width, canvas.height);
+                for (var i = 0; i < qualities.length; i++) {
+                    best = canvas.toDataURL('image/jpeg', qualities[i]).split(',')[1];
+                    if (best.length * 3 / 4 <= maxBytes) { done({ data: best }); return; }
+                }
+                scale *= scaleStep;
+            }
+            done({ data: best, oversize: true });
+        };
+        img.src = source;
+    `, `data:${mimeType};base64,${buffer.toString('base64')}`,
+    UPLOAD_LIMITS.maxImageSide, UPLOAD_LIMITS.maxBytes, UPLOAD_LIMITS.jpegQualities, UPLOAD_LIMITS.scaleStep);
+
+    if (!base64 || base64.error) {
+        throw new Error(base64?.error || 'Image re-encoding returned nothing');
+    }
+    return Buffer.from(base64.data, 'base64');
+}
+
+// ============================================================================
+// UPLOAD PREPARATION
+// ============================================================================
+
+/**
+ * Make a downloaded document uploadable: right extension, portal file type, within the size limit
+ * @param {WebDriver} driver - Job browser (used to re-encode images)
+ * @param {string} filePath - Downloaded file
+ * @param {Object} options - { fileName, label }
+ * @returns {Promise<Object>} { filePath, fileName, mimeType, fileType, bytes, pages, converted }
+ * @throws {PolicyAutomationError} E102 when the file cannot be brought within the limits
+ */
+async function prepareKycUpload(driver, filePath, { fileName = null, label = 'document' } = {}) {
+    const buffer = fs.readFileSync(filePath);
+    const fileType = detectFileType(buffer);
+    const baseName = path.parse(fileName || filePath).name;
+
+    if (fileType === 'pdf') {
+        const pages = countPdfPages(buffer);
+        if (buffer.length > UPLOAD_LIMITS.maxBytes) {
+            throw new PolicyAutomationError('E102_INVALID_FORMAT', {
+                message: `${label} PDF is ${formatBytes(buffer.length)} (${pages || '?'} pages), over the ${formatBytes(UPLOAD_LIMITS.maxBytes)} upload limit`,
+                bytes: buffer.length,
+                pages
+            });
+        }
+        return {
+            filePath: withExtension(filePath, '.pdf'),
+            fileName: `${baseName}.pdf`,
+            mimeType: MIME_TYPES.pdf,
+            fileType,
+            bytes: buffer.length,
+            pages,
+            converted: false
+        };
+    }
+
+    if (fileType === 'unknown') {
+        throw new PolicyAutomationError('E102_INVALID_FORMAT', {
+            message: `${label} is neither a PDF nor an image the portal accepts`
+        });
+    }
+
+    if (PORTAL_FILE_TYPES.includes(fileType) && buffer.length <= UPLOAD_LIMITS.maxBytes) {
+        const ext = fileType === 'png' ? '.png' : '.jpg';
+        return {
+            filePath: withExtension(filePath, ext),
+            fileName: `${baseName}${ext}`,
+            mimeType: MIME_TYPES[fileType],
+            fileType,
+            bytes: buffer.length,
+            pages: 1,
+            converted: false
+        };
+    }
+
+    console.log(`🗜️  Re-encoding ${label} (${fileType}, ${formatBytes(buffer.length)}) as JPEG...`);
+    const jpeg = await reencodeImageInBrowser(driver, buffer, MIME_TYPES[fileType]);
+    if (jpeg.length > UPLOAD_LIMITS.maxBytes) {
+        throw new PolicyAutomationError('E102_INVALID_FORMAT', {
+            message: `${label} is still ${formatBytes(jpeg.length)} after compression, over the ${formatBytes(UPLOAD_LIMITS.maxBytes)} upload limit`,
+            bytes: jpeg.length
+        });
+    }
+
+    const convertedPath = path.join(path.dirname(filePath), `${path.parse(filePath).name}_kyc.jpg`);
+    fs.writeFileSync(convertedPath, jpeg);
+    console.log(`✅ ${label} re-encoded: ${formatBytes(buffer.length)} -> ${formatBytes(jpeg.length)}`);
+
+    return {
+        filePath: convertedPath,
+        fileName: `${baseName}.jpg`,
+        mimeType: MIME_TYPES.jpeg,
+        fileType: 'jpeg',
+        bytes: jpeg.length,
+        pages: 1,
+        converted: true
+    };
+}
+
+/**
+ * Rename a file whose extension does not match its content (the portal checks the extension)
+ */
+function withExtension(filePath, ext) {
+    const current = path.extname(filePath).toLowerCase();
+    if (current === ext || (ext === '.jpg' && current === '.jpeg')) {
+        return filePath;
+    }
+    const renamed = path.join(path.dirname(filePath), `${path.parse(filePath).name}${ext}`);
+    fs.renameSync(filePath, renamed);
+    return renamed;
+}
+
+function formatBytes(bytes) {
+    return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+    DOCUMENT_TYPES,
+    KYC_SLOTS,
+    ROUTING_POLICIES,
+    UPLOAD_LIMITS,
+
+    // Routing
+    resolvePolicyName,
+    routeKycDocuments,
+
+    // Files
+    detectFileType,
+    countPdfPages,
+    prepareKycUpload
+};
@@ -0,0 +1,289 @@
+/**
+ * 📚 PDF Merge
+ * Merges the insurer's policy PDF and the Brisk certificate in-process (pdf-lib)
+ *
+ * - Page order: parts are named ('policy', 'brisk', ...) and merged in the
+ *   order given by PDF_MERGE_ORDER (default policy,brisk)
+ * - Cover page: optional first page with the job / customer details
+ *   (PDF_MERGE_COVER_PAGE=true or per call)
+ * - Output: unencrypted, no object streams, document info mirrored in an
+ *   XMP metadata stream and a trailer ID - the parts PDF/A validators look
+ *   at first. The output is not claimed to be PDF/A (no pdfaid entry).
+ * - Checksum: SHA-256 of the merged bytes, stored with the S3 upload
+ *
+ * The remote merge-pdf service is only used as a fallback when
+ * PDF_MERGE_SERVICE_URL is set and the local merge fails.
+ */
+
+const crypto = require('crypto');
+const { PDFDocument, PDFName, PDFArray, PDFHexString, StandardFonts, rgb } = require('pdf-lib');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const MERGE_CONFIG = {
+    order: (process.env.PDF_MERGE_ORDER || 'policy,brisk').split(',').map(part => part.trim()).filter(Boolean),
+    coverPage: process.env.PDF_MERGE_COVER_PAGE === 'true',
+    remoteUrl: process.env.PDF_MERGE_SERVICE_URL || null, // Fallback only; unset = local merge only
+    remoteTimeoutMs: parseInt(process.env.PDF_MERGE_SERVICE_TIMEOUT_MS, 10) || 30000
+};
+
+const DOCUMENT_INFO = {
+    author: 'Rayal Policy Automation',
+    creator: 'Rayal Policy Automation',
+    producer: 'Rayal Policy Automation (pdf-lib)',
+    language: 'en-IN'
+};
+
+const COVER_PAGE = {
+    size: [595.28, 841.89], // A4 in points
+    margin: 56,
+    titleSize: 20,
+    fontSize: 11,
+    lineHeight: 20
+};
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * SHA-256 of a buffer, as hex (metadata, database) and base64 (S3 ChecksumSHA256)
+ * @param {Buffer} buffer
+ * @returns {Object} { hex, base64 }
+ */
+function sha256(buffer) {
+    const digest = crypto.createHash('sha256').update(buffer).digest();
+    return { hex: digest.toString('hex'), base64: digest.toString('base64') };
+}
+
+/**
+ * Parts in merge order: named ones first as listed, any others after in the order given
+ * @param {Object} parts - { name: Buffer }
+ * @param {Array<string>} order
+ * @returns {Array<Object>} [{ name, buffer }]
+ */
+function orderParts(parts, order = MERGE_CONFIG.order) {
+    const names = Object.keys(parts).filter(name => parts[name]);
+    const ordered = [
+        ...order.filter(name => names.includes(name)),
+        ...names.filter(name => !order.includes(name))
+    ];
+    if (ordered.length === 0) {
+        throw new Error('Nothing to merge');
+    }
+    return ordered.map(name => ({ name, buffer: parts[name] }));
+}
+
+/**
+ * Standard fonts only cover WinAnsi; anything else would make pdf-lib throw
+ */
+function toWinAnsi(value) {
+    return String(value ?? '').replace(/[^\x20-\x7e]/g, '?');
+}
+
+// ============================================================================
+// DOCUMENT PARTS
+// ============================================================================
+
+/**
+ * Draw the cover page as the first page of the document
+ * @param {PDFDocument} doc
+ * @param {Object} cover - { title, fields: { label: value } }
+ */
+async function addCoverPage(doc, { title = 'Policy Documents', fields = {} } = {}) {
+    const page = doc.insertPage(0, COVER_PAGE.size);
+    const regular = await doc.embedFont(StandardFonts.Helvetica);
+    const bold = await doc.embedFont(StandardFonts.HelveticaBold);
+    const { margin, titleSize, fontSize, lineHeight } = COVER_PAGE;
+    let y = page.getHeight() - margin - titleSize;
+
+    page.drawText(toWinAnsi(title), { x: margin, y, size: titleSize, font: bold, color: rgb(0, 0, 0) });
+    y -= lineHeight * 2;
+
+    for (const [label, value] of Object.entries(fields)) {
+        if (value === null || value === undefined || value === '') {
+            continue;
+        }
+        page.drawText(`${toWinAnsi(label)}:`, { x: margin, y, size: fontSize, font: bold });
+        page.drawText(toWinAnsi(value), { x: margin + 150, y, size: fontSize, font: regular });
+        y -= lineHeight;
+    }
+}
+
+/**
+ * XMP packet mirroring the document info dictionary
+ */
+function buildXmp({ title, author, creator, producer, createdAt, documentId }) {
+    const escape = (value) => String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    const date = createdAt.toISOString();
+    return `<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>
+<x:xmpmeta xmlns:x="adobe:ns:meta/">
+  <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+    <rdf:Description rdf:about=""
+        xmlns:dc="http://purl.org/dc/elements/1.1/"
+        xmlns:xmp="http://ns.adobe.com/xap/1.0/"
+        xmlns:pdf="http://ns.adobe.com/pdf/1.3/"
+        xmlns:xmpMM="http://ns.adobe.com/xap/1.0/mm/">
+      <dc:format>application/pdf</dc:format>
+      <dc:title><rdf:Alt><rdf:li xml:lang="x-default">${escape(title)}</rdf:li></rdf:Alt></dc:title>
+      <dc:creator><rdf:Seq><rdf:li>${escape(author)}</rdf:li></rdf:Seq></dc:creator>
+      <xmp:CreatorTool>${escape(creator)}</xmp:CreatorTool>
+      <xmp:CreateDate>${date}</xmp:CreateDate>
+      <xmp:ModifyDate>${date}</xmp:ModifyDate>
+      <xmp:MetadataDate>${date}</xmp:MetadataDate>
+      <pdf:Producer>${escape(producer)}</pdf:Producer>
+      <xmpMM:DocumentID>uuid:${documentId}</xmpMM:DocumentID>
+    </rdf:Description>
+  </rdf:RDF>
+</x:xmpmeta>
+<?xpacket end="w"?>`;
+}
+
+/**
+ * Document info, XMP metadata and trailer ID
+ */
+function applyMetadata(doc, { title }) {
+    const createdAt = new Date();
+    const documentId = crypto.randomUUID();
+    const info = { ...DOCUMENT_INFO, title };
+
+    doc.setTitle(title, { showInWindowTitleBar: true });
+    doc.setAuthor(info.author);
+    doc.setCreator(info.creator);
+    doc.setProducer(info.producer);
+    doc.setLanguage(info.language);
+    doc.setCreationDate(createdAt);
+    doc.setModificationDate(createdAt);
+
+    // Passed as bytes: pdf-lib writes strings as Latin-1, XMP is UTF-8
+    const xmp = doc.context.stream(Buffer.from(buildXmp({ ...info, createdAt, documentId }), 'utf8'), {
+        Type: 'Metadata',
+        Subtype: 'XML'
+    });
+    doc.catalog.set(PDFName.of('Metadata'), doc.context.register(xmp));
+
+    const id = PDFHexString.of(documentId.replace(/-/g, ''));
+    doc.context.trailerInfo.ID = PDFArray.withContext(doc.context);
+    doc.context.trailerInfo.ID.push(id);
+    doc.context.trailerInfo.ID.push(id);
+}
+
+// ============================================================================
+// MERGE
+// ============================================================================
+
+/**
+ * Merge PDFs locally
+ * @param {Object} parts - { policy: Buffer, brisk: Buffer, ... }
+ * @param {Object} options
+ * @param {Array<string>} options.order - Part names in page order (defaults to PDF_MERGE_ORDER)
+ * @param {Object|boolean} options.cover - { title, fields } for a cover page; false for none (defaults to PDF_MERGE_COVER_PAGE)
+ * @param {string} options.title - Document title
+ * @returns {Promise<Object>} { buffer, pageCount, order, sha256, method: 'local' }
+ * @throws {Error} A part is not a readable PDF (encrypted PDFs included)
+ */
+async function mergePdfsLocally(parts, { order, cover = null, title = 'Policy Documents' } = {}) {
+    const ordered = orderParts(parts, order);
+    const doc = await PDFDocument.create();
+
+    for (const { name, buffer } of ordered) {
+        let source;
+        try {
+            source = await PDFDocument.load(buffer);
+        } catch (err) {
+            throw new Error(`Cannot read ${name} PDF: ${err.message}`);
+        }
+        const pages = await doc.copyPages(source, source.getPageIndices());
+        pages.forEach(page => doc.addPage(page));
+    }
+
+    const withCover = cover === null ? MERGE_CONFIG.coverPage : Boolean(cover);
+    if (withCover) {
+        await addCoverPage(doc, { title, ...(typeof cover === 'object' ? cover : {}) });
+    }
+
+    applyMetadata(doc, { title });
+
+    const buffer = Buffer.from(await doc.save({ useObjectStreams: false }));
+    return {
+        buffer,
+        pageCount: doc.getPageCount(),
+        order: ordered.map(part => part.name),
+        sha256: sha256(buffer),
+        method: 'local'
+    };
+}
+
+/**
+ * Merge through the remote merge-pdf service (PDF_MERGE_SERVICE_URL)
+ * @param {Object} parts - { name: Buffer }
+ * @param {Object} options - { order, headers }
+ * @returns {Promise<Object>} { buffer, pageCount: null, order, sha256, method: 'remote' }
+ */
+async function mergePdfsRemotely(parts, { order, headers = {} } = {}) {
+    if (!MERGE_CONFIG.remoteUrl) {
+        throw new Error('PDF_MERGE_SERVICE_URL is not set');
+    }
+
+    const FormData = require('form-data');
+    const axios = require('axios');
+    const ordered = orderParts(parts, order);
+
+    const formData = new FormData();
+    for (const { name, buffer } of ordered) {
+        formData.append('files', buffer, { filename: `${name}.pdf`, contentType: 'application/pdf' });
+    }
+
+    const response = await axios.post(MERGE_CONFIG.remoteUrl, formData, {
+        headers: { ...formData.getHeaders(), ...headers },
+        responseType: 'arraybuffer',
+        timeout: MERGE_CONFIG.remoteTimeoutMs
+    });
+
+    const buffer = Buffer.from(response.data);
+    return {
+        buffer,
+        pageCount: null,
+        order: ordered.map(part => part.name),
+        sha256: sha256(buffer),
+        method: 'remote'
+    };
+}
+
+/**
+ * Merge locally, falling back to the remote service when it is configured
+ * @param {Object} parts - { policy: Buffer, brisk: Buffer, ... }
+ * @param {Object} options - mergePdfsLocally options plus { remoteHeaders }
+ * @returns {Promise<Object>} { buffer, pageCount, order, sha256, method, localError }
+ */
+async function mergePdfs(parts, { remoteHeaders = {}, ...options } = {}) {
+    try {
+        return await mergePdfsLocally(parts, options);
+    } catch (localError) {
+        if (!MERGE_CONFIG.remoteUrl) {
+            throw localError;
+        }
+        console.warn(`⚠️  Local PDF merge failed (${localError.message}), falling back to ${MERGE_CONFIG.remoteUrl}`);
+        const merged = await mergePdfsRemotely(parts, { order: options.order, headers: remoteHeaders });
+        return { ...merged, localError: localError.message };
+    }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+    MERGE_CONFIG,
+
+    // Merge
+    mergePdfs,
+    mergePdfsLocally,
+    mergePdfsRemotely,
+
+    // Helpers
+    orderParts,
+    sha256
+};
@@ -0,0 +1,386 @@
+/**
+ * 🗺️ Policy Mapper
+ * Maps an onlinePolicy document to the formData a filler job runs with
+ *
+ * Each insurer adapter (lib/insurers/) brings a declarative field map
+ * (target field -> source fields + transform; most use COMMON_FIELDS) and
+ * its portal's state table. Nothing is guessed
+ * silently: missing or unrecognised values are returned as mapping warnings,
+ * which server.js stores on the job. Credentials are not part of the mapping -
+ * the worker adds them when it runs the job.
+ */
+
+const moment = require('moment');
+const { DEFAULT_INSURER, getInsurer, findInsurer } = require('./insurerRegistry');
+
+// Bump when the output of a mapping changes; stored on every job (metadata.mapperVersion)
+const MAPPER_VERSION = '2.3.0';
+
+const WARNING_CODES = {
+    MISSING_VALUE: 'MISSING_VALUE',           // No source field had a value
+    DEFAULT_APPLIED: 'DEFAULT_APPLIED',       // Missing value replaced by a fallback
+    UNKNOWN_STATE: 'UNKNOWN_STATE',           // State not in the portal's table
+    INVALID_DATE: 'INVALID_DATE',             // Date could not be parsed
+    CONFLICTING_VALUES: 'CONFLICTING_VALUES', // Alias fields disagree
+    UNKNOWN_INSURER: 'UNKNOWN_INSURER'        // No field map for the company
+};
+
+// ============================================================================
+// STATE TABLES
+// ============================================================================
+
+// Canonical state / union territory names
+const INDIAN_STATES = [
+    'ANDAMAN AND NICOBAR ISLANDS', 'ANDHRA PRADESH', 'ARUNACHAL PRADESH', 'ASSAM', 'BIHAR',
+    'CHANDIGARH', 'CHHATTISGARH', 'DADRA AND NAGAR HAVELI AND DAMAN AND DIU', 'DELHI', 'GOA',
+    'GUJARAT', 'HARYANA', 'HIMACHAL PRADESH', 'JAMMU AND KASHMIR', 'JHARKHAND', 'KARNATAKA',
+    'KERALA', 'LADAKH', 'LAKSHADWEEP', 'MADHYA PRADESH', 'MAHARASHTRA', 'MANIPUR', 'MEGHALAYA',
+    'MIZORAM', 'NAGALAND', 'ODISHA', 'PUDUCHERRY', 'PUNJAB', 'RAJASTHAN', 'SIKKIM', 'TAMIL NADU',
+    'TELANGANA', 'TRIPURA', 'UTTAR PRADESH', 'UTTARAKHAND', 'WEST BENGAL'
+];
+
+// Spellings seen in onlinePolicy that are not just spacing/case variants
+const STATE_ALIASES = {
+    TN: 'TAMIL NADU',
+    KA: 'KARNATAKA',
+    KL: 'KERALA',
+    AP: 'ANDHRA PRADESH',
+    TS: 'TELANGANA',
+    PY: 'PUDUCHERRY',
+    PONDICHERRY: 'PUDUCHERRY',
+    ORISSA: 'ODISHA',
+    UTTARANCHAL: 'UTTARAKHAND',
+    'NEW DELHI': 'DELHI',
+    'NCT OF DELHI': 'DELHI'
+};
+
+/**
+ * Comparison key for state names: "Tamil Nadu", "TAMILNADU" and "tamil-nadu" all match
+ */
+function stateKey(value) {
+    return String(value).toUpperCase().replace(/&/g, 'AND').replace(/[^A-Z]/g, '');
+}
+
+const STATE_LOOKUP = new Map([
+    ...INDIAN_STATES.map(name => [stateKey(name), name]),
+    ...Object.entries(STATE_ALIASES).map(([alias, name]) => [stateKey(alias), name])
+]);
+
+/**
+ * Canonical state name for a raw onlinePolicy value
+ * @param {string} value - e.g. "TAMILNADU", "Tamil Nadu", "TN"
+ * @returns {string|null} Canonical name, or null if unrecognised
+ */
+function normalizeStateName(value) {
+    if (isMissing(value)) return null;
+    return STATE_LOOKUP.get(stateKey(value)) || null;
+}
+
+/**
+ * Portal value for a state
+ * @param {string} portal - Insurer key; its state table is the adapter's mapping.states
+ * @param {string} value - Raw state from onlinePolicy
+ * @returns {Object} { value, stateName, known }
+ */
+function resolvePortalState(portal, value) {
+    const table = (getInsurer(portal) || getInsurer(DEFAULT_INSURER)).mapping.states;
+    const stateName = normalizeStateName(value);
+
+    if (stateName && table.codes[stateName] !== undefined) {
+        return { value: table.codes[stateName], stateName, known: true };
+    }
+
+    // Already a portal value (e.g. formData re-mapped or entered as a code)
+    if (!isMissing(value) && Object.values(table.codes).includes(String(value).trim())) {
+        return { value: String(value).trim(), stateName, known: true };
+    }
+
+    const passthrough = isMissing(value) ? null : String(value).trim();
+    return { value: table.fallback !== null ? table.fallback : passthrough, stateName, known: false };
+}
+
+// ============================================================================
+// VALUE TRANSFORMS
+// ============================================================================
+
+function isMissing(value) {
+    return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+// Strings from forms/APIs; Date objects and Extended JSON { $date } from exports
+const DATE_INPUT_FORMATS = [moment.ISO_8601, 'DD-MM-YYYY', 'DD/MM/YYYY', 'YYYY-MM-DD'];
+
+/**
+ * Format a date as the portals expect (DD-MM-YYYY)
+ * @returns {string|null} Formatted date, or null if unparseable
+ */
+function formatDate(value) {
+    const raw = value && typeof value === 'object' && !(value instanceof Date) && '$date' in value
+        ? value.$date
+        : value;
+
+    let parsed;
+    if (raw instanceof Date || typeof raw === 'number') {
+        parsed = moment(raw);
+    } else if (raw && typeof raw === 'object' && '$numberLong' in raw) {
+        parsed = moment(Number(raw.$numberLong));
+    } else {
+        parsed = moment(String(raw).trim(), DATE_INPUT_FORMATS, true);
+    }
+
+    return parsed.isValid() ? parsed.format('DD-MM-YYYY') : null;
+}
+
+/**
+ * Transforms referenced by the field maps: (value, context) => { value, warning? }
+ * context: { field, portal, doc, options }
+ */
+const TRANSFORMS = {
+    date(value, { field }) {
+        const formatted = formatDate(value);
+        if (formatted) {
+            return { value: formatted };
+        }
+        return {
+            value: '',
+            warning: warning(field, WARNING_CODES.INVALID_DATE, `Could not parse date "${JSON.stringify(value)}"`, value)
+        };
+    },
+
+    portalState(value, { field, portal }) {
+        const resolved = resolvePortalState(portal, value);
+        if (resolved.known) {
+            return { value: resolved.value };
+        }
+        return {
+            value: resolved.value,
+            warning: warning(
+                field,
+                WARNING_CODES.UNKNOWN_STATE,
+                `State "${value}" has no ${portal} portal mapping` +
+                    (resolved.value ? `; sending "${resolved.value}"` : ''),
+                value
+            )
+        };
+    },
+
+    // Canonical state name (the portalState value is a portal code)
+    stateName(value) {
+        return { value: normalizeStateName(value) || undefined };
+    },
+
+    // S3 document reference plus the presigned URL the filler downloads it from
+    document(value, { field, options }) {
+        return { value: { ...value, presignedUrl: options.presignedUrls?.[field] || null } };
+    }
+};
+
+// ============================================================================
+// FIELD MAPS
+// ============================================================================
+
+/*
+ * target: {
+ *   from:      source fields, first non-empty wins
+ *   transform: key of TRANSFORMS
+ *   default:   value for a missing source (silent - cosmetic defaults only)
+ *   fallback:  value for a missing source, reported as DEFAULT_APPLIED
+ *   required:  report MISSING_VALUE when no source has a value
+ *   whenMissing: value to emit when nothing matched (default undefined)
+ *   checkConflicts: report CONFLICTING_VALUES when aliases disagree
+ * }
+ */
+const COMMON_FIELDS = {
+    // MongoDB document identifiers (CRITICAL for updates)
+    _id: { from: ['_id'], required: true },
+    policyId: { from: ['policyId'], required: true },
+    userId: { from: ['userId'] },
+
+    // Proposer details
+    proposerTitle: { from: ['proposerTitle'], fallback: 'Mr.' },
+    firstName: { from: ['fullName', 'firstName'], required: true },
+    middleName: { from: ['middleName'], default: '' },
+    lastName: { from: ['surname', 'lastName'], required: true },
+    dob: { from: ['dateOfBirth'], transform: 'date', required: true, whenMissing: '' },
+    gender: { from: ['gender'], required: true },
+
+    // Father details
+    fatherTitle: { from: ['fatherTitle'], fallback: 'Mr.' },
+    fatherName: { from: ['fatherName'] },
+
+    // Address details (both filler names and onlinePolicy names are kept)
+    flatNo: { from: ['flatDoorNo'] },
+    flatDoorNo: { from: ['flatDoorNo'] },
+    floorNo: { from: ['floorNo'] },
+    premisesName: { from: ['buildingName'] },
+    buildingName: { from: ['buildingName'] },
+    blockNo: { from: ['blockName', 'blockNo'] },
+    blockName: { from: ['blockName'] },
+    road: { from: ['roadStreetLane', 'road'] },
+    roadStreetLane: { from: ['roadStreetLane'] },
+    areaAndLocality: { from: ['areaAndLocality', 'area', 'locality'], default: '' },
+    state: { from: ['state'], transform: 'portalState', required: true },
+    stateName: { from: ['state'], transform: 'stateName' },
+    city: { from: ['city'] },
+    pinCode: { from: ['pincode', 'pinCode'], required: true },
+
+    // Contact details
+    mobile: { from: ['mobileNumber', 'mobile'], required: true },
+    email: { from: ['email'], required: true },
+    aadhar: { from: ['aadhar'] },
+
+    // Document uploads (from S3)
+    aadharCard: { from: ['aadharCard'], transform: 'document', whenMissing: null },
+    panCard: { from: ['panCard'], transform: 'document', whenMissing: null },
+
+    // Vehicle details
+    vehicleMake: { from: ['vehicleMake'], required: true },
+    vehicleModel: { from: ['vehicleModel'], required: true },
+    vehicleCC: { from: ['vehicleCC'] },
+    rtoCityLocation: { from: ['rtoCityLocation'], required: true },
+    idv: { from: ['idv'] },
+    manufacturingYear: { from: ['manufacturingYear'] },
+    manufacturingMonth: { from: ['manufacturingMonth'] },
+    engineNumber: { from: ['engineNumber'], required: true },
+    chassisNumber: { from: ['chassisNumber'], required: true },
+    registrationNumber: { from: ['registrationNumber', 'registrationNo'] },
+    purchaseDate: { from: ['purchaseDate'], transform: 'date', whenMissing: '' },
+    registrationDate: { from: ['registrationDate'], transform: 'date', whenMissing: '' },
+
+    // Coverage options
+    zeroDepreciation: { from: ['zeroDepreciation'] },
+    tppdRestrict: { from: ['tppdRestrict'] },
+    paCover: { from: ['paCover'] },
+
+    // Nominee (Brisk certificate, lib/briskCertificate.js)
+    nomineeName: { from: ['nomineeName'] },
+    nomineeRelation: { from: ['nomineeRelation', 'relation'] },
+    nomineeGender: { from: ['nomineeGender'] },
+
+    // Financier details
+    hasFinancier: { from: ['hasFinancier'] },
+    financierType: { from: ['financierType'] },
+    financierName: { from: ['financierName'] },
+    financierAddress: { from: ['financierAddress'] },
+
+    // Registration address
+    isRegistrationAddressSame: { from: ['isRegistrationAddressSame'] },
+
+    // OD discount - several historic field names in onlinePolicy
+    discount: { from: ['ODDiscount', 'odDiscount', 'Detariff_Discount_Rate', 'discount'], checkConflicts: true },
+    ODDiscount: { from: ['ODDiscount', 'odDiscount', 'Detariff_Discount_Rate', 'discount'] },
+
+    // Payment Method
+    Paymentmethod: { from: ['Paymentmethod'] },
+
+    // Quoted amount the portal premium is checked against before payment (lib/premiumGuard.js)
+    expectedPremium: { from: ['expectedPremium'] }
+};
+
+// ============================================================================
+// MAPPER
+// ============================================================================
+
+function warning(field, code, message, value = undefined) {
+    const entry = { field, code, message };
+    if (value !== undefined) entry.value = value;
+    return entry;
+}
+
+/**
+ * Insurer an onlinePolicy document is for ('company' / 'Companyname', lowercased)
+ * @param {Object} doc - onlinePolicy document
+ * @returns {string} Insurer key
+ */
+function resolveInsurer(doc) {
+    const company = doc?.Companyname || doc?.company;
+    return isMissing(company) ? DEFAULT_INSURER : String(company).trim().toLowerCase();
+}
+
+/**
+ * Apply one field spec
+ */
+function mapField(field, spec, doc, portal, options, warnings) {
+    const present = spec.from.filter(source => !isMissing(doc[source]));
+
+    if (present.length === 0) {
+        if (spec.fallback !== undefined) {
+            warnings.push(warning(field, WARNING_CODES.DEFAULT_APPLIED, `No value for ${field}; using "${spec.fallback}"`));
+            return spec.fallback;
+        }
+        if (spec.required) {
+            warnings.push(warning(field, WARNING_CODES.MISSING_VALUE, `No value in ${spec.from.join(' / ')}`));
+        }
+        if (spec.transform === 'portalState') {
+            return TRANSFORMS.portalState(null, { field, portal }).value || undefined;
+        }
+        return spec.default !== undefined ? spec.default : spec.whenMissing;
+    }
+
+    const raw = doc[present[0]];
+
+    if (spec.checkConflicts) {
+        const distinct = new Set(present.map(source => String(doc[source])));
+        if (distinct.size > 1) {
+            warnings.push(warning(
+                field,
+                WARNING_CODES.CONFLICTING_VALUES,
+                `Conflicting values (${present.map(source => `${source}=${doc[source]}`).join(', ')}); using ${present[0]}`
+            ));
+        }
+    }
+
+    if (!spec.transform) {
+        return raw;
+    }
+
+    const result = TRANSFORMS[spec.transform](raw, { field, portal, doc, options });
+    if (result.warning) {
+        warnings.push(result.warning);
+    }
+    return result.value;
+}
+
+/**
+ * Map an onlinePolicy document to job formData
+ * @param {Object} doc - onlinePolicy document
+ * @param {Object} options
+ * @param {Object} options.presignedUrls - { aadharCard, panCard } download URLs
+ * @returns {Object} { formData, warnings, insurer, mapperVersion }
+ */
+function mapPolicyToFormData(doc, options = {}) {
+    const warnings = [];
+    const company = resolveInsurer(doc);
+    let adapter = findInsurer(company);
+
+    if (!adapter) {
+        warnings.push(warning('Companyname', WARNING_CODES.UNKNOWN_INSURER, `No field map for "${company}"; mapping as ${DEFAULT_INSURER}`, company));
+        adapter = getInsurer(DEFAULT_INSURER);
+    }
+    const insurer = adapter.key;
+
+    const formData = {};
+    for (const [field, spec] of Object.entries(adapter.mapping.fields)) {
+        formData[field] = mapField(field, spec, doc || {}, insurer, options, warnings);
+    }
+    // Keep the company as given - routing and validation decide what to do with it
+    formData.Companyname = company;
+
+    return { formData, warnings, insurer, mapperVersion: MAPPER_VERSION };
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+    MAPPER_VERSION,
+    WARNING_CODES,
+    INDIAN_STATES,
+    COMMON_FIELDS,
+    normalizeStateName,
+    resolvePortalState,
+    formatDate,
+    resolveInsurer,
+    mapPolicyToFormData
+};
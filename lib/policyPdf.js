@@ -0,0 +1,232 @@
+/**
+ * 📄 Policy PDF
+ * Ties the insurer's policy PDF to the job that downloaded it
+ *
+ * Every job browser downloads into its own directory (reliance_pdf/<jobId>,
+ * set through the Chrome download prefs of the cloned profile), so parallel
+ * jobs never see each other's files. Before a PDF is merged with the Brisk
+ * certificate it must mention the job's proposal / policy number, and it is
+ * linked to the job with a sidecar file (<pdf>.job.json).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const POLICY_PDF_ROOT = path.join(__dirname, '..', 'reliance_pdf');
+
+const PDF_WAIT = {
+    timeoutMs: parseInt(process.env.POLICY_PDF_WAIT_MS, 10) || 15000, // How long to wait for the download
+    pollMs: 1000
+};
+
+const LINK_SUFFIX = '.job.json';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// ============================================================================
+// DOWNLOAD DIRECTORIES
+// ============================================================================
+
+/**
+ * Download directory of one job (created if missing)
+ * @param {string} jobId - Queue job ID (or the filler's own job label)
+ * @returns {string} Absolute path
+ */
+function jobDownloadDir(jobId) {
+    const safeId = String(jobId).replace(/[^a-zA-Z0-9_-]/g, '_');
+    const dir = path.join(POLICY_PDF_ROOT, safeId);
+    fs.mkdirSync(dir, { recursive: true });
+    return dir;
+}
+
+/**
+ * Completed PDFs in a directory, newest first (Chrome's .crdownload files are skipped)
+ */
+function listPdfs(dir) {
+    if (!fs.existsSync(dir)) {
+        return [];
+    }
+    return fs.readdirSync(dir)
+        .filter(file => file.toLowerCase().endsWith('.pdf'))
+        .map(file => {
+            const filePath = path.join(dir, file);
+            return { path: filePath, time: fs.statSync(filePath).mtime.getTime() };
+        })
+        .sort((a, b) => b.time - a.time);
+}
+
+/**
+ * Wait for the job's policy PDF to finish downloading
+ * @param {string} dir - From jobDownloadDir()
+ * @param {Object} options - { timeoutMs }
+ * @returns {Promise<string|null>} Path of the newest PDF, or null if none arrived
+ */
+async function waitForJobPdf(dir, { timeoutMs = PDF_WAIT.timeoutMs } = {}) {
+    const deadline = Date.now() + timeoutMs;
+    while (true) {
+        const downloading = fs.existsSync(dir) &&
+            fs.readdirSync(dir).some(file => file.endsWith('.crdownload'));
+        const pdfs = listPdfs(dir);
+        if (pdfs.length > 0 && !downloading) {
+            return pdfs[0].path;
+        }
+        if (Date.now() >= deadline) {
+            return null;
+        }
+        await sleep(PDF_WAIT.pollMs);
+    }
+}
+
+// ============================================================================
+// VERIFICATION
+// ============================================================================
+
+/**
+ * Text of a PDF, good enough to search for numbers: string literals from the
+ * raw file and from every Flate stream, with whitespace removed
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+function extractPdfText(buffer) {
+    const chunks = [buffer.toString('latin1')];
+    const raw = chunks[0];
+    const streamPattern = /stream\r?\n/g;
+    let match;
+
+    while ((match = streamPattern.exec(raw)) !== null) {
+        const start = match.index + match[0].length;
+        const end = raw.indexOf('endstream', start);
+        if (end < 0) {
+            break;
+        }
+        try {
+            chunks.push(zlib.inflateSync(buffer.subarray(start, end)).toString('latin1'));
+        } catch (err) {
+            // Not Flate (images, fonts) - nothing to search
+        }
+        streamPattern.lastIndex = end + 'endstream'.length;
+    }
+
+    // Text operators split numbers into pieces: (R2301) Tj or [(R23) -2 (01)] TJ
+    return chunks
+        .map(chunk => (chunk.match(/\((?:\\.|[^\\)])*\)/g) || []).map(s => s.slice(1, -1)).join(''))
+        .join('')
+        .replace(/\s+/g, '');
+}
+
+/**
+ * Check that a PDF belongs to the job: it must mention one of the job's identifiers
+ * @param {string} filePath
+ * @param {Array<string>} identifiers - Proposal number, policy number, ...
+ * @returns {Object} { verified, matched, sha256 }
+ */
+function verifyPolicyPdf(filePath, identifiers) {
+    const buffer = fs.readFileSync(filePath);
+    const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+    if (buffer.toString('latin1', 0, 4) !== '%PDF') {
+        return { verified: false, matched: null, sha256, reason: 'Not a PDF' };
+    }
+
+    const candidates = identifiers.filter(Boolean).map(id => String(id).replace(/\s+/g, ''));
+    if (candidates.length === 0) {
+        return { verified: false, matched: null, sha256, reason: 'No proposal or policy number to check against' };
+    }
+
+    const text = extractPdfText(buffer);
+    const matched = candidates.find(id => text.includes(id)) || null;
+    return {
+        verified: Boolean(matched),
+        matched,
+        sha256,
+        reason: matched ? null : `PDF does not mention ${candidates.join(' / ')}`
+    };
+}
+
+// ============================================================================
+// JOB LINK
+// ============================================================================
+
+/**
+ * Record which job a PDF belongs to (sidecar <pdf>.job.json)
+ * @returns {Object} The link record (also returned to the queue)
+ */
+function linkPdfToJob(filePath, jobId, { verification, proposalNumber = null } = {}) {
+    const link = {
+        jobId: String(jobId),
+        path: filePath,
+        proposalNumber,
+        matched: verification ? verification.matched : null,
+        sha256: verification ? verification.sha256 : null,
+        linkedAt: new Date()
+    };
+    fs.writeFileSync(`${filePath}${LINK_SUFFIX}`, JSON.stringify(link, null, 2));
+    return link;
+}
+
+/**
+ * Job a PDF was linked to, or null
+ */
+function readPdfJobLink(filePath) {
+    try {
+        return JSON.parse(fs.readFileSync(`${filePath}${LINK_SUFFIX}`, 'utf8'));
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * Find, verify and link the policy PDF a job downloaded
+ * @param {string} dir - The job's download directory
+ * @param {Object} job - { jobId, proposalNumber, policyNumber }
+ * @returns {Promise<Object>} { ok, path, link, reason }
+ */
+async function resolveJobPolicyPdf(dir, { jobId, proposalNumber = null, policyNumber = null }) {
+    if (!dir) {
+        return { ok: false, path: null, link: null, reason: 'Job browser has no download directory' };
+    }
+
+    const filePath = await waitForJobPdf(dir);
+    if (!filePath) {
+        return { ok: false, path: null, link: null, reason: `No policy PDF downloaded to ${dir}` };
+    }
+
+    const existing = readPdfJobLink(filePath);
+    if (existing && existing.jobId !== String(jobId)) {
+        return { ok: false, path: filePath, link: null, reason: `PDF is linked to job ${existing.jobId}` };
+    }
+
+    const verification = verifyPolicyPdf(filePath, [policyNumber, proposalNumber]);
+    if (!verification.verified) {
+        return { ok: false, path: filePath, link: null, reason: verification.reason };
+    }
+
+    const link = linkPdfToJob(filePath, jobId, { verification, proposalNumber });
+    return { ok: true, path: filePath, link, reason: null };
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+    POLICY_PDF_ROOT,
+
+    // Download directories
+    jobDownloadDir,
+    waitForJobPdf,
+
+    // Verification
+    extractPdfText,
+    verifyPolicyPdf,
+
+    // Job link
+    linkPdfToJob,
+    readPdfJobLink,
+    resolveJobPolicyPdf
+};
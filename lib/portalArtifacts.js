@@ -0,0 +1,176 @@
+/**
+ * 🧾 Portal Artifacts
+ * What the insurer portal issued for a job: proposal no., quote no.,
+ * premium breakdown, IDV used and whether a payment link was sent
+ *
+ * The filler collects these while it works and returns them (even on
+ * failure, so a reviewer can find the proposal on the portal). server.js
+ * writes them to the job document and the originating onlinePolicy record.
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+// Premium summary labels -> breakdown keys. Checked in order: the specific
+// OD/TP totals must win over the generic "total premium", and the premium
+// labels over GST ("Total Premium (incl. GST)", "Net Premium (excl. GST)").
+const PREMIUM_LABELS = [
+    { key: 'basicOd', pattern: /\bbasic\s*o\.?d\b/i },
+    { key: 'odPremium', pattern: /\b(o\.?d\.?|own\s*damage)\s*premium/i },
+    { key: 'tpPremium', pattern: /\b(t\.?p\.?|third\s*party|liability)\s*premium/i },
+    { key: 'netPremium', pattern: /net\s*premium/i },
+    { key: 'totalPremium', pattern: /(total|gross|final)\s*premium|premium\s*payable/i },
+    { key: 'gst', pattern: /\b(gst|service\s*tax)\b/i }
+];
+
+// ============================================================================
+// BUILDERS
+// ============================================================================
+
+/**
+ * Artifacts of a job before the portal has issued anything
+ * @returns {Object} { proposalNumber, quoteNumber, premium, idv, paymentLinkSent, capturedAt }
+ */
+function createPortalArtifacts() {
+    return {
+        proposalNumber: null,
+        quoteNumber: null,
+        premium: null,
+        idv: null,
+        paymentLinkSent: false,
+        capturedAt: null
+    };
+}
+
+/**
+ * Whether the portal issued anything worth recording
+ */
+function hasPortalArtifacts(artifacts) {
+    return Boolean(
+        artifacts &&
+        (artifacts.proposalNumber || artifacts.quoteNumber || artifacts.premium || artifacts.idv || artifacts.paymentLinkSent)
+    );
+}
+
+// ============================================================================
+// PARSERS
+// ============================================================================
+
+/**
+ * Parse a portal amount ("₹ 1,234.50", "1234") into a number
+ * @returns {number|null}
+ */
+function parseAmount(value) {
+    if (value === null || value === undefined) return null;
+    const match = String(value).replace(/,/g, '').match(/-?\d+(\.\d+)?/);
+    return match ? Number(match[0]) : null;
+}
+
+/**
+ * Pull the proposal and quote numbers out of the "Proposal Saved Successfully" message
+ * @param {string} messageText - Text of the success message
+ * @returns {Object} { proposalNumber, quoteNumber }
+ */
+function parseProposalMessage(messageText) {
+    const text = String(messageText || '');
+
+    const quoteMatch = text.match(/quot(?:e|ation)\s*(?:no\.?|number)?\s*(?:is)?\s*[:\-]?\s*([A-Z]*\d[\w\/-]*)/i);
+    const quoteNumber = quoteMatch ? quoteMatch[1] : null;
+
+    // Proposal numbers are "R" followed by digits; skip the quote number if it has the same shape
+    const proposalNumber = (text.match(/R\d+/g) || []).find(candidate => candidate !== quoteNumber) || null;
+
+    return { proposalNumber, quoteNumber };
+}
+
+/**
+ * Turn labelled amounts read from the premium summary into a breakdown
+ * @param {Array} rows - [{ label, value }] as shown on the portal
+ * @returns {Object|null} { basicOd, odPremium, tpPremium, netPremium, gst, totalPremium, components } or null
+ *   components keeps every labelled amount as [{ label, amount }] (labels may contain dots)
+ */
+function buildPremiumBreakdown(rows) {
+    const components = [];
+    const breakdown = {};
+
+    for (const { label, value } of rows || []) {
+        const cleanLabel = String(label || '').replace(/\s+/g, ' ').replace(/[:*]/g, '').trim();
+        const amount = parseAmount(value);
+        if (!cleanLabel || amount === null || components.some(c => c.label === cleanLabel)) continue;
+
+        components.push({ label: cleanLabel, amount });
+
+        const match = PREMIUM_LABELS.find(({ pattern }) => pattern.test(cleanLabel));
+        if (match && breakdown[match.key] === undefined) {
+            breakdown[match.key] = amount;
+        }
+    }
+
+    if (components.length === 0) {
+        return null;
+    }
+
+    return { ...breakdown, components };
+}
+
+// ============================================================================
+// PAGE READERS
+// ============================================================================
+
+// Runs in the portal page: short visible labels that mention premium/GST/OD/TP,
+// paired with the amount in the next cell/element (or the input inside it)
+const PREMIUM_SUMMARY_SCRIPT = `
+    var labelPattern = /premium|gst|service tax|basic\\s*o\\.?d|\\bo\\.?d\\b|\\bt\\.?p\\b/i;
+    var amountPattern = /^(rs\\.?|inr)?[^a-zA-Z]*\\d[\\d,]*(\\.\\d+)?[^a-zA-Z]*$/i;
+    var readValue = function (el) {
+        if (!el) return null;
+        var input = el.matches && el.matches('input') ? el : el.querySelector && el.querySelector('input');
+        var text = String(input ? input.value : (el.innerText || el.textContent || '')).trim();
+        return amountPattern.test(text) ? text : null;
+    };
+    var rows = [];
+    document.querySelectorAll('td, th, label, span, div, mat-label').forEach(function (el) {
+        if (el.offsetParent === null || el.children.length > 0) return;
+        var label = (el.innerText || el.textContent || '').trim();
+        if (!label || label.length > 60 || !labelPattern.test(label)) return;
+        var value = readValue(el.nextElementSibling) ||
+            (el.parentElement && readValue(el.parentElement.nextElementSibling));
+        if (value) rows.push({ label: label, value: value });
+    });
+    return rows;
+`;
+
+/**
+ * Read the premium summary the portal shows after "Calculate Premium"
+ * @param {WebDriver} driver - Selenium WebDriver on the quote page
+ * @returns {Promise<Object|null>} Premium breakdown or null when nothing was found / readable
+ */
+async function readPremiumBreakdown(driver) {
+    try {
+        const breakdown = buildPremiumBreakdown(await driver.executeScript(PREMIUM_SUMMARY_SCRIPT));
+        if (breakdown) {
+            console.log(`💰 Premium captured: total ${breakdown.totalPremium ?? '?'}, net ${breakdown.netPremium ?? '?'} (${breakdown.components.length} components)`);
+        } else {
+            console.log('⚠️ Premium summary not found on page');
+        }
+        return breakdown;
+    } catch (err) {
+        console.log('⚠️ Could not read premium breakdown:', err.message);
+        return null;
+    }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+    PREMIUM_LABELS,
+    createPortalArtifacts,
+    hasPortalArtifacts,
+    parseAmount,
+    parseProposalMessage,
+    buildPremiumBreakdown,
+    readPremiumBreakdown
+};
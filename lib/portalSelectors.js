@@ -0,0 +1,179 @@
+/**
+ * 🎯 Portal Selectors
+ * Named selectors of the insurer portals, each a fallback chain (first = primary)
+ *
+ * A locator is one of { id }, { name }, { css } or { xpath }. When the
+ * portal changes its markup, fix the chain here: add the new locator first
+ * and keep the old one until it stops matching. GET /api/selectors/health
+ * shows which chains fail or only match through a fallback.
+ *
+ * Used through selector(portal, name) in lib/selectorRegistry.js.
+ */
+
+const PORTAL_SELECTORS = {
+    reliance: {
+        vehicleMakeModel: {
+            description: 'Vehicle make / model autocomplete',
+            locators: [{ id: 'VehicleDetailsMakeModel' }]
+        },
+        vehicleMakeModelFirstOption: {
+            description: 'First make / model suggestion',
+            locators: [
+                { xpath: "//ul[@id='VehicleDetailsMakeModel_listbox']//li[1]" },
+                { xpath: "//li[contains(@class, 'k-item')][1]" },
+                { xpath: "//li[contains(@class, 'k-list-item')][1]" }
+            ]
+        },
+        rtoCity: {
+            description: 'RTO city autocomplete',
+            locators: [{ id: 'RTOCityLocation' }]
+        },
+        rtoCityFirstOption: {
+            description: 'First RTO city suggestion',
+            locators: [
+                { xpath: "//ul[@id='RTOCityLocation_listbox']//li[1]" },
+                { xpath: "//li[contains(@class, 'k-item')][1]" },
+                { xpath: "//li[contains(@class, 'k-list-item')][1]" }
+            ]
+        },
+        discountRate: {
+            description: 'Detariff discount rate',
+            locators: [{ id: 'Detariff_Discount_Rate' }]
+        },
+        proposalSearchInput: {
+            description: 'View Policy proposal number search',
+            locators: [
+                { id: 'txtSearchText' },
+                { name: 'SearchText' },
+                { css: "#idproposalno input[type='text']" }
+            ]
+        },
+        proposalSearchButton: {
+            description: 'View Policy search button',
+            locators: [
+                { id: 'btnViewPolicySearch' },
+                { css: "button[type='submit']" }
+            ]
+        },
+        doKycLink: {
+            description: 'DO KYC link on the proposal search result (opens a new tab)',
+            locators: [
+                { xpath: "//a[contains(text(), 'DO KYC')]" },
+                { xpath: "//a[contains(translate(text(), 'ABCDEFGHIJKLMNOPQRSTUVWXYZ', 'abcdefghijklmnopqrstuvwxyz'), 'do kyc')]" },
+                { xpath: "//a[contains(., 'KYC')]" }
+            ]
+        },
+        kycUploadDocument: {
+            description: 'KYC page UPLOAD DOCUMENT option',
+            locators: [
+                { css: "div[ng-click=\"selectDoc('upload')\"]" },
+                { xpath: "//div[contains(@ng-click, 'selectDoc') and contains(., 'UPLOAD')]" },
+                { xpath: "//div[@class='doc-type' and contains(., 'UPLOAD DOCUMENT')]" },
+                { xpath: "//div[contains(text(), 'UPLOAD DOCUMENT')]" }
+            ]
+        },
+        kycSubmit: {
+            description: 'KYC documents SUBMIT button',
+            locators: [
+                { css: "button[ng-click='uploadFilesToAPI()']" },
+                { xpath: "//button[contains(text(), 'SUBMIT')]" },
+                { css: 'button.btn-main' }
+            ]
+        },
+        kycProceed: {
+            description: 'KYC PROCEED button (back to the portal)',
+            locators: [
+                { css: "button[ng-click='redirectToURL()']" },
+                { xpath: "//button[contains(text(), 'PROCEED')]" },
+                { xpath: "//button[contains(@class, 'btn-main') and contains(., 'PROCEED')]" }
+            ]
+        },
+        paymentMenu: {
+            description: 'Payment menu',
+            locators: [{ css: "div#divMainPay, div.MainMenu.payment, div[data-hovertarget='#divSubPay']" }]
+        },
+        pendingQuotesLink: {
+            description: 'Payment > Pending Quotes link',
+            locators: [
+                { xpath: "//a[contains(text(), 'Pending Quotes')]" },
+                { css: "a[href*='Pending'], a[href*='pending']" }
+            ]
+        },
+        paymentLinkOk: {
+            description: 'Ok on the Send Payment Link popup',
+            locators: [
+                { xpath: "//span[text()='Ok']/parent::button" },
+                { xpath: "//button[contains(@class, 'ui-button') and normalize-space(.)='Ok']" }
+            ]
+        }
+    },
+
+    national: {
+        vehicleType: {
+            description: 'Vehicle type (New / Rollover)',
+            locators: [{ name: 'mcy_dropdown_vehicleType_01' }]
+        },
+        plan: {
+            description: 'Your plan',
+            locators: [{ name: 'mcy_dropdown_planId_01' }]
+        },
+        vehicleClass: {
+            description: 'Class of vehicle',
+            locators: [{ name: 'mcy_dropdown_vehcileClass_01' }]
+        },
+        rtoLocation: {
+            description: 'RTO location autocomplete',
+            locators: [{ name: 'mcy_dropdown_newRtoLocation_01' }]
+        },
+        make: {
+            description: 'Make autocomplete',
+            locators: [{ name: 'mcy_dropdown_make_01' }]
+        },
+        model: {
+            description: 'Model autocomplete',
+            locators: [{ name: 'mcy_dropdown_model_01' }]
+        },
+        variant: {
+            description: 'Variant autocomplete',
+            locators: [{ name: 'mcy_dropdown_variant_01' }]
+        },
+        typeOfBody: {
+            description: 'Type of body',
+            locators: [
+                { name: 'mcy_dropdown_body_01' },
+                { xpath: "//mat-label[contains(., 'Type of Body')]/ancestor::mat-form-field//mat-select" }
+            ]
+        },
+        financierToggle: {
+            description: 'Financier Interest Applicable switch',
+            locators: [
+                { xpath: "//*[@id='mat-mdc-slide-toggle-8-button']" },
+                { xpath: "//*[@id='mat-mdc-slide-toggle-8-button']/div[2]/div/div[3]/svg[2]" },
+                { css: "mat-mdc-slide-toggle[name='mcy_toggle_FinancierInterestApplicable_01']" },
+                { xpath: "//mat-mdc-slide-toggle[contains(., 'Financier Interest Applicable')]" },
+                { xpath: "//mat-expansion-panel[contains(., 'Financier Interest Applicable')]//mat-mdc-slide-toggle" }
+            ]
+        },
+        checkVahan: {
+            description: 'Check Vahan button',
+            locators: [
+                { xpath: "//span[contains(@class, 'checkbtn') and contains(normalize-space(.), 'Check Vahan')]" },
+                { xpath: "//button[contains(@class, 'checkbtn') and contains(normalize-space(.), 'Check Vahan')]" },
+                { name: 'mcod_btn_addCover_01' },
+                { xpath: "//span[@name='mcod_btn_addCover_01']" }
+            ]
+        },
+        calculatePremium: {
+            description: 'Calculate Premium button',
+            locators: [
+                { name: 'mcy_button_calculatePremium_01' },
+                { xpath: "//button[@name='mcy_button_calculatePremium_01']" },
+                { xpath: "//button[contains(@class, 'q-quote-btn') and .//span[normalize-space(.)='Calculate Premium']]" },
+                { xpath: "//span[normalize-space(.)='Calculate Premium']/ancestor::button" },
+                { xpath: "//button[contains(@class, 'mat-mdc-raised-button') and .//span[contains(text(), 'Calculate Premium')]]" }
+            ]
+        }
+    }
+};
+
+module.exports = { PORTAL_SELECTORS };
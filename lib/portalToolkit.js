@@ -0,0 +1,976 @@
+/**
+ * 🧰 Portal Toolkit
+ * Selenium helpers shared by the portal fillers (relianceForm.js, national.js)
+ *
+ * - Elements: safeClick / safeSendKeys / scrollAndClick accept one locator or
+ *   a list; with a list every locator is tried in turn (portals rename ids
+ *   between releases) and the one that worked is logged
+ * - Widgets: Kendo UI (Reliance: k-dropdown, autocomplete, native selects) and Angular
+ *   Material (National: mat-select, mat-slide-toggle, mat-autocomplete,
+ *   expansion panels)
+ * - Step log: once a driver is bound (bindActionLog), every helper logs what
+ *   it did under the job's label and keeps the last actions, which
+ *   captureErrorScreenshot stores with the error. Typed values are never
+ *   logged, only their length.
+ *
+ * - Named selectors: pass selector(portal, name) from lib/selectorRegistry.js
+ *   as the locator list and every lookup is counted for GET /api/selectors/health
+ *
+ * Every helper checks the job's abort signal first (lib/jobCancellation.js).
+ */
+
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const { By, until } = require('selenium-webdriver');
+const { JobCancelledError } = require('./errorHandler');
+const { throwIfCancelled } = require('./jobCancellation');
+const { recordLookup } = require('./selectorRegistry');
+const { uploadToS3, uploadScreenshotToS3, generateScreenshotKey } = require('../s3Uploader');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const TOOLKIT_DEFAULTS = {
+    timeoutMs: 15000,
+    settleMs: 500, // After scrolling an element into view / between widget actions
+    optionsLoadMs: 1500, // mat-select panels render their options after opening
+    autocompleteMs: 2000 // Portal autocompletes query the server as you type
+};
+
+const KENDO_LOADER = By.css('.k-loading-mask');
+
+// Recent actions kept per driver for error logs
+const ACTION_LOG_SIZE = 25;
+
+// driver -> { label, actions }, so helpers only need the driver they already receive
+const driverLogs = new WeakMap();
+
+// ============================================================================
+// STEP LOG
+// ============================================================================
+
+/**
+ * Log a driver's actions under a job label
+ * @param {Object} driver - Selenium WebDriver
+ * @param {string} label - Prefix for log lines, e.g. the job ID
+ * @returns {Function} Unbinds the log (call when the filler finishes)
+ */
+function bindActionLog(driver, label) {
+    if (!driver) {
+        return () => {};
+    }
+    driverLogs.set(driver, { label, actions: [] });
+    return () => driverLogs.delete(driver);
+}
+
+/**
+ * Readable form of a locator (or list) for logs
+ */
+function describeLocator(locator) {
+    if (Array.isArray(locator)) {
+        return locator.map(describeLocator).join(' | ');
+    }
+    if (typeof locator === 'string') {
+        return `#${locator}`;
+    }
+    return locator && locator.using ? `${locator.using}=${locator.value}` : String(locator);
+}
+
+/**
+ * Record one action
+ * @param {Object} driver
+ * @param {string} action - click, type, select, toggle, ...
+ * @param {string} target - What was acted on
+ * @param {Object} outcome - { ok, detail }
+ */
+function logAction(driver, action, target, { ok = true, detail = null } = {}) {
+    const log = driverLogs.get(driver);
+    const entry = { at: new Date(), action, target, ok, detail };
+    if (log) {
+        log.actions.push(entry);
+        if (log.actions.length > ACTION_LOG_SIZE) {
+            log.actions.shift();
+        }
+    }
+
+    const line = `[${log?.label || 'portal'}] ${action} ${target}${detail ? ` (${detail})` : ''}`;
+    if (ok) {
+        console.log(`   ↳ ${line}`);
+    } else {
+        console.warn(`⚠️  ${line}`);
+    }
+}
+
+/**
+ * Last actions of a driver, oldest first
+ * @returns {Array<Object>} [{ at, action, target, ok, detail }]
+ */
+function recentActions(driver) {
+    return [...(driverLogs.get(driver)?.actions || [])];
+}
+
+// ============================================================================
+// LOCATOR FALLBACKS
+// ============================================================================
+
+/**
+ * Run an action against each locator until one succeeds
+ *
+ * Chains from selector() (lib/selectorRegistry.js) also record which
+ * locator matched, or that none did, for the selector health report.
+ * @param {Object} driver
+ * @param {Object|Array<Object>} locators - One locator or a list, in order of preference
+ * @param {Function} action - async (locator) => result
+ * @param {Object} options - { label } for the log
+ * @returns {Promise<Object>} { locator, result }
+ * @throws {Error} Every locator failed (the message lists each failure); JobCancelledError as is
+ */
+async function tryLocators(driver, locators, action, { label = null } = {}) {
+    const list = Array.isArray(locators) ? locators : [locators];
+    const registryKey = locators.registryKey || null;
+    const name = label || registryKey;
+    const failures = [];
+
+    for (const [index, locator] of list.entries()) {
+        throwIfCancelled(driver);
+        try {
+            const result = await action(locator);
+            if (registryKey) {
+                recordLookup(registryKey, { matchedIndex: index });
+            }
+            if (list.length > 1) {
+                logAction(driver, 'found', name || describeLocator(locator), {
+                    detail: `via ${describeLocator(locator)}${index > 0 ? ` (fallback ${index})` : ''}`
+                });
+            }
+            return { locator, result };
+        } catch (error) {
+            if (error instanceof JobCancelledError) {
+                throw error;
+            }
+            failures.push(`${describeLocator(locator)}: ${error.message.split('\n')[0]}`);
+        }
+    }
+
+    const message = list.length > 1
+        ? `${name || 'Element'} not found with any of ${list.length} locators (${failures.join('; ')})`
+        : `${name || describeLocator(list[0])}: ${failures[0]}`;
+    if (registryKey) {
+        recordLookup(registryKey, { error: message });
+    }
+    throw new Error(message);
+}
+
+/**
+ * Wait for the first locator of a list that finds an element
+ * @param {Object} driver
+ * @param {Object|Array<Object>} locators - One locator or a list (e.g. from selector())
+ * @param {number} timeout - Per locator
+ * @param {Object} options - { label }
+ * @returns {Promise<WebElement>}
+ */
+async function waitForAny(driver, locators, timeout = TOOLKIT_DEFAULTS.timeoutMs, { label = null } = {}) {
+    const { result: element } = await tryLocators(
+        driver,
+        locators,
+        candidate => driver.wait(until.elementLocated(candidate), timeout),
+        { label }
+    );
+    return element;
+}
+
+/**
+ * Wait until an element is located, visible and enabled
+ * @returns {Promise<WebElement>}
+ */
+async function waitForInteractable(driver, locator, timeout = TOOLKIT_DEFAULTS.timeoutMs) {
+    const element = await driver.wait(until.elementLocated(locator), timeout);
+    await driver.wait(until.elementIsVisible(element), timeout);
+    await driver.wait(until.elementIsEnabled(element), timeout);
+    return element;
+}
+
+function scrollIntoView(driver, element) {
+    return driver.executeScript("arguments[0].scrollIntoView({block: 'center'});", element);
+}
+
+/**
+ * Click, falling back to a script click when something overlays the element
+ */
+async function clickElement(driver, element) {
+    try {
+        await element.click();
+    } catch {
+        await driver.executeScript('arguments[0].click();', element);
+    }
+}
+
+// ============================================================================
+// ELEMENTS
+// ============================================================================
+
+/**
+ * Wait for a loading overlay to go away (Kendo .k-loading-mask by default).
+ * Not finding it gone in time is not an error: the next action waits for its own element.
+ */
+async function waitForLoaderToDisappear(driver, locator = KENDO_LOADER, timeout = 20000) {
+    throwIfCancelled(driver);
+    const started = Date.now();
+    try {
+        await driver.wait(async () => {
+            const loaders = await driver.findElements(locator);
+            if (loaders.length === 0) {
+                return true;
+            }
+            try {
+                return !(await loaders[0].isDisplayed());
+            } catch (e) {
+                if (e.name === 'StaleElementReferenceError') {
+                    return true;
+                }
+                throw e;
+            }
+        }, timeout);
+        logAction(driver, 'loader gone', describeLocator(locator), { detail: `${Date.now() - started}ms` });
+    } catch (error) {
+        logAction(driver, 'loader still shown', describeLocator(locator), { detail: `after ${timeout}ms, continuing` });
+    }
+}
+
+/**
+ * Click an element once it is visible and enabled (scrolled into view first)
+ * @param {Object} driver
+ * @param {Object|Array<Object>} locator - One locator or fallbacks
+ * @param {number} timeout - Per locator
+ * @returns {Promise<WebElement>}
+ */
+async function safeClick(driver, locator, timeout = TOOLKIT_DEFAULTS.timeoutMs) {
+    throwIfCancelled(driver);
+    const { locator: used, result: element } = await tryLocators(driver, locator, async (candidate) => {
+        const el = await waitForInteractable(driver, candidate, timeout);
+        await scrollIntoView(driver, el);
+        await clickElement(driver, el);
+        return el;
+    });
+    logAction(driver, 'click', describeLocator(used));
+    return element;
+}
+
+/**
+ * Click an element by script as soon as it is in the DOM, visible or not
+ * (checkboxes the portal styles over, links inside closed menus)
+ * @param {Object} driver
+ * @param {Object|Array<Object>} locator - One locator or fallbacks
+ * @param {number} timeout - Per locator
+ * @returns {Promise<WebElement>}
+ */
+async function scriptClick(driver, locator, timeout = 10000) {
+    throwIfCancelled(driver);
+    const { locator: used, result: element } = await tryLocators(driver, locator, async (candidate) => {
+        const el = await driver.wait(until.elementLocated(candidate), timeout);
+        await driver.executeScript('arguments[0].click();', el);
+        return el;
+    });
+    logAction(driver, 'click', describeLocator(used), { detail: 'by script' });
+    return element;
+}
+
+/**
+ * Click an element if it shows up in time (optional popups, skip links)
+ * @param {Object} driver
+ * @param {Object|Array<Object>} locator - One locator or fallbacks
+ * @param {number} timeout - Per locator
+ * @param {Object} options - { byScript } to click it with scriptClick (visible or not)
+ * @returns {Promise<boolean>} false when it did not appear
+ */
+async function clickIfPresent(driver, locator, timeout = 5000, { byScript = false } = {}) {
+    try {
+        await (byScript ? scriptClick : safeClick)(driver, locator, timeout);
+        return true;
+    } catch (error) {
+        if (error instanceof JobCancelledError) throw error;
+        logAction(driver, 'click', describeLocator(locator), { detail: 'not shown, skipped' });
+        return false;
+    }
+}
+
+/**
+ * Whether any of the locators finds an element right now (no waiting)
+ * @param {Object} driver
+ * @param {Object|Array<Object>} locator - One locator or a list
+ * @param {Object} options - { displayed } to only count an element that is shown
+ * @returns {Promise<boolean>}
+ */
+async function isPresent(driver, locator, { displayed = false } = {}) {
+    throwIfCancelled(driver);
+    for (const candidate of Array.isArray(locator) ? locator : [locator]) {
+        const [element] = await driver.findElements(candidate);
+        if (element && (!displayed || await element.isDisplayed().catch(() => false))) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Move the mouse over an element (menus that open on hover)
+ * @param {Object} driver
+ * @param {Object|Array<Object>} locator - One locator or fallbacks
+ * @param {number} timeout - Per locator
+ * @returns {Promise<WebElement>}
+ */
+async function hover(driver, locator, timeout = TOOLKIT_DEFAULTS.timeoutMs) {
+    throwIfCancelled(driver);
+    const { locator: used, result: element } = await tryLocators(driver, locator, async (candidate) => {
+        const el = await driver.wait(until.elementLocated(candidate), timeout);
+        await driver.wait(until.elementIsVisible(el), timeout);
+        await driver.actions({ bridge: true }).move({ origin: el }).perform();
+        return el;
+    });
+    logAction(driver, 'hover', describeLocator(used));
+    return element;
+}
+
+/**
+ * Tick or untick a checkbox by script; nothing is clicked when it already has that state
+ * @param {Object} driver
+ * @param {Object|Array<Object>} locator - One locator or fallbacks
+ * @param {boolean} checked - Wanted state
+ * @returns {Promise<boolean>} Whether it was clicked
+ */
+async function setCheckbox(driver, locator, checked = true, timeout = 10000) {
+    throwIfCancelled(driver);
+    const { locator: used, result: changed } = await tryLocators(driver, locator, async (candidate) => {
+        const el = await driver.wait(until.elementLocated(candidate), timeout);
+        if ((await el.isSelected()) === checked) {
+            return false;
+        }
+        await driver.executeScript('arguments[0].click();', el);
+        return true;
+    });
+    logAction(driver, checked ? 'check' : 'uncheck', describeLocator(used), { detail: changed ? null : 'already' });
+    return changed;
+}
+
+/**
+ * Wait for a window the last action opened
+ * @param {Object} driver
+ * @param {Array<string>} handlesBefore - getAllWindowHandles() before the action
+ * @param {number} timeout
+ * @returns {Promise<string|null>} Handle of the new window, null when none opened
+ */
+async function waitForNewWindow(driver, handlesBefore, timeout = 10000) {
+    throwIfCancelled(driver);
+    try {
+        const handle = await driver.wait(async () => {
+            const handles = await driver.getAllWindowHandles();
+            return handles.find(candidate => !handlesBefore.includes(candidate)) || false;
+        }, timeout);
+        logAction(driver, 'window opened', handle);
+        return handle;
+    } catch (error) {
+        if (error instanceof JobCancelledError) throw error;
+        logAction(driver, 'window opened', 'none', { detail: `after ${timeout}ms` });
+        return null;
+    }
+}
+
+/**
+ * Scroll to an element and click it, or its closest button / link
+ * (Angular Material puts the text in a span inside the button)
+ * @param {Object} driver
+ * @param {Object|Array<Object>} locator - One locator or fallbacks
+ * @param {number} timeout - Per locator
+ * @returns {Promise<WebElement>} The element clicked
+ */
+async function scrollAndClick(driver, locator, timeout = 5000) {
+    throwIfCancelled(driver);
+    const { locator: used, result: target } = await tryLocators(driver, locator, async (candidate) => {
+        const el = await driver.wait(until.elementLocated(candidate), timeout);
+        await driver.wait(until.elementIsVisible(el), timeout);
+        const clickable = await driver.executeScript(`
+            const element = arguments[0];
+            if (!element) return null;
+            const tag = (element.tagName || '').toLowerCase();
+            if (['button', 'a'].includes(tag)) return element;
+            const role = element.getAttribute ? element.getAttribute('role') : null;
+            if (role && ['button', 'link'].includes(role)) return element;
+            const buttonParent = element.closest ? element.closest('button, a, [role="button"], [role="link"]') : null;
+            return buttonParent || element;
+        `, el);
+        await scrollIntoView(driver, clickable);
+        await driver.sleep(150);
+        await clickElement(driver, clickable);
+        return clickable;
+    });
+    logAction(driver, 'click', describeLocator(used));
+    return target;
+}
+
+/**
+ * Scroll to an element already found and click it
+ * @returns {Promise<WebElement>}
+ */
+async function scrollAndClickElement(driver, element, timeout = 10000) {
+    throwIfCancelled(driver);
+    if (!element) {
+        throw new Error('scrollAndClickElement received null element');
+    }
+    await driver.wait(until.elementIsVisible(element), timeout);
+    await scrollIntoView(driver, element);
+    await driver.sleep(150);
+    await clickElement(driver, element);
+    logAction(driver, 'click', 'element');
+    return element;
+}
+
+/**
+ * Type into a field (cleared first). If the portal's widgets swallow the
+ * keystrokes, the value is set by script and an input event dispatched.
+ * @param {Object} driver
+ * @param {Object|Array<Object>} locator - One locator or fallbacks
+ * @param {string} text
+ * @param {number} timeout - Per locator
+ * @returns {Promise<WebElement>}
+ */
+async function safeSendKeys(driver, locator, text, timeout = 10000) {
+    throwIfCancelled(driver);
+    let method = 'keys';
+    const { locator: used, result: element } = await tryLocators(driver, locator, async (candidate) => {
+        const el = await waitForInteractable(driver, candidate, timeout);
+        await scrollIntoView(driver, el);
+        await driver.sleep(TOOLKIT_DEFAULTS.settleMs);
+        try {
+            await el.clear();
+            await el.sendKeys(text);
+        } catch {
+            method = 'script';
+            await driver.executeScript(`
+                arguments[0].value = arguments[1];
+                arguments[0].dispatchEvent(new Event('input', { bubbles: true }));
+            `, el, String(text));
+        }
+        return el;
+    });
+    logAction(driver, 'type', describeLocator(used), { detail: `${String(text).length} chars${method === 'script' ? ', by script' : ''}` });
+    return element;
+}
+
+/**
+ * Set a field's value by script without waiting for it to be visible
+ * (fields the portal keeps hidden until another control changes)
+ * @param {Object} options - { event } dispatched after setting the value
+ *   ('change' for date pickers, which ignore input)
+ * @returns {Promise<WebElement>}
+ */
+async function forceSendKeys(driver, locator, text, timeout = 10000, { event = 'input' } = {}) {
+    throwIfCancelled(driver);
+    const { locator: used, result: element } = await tryLocators(driver, locator, async (candidate) => {
+        const el = await driver.wait(until.elementLocated(candidate), timeout);
+        await scrollIntoView(driver, el);
+        await driver.sleep(TOOLKIT_DEFAULTS.settleMs);
+        await driver.executeScript(`
+            arguments[0].value = arguments[1];
+            arguments[0].dispatchEvent(new Event(arguments[2], { bubbles: true }));
+        `, el, String(text), event);
+        return el;
+    });
+    logAction(driver, 'type', describeLocator(used), { detail: `${String(text).length} chars, forced` });
+    return element;
+}
+
+/**
+ * Wait for an element with retries, then click it or hand it back
+ * @param {Object} driver
+ * @param {Object} locator
+ * @param {string} action - 'click', or anything else to only return the element
+ * @param {number} maxRetries
+ * @param {number} timeout - Per attempt
+ * @returns {Promise<WebElement>}
+ */
+async function waitForElementAndRetry(driver, locator, action, maxRetries = 3, timeout = 10000) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+        throwIfCancelled(driver);
+        try {
+            const element = await waitForInteractable(driver, locator, timeout);
+            await scrollIntoView(driver, element);
+            await driver.sleep(TOOLKIT_DEFAULTS.settleMs);
+            if (action === 'click') {
+                await clickElement(driver, element);
+            }
+            logAction(driver, action === 'click' ? 'click' : 'found', describeLocator(locator), {
+                detail: attempt > 1 ? `attempt ${attempt}` : null
+            });
+            return element;
+        } catch (error) {
+            if (error instanceof JobCancelledError || attempt === maxRetries) {
+                logAction(driver, action, describeLocator(locator), { ok: false, detail: error.message.split('\n')[0] });
+                throw error;
+            }
+            logAction(driver, action, describeLocator(locator), { ok: false, detail: `attempt ${attempt}/${maxRetries}, retrying` });
+            await driver.sleep(2000);
+        }
+    }
+}
+
+/**
+ * Select a value in a native <select> by script (fires change)
+ * @param {Object} driver
+ * @param {string|Object} select - Element id or locator
+ * @param {string} value - Option value
+ * @returns {Promise<WebElement>}
+ */
+async function selectNativeOption(driver, select, value, timeout = 10000) {
+    throwIfCancelled(driver);
+    const locator = typeof select === 'string' ? By.id(select) : select;
+    const element = await waitForInteractable(driver, locator, timeout);
+    await scrollIntoView(driver, element);
+    await driver.sleep(TOOLKIT_DEFAULTS.settleMs);
+
+    await driver.executeScript(`
+        arguments[0].value = arguments[1];
+        arguments[0].dispatchEvent(new Event('change', { bubbles: true }));
+    `, element, String(value));
+
+    logAction(driver, 'select', describeLocator(select), { detail: `value ${value}` });
+    await driver.sleep(2000); // Dependent fields reload on change
+    return element;
+}
+
+// ============================================================================
+// KENDO UI (Reliance)
+// ============================================================================
+
+/**
+ * Wait until a Kendo widget is initialised on an element
+ * @param {Object} driver
+ * @param {string} elementId
+ * @param {string} widget - jQuery data key, e.g. kendoDropDownList, kendoAutoComplete
+ */
+async function waitForKendoWidget(driver, elementId, widget = 'kendoDropDownList', timeout = 10000) {
+    throwIfCancelled(driver);
+    await driver.wait(
+        () => driver.executeScript(
+            'return !!(window.jQuery && jQuery("#" + arguments[0]).data(arguments[1]));',
+            elementId,
+            widget
+        ),
+        timeout,
+        `${widget} #${elementId} not initialised`
+    );
+}
+
+/**
+ * Text currently shown by a Kendo DropDownList
+ * @returns {Promise<string|null>}
+ */
+async function kendoDropDownText(driver, elementId, timeout = 10000) {
+    await waitForKendoWidget(driver, elementId, 'kendoDropDownList', timeout);
+    return driver.executeScript(
+        'var w = jQuery("#" + arguments[0]).data("kendoDropDownList"); return w ? w.text() : null;',
+        elementId
+    );
+}
+
+/**
+ * Select an item of a Kendo DropDownList through the widget API (fires change)
+ * Tried in order: value (exact), text (exact, then contains; commas ignored), index.
+ * @param {Object} driver
+ * @param {string} elementId
+ * @param {Object} choice - { value, text, index }; index alone selects by position, with text / value it is the fallback
+ * @returns {Promise<Object>} { ok, method, text, value, reason }
+ */
+async function kendoSelect(driver, elementId, { value = null, text = null, index = null } = {}, timeout = 10000) {
+    try {
+        await waitForKendoWidget(driver, elementId, 'kendoDropDownList', timeout);
+    } catch (error) {
+        if (error instanceof JobCancelledError) throw error;
+        logAction(driver, 'select', `#${elementId}`, { ok: false, detail: 'widget not initialised' });
+        return { ok: false, method: 'kendo', reason: 'widget not initialised' };
+    }
+
+    const result = await driver.executeScript(`
+        var widget = jQuery("#" + arguments[0]).data("kendoDropDownList");
+        var wantValue = arguments[1], wantText = arguments[2], wantIndex = arguments[3];
+        var clean = function (s) { return String(s == null ? '' : s).replace(/,/g, '').trim().toUpperCase(); };
+        var items = widget.dataSource ? widget.dataSource.data() : [];
+        var textOf = function (item) { return item.Text || item.text || ''; };
+        var valueOf = function (item) { return item.Value !== undefined ? item.Value : item.value; };
+        var found = null, method = null;
+
+        for (var i = 0; wantValue !== null && !found && i < items.length; i++) {
+            if (String(valueOf(items[i])) === String(wantValue)) { found = items[i]; method = 'value'; }
+        }
+        for (var j = 0; wantText !== null && !found && j < items.length; j++) {
+            if (clean(textOf(items[j])) === clean(wantText) || clean(valueOf(items[j])) === clean(wantText)) { found = items[j]; method = 'text'; }
+        }
+        for (var k = 0; wantText !== null && !found && k < items.length; k++) {
+            if (clean(textOf(items[k])).indexOf(clean(wantText)) !== -1) { found = items[k]; method = 'text-contains'; }
+        }
+
+        if (found) {
+            widget.value(valueOf(found));
+        } else if (wantIndex !== null && items.length > wantIndex) {
+            widget.select(wantIndex);
+            found = widget.dataItem(widget.select());
+            method = 'index';
+        } else {
+            return { ok: false, method: 'kendo', reason: 'no matching item among ' + items.length };
+        }
+        widget.trigger('change');
+        return { ok: true, method: method, text: textOf(found), value: valueOf(found) };
+    `, elementId, value, text, index);
+
+    logAction(driver, 'select', `#${elementId}`, {
+        ok: result.ok,
+        detail: result.ok ? `${result.text} by ${result.method}` : result.reason
+    });
+    return result;
+}
+
+/**
+ * Type into a Kendo AutoComplete and click its first suggestion
+ * @param {Object} driver
+ * @param {Object|Array<Object>} input - The autocomplete input (or fallbacks)
+ * @param {string} text - What to type
+ * @param {Object|Array<Object>} firstOption - The first suggestion (or fallbacks)
+ * @param {Object} options - { timeout } per locator
+ * @returns {Promise<boolean>} false when no suggestion appeared (the typed text stays in the field)
+ * @throws {Error} The input was not found
+ */
+async function kendoAutocomplete(driver, input, text, firstOption, { timeout = 10000 } = {}) {
+    throwIfCancelled(driver);
+    const { locator: used } = await tryLocators(driver, input, async (candidate) => {
+        const el = await waitForInteractable(driver, candidate, timeout);
+        await scrollIntoView(driver, el);
+        await el.clear();
+        await el.click();
+        await el.sendKeys(text);
+        // The widget searches on keyup; some builds only listen for input / change
+        await driver.executeScript(`
+            var input = arguments[0];
+            ['input', 'keyup', 'change'].forEach(function (type) {
+                input.dispatchEvent(new Event(type, { bubbles: true }));
+            });
+        `, el);
+    });
+    await driver.sleep(TOOLKIT_DEFAULTS.autocompleteMs);
+
+    try {
+        const option = await waitForAny(driver, firstOption, 5000);
+        await driver.wait(until.elementIsVisible(option), 5000);
+        await clickElement(driver, option);
+        await driver.sleep(TOOLKIT_DEFAULTS.settleMs);
+        logAction(driver, 'autocomplete', describeLocator(used), { detail: `"${text}"` });
+        return true;
+    } catch (error) {
+        if (error instanceof JobCancelledError) throw error;
+        logAction(driver, 'autocomplete', describeLocator(used), { ok: false, detail: `no suggestion for "${text}"` });
+        return false;
+    }
+}
+
+// ============================================================================
+// ANGULAR MATERIAL (National)
+// ============================================================================
+
+/**
+ * Pick an option of a mat-select: open it, click the option containing the text
+ * (exact match from the option list as fallback), close the panel
+ * @param {Object} driver
+ * @param {Object|Array<Object>} trigger - The mat-select (or fallbacks)
+ * @param {string} optionText
+ * @param {number} timeout - Per locator
+ * @throws {Error} The select or the option was not found
+ */
+async function matSelectOption(driver, trigger, optionText, timeout = TOOLKIT_DEFAULTS.timeoutMs) {
+    throwIfCancelled(driver);
+    const { locator: used } = await tryLocators(driver, trigger, async (candidate) => {
+        const el = await waitForInteractable(driver, candidate, timeout);
+        await clickElement(driver, el);
+    });
+    await driver.sleep(TOOLKIT_DEFAULTS.optionsLoadMs);
+
+    try {
+        const option = await waitForInteractable(driver, By.xpath(`//mat-option[contains(., ${xpathLiteral(optionText)})]`), timeout);
+        await clickElement(driver, option);
+    } catch (optionError) {
+        if (optionError instanceof JobCancelledError) throw optionError;
+
+        const options = await driver.findElements(By.css('mat-option'));
+        const exact = await driver.executeScript(`
+            const desired = arguments[1].trim().toLowerCase();
+            return arguments[0].find(opt => (opt.textContent || '').trim().toLowerCase() === desired) || null;
+        `, options, optionText);
+
+        if (!exact) {
+            const available = [];
+            for (const opt of options.slice(0, 10)) {
+                available.push((await opt.getText()).trim());
+            }
+            await closeOverlay(driver);
+            logAction(driver, 'select', describeLocator(used), { ok: false, detail: `"${optionText}" not among ${options.length} options` });
+            throw new Error(`Option "${optionText}" not found (available: ${available.join(', ') || 'none'})`);
+        }
+        await driver.executeScript('arguments[0].click();', exact);
+    }
+
+    await driver.sleep(TOOLKIT_DEFAULTS.settleMs);
+    await closeOverlay(driver);
+    logAction(driver, 'select', describeLocator(used), { detail: `"${optionText}"` });
+}
+
+/**
+ * Type into a mat-autocomplete and pick an option (the first one unless optionText is given)
+ * @param {Object} driver
+ * @param {Object|Array<Object>} input - The autocomplete input (or fallbacks)
+ * @param {string} text - What to type
+ * @param {Object} options - { optionText, timeout }
+ * @returns {Promise<boolean>} false when no option appeared (the typed text stays in the field)
+ * @throws {Error} The input was not found
+ */
+async function matAutocomplete(driver, input, text, { optionText = null, timeout = TOOLKIT_DEFAULTS.timeoutMs } = {}) {
+    throwIfCancelled(driver);
+    const { locator: used } = await tryLocators(driver, input, async (candidate) => {
+        const el = await waitForInteractable(driver, candidate, timeout);
+        await el.clear();
+        await el.sendKeys(text);
+    });
+    await driver.sleep(TOOLKIT_DEFAULTS.autocompleteMs);
+
+    const optionLocator = optionText
+        ? By.xpath(`//mat-option[contains(normalize-space(.), ${xpathLiteral(optionText)})]`)
+        : By.css('mat-option');
+    try {
+        const option = await driver.wait(until.elementLocated(optionLocator), 5000);
+        await clickElement(driver, option);
+        await driver.sleep(TOOLKIT_DEFAULTS.settleMs);
+        logAction(driver, 'autocomplete', describeLocator(used), { detail: `"${text}"` });
+        return true;
+    } catch (error) {
+        if (error instanceof JobCancelledError) throw error;
+        logAction(driver, 'autocomplete', describeLocator(used), { ok: false, detail: `no option for "${text}"` });
+        return false;
+    }
+}
+
+/**
+ * Switch a mat-slide-toggle on (no-op when it already is)
+ * @param {Object} driver
+ * @param {Object|Array<Object>} locator - The toggle or anything inside it (or fallbacks)
+ * @param {string} description - For the log
+ * @returns {Promise<WebElement>} The toggle
+ */
+async function matSlideToggleOn(driver, locator, description = 'slide toggle') {
+    throwIfCancelled(driver);
+    const { result: located } = await tryLocators(
+        driver,
+        locator,
+        candidate => driver.wait(until.elementLocated(candidate), 5000),
+        { label: description }
+    );
+
+    const toggle = await driver.executeScript(`
+        const el = arguments[0];
+        if (!el) return null;
+        if (el.tagName && el.tagName.toLowerCase() === 'mat-mdc-slide-toggle') return el;
+        return (el.closest ? el.closest('mat-mdc-slide-toggle') : null) || el;
+    `, located);
+    if (!toggle) {
+        throw new Error(`${description} root slide-toggle element could not be resolved.`);
+    }
+
+    await driver.wait(until.elementIsVisible(toggle), 10000);
+    await scrollIntoView(driver, toggle);
+    await driver.sleep(200);
+
+    const isOn = await driver.executeScript(`
+        const toggle = arguments[0];
+        const button = toggle.querySelector ? toggle.querySelector('button[role="switch"]') : null;
+        return (button || toggle).getAttribute('aria-checked') === 'true';
+    `, toggle);
+    if (isOn) {
+        logAction(driver, 'toggle', description, { detail: 'already on' });
+        return toggle;
+    }
+
+    await driver.executeScript(`
+        const toggle = arguments[0];
+        const target = toggle.querySelector('button.mdc-switch__handle')
+            || toggle.querySelector('input.mdc-switch__native-control')
+            || toggle.querySelector('.mdc-switch__icons')
+            || toggle;
+        target.click();
+    `, toggle);
+    await driver.sleep(400);
+    logAction(driver, 'toggle', description, { detail: 'on' });
+    return toggle;
+}
+
+/**
+ * Expand a mat-expansion-panel if it is collapsed
+ * @param {Object} driver
+ * @param {Object} headerLocator - The panel header or anything inside it
+ * @param {string} description - For the log
+ * @returns {Promise<boolean>} false when the header was not found (section may be laid out without a panel)
+ */
+async function matExpandPanel(driver, headerLocator, description = 'panel') {
+    throwIfCancelled(driver);
+    try {
+        const header = await driver.wait(until.elementLocated(headerLocator), 5000);
+        await scrollIntoView(driver, header);
+        await driver.sleep(200);
+        const expanded = await driver.executeScript(`
+            const panel = arguments[0].closest ? arguments[0].closest('mat-expansion-panel') : null;
+            if (!panel) return false;
+            if (panel.hasAttribute('aria-expanded')) return panel.getAttribute('aria-expanded') === 'true';
+            return panel.classList.contains('mat-expanded');
+        `, header);
+        if (!expanded) {
+            await driver.executeScript('arguments[0].click();', header);
+            await driver.sleep(800);
+        }
+        logAction(driver, 'expand', description, { detail: expanded ? 'already open' : 'opened' });
+        return true;
+    } catch (error) {
+        if (error instanceof JobCancelledError) throw error;
+        logAction(driver, 'expand', description, { ok: false, detail: error.message.split('\n')[0] });
+        return false;
+    }
+}
+
+/**
+ * Close an open overlay (select panel, autocomplete) by clicking the page body
+ */
+async function closeOverlay(driver) {
+    try {
+        await driver.executeScript('document.body.click();');
+        await driver.sleep(TOOLKIT_DEFAULTS.settleMs);
+    } catch {
+        // Nothing open
+    }
+}
+
+/**
+ * Quote a string for XPath (handles embedded quotes)
+ */
+function xpathLiteral(value) {
+    const text = String(value);
+    if (!text.includes("'")) return `'${text}'`;
+    if (!text.includes('"')) return `"${text}"`;
+    return `concat('${text.split("'").join(`', "'", '`)}')`;
+}
+
+// ============================================================================
+// ERROR CAPTURE
+// ============================================================================
+
+/**
+ * Screenshot and page source of a failure, uploaded to S3 and logged on the job
+ * @param {WebDriver} driver
+ * @param {Error} error
+ * @param {Object} data - Filler data (_jobIdentifier, _attemptNumber, _jobId, _jobQueueCollection)
+ * @param {string} errorStage - Step the error happened in (e.g. "fill-vehicle-details")
+ * @param {Object} options - { portal } for identifiers of standalone runs
+ * @returns {Promise<Object>} { screenshotUrl, screenshotKey, pageSourceUrl, pageSourceKey } (nulls when the capture failed)
+ */
+async function captureErrorScreenshot(driver, error, data = {}, errorStage = 'unknown', { portal = 'job' } = {}) {
+    const captured = { screenshotUrl: null, screenshotKey: null, pageSourceUrl: null, pageSourceKey: null };
+    if (!driver) {
+        console.log('⚠️  No driver available for screenshot');
+        return captured;
+    }
+
+    try {
+        const screenshot = await driver.takeScreenshot();
+        const attemptNumber = data._attemptNumber || 1;
+        captured.screenshotKey = generateScreenshotKey(data._jobIdentifier || `${portal}_${Date.now()}`, attemptNumber, errorStage);
+        captured.screenshotUrl = await uploadScreenshotToS3(screenshot, captured.screenshotKey);
+        console.log(`📸 Error screenshot uploaded to S3: ${captured.screenshotUrl}`);
+
+        try {
+            const tempHtmlPath = path.join(os.tmpdir(), `page-source-${Date.now()}.html`);
+            fs.writeFileSync(tempHtmlPath, await driver.getPageSource());
+            captured.pageSourceKey = captured.screenshotKey.replace('.png', '.html');
+            captured.pageSourceUrl = await uploadToS3(tempHtmlPath, captured.pageSourceKey);
+            fs.unlinkSync(tempHtmlPath);
+            console.log(`📄 Page source uploaded to S3: ${captured.pageSourceUrl}`);
+        } catch (sourceErr) {
+            console.log('⚠️  Could not capture page source:', sourceErr.message);
+        }
+
+        if (data._jobId && data._jobQueueCollection) {
+            const errorLog = {
+                timestamp: new Date(),
+                attemptNumber,
+                errorMessage: error.message || String(error),
+                errorType: error.name || 'UnknownError',
+                errorStack: error.stack || null,
+                ...captured,
+                stage: errorStage,
+                actions: recentActions(driver)
+            };
+            await data._jobQueueCollection.updateOne(
+                { _id: data._jobId },
+                { $push: { errorLogs: errorLog }, $set: { [`last_${errorStage}_error`]: errorLog } }
+            );
+            console.log(`✅ Error logged to job queue (stage: ${errorStage})`);
+        }
+    } catch (captureErr) {
+        console.error('❌ Failed to capture/upload error screenshot:', captureErr.message);
+    }
+
+    return captured;
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+    TOOLKIT_DEFAULTS,
+    KENDO_LOADER,
+
+    // Step log
+    bindActionLog,
+    logAction,
+    recentActions,
+    describeLocator,
+
+    // Elements
+    tryLocators,
+    waitForAny,
+    waitForInteractable,
+    waitForLoaderToDisappear,
+    isPresent,
+    safeClick,
+    scriptClick,
+    clickIfPresent,
+    scrollAndClick,
+    scrollAndClickElement,
+    hover,
+    setCheckbox,
+    safeSendKeys,
+    forceSendKeys,
+    waitForElementAndRetry,
+    selectNativeOption,
+    waitForNewWindow,
+
+    // Kendo UI
+    waitForKendoWidget,
+    kendoDropDownText,
+    kendoSelect,
+    kendoAutocomplete,
+
+    // Angular Material
+    matSelectOption,
+    matAutocomplete,
+    matSlideToggleOn,
+    matExpandPanel,
+    closeOverlay,
+
+    // Errors
+    captureErrorScreenshot
+};
@@ -0,0 +1,200 @@
+/**
+ * 💰 Premium Guard
+ * Last check before money moves: the premium the portal quotes must match
+ * what the request expects, or the job stops with E405_PREMIUM_MISMATCH
+ *
+ * The expectation comes from, in order:
+ * 1. `expectedPremium` on the request - the amount the customer was quoted
+ * 2. A range derived from IDV, add-ons and OD discount (PREMIUM_RATES)
+ * With neither the check is skipped, and the result says so. With an
+ * expectation but no readable portal premium the payment is blocked too
+ * (opt out with PREMIUM_CHECK_STRICT=false).
+ *
+ * The derived range is a sanity bound against wrong-vehicle / wrong-IDV
+ * quotes, not a rating engine; tune it with the PREMIUM_* variables.
+ */
+
+const { TransactionError } = require('./errorHandler');
+const { parseAmount } = require('./portalArtifacts');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const PREMIUM_CHECK_STATUS = {
+    PASSED: 'passed',
+    MISMATCH: 'mismatch',       // Portal premium outside the expected range - blocks payment
+    UNREADABLE: 'unreadable',   // Expectation known but the portal premium could not be read
+    SKIPPED: 'skipped'          // Nothing to compare against
+};
+
+function envNumber(name, fallback) {
+    const value = parseFloat(process.env[name]);
+    return Number.isFinite(value) ? value : fallback;
+}
+
+const PREMIUM_TOLERANCE = {
+    percent: envNumber('PREMIUM_TOLERANCE_PERCENT', 10),
+    amount: envNumber('PREMIUM_TOLERANCE_AMOUNT', 100), // ₹ floor so small premiums are not flagged over rounding
+    // An unreadable premium blocks payment whenever there is an expectation; PREMIUM_CHECK_STRICT=false lets it through
+    strict: process.env.PREMIUM_CHECK_STRICT !== 'false'
+};
+
+const PREMIUM_RATES = {
+    odRatePercent: {
+        min: envNumber('PREMIUM_OD_RATE_MIN', 0.5), // % of IDV, before OD discount
+        max: envNumber('PREMIUM_OD_RATE_MAX', 4)
+    },
+    tpPremium: {
+        min: envNumber('PREMIUM_TP_MIN', 0),
+        max: envNumber('PREMIUM_TP_MAX', 3000)
+    },
+    addOns: {
+        zeroDepreciation: { idvPercent: { min: 0, max: 1.5 } },
+        paCover: { amount: { min: 0, max: 1000 } }
+    },
+    gstPercent: 18
+};
+
+// ============================================================================
+// EXPECTATION
+// ============================================================================
+
+function isSelected(value) {
+    return value === true || ['true', 'yes', '1'].includes(String(value).toLowerCase());
+}
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Premium range the request allows
+ * @param {Object} formData - Job formData
+ * @param {Object} options - { tolerance, rates } overrides
+ * @returns {Object|null} { source, expected, min, max } or null when nothing can be derived
+ */
+function expectedPremiumRange(formData, { tolerance = PREMIUM_TOLERANCE, rates = PREMIUM_RATES } = {}) {
+    const explicit = parseAmount(formData.expectedPremium);
+    if (explicit !== null && explicit > 0) {
+        const allowance = Math.max(explicit * tolerance.percent / 100, tolerance.amount);
+        return {
+            source: 'expectedPremium',
+            expected: explicit,
+            min: round(Math.max(0, explicit - allowance)),
+            max: round(explicit + allowance)
+        };
+    }
+
+    const idv = parseAmount(formData.idv);
+    if (idv === null || idv <= 0) {
+        return null;
+    }
+
+    const discount = Math.min(Math.max(parseAmount(formData.discount ?? formData.ODDiscount) || 0, 0), 95);
+    const odFactor = idv / 100 * (1 - discount / 100);
+
+    let min = odFactor * rates.odRatePercent.min + rates.tpPremium.min;
+    let max = odFactor * rates.odRatePercent.max + rates.tpPremium.max;
+
+    if (isSelected(formData.zeroDepreciation)) {
+        min += idv / 100 * rates.addOns.zeroDepreciation.idvPercent.min;
+        max += idv / 100 * rates.addOns.zeroDepreciation.idvPercent.max;
+    }
+    if (isSelected(formData.paCover)) {
+        min += rates.addOns.paCover.amount.min;
+        max += rates.addOns.paCover.amount.max;
+    }
+
+    const gst = 1 + rates.gstPercent / 100;
+    return {
+        source: 'derived',
+        expected: null,
+        min: round(Math.max(0, min * gst * (1 - tolerance.percent / 100) - tolerance.amount)),
+        max: round(max * gst * (1 + tolerance.percent / 100) + tolerance.amount)
+    };
+}
+
+/**
+ * The amount the customer would pay, from a portal premium breakdown
+ * @param {Object} premium - From lib/portalArtifacts.buildPremiumBreakdown
+ * @returns {number|null}
+ */
+function payablePremium(premium) {
+    if (!premium) return null;
+    if (premium.totalPremium !== undefined) return premium.totalPremium;
+    if (premium.netPremium !== undefined && premium.gst !== undefined) return round(premium.netPremium + premium.gst);
+    return null;
+}
+
+// ============================================================================
+// CHECK
+// ============================================================================
+
+/**
+ * Compare the portal's premium with what the request expects
+ * @param {Object} formData - Job formData
+ * @param {Object} premium - Portal premium breakdown (may be null)
+ * @param {Object} options - { tolerance, rates } overrides
+ * @returns {Object} { status, source, expected, min, max, actual, reason, blocksPayment, checkedAt }
+ */
+function checkPremium(formData, premium, options = {}) {
+    const tolerance = options.tolerance || PREMIUM_TOLERANCE;
+    const range = expectedPremiumRange(formData, { ...options, tolerance });
+    const actual = payablePremium(premium);
+    const result = {
+        source: range ? range.source : null,
+        expected: range ? range.expected : null,
+        min: range ? range.min : null,
+        max: range ? range.max : null,
+        actual,
+        checkedAt: new Date()
+    };
+
+    if (!range) {
+        return { ...result, status: PREMIUM_CHECK_STATUS.SKIPPED, reason: 'No expectedPremium or IDV on the request', blocksPayment: false };
+    }
+    if (actual === null) {
+        return {
+            ...result,
+            status: PREMIUM_CHECK_STATUS.UNREADABLE,
+            reason: 'Portal premium could not be read',
+            blocksPayment: tolerance.strict
+        };
+    }
+    if (actual < range.min || actual > range.max) {
+        return {
+            ...result,
+            status: PREMIUM_CHECK_STATUS.MISMATCH,
+            reason: `Portal premium ${actual} is outside the expected ${range.min}-${range.max} (${range.source})`,
+            blocksPayment: true
+        };
+    }
+    return { ...result, status: PREMIUM_CHECK_STATUS.PASSED, reason: null, blocksPayment: false };
+}
+
+/**
+ * E405 for a check that blocks payment
+ * @param {Object} check - From checkPremium()
+ * @param {Object} context - { insurer, proposalNumber }
+ * @returns {TransactionError}
+ */
+function premiumMismatchError(check, { insurer = null, proposalNumber = null } = {}) {
+    return new TransactionError(proposalNumber, 'pre-payment', 'E405_PREMIUM_MISMATCH', {
+        message: `[E405] Premium check failed before payment: ${check.reason}`,
+        insurer,
+        premiumCheck: check
+    });
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+    PREMIUM_CHECK_STATUS,
+    PREMIUM_TOLERANCE,
+    PREMIUM_RATES,
+    expectedPremiumRange,
+    payablePremium,
+    checkPremium,
+    premiumMismatchError
+};
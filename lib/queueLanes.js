@@ -0,0 +1,182 @@
+/**
+ * 🚦 Queue Lanes
+ * Per-insurer lanes for the shared RelianceJobQueue collection
+ *
+ * Every insurer runs on its own browser/session stack, so each insurer
+ * adapter (lib/insurerRegistry.js) gets a lane with its own concurrency
+ * limit and pause switch. Lane settings live in MongoDB so every server
+ * instance honours the same pause/limit decisions.
+ */
+
+const { DEFAULT_INSURER, listInsurers, resolveInsurer } = require('./insurerRegistry');
+
+// ============================================================================
+// LANE DEFINITIONS
+// ============================================================================
+
+const LANE_SETTINGS_COLLECTION = 'JobQueueLanes';
+
+/**
+ * Default settings per lane (per server instance), from each adapter's lane.
+ * Overridable at runtime via the lanes API (persisted in JobQueueLanes).
+ */
+const LANE_DEFAULTS = Object.fromEntries(
+    listInsurers().map(adapter => [adapter.key, { maxConcurrent: adapter.lane.maxConcurrent }])
+);
+
+const LANES = Object.keys(LANE_DEFAULTS);
+
+const MAX_LANE_CONCURRENCY = 10; // Hard ceiling to protect the host from runaway Chrome instances
+
+/**
+ * Resolve the lane for a job from its form data.
+ * Same routing as runPolicyJob: the insurer Companyname names, else the default insurer.
+ * @param {Object} formData - Job form data
+ * @returns {string} Lane name
+ */
+function resolveLane(formData = {}) {
+    return resolveInsurer(formData).key;
+}
+
+/**
+ * Check whether a lane name is known
+ * @param {string} lane - Lane name
+ * @returns {boolean}
+ */
+function isValidLane(lane) {
+    return LANES.includes(lane);
+}
+
+// ============================================================================
+// PERSISTED LANE SETTINGS
+// ============================================================================
+
+/**
+ * Load effective settings for every lane (defaults merged with persisted overrides)
+ * @param {Object} collection - JobQueueLanes collection
+ * @returns {Promise<Object>} Map of lane -> { lane, paused, maxConcurrent, pausedAt, pausedBy, pauseReason }
+ */
+async function loadLaneSettings(collection) {
+    const stored = await collection.find({ _id: { $in: LANES } }).toArray();
+    const storedByLane = Object.fromEntries(stored.map(doc => [doc._id, doc]));
+
+    const settings = {};
+    for (const lane of LANES) {
+        const doc = storedByLane[lane] || {};
+        settings[lane] = {
+            lane,
+            paused: doc.paused === true,
+            maxConcurrent: Number.isInteger(doc.maxConcurrent) ? doc.maxConcurrent : LANE_DEFAULTS[lane].maxConcurrent,
+            pausedAt: doc.pausedAt || null,
+            pausedBy: doc.pausedBy || null,
+            pauseReason: doc.pauseReason || null,
+            updatedAt: doc.updatedAt || null
+        };
+    }
+
+    return settings;
+}
+
+/**
+ * Pause or resume a lane. Running jobs finish; no new jobs are claimed while paused.
+ * @param {Object} collection - JobQueueLanes collection
+ * @param {string} lane - Lane name
+ * @param {boolean} paused - Desired state
+ * @param {Object} options - { by, reason }
+ * @returns {Promise<Object>} Updated lane settings
+ */
+async function setLanePaused(collection, lane, paused, { by = null, reason = null } = {}) {
+    const update = paused
+        ? { paused: true, pausedAt: new Date(), pausedBy: by, pauseReason: reason }
+        : { paused: false, pausedAt: null, pausedBy: null, pauseReason: null, resumedAt: new Date(), resumedBy: by };
+
+    await collection.updateOne(
+        { _id: lane },
+        { $set: { ...update, updatedAt: new Date() } },
+        { upsert: true }
+    );
+
+    return (await loadLaneSettings(collection))[lane];
+}
+
+/**
+ * Change a lane's per-instance concurrency limit
+ * @param {Object} collection - JobQueueLanes collection
+ * @param {string} lane - Lane name
+ * @param {number} maxConcurrent - New limit (0 behaves like a pause)
+ * @returns {Promise<Object>} Updated lane settings
+ */
+async function setLaneConcurrency(collection, lane, maxConcurrent) {
+    if (!Number.isInteger(maxConcurrent) || maxConcurrent < 0 || maxConcurrent > MAX_LANE_CONCURRENCY) {
+        throw new RangeError(`maxConcurrent must be an integer between 0 and ${MAX_LANE_CONCURRENCY}`);
+    }
+
+    await collection.updateOne(
+        { _id: lane },
+        { $set: { maxConcurrent, updatedAt: new Date() } },
+        { upsert: true }
+    );
+
+    return (await loadLaneSettings(collection))[lane];
+}
+
+// ============================================================================
+// FAIR SCHEDULING
+// ============================================================================
+
+/**
+ * Lane order for the next claim pass, rotated so no lane always goes first.
+ * Combined with claiming one job per lane per round, a backlog in one lane
+ * cannot starve the others.
+ * @param {number} cursor - Rotation counter (incremented by the caller each pass)
+ * @returns {string[]} Lanes in claim order
+ */
+function getRotatedLaneOrder(cursor) {
+    const offset = cursor % LANES.length;
+    return [...LANES.slice(offset), ...LANES.slice(0, offset)];
+}
+
+/**
+ * Backfill the lane field on jobs created before lanes existed
+ * @param {Object} jobCollection - RelianceJobQueue collection
+ * @returns {Promise<number>} Number of jobs updated
+ */
+async function backfillJobLanes(jobCollection) {
+    const missingLane = { lane: { $exists: false } };
+    let updated = 0;
+
+    // Named insurers first; whatever is left ran on the default insurer
+    for (const adapter of listInsurers().filter(item => item.key !== DEFAULT_INSURER)) {
+        const names = [adapter.key, ...adapter.aliases].map(name => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        const pattern = new RegExp(`^\\s*(${names.join('|')})\\s*$`, 'i');
+        const result = await jobCollection.updateMany(
+            {
+                ...missingLane,
+                $or: [{ 'formData.Companyname': pattern }, { 'formData.company': pattern }]
+            },
+            { $set: { lane: adapter.key } }
+        );
+        updated += result.modifiedCount;
+    }
+    const rest = await jobCollection.updateMany(missingLane, { $set: { lane: DEFAULT_INSURER } });
+
+    return updated + rest.modifiedCount;
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+    LANE_SETTINGS_COLLECTION,
+    LANE_DEFAULTS,
+    LANES,
+    MAX_LANE_CONCURRENCY,
+    resolveLane,
+    isValidLane,
+    loadLaneSettings,
+    setLanePaused,
+    setLaneConcurrency,
+    getRotatedLaneOrder,
+    backfillJobLanes
+};
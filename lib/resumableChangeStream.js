@@ -0,0 +1,182 @@
+/**
+ * 🔁 Resumable Change Stream
+ * MongoDB change stream that survives restarts and stream errors
+ *
+ * The resume token of every handled event is persisted, so a restarted
+ * server continues exactly where the previous one stopped. Stream errors
+ * re-open the stream from the last saved token with a backoff. If the token
+ * has fallen off the oplog, the stream restarts from "now" and the caller's
+ * onResumeLost hook runs so it can sweep for anything that was missed.
+ */
+
+const RESUME_TOKEN_COLLECTION = 'ChangeStreamTokens';
+
+const REOPEN_BASE_DELAY_MS = 1000;
+const REOPEN_MAX_DELAY_MS = 60000;
+
+// Server error codes meaning the resume token can no longer be used
+const RESUME_LOST_CODES = new Set([
+    260, // InvalidResumeToken
+    280, // ChangeStreamFatalError
+    286  // ChangeStreamHistoryLost
+]);
+
+// ============================================================================
+// TOKEN PERSISTENCE
+// ============================================================================
+
+/**
+ * Load the last persisted resume token for a stream
+ * @param {Object} tokenCollection - ChangeStreamTokens collection
+ * @param {string} name - Stream name
+ * @returns {Promise<Object|null>} Resume token
+ */
+async function loadResumeToken(tokenCollection, name) {
+    const doc = await tokenCollection.findOne({ _id: name });
+    return doc ? doc.resumeToken : null;
+}
+
+/**
+ * Persist the resume token of the last handled event
+ * @param {Object} tokenCollection - ChangeStreamTokens collection
+ * @param {string} name - Stream name
+ * @param {Object} resumeToken - change._id
+ */
+async function saveResumeToken(tokenCollection, name, resumeToken) {
+    await tokenCollection.updateOne(
+        { _id: name },
+        { $set: { resumeToken, updatedAt: new Date() } },
+        { upsert: true }
+    );
+}
+
+/**
+ * Drop a stream's resume token (used when the server rejects it)
+ */
+async function clearResumeToken(tokenCollection, name) {
+    await tokenCollection.deleteOne({ _id: name });
+}
+
+/**
+ * Whether a stream error means the token can no longer be resumed from
+ * @param {Error} error - Change stream error
+ * @returns {boolean}
+ */
+function isResumeLostError(error) {
+    return RESUME_LOST_CODES.has(error?.code) || /resume (token|point)|history lost/i.test(error?.message || '');
+}
+
+// ============================================================================
+// STREAM SUPERVISOR
+// ============================================================================
+
+/**
+ * Watch a collection with persisted resume tokens and automatic re-open.
+ * Events are handled one at a time, in order; a token is saved only after its
+ * handler settles, so an event interrupted by a crash is delivered again.
+ *
+ * @param {Object} options
+ * @param {Object} options.collection - Collection to watch
+ * @param {Object} options.tokenCollection - Where resume tokens are stored
+ * @param {string} options.name - Stream name (token document _id)
+ * @param {Array} options.pipeline - Change stream pipeline
+ * @param {Function} options.onChange - async (change) => void
+ * @param {Function} options.onResumeLost - async () => void, called when history was lost
+ * @param {Function} options.log - Logger prefix function (message) => void
+ * @returns {Object} { close } to stop watching
+ */
+function watchWithResume({ collection, tokenCollection, name, pipeline = [], onChange, onResumeLost = async () => {}, log = console.log }) {
+    let stream = null;
+    let closed = false;
+    let reopenAttempts = 0;
+    let reopenTimer = null;
+    let queue = Promise.resolve();
+
+    const scheduleReopen = (reason) => {
+        if (closed || reopenTimer) return;
+        const delay = Math.min(REOPEN_BASE_DELAY_MS * Math.pow(2, reopenAttempts), REOPEN_MAX_DELAY_MS);
+        reopenAttempts++;
+        log(`⚠️  Change stream "${name}" stopped (${reason}); re-opening in ${delay / 1000}s`);
+        reopenTimer = setTimeout(() => {
+            reopenTimer = null;
+            open().catch(err => scheduleReopen(err.message));
+        }, delay);
+    };
+
+    const handleChange = (change) => {
+        queue = queue
+            .then(async () => {
+                try {
+                    await onChange(change);
+                } catch (err) {
+                    log(`❌ Change handler failed for ${change.documentKey?._id}: ${err.message}`);
+                }
+                await saveResumeToken(tokenCollection, name, change._id);
+                reopenAttempts = 0; // Healthy again
+            })
+            .catch(err => log(`❌ Failed to persist resume token for "${name}": ${err.message}`));
+    };
+
+    async function open() {
+        if (closed) return;
+
+        // Let queued events finish so the saved token is the latest handled one
+        await queue;
+
+        const resumeToken = await loadResumeToken(tokenCollection, name);
+        stream = collection.watch(pipeline, resumeToken ? { resumeAfter: resumeToken } : {});
+
+        const current = stream;
+        current.on('change', handleChange);
+        current.on('error', async (error) => {
+            if (current !== stream) return;
+            stream = null;
+            current.close().catch(() => {});
+
+            if (isResumeLostError(error)) {
+                log(`⚠️  Resume token for "${name}" is no longer valid (${error.message}); restarting from now`);
+                await clearResumeToken(tokenCollection, name).catch(() => {});
+                await onResumeLost().catch(err => log(`❌ Catch-up after lost resume token failed: ${err.message}`));
+            }
+
+            scheduleReopen(error.message);
+        });
+        current.on('close', () => {
+            if (current !== stream) return;
+            stream = null;
+            scheduleReopen('closed');
+        });
+
+        log(resumeToken
+            ? `📡 Change stream "${name}" resumed from saved token`
+            : `📡 Change stream "${name}" started (no saved token)`);
+    }
+
+    open().catch(err => scheduleReopen(err.message));
+
+    return {
+        async close() {
+            closed = true;
+            clearTimeout(reopenTimer);
+            if (stream) {
+                const current = stream;
+                stream = null;
+                await current.close();
+            }
+            await queue;
+        }
+    };
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+    RESUME_TOKEN_COLLECTION,
+    loadResumeToken,
+    saveResumeToken,
+    clearResumeToken,
+    isResumeLostError,
+    watchWithResume
+};
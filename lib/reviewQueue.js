@@ -0,0 +1,211 @@
+/**
+ * 🧾 Manual Review Queue
+ * Ownership and SLA tracking for failed_post_submission jobs
+ *
+ * A post-submission failure means the portal may already have taken the
+ * customer's money, so every such job gets a `review` sub-document: who owns
+ * it, when it is due, and how it was closed. The job status itself is still
+ * changed through the job state service in server.js.
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const REVIEW_STATUS = {
+    OPEN: 'open',         // Nobody assigned yet
+    CLAIMED: 'claimed',   // Assigned to a reviewer
+    RESOLVED: 'resolved'  // Outcome recorded
+};
+
+const REVIEW_OUTCOMES = {
+    POLICY_ISSUED: 'policy_issued', // Policy exists on the portal - job is done
+    REFUND_NEEDED: 'refund_needed', // Customer was charged without a policy - finance follows up
+    RERUN_SAFE: 'rerun_safe'        // Verified nothing was charged/issued - job can run again
+};
+
+const REVIEW_SLA_HOURS = parseFloat(process.env.REVIEW_SLA_HOURS) || 4;
+const REVIEW_AT_RISK_RATIO = 0.75; // Flag items once 75% of the SLA window is used
+
+// ============================================================================
+// REVIEW DOCUMENT HELPERS
+// ============================================================================
+
+/**
+ * Fields that open a review on a job
+ * @param {Date} openedAt - When the job failed
+ * @returns {Object} review sub-document
+ */
+function buildOpenReview(openedAt = new Date()) {
+    return {
+        status: REVIEW_STATUS.OPEN,
+        openedAt,
+        slaDueAt: new Date(openedAt.getTime() + REVIEW_SLA_HOURS * 3600000),
+        assignee: null,
+        assignedAt: null,
+        assignedBy: null
+    };
+}
+
+/**
+ * SLA ageing for a review
+ * @param {Object} review - review sub-document
+ * @param {Date} now - Reference time
+ * @returns {Object} { ageMinutes, remainingMinutes, slaState: 'ok'|'at_risk'|'breached'|'met' }
+ */
+function computeSla(review, now = new Date()) {
+    const openedAt = new Date(review.openedAt);
+    const slaDueAt = new Date(review.slaDueAt);
+    const endAt = review.resolvedAt ? new Date(review.resolvedAt) : now;
+    const windowMs = slaDueAt.getTime() - openedAt.getTime();
+    const ageMs = endAt.getTime() - openedAt.getTime();
+
+    let slaState;
+    if (review.status === REVIEW_STATUS.RESOLVED) {
+        slaState = endAt <= slaDueAt ? 'met' : 'breached';
+    } else if (now > slaDueAt) {
+        slaState = 'breached';
+    } else if (ageMs >= windowMs * REVIEW_AT_RISK_RATIO) {
+        slaState = 'at_risk';
+    } else {
+        slaState = 'ok';
+    }
+
+    return {
+        ageMinutes: Math.floor(ageMs / 60000),
+        remainingMinutes: Math.round((slaDueAt.getTime() - endAt.getTime()) / 60000),
+        slaDueAt,
+        slaState
+    };
+}
+
+/**
+ * Screenshots and page sources captured for a job, newest first
+ * @param {Object} job - Job document
+ * @returns {Array} [{ timestamp, stage, attemptNumber, errorMessage, screenshotUrl, pageSourceUrl }]
+ */
+function collectEvidence(job) {
+    return (job.errorLogs || [])
+        .filter(log => log.screenshotUrl || log.pageSourceUrl)
+        .map(log => ({
+            timestamp: log.timestamp,
+            stage: log.stage || null,
+            attemptNumber: log.attemptNumber || null,
+            errorMessage: log.errorMessage || null,
+            screenshotUrl: log.screenshotUrl || null,
+            pageSourceUrl: log.pageSourceUrl || null
+        }))
+        .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+}
+
+/**
+ * Shape a job for the review queue API
+ * @param {Object} job - Job document (status failed_post_submission or resolved)
+ * @param {Date} now - Reference time
+ * @returns {Object} Review item
+ */
+function formatReviewItem(job, now = new Date()) {
+    const review = job.review || buildOpenReview(job.failedAt || job.createdAt);
+
+    return {
+        jobId: job._id.toString(),
+        status: job.status,
+        customerName: `${job.formData?.firstName || ''} ${job.formData?.lastName || ''}`.trim(),
+        mobile: job.formData?.mobile || null,
+        company: job.lane || job.formData?.Companyname || 'reliance',
+        proposalNumber: job.proposalNumber || null,
+        portalArtifacts: job.portalArtifacts || null,
+        failedAt: job.failedAt || null,
+        lastError: job.lastError || null,
+        lastErrorCode: job.lastErrorCode || null,
+        review: {
+            ...review,
+            ...computeSla(review, now)
+        },
+        evidence: collectEvidence(job)
+    };
+}
+
+// ============================================================================
+// QUEUE OPERATIONS
+// ============================================================================
+
+/**
+ * Filter for review items that still need a decision
+ * @returns {Object} MongoDB filter
+ */
+function buildUnresolvedReviewFilter() {
+    return {
+        status: 'failed_post_submission',
+        'review.status': { $ne: REVIEW_STATUS.RESOLVED }
+    };
+}
+
+/**
+ * Open reviews for failed_post_submission jobs that predate the review queue
+ * @param {Object} jobCollection - RelianceJobQueue collection
+ * @returns {Promise<number>} Number of reviews opened
+ */
+async function backfillReviews(jobCollection) {
+    const jobs = await jobCollection
+        .find({ status: 'failed_post_submission', review: { $exists: false } }, { projection: { failedAt: 1, createdAt: 1 } })
+        .toArray();
+
+    for (const job of jobs) {
+        await jobCollection.updateOne(
+            { _id: job._id, review: { $exists: false } },
+            { $set: { review: buildOpenReview(job.failedAt || job.createdAt) } }
+        );
+    }
+
+    return jobs.length;
+}
+
+/**
+ * Assign an unresolved review to a reviewer
+ * @param {Object} jobCollection - RelianceJobQueue collection
+ * @param {ObjectId} jobId - Job ID
+ * @param {string} assignee - Reviewer taking ownership
+ * @param {Object} options - { by, onlyIfUnassigned }
+ *   onlyIfUnassigned: claim semantics - fails if someone else already owns it
+ * @returns {Promise<Object|null>} Updated job, or null if it could not be assigned
+ */
+async function assignReview(jobCollection, jobId, assignee, { by = assignee, onlyIfUnassigned = false } = {}) {
+    const filter = { ...buildUnresolvedReviewFilter(), _id: jobId };
+    if (onlyIfUnassigned) {
+        filter['review.assignee'] = { $in: [null, assignee] };
+    }
+
+    return jobCollection.findOneAndUpdate(
+        filter,
+        {
+            $set: {
+                'review.status': REVIEW_STATUS.CLAIMED,
+                'review.assignee': assignee,
+                'review.assignedAt': new Date(),
+                'review.assignedBy': by
+            },
+            $push: {
+                'review.history': { action: onlyIfUnassigned ? 'claimed' : 'assigned', assignee, by, timestamp: new Date() }
+            }
+        },
+        { returnDocument: 'after' }
+    );
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+    REVIEW_STATUS,
+    REVIEW_OUTCOMES,
+    REVIEW_SLA_HOURS,
+    buildOpenReview,
+    computeSla,
+    collectEvidence,
+    formatReviewItem,
+    buildUnresolvedReviewFilter,
+    backfillReviews,
+    assignReview
+};
@@ -0,0 +1,255 @@
+/**
+ * 🩺 Selector Registry
+ * Named portal selectors (lib/portalSelectors.js) and how well they still match
+ *
+ * selector(portal, name) returns the fallback chain as locators the toolkit
+ * helpers accept. Every lookup through the toolkit records which locator
+ * matched (0 = primary) or that none did. The counts are kept in memory and
+ * flushed to SelectorHealth in daily buckets, so the health report covers
+ * all server instances and a recent window rather than all time:
+ *
+ *   failing      - share of lookups where no locator matched >= SELECTOR_HEALTH.failureRate
+ *   falling_back - share matched only through a fallback >= SELECTOR_HEALTH.fallbackRate
+ *   healthy / unused
+ */
+
+const { By } = require('selenium-webdriver');
+const { PORTAL_SELECTORS } = require('./portalSelectors');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const SELECTOR_HEALTH_COLLECTION = 'SelectorHealth';
+
+const SELECTOR_HEALTH = {
+    failureRate: 0.1, // Share of lookups with no match that makes a selector failing
+    fallbackRate: 0.2, // Share of lookups matched by a fallback that makes it falling_back
+    windowDays: 7 // Default report window
+};
+
+const SELECTOR_STATUS = {
+    FAILING: 'failing',
+    FALLING_BACK: 'falling_back',
+    HEALTHY: 'healthy',
+    UNUSED: 'unused'
+};
+
+// key -> counts since the last flush
+const pendingStats = new Map();
+
+function emptyStats() {
+    return { lookups: 0, primary: 0, fallback: 0, failed: 0, matchedBy: {}, lastError: null, lastFallbackAt: null, lastFailureAt: null };
+}
+
+// ============================================================================
+// LOOKUP
+// ============================================================================
+
+function toLocator(spec) {
+    if (spec.id) return By.id(spec.id);
+    if (spec.name) return By.name(spec.name);
+    if (spec.css) return By.css(spec.css);
+    if (spec.xpath) return By.xpath(spec.xpath);
+    throw new Error(`Unsupported selector spec: ${JSON.stringify(spec)}`);
+}
+
+/**
+ * Fallback chain of a named selector
+ * @param {string} portal - reliance | national
+ * @param {string} name - Key in PORTAL_SELECTORS[portal]
+ * @returns {Array<By>} Locators in order, tagged with registryKey ("portal.name") for recording
+ * @throws {Error} Unknown selector (a code error, not a portal change)
+ */
+function selector(portal, name) {
+    const entry = PORTAL_SELECTORS[portal]?.[name];
+    if (!entry) {
+        throw new Error(`Unknown selector ${portal}.${name}`);
+    }
+    const locators = entry.locators.map(toLocator);
+    Object.defineProperty(locators, 'registryKey', { value: `${portal}.${name}` });
+    return locators;
+}
+
+/**
+ * Record the outcome of a lookup
+ * @param {string} key - registryKey of the chain
+ * @param {Object} outcome - { matchedIndex } on a match, { error } when nothing matched
+ */
+function recordLookup(key, { matchedIndex = null, error = null } = {}) {
+    const stats = pendingStats.get(key) || emptyStats();
+    stats.lookups++;
+    if (matchedIndex === null) {
+        stats.failed++;
+        stats.lastError = error ? String(error.message || error).slice(0, 500) : null;
+        stats.lastFailureAt = new Date();
+    } else {
+        stats.matchedBy[matchedIndex] = (stats.matchedBy[matchedIndex] || 0) + 1;
+        if (matchedIndex === 0) {
+            stats.primary++;
+        } else {
+            stats.fallback++;
+            stats.lastFallbackAt = new Date();
+        }
+    }
+    pendingStats.set(key, stats);
+}
+
+// ============================================================================
+// HEALTH STORE
+// ============================================================================
+
+function dayOf(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Classify counts of one selector
+ */
+function selectorStatus({ lookups, failed, fallback }) {
+    if (lookups === 0) return SELECTOR_STATUS.UNUSED;
+    if (failed > 0 && failed / lookups >= SELECTOR_HEALTH.failureRate) return SELECTOR_STATUS.FAILING;
+    if (fallback > 0 && fallback / lookups >= SELECTOR_HEALTH.fallbackRate) return SELECTOR_STATUS.FALLING_BACK;
+    return SELECTOR_STATUS.HEALTHY;
+}
+
+/**
+ * Create the store that persists lookup counts
+ * @param {Object} config
+ * @param {Object} config.collection - SelectorHealth collection
+ * @returns {Object} { ensureIndexes, flush, report }
+ */
+function createSelectorHealthStore({ collection }) {
+
+    async function ensureIndexes() {
+        await collection.createIndex({ day: 1, portal: 1 });
+    }
+
+    /**
+     * Write the counts recorded since the last flush (one upsert per selector and day)
+     * @returns {Promise<number>} Selectors written
+     */
+    async function flush() {
+        if (pendingStats.size === 0) {
+            return 0;
+        }
+        const batch = [...pendingStats.entries()];
+        pendingStats.clear();
+
+        const now = new Date();
+        const day = dayOf(now);
+        try {
+            await collection.bulkWrite(batch.map(([key, stats]) => {
+                const [portal, name] = key.split('.');
+                const inc = { lookups: stats.lookups, primary: stats.primary, fallback: stats.fallback, failed: stats.failed };
+                for (const [index, count] of Object.entries(stats.matchedBy)) {
+                    inc[`matchedBy.${index}`] = count;
+                }
+                const set = { updatedAt: now };
+                if (stats.lastError) set.lastError = stats.lastError;
+                if (stats.lastFallbackAt) set.lastFallbackAt = stats.lastFallbackAt;
+                if (stats.lastFailureAt) set.lastFailureAt = stats.lastFailureAt;
+                return {
+                    updateOne: {
+                        filter: { _id: `${key}:${day}` },
+                        update: { $inc: inc, $set: set, $setOnInsert: { key, portal, name, day } },
+                        upsert: true
+                    }
+                };
+            }), { ordered: false });
+        } catch (error) {
+            // Put the counts back so the next flush retries them
+            for (const [key, stats] of batch) {
+                const current = pendingStats.get(key);
+                if (!current) {
+                    pendingStats.set(key, stats);
+                    continue;
+                }
+                for (const field of ['lookups', 'primary', 'fallback', 'failed']) current[field] += stats[field];
+                for (const [index, count] of Object.entries(stats.matchedBy)) {
+                    current.matchedBy[index] = (current.matchedBy[index] || 0) + count;
+                }
+            }
+            throw error;
+        }
+        return batch.length;
+    }
+
+    /**
+     * Health of every registered selector over the last days, worst first
+     * @param {Object} options - { portal, days, status }
+     * @returns {Promise<Object>} { from, days, thresholds, counts, selectors }
+     */
+    async function report({ portal = null, days = SELECTOR_HEALTH.windowDays, status = null } = {}) {
+        const from = dayOf(new Date(Date.now() - (days - 1) * 86400000));
+        const buckets = await collection.find({ day: { $gte: from }, ...(portal ? { portal } : {}) }).toArray();
+
+        const totals = new Map();
+        for (const bucket of buckets) {
+            const total = totals.get(bucket.key) || emptyStats();
+            for (const field of ['lookups', 'primary', 'fallback', 'failed']) total[field] += bucket[field] || 0;
+            for (const [index, count] of Object.entries(bucket.matchedBy || {})) {
+                total.matchedBy[index] = (total.matchedBy[index] || 0) + count;
+            }
+            if (bucket.lastFailureAt && (!total.lastFailureAt || bucket.lastFailureAt > total.lastFailureAt)) {
+                total.lastFailureAt = bucket.lastFailureAt;
+                total.lastError = bucket.lastError || null;
+            }
+            if (bucket.lastFallbackAt && (!total.lastFallbackAt || bucket.lastFallbackAt > total.lastFallbackAt)) {
+                total.lastFallbackAt = bucket.lastFallbackAt;
+            }
+            totals.set(bucket.key, total);
+        }
+
+        const selectors = [];
+        for (const [portalName, entries] of Object.entries(PORTAL_SELECTORS)) {
+            if (portal && portal !== portalName) continue;
+            for (const [name, entry] of Object.entries(entries)) {
+                const key = `${portalName}.${name}`;
+                const total = totals.get(key) || emptyStats();
+                selectors.push({
+                    key,
+                    portal: portalName,
+                    name,
+                    description: entry.description,
+                    status: selectorStatus(total),
+                    ...total,
+                    failureRate: total.lookups ? Number((total.failed / total.lookups).toFixed(3)) : null,
+                    fallbackRate: total.lookups ? Number((total.fallback / total.lookups).toFixed(3)) : null,
+                    locators: entry.locators.map((spec, index) => ({ index, ...spec, matched: total.matchedBy[index] || 0 }))
+                });
+            }
+        }
+
+        const rank = { [SELECTOR_STATUS.FAILING]: 0, [SELECTOR_STATUS.FALLING_BACK]: 1, [SELECTOR_STATUS.HEALTHY]: 2, [SELECTOR_STATUS.UNUSED]: 3 };
+        selectors.sort((a, b) => rank[a.status] - rank[b.status]
+            || (b.failureRate || 0) - (a.failureRate || 0)
+            || (b.fallbackRate || 0) - (a.fallbackRate || 0));
+
+        const counts = Object.fromEntries(Object.values(SELECTOR_STATUS).map(value => [value, 0]));
+        selectors.forEach(item => counts[item.status]++);
+
+        return {
+            from,
+            days,
+            thresholds: { failureRate: SELECTOR_HEALTH.failureRate, fallbackRate: SELECTOR_HEALTH.fallbackRate },
+            counts,
+            selectors: status ? selectors.filter(item => item.status === status) : selectors
+        };
+    }
+
+    return { ensureIndexes, flush, report };
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+    SELECTOR_HEALTH_COLLECTION,
+    SELECTOR_HEALTH,
+    SELECTOR_STATUS,
+    selector,
+    recordLookup,
+    createSelectorHealthStore
+};
@@ -0,0 +1,370 @@
+/**
+ * 🪜 Step Pipeline
+ * Runs a filler flow as an ordered list of named steps
+ *
+ * Every step declares its own timeout, success criterion (verify), retry
+ * policy and whether it is a money boundary. A step that throws, times out
+ * or misses its criterion fails the run - a failing inner step can no longer
+ * be logged and skipped on the way to a "successful" job.
+ *
+ * Money boundary: a step that can create something on the portal (Save
+ * proposal, Pay, Send Payment Link). Once one has started, any failure is
+ * post-submission: it is never retried and goes to manual review.
+ *
+ * After each completed step the pipeline reports a checkpoint, and before a
+ * money-boundary step starts it reports the boundary; server.js writes both
+ * to the job (lastCompletedStep, moneyBoundaryCrossed) so failures - including
+ * timeouts and cancels that never reach the filler's result - are classified
+ * from the step rather than from the error text. A boundary that cannot be
+ * recorded stops the run before the step (E406): the job must never be
+ * inside a money step while its document still looks pre-boundary.
+ *
+ * Resume: a step may name the step a later attempt can safely resume from
+ * if it fails (resumeFrom). The retry runs the steps marked repeatOnResume
+ * (e.g. opening the portal), restores the others up to that step from the
+ * saved checkpoint data and carries on from there.
+ */
+
+const { PolicyAutomationError, JobCancelledError, StepError } = require('./errorHandler');
+const { throwIfCancelled } = require('./jobCancellation');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const STEP_DEFAULTS = {
+    timeoutMs: 60000,
+    retry: { attempts: 0, delayMs: 2000 }, // Extra attempts after the first one
+    moneyBoundary: false,
+    resumeFrom: null, // Step a later attempt may resume from if this step fails
+    repeatOnResume: false, // Runs again before the resume point (login, navigation)
+    errorType: 'E300_FORM_SUBMISSION_FAILED' // Code for plain errors thrown by the step
+};
+
+const STEP_STATUS = {
+    COMPLETED: 'completed',
+    FAILED: 'failed',
+    SKIPPED: 'skipped',
+    RESTORED: 'restored' // Completed by an earlier attempt (resume)
+};
+
+// ============================================================================
+// STEP DEFINITIONS
+// ============================================================================
+
+/**
+ * Declare a step
+ * @param {Object} spec
+ * @param {string} spec.name - Unique step name (recorded on the job)
+ * @param {Function} spec.run - async (ctx) => void
+ * @param {Function} spec.verify - async (ctx) => boolean; success criterion checked after run (optional)
+ * @param {Function} spec.skip - async (ctx) => boolean; skip the step when true (optional)
+ * @param {number} spec.timeoutMs - Limit for run + verify
+ * @param {Object} spec.retry - { attempts, delayMs }; not allowed on money-boundary steps
+ * @param {boolean} spec.moneyBoundary - Step may create a proposal / payment on the portal
+ * @param {string} spec.resumeFrom - Step a later attempt may resume from if this one fails (optional)
+ * @param {boolean} spec.repeatOnResume - Run again on a resumed attempt even before the resume point
+ * @param {Function} spec.checkpoint - (ctx) => Object; data saved with the checkpoint for a resume (optional)
+ * @param {string} spec.errorType - ERROR_CODES key for plain errors from this step
+ * @returns {Object} Frozen step definition
+ */
+function defineStep(spec) {
+    if (!spec || typeof spec.name !== 'string' || !spec.name) {
+        throw new Error('Step needs a name');
+    }
+    if (typeof spec.run !== 'function') {
+        throw new Error(`Step "${spec.name}" needs a run function`);
+    }
+
+    const step = {
+        ...STEP_DEFAULTS,
+        ...spec,
+        retry: { ...STEP_DEFAULTS.retry, ...(spec.retry || {}) }
+    };
+
+    if (step.moneyBoundary && step.retry.attempts > 0) {
+        throw new Error(`Step "${step.name}" is a money boundary and cannot be retried`);
+    }
+
+    return Object.freeze(step);
+}
+
+/**
+ * Declare an ordered flow
+ * @param {Array} specs - Step specs (see defineStep)
+ * @returns {Array} Step definitions
+ */
+function defineSteps(specs) {
+    const steps = specs.map(defineStep);
+    const seen = new Set();
+    for (const { name } of steps) {
+        if (seen.has(name)) {
+            throw new Error(`Duplicate step name "${name}"`);
+        }
+        seen.add(name);
+    }
+    for (const { name, resumeFrom } of steps) {
+        if (resumeFrom && !seen.has(resumeFrom)) {
+            throw new Error(`Step "${name}" resumes from unknown step "${resumeFrom}"`);
+        }
+    }
+    return Object.freeze(steps);
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Reject with an E302 StepError if the step outlives its timeout.
+ * The step itself keeps running; onStepTimeout is expected to tear its browser down.
+ */
+function withTimeout(promise, step) {
+    let timer = null;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new StepError(step.name, 'E302_TIMEOUT', {
+            message: `Step "${step.name}" timed out after ${step.timeoutMs / 1000}s`,
+            timedOut: true
+        })), step.timeoutMs);
+    });
+
+    promise.catch(() => {}); // A step that fails after its timeout must not surface as unhandled
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Run a step once and check its success criterion
+ */
+async function attemptStep(step, ctx) {
+    await step.run(ctx);
+    if (step.verify && !(await step.verify(ctx))) {
+        throw new StepError(step.name, step.errorType, {
+            message: `Step "${step.name}" did not meet its success criterion`
+        });
+    }
+}
+
+/**
+ * Attach the step to whatever the step threw; structured errors keep their code
+ */
+function toStepError(step, error) {
+    if (error instanceof StepError) {
+        return error;
+    }
+    if (error instanceof PolicyAutomationError) {
+        return new StepError(step.name, error.errorType, { ...error.details, message: error.message }, error);
+    }
+    return new StepError(step.name, step.errorType, {
+        message: `[${step.name}] ${error?.message || error}`
+    }, error instanceof Error ? error : null);
+}
+
+// ============================================================================
+// RUNNER
+// ============================================================================
+
+/**
+ * Run steps in order until one fails
+ * @param {Array} steps - From defineSteps()
+ * @param {Object} ctx - Shared state handed to every step (driver, data, ...)
+ * @param {Object} options
+ * @param {Function} options.onCheckpoint - async ({ step, index, moneyBoundaryCrossed, completedAt, data }) after each step
+ * @param {Function} options.onMoneyBoundary - async ({ step, index, startedAt }) before a money-boundary step runs;
+ *   if it rejects the step does not run and the pipeline fails with E406
+ * @param {Function} options.onStepTimeout - async (step, ctx) when a step times out
+ * @param {boolean} options.stopAtMoneyBoundary - Stop (successfully) before the first money-boundary step
+ * @param {string} options.resumeFrom - Resume an earlier attempt at this step (see resumeFrom on the steps)
+ * @param {Object} options.checkpoint - Checkpoint data saved by the earlier attempt
+ * @param {string} options.label - Log prefix
+ * @returns {Promise<Object>} { ok, lastCompletedStep, failedStep, stoppedBefore, moneyBoundaryCrossed, resumeFrom, checkpoint, error, history }
+ * @throws {JobCancelledError} The job was cancelled; never reported as a step failure. Its details carry
+ *   lastCompletedStep and moneyBoundaryCrossed at the time of the cancel.
+ */
+async function runPipeline(steps, ctx, {
+    onCheckpoint = null,
+    onMoneyBoundary = null,
+    onStepTimeout = null,
+    stopAtMoneyBoundary = false,
+    resumeFrom = null,
+    checkpoint = {},
+    label = 'Pipeline'
+} = {}) {
+    const resumeIndex = resumeFrom ? steps.findIndex(step => step.name === resumeFrom) : -1;
+    if (resumeFrom && resumeIndex < 0) {
+        throw new Error(`Cannot resume from unknown step "${resumeFrom}"`);
+    }
+
+    const state = {
+        lastCompletedStep: null,
+        failedStep: null,
+        stoppedBefore: null,
+        moneyBoundaryCrossed: false,
+        resumeFrom: null,
+        checkpoint: { ...checkpoint },
+        history: []
+    };
+
+    if (resumeFrom) {
+        console.log(`⏩ [${label}] Resuming at step ${resumeFrom}`);
+    }
+
+    try {
+        return await runSteps(steps, ctx, state, {
+            onCheckpoint, onMoneyBoundary, onStepTimeout, stopAtMoneyBoundary, resumeFrom, resumeIndex, label
+        });
+    } catch (error) {
+        if (error instanceof JobCancelledError) {
+            // The filler's catch reports a cancel after Save / Pay as post-submission, not a login-form failure
+            Object.assign(error.details, {
+                lastCompletedStep: state.lastCompletedStep,
+                moneyBoundaryCrossed: state.moneyBoundaryCrossed
+            });
+        }
+        throw error;
+    }
+}
+
+/**
+ * The step loop of runPipeline; keeps state current so a cancel can report how far it got
+ */
+async function runSteps(steps, ctx, state, {
+    onCheckpoint, onMoneyBoundary, onStepTimeout, stopAtMoneyBoundary, resumeFrom, resumeIndex, label
+}) {
+    for (const [index, step] of steps.entries()) {
+        throwIfCancelled(ctx.driver);
+
+        if (index < resumeIndex && !step.repeatOnResume) {
+            // Done by the earlier attempt; its results come from the checkpoint
+            state.lastCompletedStep = step.name;
+            state.moneyBoundaryCrossed = state.moneyBoundaryCrossed || step.moneyBoundary;
+            state.history.push({ step: step.name, status: STEP_STATUS.RESTORED, at: new Date() });
+            continue;
+        }
+
+        if (step.skip && await step.skip(ctx)) {
+            console.log(`⏭️  [${label}] Skipping step ${step.name}`);
+            state.history.push({ step: step.name, status: STEP_STATUS.SKIPPED, at: new Date() });
+            continue;
+        }
+
+        if (step.moneyBoundary && stopAtMoneyBoundary) {
+            console.log(`🛑 [${label}] Stopping before money-boundary step ${step.name}`);
+            return { ...state, ok: true, stoppedBefore: step.name, error: null };
+        }
+
+        if (step.moneyBoundary) {
+            if (onMoneyBoundary) {
+                try {
+                    await onMoneyBoundary({ step: step.name, index, startedAt: new Date() });
+                } catch (err) {
+                    // Fail closed: a job that dies in this step would look pre-boundary and be bought twice
+                    const boundaryError = new StepError(step.name, 'E406_MONEY_BOUNDARY_NOT_RECORDED', {
+                        message: `Money boundary before "${step.name}" not recorded, step not run: ${err.message}`
+                    }, err instanceof Error ? err : null);
+                    console.error(`❌ [${label}] ${boundaryError.message}`);
+                    state.history.push({
+                        step: step.name,
+                        status: STEP_STATUS.FAILED,
+                        attempts: 0,
+                        durationMs: 0,
+                        errorCode: boundaryError.code,
+                        at: new Date()
+                    });
+                    return { ...state, ok: false, failedStep: step.name, resumeFrom: null, error: boundaryError };
+                }
+            }
+            state.moneyBoundaryCrossed = true; // From here on the portal may hold a proposal / payment
+        }
+
+        console.log(`▶️  [${label}] Step ${index + 1}/${steps.length}: ${step.name}${step.moneyBoundary ? ' 💰' : ''}`);
+        const startedAt = Date.now();
+        const maxAttempts = 1 + step.retry.attempts;
+
+        for (let attempt = 1; ; attempt++) {
+            try {
+                await withTimeout(attemptStep(step, ctx), step);
+                break;
+            } catch (error) {
+                if (error instanceof JobCancelledError) {
+                    throw error;
+                }
+
+                const stepError = toStepError(step, error);
+                const timedOut = stepError.details.timedOut === true;
+                if (timedOut && onStepTimeout) {
+                    await Promise.resolve(onStepTimeout(step, ctx)).catch(err =>
+                        console.warn(`⚠️  [${label}] Teardown after ${step.name} timeout failed: ${err.message}`)
+                    );
+                }
+
+                // A timed-out step may still be driving the browser, so it is never retried in place
+                if (attempt >= maxAttempts || timedOut || !stepError.retryable) {
+                    console.error(`❌ [${label}] Step ${step.name} failed (attempt ${attempt}/${maxAttempts}): ${stepError.message}`);
+                    state.history.push({
+                        step: step.name,
+                        status: STEP_STATUS.FAILED,
+                        attempts: attempt,
+                        durationMs: Date.now() - startedAt,
+                        errorCode: stepError.code,
+                        at: new Date()
+                    });
+                    return {
+                        ...state,
+                        ok: false,
+                        failedStep: step.name,
+                        // A step repeated before the resume point keeps the attempt's resume point
+                        resumeFrom: step.resumeFrom || (index < resumeIndex ? resumeFrom : null),
+                        error: stepError
+                    };
+                }
+
+                console.warn(`🔄 [${label}] Step ${step.name} failed (attempt ${attempt}/${maxAttempts}), retrying in ${step.retry.delayMs / 1000}s: ${stepError.message}`);
+                await sleep(step.retry.delayMs);
+                throwIfCancelled(ctx.driver);
+            }
+        }
+
+        state.lastCompletedStep = step.name;
+        state.history.push({
+            step: step.name,
+            status: STEP_STATUS.COMPLETED,
+            durationMs: Date.now() - startedAt,
+            at: new Date()
+        });
+
+        if (step.checkpoint) {
+            state.checkpoint = { ...state.checkpoint, ...step.checkpoint(ctx) };
+        }
+
+        if (onCheckpoint) {
+            try {
+                await onCheckpoint({
+                    step: step.name,
+                    index,
+                    moneyBoundaryCrossed: state.moneyBoundaryCrossed,
+                    completedAt: new Date(),
+                    data: state.checkpoint
+                });
+            } catch (err) {
+                // A missed checkpoint write must not fail a step that already happened on the portal
+                console.warn(`⚠️  [${label}] Checkpoint after ${step.name} not recorded: ${err.message}`);
+            }
+        }
+    }
+
+    return { ...state, ok: true, error: null };
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+    STEP_DEFAULTS,
+    STEP_STATUS,
+    defineStep,
+    defineSteps,
+    runPipeline
+};
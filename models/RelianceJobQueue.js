@@ -53,10 +53,17 @@ const RelianceJobQueueSchema = new mongoose.Schema(
       required: true,
     },
 
+    // Insurer lane ("reliance" / "national") - each lane has its own concurrency limit
+    lane: {
+      type: String,
+      enum: ["reliance", "national"],
+      default: "reliance",
+    },
+
     // Job status
     status: {
       type: String,
-      enum: ["pending", "processing", "completed", "failed"],
+      enum: ["pending", "processing", "completed", "completed_dry_run", "failed", "cancelled", "resolved"],
       default: "pending",
       required: true,
       index: true,
@@ -94,6 +101,160 @@ const RelianceJobQueueSchema = new mongoose.Schema(
       default: null,
     },
 
+    // Worker ownership & lease (multi-instance queue)
+    workerId: {
+      type: String,
+      default: null,
+    },
+    claimedAt: {
+      type: Date,
+      default: null,
+    },
+    heartbeatAt: {
+      type: Date,
+      default: null,
+    },
+    leaseExpiresAt: {
+      type: Date,
+      default: null,
+    },
+    recoveredFromWorkerId: {
+      type: String,
+      default: null,
+    },
+
+    // Cancellation (POST /api/jobs/:id/cancel)
+    cancelRequestedAt: {
+      type: Date,
+      default: null,
+    },
+    cancelRequestedBy: {
+      type: String,
+      default: null,
+    },
+    cancelReason: {
+      type: String,
+      default: null,
+    },
+    cancelledAt: {
+      type: Date,
+      default: null,
+    },
+    cancelledBy: {
+      type: String,
+      default: null,
+    },
+
+    // Manual ops actions (retry / resolve / form-data correction)
+    requeuedAt: {
+      type: Date,
+      default: null,
+    },
+    requeuedBy: {
+      type: String,
+      default: null,
+    },
+    resolvedAt: {
+      type: Date,
+      default: null,
+    },
+    resolvedBy: {
+      type: String,
+      default: null,
+    },
+    resolutionNote: {
+      type: String,
+      default: null,
+    },
+
+    // Manual review of post-submission failures (see lib/reviewQueue.js)
+    proposalNumber: {
+      type: String,
+      default: null,
+    },
+    review: {
+      type: mongoose.Schema.Types.Mixed, // { status, openedAt, slaDueAt, assignee, outcome, history, ... }
+      default: null,
+    },
+
+    // What the portal issued (see lib/portalArtifacts.js); also copied to the onlinePolicy record
+    portalArtifacts: {
+      type: mongoose.Schema.Types.Mixed, // { proposalNumber, quoteNumber, premium, idv, paymentLinkSent, capturedAt }
+      default: null,
+    },
+
+    // Policy PDF this job downloaded (lib/policyPdf.js)
+    policyPdf: {
+      type: mongoose.Schema.Types.Mixed, // { linked, jobId, path, proposalNumber, matched, sha256, linkedAt, reason }
+      default: null,
+    },
+
+    // Brisk certificate sub-job of a completed Reliance job (lib/briskIssuance.js)
+    brisk: {
+      type: mongoose.Schema.Types.Mixed, // { status, attempts, maxAttempts, nextAttemptAt, plan, policyId, downloadUrl, localPdfPath, mergedPdf, lastError, problems, history }
+      default: null,
+    },
+
+    // Dry run (lib/dryRun.js): stop on the quote, before Save / Pay / Send Payment Link
+    dryRun: {
+      type: Boolean,
+      default: false,
+    },
+    dryRunResult: {
+      type: mongoose.Schema.Types.Mixed, // { stoppedBefore, screenshotUrl, screenshotKey, globalSwitch }
+      default: null,
+    },
+
+    // Step pipeline checkpoints (lib/stepPipeline.js)
+    lastCompletedStep: {
+      type: String, // e.g. "save-proposal"
+      default: null,
+    },
+    failedStep: {
+      type: String,
+      default: null,
+    },
+    moneyBoundaryCrossed: {
+      type: Boolean, // A Save / Pay / Send Payment Link step had started
+      default: false,
+    },
+    checkpointAt: {
+      type: Date,
+      default: null,
+    },
+    checkpointAttempt: {
+      type: Number,
+      default: null,
+    },
+    checkpoint: {
+      type: mongoose.Schema.Types.Mixed, // { proposalNumber, quoteNumber, premium, idv, kycDone, paymentStarted, paymentLinkSent }
+      default: null,
+    },
+    resumeFrom: {
+      type: String, // Step the next attempt resumes at (set after a resumable failure past Save)
+      default: null,
+    },
+
+    // Portal account (lib/credentialVault.js) - IDs only, passwords never touch the job
+    accountId: {
+      type: mongoose.Schema.Types.ObjectId, // Pinned account; null = least recently used
+      default: null,
+    },
+    lastAccountId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    lastAccountUsername: {
+      type: String,
+      default: null,
+    },
+
+    // onlinePolicy -> formData mapping issues (see lib/policyMapper.js)
+    mappingWarnings: {
+      type: [mongoose.Schema.Types.Mixed], // [{ field, code, message, value }]
+      default: [],
+    },
+
     // Attempt tracking
     attempts: {
       type: Number,
@@ -137,8 +298,12 @@ const RelianceJobQueueSchema = new mongoose.Schema(
 
 // Indexes for performance (matching your server.js indexes)
 RelianceJobQueueSchema.index({ status: 1, createdAt: 1 });
+RelianceJobQueueSchema.index({ status: 1, nextRetryAt: 1 });
+RelianceJobQueueSchema.index({ status: 1, leaseExpiresAt: 1 });
+RelianceJobQueueSchema.index({ status: 1, lane: 1, createdAt: 1 });
 RelianceJobQueueSchema.index({ createdAt: 1 });
 RelianceJobQueueSchema.index({ captchaId: 1 });
+RelianceJobQueueSchema.index({ "brisk.status": 1, "brisk.nextAttemptAt": 1 });
 RelianceJobQueueSchema.index({ "errorLogs.timestamp": 1 });
 
 // Instance methods
@@ -212,10 +377,16 @@ RelianceJobQueueSchema.methods.markAsRecovered = function () {
 // Static methods
 
 /**
- * Get all pending jobs (oldest first)
+ * Get pending jobs that are eligible to run now (oldest first).
+ * Jobs whose retry backoff (nextRetryAt) has not elapsed are skipped.
  */
 RelianceJobQueueSchema.statics.getPendingJobs = function (limit = 10) {
-  return this.find({ status: "pending" }).sort({ createdAt: 1 }).limit(limit);
+  return this.find({
+    status: "pending",
+    $or: [{ nextRetryAt: null }, { nextRetryAt: { $lte: new Date() } }],
+  })
+    .sort({ createdAt: 1 })
+    .limit(limit);
 };
 
 /**
@@ -234,14 +405,21 @@ RelianceJobQueueSchema.statics.countByStatus = function (status) {
 
 /**
  * Recover stuck jobs (crash recovery)
+ * Only jobs whose lease has expired are reset; jobs still heartbeating on a live worker are left alone.
  */
 RelianceJobQueueSchema.statics.recoverStuckJobs = async function () {
+  const now = new Date();
   const result = await this.updateMany(
-    { status: "processing" },
+    {
+      status: "processing",
+      $or: [{ leaseExpiresAt: null }, { leaseExpiresAt: { $lt: now } }],
+    },
     {
       $set: {
         status: "pending",
-        recoveredAt: new Date(),
+        recoveredAt: now,
+        workerId: null,
+        leaseExpiresAt: null,
       },
     }
   );
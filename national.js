@@ -8,12 +8,30 @@ const {
 const fs = require("fs");
 const path = require("path");
 const { extractCaptchaText } = require("./Captcha");
-const { uploadScreenshotToS3, generateScreenshotKey } = require("./s3Uploader");
-
-// Default form data for standalone execution
+const { bindDriverToSignal, throwIfCancelled } = require("./lib/jobCancellation");
+const { createPortalArtifacts, readPremiumBreakdown } = require("./lib/portalArtifacts");
+const { checkPremium, premiumMismatchError } = require("./lib/premiumGuard");
+const { captureDryRunScreenshot, buildDryRunResult } = require("./lib/dryRun");
+const { resolvePortalCredentials } = require("./lib/credentialVault");
+const { PolicyAutomationError } = require("./lib/errorHandler");
+const {
+  bindActionLog,
+  waitForLoaderToDisappear,
+  safeClick,
+  safeSendKeys,
+  scrollAndClick,
+  scrollAndClickElement,
+  matSelectOption,
+  matAutocomplete,
+  matSlideToggleOn,
+  matExpandPanel,
+  captureErrorScreenshot,
+} = require("./lib/portalToolkit");
+const { selector } = require("./lib/selectorRegistry");
+
+// Default form data for standalone execution (login uses --username/--password,
+// else NATIONAL_USERNAME / NATIONAL_PASSWORD)
 const defaultFormData = {
-  username: "9999839907",
-  password: "Rayal$2025",
   rtoLocation: "Mumbai",
   make: "Honda",
   variant: "Standard"
@@ -57,8 +75,8 @@ function parseCommandLineArgs() {
 Usage: node national.js [options]
 
 Options:
-  -u, --username <value>    Username for login (default: testuser)
-  -p, --password <value>    Password for login (default: testpass)
+  -u, --username <value>    Username for login (default: NATIONAL_USERNAME)
+  -p, --password <value>    Password for login (default: NATIONAL_PASSWORD)
   -r, --rto <value>         RTO Location (default: Mumbai)
   -m, --make <value>        Vehicle Make (default: Honda)
   -v, --variant <value>     Vehicle Variant (default: Standard)
@@ -77,35 +95,8 @@ Examples:
   return formData;
 }
 
-async function waitForLoaderToDisappear(
-  driver,
-  locator = By.css(".k-loading-mask"),
-  timeout = 20000
-) {
-  console.log(`Waiting for loader (${locator}) to disappear...`);
-  try {
-    await driver.wait(async () => {
-      const loaders = await driver.findElements(locator);
-      if (loaders.length === 0) {
-        return true; // Loader is gone
-      }
-      try {
-        const isDisplayed = await loaders[0].isDisplayed();
-        return !isDisplayed;
-      } catch (e) {
-        if (e.name === "StaleElementReferenceError") {
-          return true;
-        }
-        throw e;
-      }
-    }, timeout);
-    console.log("Loader has disappeared.");
-  } catch (error) {
-    console.log("Loader did not disappear in time (which is ok).");
-  }
-}
-
 async function waitForPortalLoaderToDisappear(driver, timeout = 5000, pollInterval = 400) {
+  throwIfCancelled(driver);
   const locator = By.css("div.loading-text");
   try {
     const loaders = await driver.findElements(locator);
@@ -126,314 +117,30 @@ async function waitForPortalLoaderToDisappear(driver, timeout = 5000, pollInterv
   }
 }
 
-async function safeClick(driver, locator, timeout = 15000) {
-  const el = await driver.wait(until.elementLocated(locator), timeout);
-  await driver.wait(until.elementIsVisible(el), timeout);
-  await driver.wait(until.elementIsEnabled(el), timeout);
-  try {
-    await el.click();
-  } catch {
-    await driver.executeScript("arguments[0].click();", el);
-  }
-}
-
-async function safeType(driver, locator, text, timeout = 5000) {
-  const el = await driver.wait(until.elementLocated(locator), timeout);
-  await driver.wait(until.elementIsVisible(el), timeout);
-  await driver.wait(until.elementIsEnabled(el), timeout);
-  await el.clear();
-  await el.sendKeys(text);
-}
-
-async function scrollAndClick(driver, locator, timeout = 5000) {
-  const el = await driver.wait(until.elementLocated(locator), timeout);
-  await driver.wait(until.elementIsVisible(el), timeout);
-  const target = await driver.executeScript(`
-    const element = arguments[0];
-    if (!element) return null;
-    const tag = (element.tagName || '').toLowerCase();
-    if (['button', 'a'].includes(tag)) return element;
-    const role = element.getAttribute ? element.getAttribute('role') : null;
-    if (role && ['button', 'link'].includes(role)) return element;
-    const buttonParent = element.closest ? element.closest('button, a, [role="button"], [role="link"]') : null;
-    return buttonParent || element;
-  `, el);
-  await driver.executeScript("arguments[0].scrollIntoView({block: 'center'});", target);
-  await driver.sleep(150);
-  try {
-    await target.click();
-  } catch (clickError) {
-    await driver.executeScript("arguments[0].click();", target);
-  }
-  return target;
-}
-
-async function scrollAndClickElement(driver, element) {
-  if (!element) {
-    throw new Error("scrollAndClickElement received null element");
-  }
-  await driver.wait(until.elementIsVisible(element), 10000);
-  await driver.executeScript("arguments[0].scrollIntoView({block: 'center'});", element);
-  await driver.sleep(150);
-  try {
-    await element.click();
-  } catch (clickError) {
-    await driver.executeScript("arguments[0].click();", element);
-  }
-}
-
-async function safeSelectOption(driver, dropdownLocator, optionText, timeout = 15000) {
-  // Click on dropdown to open it
-  await safeClick(driver, dropdownLocator, timeout);
-
-  // Wait a bit for options to load
-  await driver.sleep(1500);
-
-  // Find and click the option with the specified text
-  try {
-    const optionLocator = By.xpath(`//mat-option[contains(., '${optionText}')]`);
-    await safeClick(driver, optionLocator, timeout);
-  } catch (optionError) {
-    console.log(`Could not find option "${optionText}", listing available options...`);
-
-    // List all available options
-    try {
-      const allOptions = await driver.findElements(By.css("mat-option"));
-      console.log(`Found ${allOptions.length} available options:`);
-      for (let i = 0; i < Math.min(allOptions.length, 10); i++) {
-        const optText = await allOptions[i].getText();
-        console.log(`  Option ${i}: "${optText}"`);
-      }
-
-      // Try clicking the specific option if it exists in the listed options
-      const matchingOption = await driver.executeAsyncScript(`
-        const options = arguments[0];
-        const desired = arguments[1].trim().toLowerCase();
-        const done = arguments[2];
-        for (const opt of options) {
-          const text = (opt.textContent || opt.innerText || '').trim().toLowerCase();
-          if (text === desired) {
-            done(opt);
-            return;
-          }
-        }
-        done(null);
-      `, allOptions, optionText);
-
-      if (matchingOption) {
-        await driver.executeScript("arguments[0].click();", matchingOption);
-        console.log(`Clicked matching option "${optionText}" from fallback list.`);
-      } else {
-        console.log(`Option "${optionText}" not present in fallback list; leaving selection unchanged.`);
-      }
-    } catch (listError) {
-      console.log("Could not list options:", listError.message);
-      throw optionError;
-    }
-  }
-
-  // Wait for option to be selected
-  await driver.sleep(500);
-
-  // Close the dropdown panel by clicking outside
-  try {
-    // Click on the page body to close any open dropdowns/overlays
-    await driver.executeScript("document.body.click();");
-    await driver.sleep(500);
-  } catch (e) {
-    console.log("Could not close dropdown, continuing...");
-  }
-}
-
-async function enableSlideToggle(
-  driver,
-  toggleLocator,
-  toggleDescription = "slide toggle"
-) {
-  const locatorList = Array.isArray(toggleLocator) ? toggleLocator : [toggleLocator];
-  let locatedElement = null;
-  let lastError = null;
-
-  for (const locator of locatorList) {
-    try {
-      locatedElement = await driver.wait(until.elementLocated(locator), 5000);
-      if (locatedElement) {
-        console.log(`${toggleDescription} located using ${locator.toString()}`);
-        break;
-      }
-    } catch (locError) {
-      lastError = locError;
-    }
-  }
-
-  if (!locatedElement) {
-    throw lastError || new Error(`${toggleDescription} element not found`);
-  }
-
-  const slideToggle = await driver.executeScript(`
-    const el = arguments[0];
-    if (!el) return null;
-    if (el.tagName && el.tagName.toLowerCase() === 'mat-mdc-slide-toggle') return el;
-    const closestToggle = el.closest ? el.closest('mat-mdc-slide-toggle') : null;
-    return closestToggle || el;
-  `, locatedElement);
-
-  if (!slideToggle) {
-    throw new Error(`${toggleDescription} root slide-toggle element could not be resolved.`);
-  }
-
-  await driver.wait(until.elementIsVisible(slideToggle), 10000);
-  await driver.executeScript("arguments[0].scrollIntoView({block: 'center'});", slideToggle);
-  await driver.sleep(200);
-
-  const isOn = await driver.executeScript(
-    "const toggle = arguments[0]; return toggle.getAttribute && toggle.getAttribute('aria-checked') === 'true';",
-    slideToggle
-  );
-
-  if (isOn) {
-    console.log(`${toggleDescription} already ON.`);
-    return slideToggle;
-  }
-
-  await driver.executeScript(`
-    const toggle = arguments[0];
-    const handleButton = toggle.querySelector('button.mdc-switch__handle');
-    if (handleButton) {
-      handleButton.click();
-      return;
-    }
-    const nativeControl = toggle.querySelector('input.mdc-switch__native-control');
-    if (nativeControl) {
-      nativeControl.click();
-      return;
-    }
-    const icons = toggle.querySelector('.mdc-switch__icons');
-    if (icons) {
-      icons.click();
-      return;
-    }
-    toggle.click();
-  `, slideToggle);
+// Collapsible sections of the proposal form
+const FINANCIER_SECTION = By.xpath("//span[contains(normalize-space(.), 'Financier Interest Applicable')]");
+const VEHICLE_INFORMATION_SECTION = By.xpath("//mat-expansion-panel-header[.//h4[contains(., 'Vehicle Information')]]");
 
-  await driver.sleep(400);
-  return slideToggle;
-}
-
-async function openFinancierSection(driver) {
-  try {
-    console.log("Opening Financier Interest Applicable section if not visible...");
-    const financierTab = By.xpath("//span[contains(normalize-space(.), 'Financier Interest Applicable')]");
-    const tabElement = await driver.wait(until.elementLocated(financierTab), 5000);
-    const tabParent = await driver.executeScript("return arguments[0].closest('mat-expansion-panel') || arguments[0];", tabElement);
-
-    if (tabParent) {
-      const isExpanded = await driver.executeScript(`
-        const panel = arguments[0];
-        if (panel.hasAttribute && panel.hasAttribute('aria-expanded')) {
-          return panel.getAttribute('aria-expanded') === 'true';
-        }
-        if (panel.classList && panel.classList.contains('mat-expanded')) {
-          return true;
-        }
-        return false;
-      `, tabParent);
+const openFinancierSection = (driver) =>
+  matExpandPanel(driver, FINANCIER_SECTION, "Financier Interest Applicable section");
 
-      if (!isExpanded) {
-        await driver.executeScript("arguments[0].scrollIntoView({block: 'center'});", tabElement);
-        await driver.sleep(200);
-        await driver.executeScript("arguments[0].click();", tabElement);
-        await driver.sleep(800);
-      }
-    } else {
-      await driver.executeScript("arguments[0].scrollIntoView({block: 'center'});", tabElement);
-      await driver.sleep(200);
-      await driver.executeScript("arguments[0].click();", tabElement);
-      await driver.sleep(800);
-    }
-  } catch (e) {
-    console.log("Financier section open helper failed (may already be visible):", e.message);
-  }
-}
+const openVehicleInformationSection = (driver) =>
+  matExpandPanel(driver, VEHICLE_INFORMATION_SECTION, "Vehicle Information section");
 
-async function openVehicleInformationSection(driver) {
-  try {
-    console.log("Ensuring Vehicle Information section is expanded...");
-    const vehicleHeader = By.xpath("//mat-expansion-panel-header[.//h4[contains(., 'Vehicle Information')]]");
-    const panelHeader = await driver.wait(until.elementLocated(vehicleHeader), 5000);
-    await driver.executeScript("arguments[0].scrollIntoView({block: 'center'});", panelHeader);
-    await driver.sleep(200);
-    const isExpanded = await driver.executeScript(`
-      const header = arguments[0];
-      const panel = header.closest ? header.closest('mat-expansion-panel') : null;
-      if (!panel) return true;
-      if (panel.hasAttribute && panel.hasAttribute('aria-expanded')) {
-        return panel.getAttribute('aria-expanded') === 'true';
-      }
-      return panel.classList && panel.classList.contains('mat-expanded');
-    `, panelHeader);
-    if (!isExpanded) {
-      console.log("Vehicle Information panel collapsed, expanding...");
-      await driver.executeScript("arguments[0].click();", panelHeader);
-      await driver.sleep(600);
-    }
-  } catch (e) {
-    console.log("Vehicle Information expansion check failed:", e.message);
-  }
-}
-
-/**
- * Captures error screenshot and uploads to S3 for National form errors
- */
-async function captureErrorScreenshot(
-  driver,
-  error,
-  data,
-  errorStage = "unknown"
-) {
-  let screenshotUrl = null;
-  let screenshotKey = null;
-  let pageSourceUrl = null;
-  let pageSourceKey = null;
-
-  try {
-    if (!driver) {
-      console.log("⚠️  [National] No driver available for screenshot");
-      return { screenshotUrl, screenshotKey, pageSourceUrl, pageSourceKey };
-    }
-
-    const screenshot = await driver.takeScreenshot();
-    const jobIdentifier = data._jobIdentifier || `national_${Date.now()}`;
-    const attemptNumber = data._attemptNumber || 1;
-
-    // Generate S3 key and upload screenshot
-    screenshotKey = generateScreenshotKey(
-      jobIdentifier,
-      attemptNumber,
-      errorStage,
-      "national"
-    );
-
-    screenshotUrl = await uploadScreenshotToS3(screenshot, screenshotKey);
-
-    console.log(`📸 [National] Error screenshot captured: ${screenshotKey}`);
-  } catch (screenshotError) {
-    console.error("❌ [National] Failed to capture error screenshot:", screenshotError.message);
-  }
-
-  return { screenshotUrl, screenshotKey, pageSourceUrl, pageSourceKey };
-}
-
-async function fillNationalForm(
-  data = { username: "9364646564", password: "Pond@2123" }
-) {
+async function fillNationalForm(data = {}) {
   const jobId = data._jobIdentifier || `national_${Date.now()}`;
   let jobBrowser = null;
   let driver = null;
+  let unbindCancellation = () => {};
+  let unbindActionLog = () => {};
   let postSubmissionFailed = false;
   let postSubmissionError = null;
   let postCalculationFailed = false;
+  // Set before Proceed For Payment: from then on the portal may hold a proposal / payment link
+  let moneyBoundaryCrossed = false;
   let postCalculationError = null;
+  // What the portal quoted; reported back so the job can be reconciled/reviewed
+  const portalArtifacts = createPortalArtifacts();
 
   try {
     console.log(`\n🚀 [${jobId}] Starting National Insurance job...`);
@@ -441,6 +148,11 @@ async function fillNationalForm(
     // === STEP 0: Create fresh browser ===
     jobBrowser = await createNationalJobBrowser(jobId);
     driver = jobBrowser.driver;
+    // Timeout / operator cancel from the queue quits this browser and stops the flow at the next step
+    unbindCancellation = bindDriverToSignal(driver, data._abortSignal, () =>
+      cleanupNationalJobBrowser(jobBrowser)
+    );
+    unbindActionLog = bindActionLog(driver, jobId);
 
     console.log(`✅ [${jobId}] National browser ready!`);
 
@@ -599,16 +311,22 @@ async function fillNationalForm(
         console.log("Second dropdown selection failed:", error.message);
       }
 
+      // Queue jobs bring the account they were given; standalone runs use the primary account
+      const credentials =
+        data.username && data.password
+          ? { username: data.username, password: data.password }
+          : await resolvePortalCredentials("national");
+
       // Fill username
       console.log(`[${jobId}] Looking for username field...`);
       const usernameField = By.name("log_txtfield_iUsername_01");
-      await safeType(driver, usernameField, data.username || "9364646564", 10000);
+      await safeSendKeys(driver, usernameField, credentials.username, 10000);
       console.log(`[${jobId}] Filled username`);
 
       // Fill password
       console.log(`[${jobId}] Looking for password field...`);
       const passwordField = By.name("log_pwd_iPassword_01");
-      await safeType(driver, passwordField, data.password || "Pond@2123", 10000);
+      await safeSendKeys(driver, passwordField, credentials.password, 10000);
       console.log(`[${jobId}] Filled password`);
 
       // Click login button
@@ -904,22 +622,19 @@ async function fillNationalForm(
 
     // Select Vehicle Type
     console.log("Selecting Vehicle Type...");
-    const vehicleTypeDropdown = By.name("mcy_dropdown_vehicleType_01");
-    await safeSelectOption(driver, vehicleTypeDropdown, "New", 15000);
+    await matSelectOption(driver, selector("national", "vehicleType"), "New", 15000);
 
     await driver.sleep(2000);
 
     // Select Your Plan
     console.log("Selecting Your Plan...");
     try {
-      const planDropdown = By.name("mcy_dropdown_planId_01");
-      await safeSelectOption(driver, planDropdown, "OD With Long Term Act", 15000);
+      await matSelectOption(driver, selector("national", "plan"), "OD With Long Term Act", 15000);
     } catch (planError) {
       console.log("Could not select plan option, trying alternative...");
       // Try different plan options
       try {
-        const planDropdown = By.name("mcy_dropdown_planId_01");
-        await safeSelectOption(driver, planDropdown, "Third Party", 15000);
+        await matSelectOption(driver, selector("national", "plan"), "Third Party", 15000);
       } catch (e) {
         console.log("Could not select any plan option");
       }
@@ -930,14 +645,12 @@ async function fillNationalForm(
     // Select Class Of Vehicle
     console.log("Selecting Class Of Vehicle...");
     try {
-      const vehicleClassDropdown = By.name("mcy_dropdown_vehcileClass_01");
-      await safeSelectOption(driver, vehicleClassDropdown, "Motor cycle", 15000);
+      await matSelectOption(driver, selector("national", "vehicleClass"), "Motor cycle", 15000);
     } catch (vehicleClassError) {
       console.log("Could not select vehicle class option, trying alternative...");
       // Try different vehicle class options
       try {
-        const vehicleClassDropdown = By.name("mcy_dropdown_vehcileClass_01");
-        await safeSelectOption(driver, vehicleClassDropdown, "Motorcycle", 15000);
+        await matSelectOption(driver, selector("national", "vehicleClass"), "Motorcycle", 15000);
       } catch (e2) {
         console.log("Could not select any vehicle class option");
       }
@@ -945,89 +658,19 @@ async function fillNationalForm(
 
     await driver.sleep(2000);
 
-    // Fill RTO location (autocomplete field)
-    console.log("Filling RTO location...");
-    await driver.sleep(1000);
-    const rtoLocationField = By.name("mcy_dropdown_newRtoLocation_01");
-    const rtoInput = await driver.wait(until.elementLocated(rtoLocationField), 15000);
-    await driver.wait(until.elementIsVisible(rtoInput), 15000);
-    await driver.wait(until.elementIsEnabled(rtoInput), 15000);
-
-    // Type the RTO location
-    await rtoInput.clear();
-    await rtoInput.sendKeys("Chennai - North West");
-    await driver.sleep(2000); // Wait for autocomplete options to appear
-
-    // Click on the first autocomplete option
-    try {
-      const rtoOption = await driver.wait(until.elementLocated(By.css("mat-option")), 5000);
-      await rtoOption.click();
-      await driver.sleep(500);
-    } catch (e) {
-      console.log("Could not select RTO from autocomplete, continuing...");
-    }
-
-    // Fill make (autocomplete field)
-    console.log("Filling make...");
-    await driver.sleep(1000);
-    const makeField = By.name("mcy_dropdown_make_01");
-    const makeInput = await driver.wait(until.elementLocated(makeField), 15000);
-    await driver.wait(until.elementIsVisible(makeInput), 15000);
-    await driver.wait(until.elementIsEnabled(makeInput), 15000);
-
-    await makeInput.clear();
-    await makeInput.sendKeys("BAJAJ");
-    await driver.sleep(2000); // Wait for autocomplete options to appear
-
-    // Click on the first autocomplete option
-    try {
-      const makeOption = await driver.wait(until.elementLocated(By.css("mat-option")), 5000);
-      await makeOption.click();
-      await driver.sleep(500);
-    } catch (e) {
-      console.log("Could not select Make from autocomplete, continuing...");
-    }
-
-    // Wait for Model to load and fill it (autocomplete field)
-    console.log("Filling model...");
-    await driver.sleep(1000);
-    const modelField = By.name("mcy_dropdown_model_01");
-    const modelInput = await driver.wait(until.elementLocated(modelField), 15000);
-    await driver.wait(until.elementIsVisible(modelInput), 15000);
-    await driver.wait(until.elementIsEnabled(modelInput), 15000);
-
-    await modelInput.clear();
-    await modelInput.sendKeys("PULSAR 150 (2024-2025)"); // Default model - Honda SHINE model variant
-    await driver.sleep(2000); // Wait for autocomplete options to appear
-
-    // Click on the first autocomplete optionm
-    try {
-      const modelOption = await driver.wait(until.elementLocated(By.css("mat-option")), 5000);
-      await modelOption.click();
-      await driver.sleep(500);
-    } catch (e) {
-      console.log("Could not select Model from autocomplete, continuing...");
-    }
-
-    // Wait for Variant to load and fill it (autocomplete field)
-    console.log("Filling variant...");
-    await driver.sleep(1000);
-    const variantField = By.name("mcy_dropdown_variant_01");
-    const variantInput = await driver.wait(until.elementLocated(variantField), 15000);
-    await driver.wait(until.elementIsVisible(variantInput), 15000);
-    await driver.wait(until.elementIsEnabled(variantInput), 15000);
-
-    await variantInput.clear();
-    await variantInput.sendKeys("SINGLE DISC - BLUETOOTH (2024-2025)");
-    await driver.sleep(2000); // Wait for autocomplete options to appear
-
-    // Click on the first autocomplete option
-    try {
-      const variantOption = await driver.wait(until.elementLocated(By.css("mat-option")), 5000);
-      await variantOption.click();
-      await driver.sleep(500);
-    } catch (e) {
-      console.log("Could not select Variant from autocomplete, continuing...");
+    // Vehicle autocompletes: type, then take the first suggestion (the typed text stays if none appears)
+    const vehicleAutocompletes = [
+      { label: "RTO location", field: selector("national", "rtoLocation"), text: "Chennai - North West" },
+      { label: "make", field: selector("national", "make"), text: "BAJAJ" },
+      { label: "model", field: selector("national", "model"), text: "PULSAR 150 (2024-2025)" },
+      { label: "variant", field: selector("national", "variant"), text: "SINGLE DISC - BLUETOOTH (2024-2025)" },
+    ];
+    for (const { label, field, text } of vehicleAutocompletes) {
+      console.log(`Filling ${label}...`);
+      await driver.sleep(1000);
+      if (!(await matAutocomplete(driver, field, text))) {
+        console.log(`Could not select ${label} from autocomplete, continuing...`);
+      }
     }
 
     await driver.sleep(1000);
@@ -1036,7 +679,7 @@ async function fillNationalForm(
     console.log("Filling percentage...");
     try {
       const percentageField = By.name("mcy_text_percentage_01");
-      await safeType(driver, percentageField, "75", 15000);
+      await safeSendKeys(driver, percentageField, "75", 15000);
       await driver.sleep(500);
     } catch (e) {
       console.log("Could not fill percentage field:", e.message);
@@ -1051,7 +694,7 @@ async function fillNationalForm(
       const idvValue = data.idv || data.idvValue || data.insuredDeclaredValue;
 
       if (idvValue) {
-        await safeType(driver, idvField, String(idvValue), 10000);
+        await safeSendKeys(driver, idvField, String(idvValue), 10000);
         console.log(`✅ Filled IDV value: ${idvValue}`);
         await driver.sleep(500);
       } else {
@@ -1452,7 +1095,7 @@ async function fillNationalForm(
       const middleNameField = By.name("newcust_textfield_middleName_01");
       const middleName = data.middleName || "";
       if (middleName) {
-        await safeType(driver, middleNameField, middleName, 10000);
+        await safeSendKeys(driver, middleNameField, middleName, 10000);
       }
     } catch (e) {
       console.log("Could not fill Middle Name:", e.message);
@@ -1463,7 +1106,7 @@ async function fillNationalForm(
       console.log("Filling Last Name...");
       const lastNameField = By.name("newcust_textfield_lastName_01");
       const lastName = data.lastName || data.surname || "Customer";
-      await safeType(driver, lastNameField, lastName, 10000);
+      await safeSendKeys(driver, lastNameField, lastName, 10000);
     } catch (e) {
       console.log("Could not fill Last Name:", e.message);
     }
@@ -1605,7 +1248,7 @@ async function fillNationalForm(
         aadhaar = "234567890123";
       }
 
-      await safeType(driver, aadharField, aadhaar, 10000);
+      await safeSendKeys(driver, aadharField, aadhaar, 10000);
       await driver.sleep(300);
     } catch (e) {
       console.log("Could not fill Aadhaar Number:", e.message);
@@ -1677,7 +1320,7 @@ async function fillNationalForm(
       }
 
       if (houseNoValue && String(houseNoValue).trim()) {
-        await safeType(driver, houseNoField, String(houseNoValue).trim(), 10000);
+        await safeSendKeys(driver, houseNoField, String(houseNoValue).trim(), 10000);
       } else {
         console.log("Skipping House Number: no DB value provided.");
       }
@@ -1702,7 +1345,7 @@ async function fillNationalForm(
       }
 
       if (streetValue && String(streetValue).trim()) {
-        await safeType(driver, streetField, String(streetValue).trim(), 10000);
+        await safeSendKeys(driver, streetField, String(streetValue).trim(), 10000);
       } else {
         console.log("Skipping Street: no DB value provided.");
       }
@@ -1716,7 +1359,7 @@ async function fillNationalForm(
       const pincodeField = By.name("newcust_textfield_pincode_01");
       const pincode = data.pincode || data.pinCode;
       if (pincode && String(pincode).trim()) {
-        await safeType(driver, pincodeField, String(pincode).trim(), 10000);
+        await safeSendKeys(driver, pincodeField, String(pincode).trim(), 10000);
       } else {
         console.log("Skipping Pincode: no DB value provided.");
       }
@@ -1730,7 +1373,7 @@ async function fillNationalForm(
       const localityField = By.name("newcust_textfield_locality_01");
       const locality = data.locality || data.area || "chennai";
       if (locality && String(locality).trim()) {
-        await safeType(driver, localityField, String(locality).trim(), 10000);
+        await safeSendKeys(driver, localityField, String(locality).trim(), 10000);
       } else {
         console.log("Skipping Locality: no DB value provided.");
       }
@@ -1744,7 +1387,7 @@ async function fillNationalForm(
       const cityField = By.name("newcust_textfield_city_01");
       const city = data.city || data.rtoCityLocation;
       if (city && String(city).trim()) {
-        await safeType(driver, cityField, String(city).trim(), 10000);
+        await safeSendKeys(driver, cityField, String(city).trim(), 10000);
       } else {
         console.log("Skipping City: no DB value provided.");
       }
@@ -1758,7 +1401,7 @@ async function fillNationalForm(
       const districtField = By.name("newcust_textfield_district_01");
       const district = data.district || data.city;
       if (district && String(district).trim()) {
-        await safeType(driver, districtField, String(district).trim(), 10000);
+        await safeSendKeys(driver, districtField, String(district).trim(), 10000);
       } else {
         console.log("Skipping District: no DB value provided.");
       }
@@ -1772,7 +1415,7 @@ async function fillNationalForm(
       const stateField = By.name("newcust_textfield_state_01");
       const state = data.state || data.stateName;
       if (state && String(state).trim()) {
-        await safeType(driver, stateField, String(state).trim(), 10000);
+        await safeSendKeys(driver, stateField, String(state).trim(), 10000);
       } else {
         console.log("Skipping State: no DB value provided.");
       }
@@ -1786,7 +1429,7 @@ async function fillNationalForm(
       const countryField = By.name("newcust_textfield_country_01");
       const country = data.country;
       if (country && String(country).trim()) {
-        await safeType(driver, countryField, String(country).trim(), 10000);
+        await safeSendKeys(driver, countryField, String(country).trim(), 10000);
       } else {
         console.log("Skipping Country: no DB value provided.");
       }
@@ -1867,7 +1510,7 @@ async function fillNationalForm(
       console.log("Filling Mobile No...");
       const mobileField = By.name("newcust_textfield_mobNo_01");
       const mobile = data.mobile || data.mobileNumber || "9876543210";
-      await safeType(driver, mobileField, String(mobile), 10000);
+      await safeSendKeys(driver, mobileField, String(mobile), 10000);
     } catch (e) {
       console.log("Could not fill Mobile No:", e.message);
     }
@@ -2072,42 +1715,21 @@ async function fillNationalForm(
     // Select Type of Body
     try {
       console.log("Selecting Type of Body...");
-      const typeLocators = [
-        By.name("mcy_dropdown_body_01"),
-        By.xpath("//mat-label[contains(., 'Type of Body')]/ancestor::mat-form-field//mat-select")
-      ];
       let typeSelected = false;
 
-      for (const locator of typeLocators) {
-        try {
-          await safeSelectOption(driver, locator, "Others", 10000);
-          console.log(`Selected Type of Body using locator: ${locator.toString()}`);
-          typeSelected = true;
-          break;
-        } catch (selectionError) {
-          console.log(`Type of Body selection failed for ${locator.toString()}: ${selectionError.message}`);
-        }
+      try {
+        await matSelectOption(driver, selector("national", "typeOfBody"), "Others", 10000);
+        typeSelected = true;
+      } catch (selectionError) {
+        console.log(`Type of Body selection failed: ${selectionError.message}`);
       }
 
       if (!typeSelected) {
         console.log("Falling back to direct input for Type of Body...");
-        const bodyInput = await driver.wait(until.elementLocated(By.name("mcy_dropdown_body_01")), 10000);
-        await bodyInput.clear();
-        await bodyInput.sendKeys("Others");
-        await driver.sleep(1500);
-        try {
-          const bodyOptions = await driver.wait(
-            until.elementsLocated(By.xpath("//mat-option[normalize-space(.)='Others']")),
-            3000
-          );
-          if (bodyOptions.length > 0) {
-            await driver.executeScript("arguments[0].click();", bodyOptions[0]);
-            console.log("Selected Type of Body 'Others' from fallback autocomplete");
-            typeSelected = true;
-          }
-        } catch (fallbackError) {
-          console.log("Fallback autocomplete selection failed:", fallbackError.message);
-        }
+        typeSelected = await matAutocomplete(driver, By.name("mcy_dropdown_body_01"), "Others", {
+          optionText: "Others",
+          timeout: 10000,
+        });
       }
 
       await driver.sleep(500);
@@ -2218,7 +1840,7 @@ async function fillNationalForm(
               continue;
             }
 
-            await safeSelectOption(driver, locator, yearString, 5000);
+            await matSelectOption(driver, locator, yearString, 5000);
             console.log(`Selected Year of Manufacture using locator: ${locator.toString()}`);
             yearSelected = true;
             break;
@@ -2343,15 +1965,8 @@ async function fillNationalForm(
       await openFinancierSection(driver);
 
       // Enable Financier Interest switch
-      const financierToggleLocators = [
-        By.xpath("//*[@id='mat-mdc-slide-toggle-8-button']"),
-        By.xpath("//*[@id='mat-mdc-slide-toggle-8-button']/div[2]/div/div[3]/svg[2]"),
-        By.css("mat-mdc-slide-toggle[name='mcy_toggle_FinancierInterestApplicable_01']"),
-        By.xpath("//mat-mdc-slide-toggle[contains(., 'Financier Interest Applicable')]"),
-        By.xpath("//mat-expansion-panel[contains(., 'Financier Interest Applicable')]//mat-mdc-slide-toggle"),
-      ];
       try {
-        await enableSlideToggle(driver, financierToggleLocators, "Financier Interest switch");
+        await matSlideToggleOn(driver, selector("national", "financierToggle"), "Financier Interest switch");
         await driver.sleep(1000);
       } catch (e) {
         console.log("Financier switch handling failed:", e.message);
@@ -2430,13 +2045,13 @@ async function fillNationalForm(
       try {
         console.log("Filling Financier Name...");
         const finName = data.financierName || "Financier Name";
-        await safeType(driver, By.name("mcy_text_FinancierName_01"), finName, 10000);
+        await safeSendKeys(driver, By.name("mcy_text_FinancierName_01"), finName, 10000);
       } catch (e) {
         console.log("Could not fill Financier Name by name attribute, trying label-based locator...");
         try {
           const financierNameInput = By.xpath("//mat-label[contains(., 'Financier Name')]/ancestor::mat-form-field//input");
           const finName = data.financierName || "Financier Name";
-          await safeType(driver, financierNameInput, finName, 10000);
+          await safeSendKeys(driver, financierNameInput, finName, 10000);
         } catch (fallbackError) {
           console.log("All strategies failed for Financier Name:", fallbackError.message);
         }
@@ -2446,13 +2061,13 @@ async function fillNationalForm(
       try {
         console.log("Filling Financier Address...");
         const finAddress = data.financierAddress || "Financier Address";
-        await safeType(driver, By.name("mcy_text_FinancierAddress_01"), finAddress, 10000);
+        await safeSendKeys(driver, By.name("mcy_text_FinancierAddress_01"), finAddress, 10000);
       } catch (e) {
         console.log("Could not fill Financier Address by name attribute, trying label-based locator...");
         try {
           const financierAddressInput = By.xpath("//mat-label[contains(., 'Financier Address')]/ancestor::mat-form-field//input");
           const finAddress = data.financierAddress || "Financier Address";
-          await safeType(driver, financierAddressInput, finAddress, 10000);
+          await safeSendKeys(driver, financierAddressInput, finAddress, 10000);
         } catch (fallbackError) {
           console.log("All strategies failed for Financier Address:", fallbackError.message);
         }
@@ -2509,12 +2124,7 @@ async function fillNationalForm(
     try {
       console.log("Clicking Check Vahan button...");
       await openVehicleInformationSection(driver);
-      const checkVahanLocators = [
-        By.xpath("//span[contains(@class, 'checkbtn') and contains(normalize-space(.), 'Check Vahan')]"),
-        By.xpath("//button[contains(@class, 'checkbtn') and contains(normalize-space(.), 'Check Vahan')]"),
-        By.name("mcod_btn_addCover_01"),
-        By.xpath("//span[@name='mcod_btn_addCover_01']"),
-      ];
+      const checkVahanLocators = selector("national", "checkVahan");
       let vahanClicked = false;
 
       try {
@@ -2532,17 +2142,12 @@ async function fillNationalForm(
         console.log("Direct Check Vahan name-based click failed:", multiError.message);
       }
 
-      for (const locator of checkVahanLocators) {
-        if (vahanClicked) {
-          break;
-        }
+      if (!vahanClicked) {
         try {
-          await scrollAndClick(driver, locator, 12000);
+          await scrollAndClick(driver, checkVahanLocators, 12000);
           vahanClicked = true;
-          console.log(`Clicked Check Vahan using locator: ${locator.toString()}`);
-          break;
         } catch (vahanError) {
-          console.log(`Check Vahan click failed for ${locator.toString()}: ${vahanError.message}`);
+          console.log(`Check Vahan click failed: ${vahanError.message}`);
         }
       }
 
@@ -3110,27 +2715,7 @@ async function fillNationalForm(
     // Click Calculate Premium button
     try {
       console.log(`[${jobId}] Clicking Calculate Premium button...`);
-      const calculatePremiumLocators = [
-        By.name("mcy_button_calculatePremium_01"),
-        By.xpath("//button[@name='mcy_button_calculatePremium_01']"),
-        By.xpath("//button[contains(@class, 'q-quote-btn') and .//span[normalize-space(.)='Calculate Premium']]"),
-        By.xpath("//span[normalize-space(.)='Calculate Premium']/ancestor::button"),
-        By.xpath("//button[contains(@class, 'mat-mdc-raised-button') and .//span[contains(text(), 'Calculate Premium')]]"),
-      ];
-      let premiumClicked = false;
-      for (const locator of calculatePremiumLocators) {
-        try {
-          await scrollAndClick(driver, locator, 12000);
-          premiumClicked = true;
-          console.log(`[${jobId}] ✅ Clicked Calculate Premium using locator: ${locator.toString()}`);
-          break;
-        } catch (calcError) {
-          console.log(`[${jobId}] Calculate Premium click failed for ${locator.toString()}: ${calcError.message}`);
-        }
-      }
-      if (!premiumClicked) {
-        throw new Error("Unable to click Calculate Premium button.");
-      }
+      await scrollAndClick(driver, selector("national", "calculatePremium"), 12000);
       await driver.sleep(3000);
       await waitForPortalLoaderToDisappear(driver);
       console.log(`[${jobId}] ✅ Calculate Premium button clicked successfully`);
@@ -3149,7 +2734,47 @@ async function fillNationalForm(
       console.log("Confirmation popup OK button not found or not needed:", e.message);
     }
 
-    // Proceed For Payment Flow
+    // Wrong-quote guard: nothing has been paid yet, so a premium that does not match the request stops here
+    portalArtifacts.premium = await readPremiumBreakdown(driver);
+    portalArtifacts.capturedAt = new Date();
+    portalArtifacts.premiumCheck = checkPremium(data, portalArtifacts.premium);
+    console.log(`[${jobId}] 💰 Premium check: ${portalArtifacts.premiumCheck.status}${portalArtifacts.premiumCheck.reason ? ` (${portalArtifacts.premiumCheck.reason})` : ""}`);
+
+    // Dry run: stop on the quote, before Proceed For Payment / Send Payment Link
+    if (data._dryRun) {
+      console.log(`🧪 [${jobId}] Dry run - stopping before Proceed For Payment`);
+      const screenshot = await captureDryRunScreenshot(driver, data);
+      return buildDryRunResult(portalArtifacts, screenshot, "proceed-for-payment");
+    }
+
+    if (portalArtifacts.premiumCheck.blocksPayment) {
+      const mismatch = premiumMismatchError(portalArtifacts.premiumCheck, { insurer: "national" });
+      console.error(`[${jobId}] ❌ ${mismatch.message}`);
+      const errorDetails = await captureErrorScreenshot(driver, mismatch, data, "premium-mismatch", { portal: "national" });
+      return {
+        success: false,
+        error: mismatch.message,
+        errorCode: mismatch.code,
+        screenshotUrl: errorDetails.screenshotUrl,
+        screenshotKey: errorDetails.screenshotKey,
+        postSubmissionFailed: true, // No retry: the quote needs a human decision
+        stage: "pre-payment",
+        portalArtifacts,
+      };
+    }
+
+    // Proceed For Payment Flow: the job must show the money boundary before the click (fail closed)
+    if (data._onMoneyBoundary) {
+      try {
+        await data._onMoneyBoundary({ step: "proceed-for-payment", startedAt: new Date() });
+      } catch (boundaryError) {
+        throw new PolicyAutomationError("E406_MONEY_BOUNDARY_NOT_RECORDED", {
+          message: `Money boundary before Proceed For Payment not recorded, payment not started: ${boundaryError.message}`,
+        }, boundaryError);
+      }
+    }
+    moneyBoundaryCrossed = true;
+    let paymentErrorDetails = {};
     try {
       console.log("Clicking Proceed For Payment button...");
       const proceedPaymentButton = By.xpath("//button[@name='main_btn_convert_01'] | //span[contains(., 'Proceed For payment')]/ancestor::button");
@@ -3166,13 +2791,15 @@ async function fillNationalForm(
         await driver.executeScript("arguments[0].click();", radioElement);
         console.log("Clicked payment radio button (value=5)");
       } catch (radioError) {
-        console.log("Could not find or click payment radio button (value=5):", radioError.message);
+        // Without the payment link option selected, Send Payment Link could start another payment mode
+        throw new Error(`Payment option (value=5) could not be selected: ${radioError.message}`);
       }
       await driver.sleep(1000);
 
       console.log("Clicking Send Payment Link button...");
       const sendLinkButton = By.xpath("//button[@name='vQuote_btn_sendPayLink_01'] | //span[contains(., 'Send Payment Link')]/ancestor::button");
       await safeClick(driver, sendLinkButton, 5000);
+      portalArtifacts.paymentLinkSent = true;
       await driver.sleep(2000);
       await waitForPortalLoaderToDisappear(driver);
 
@@ -3183,10 +2810,15 @@ async function fillNationalForm(
       await driver.sleep(1000);
 
     } catch (e) {
-      console.log("Proceed For Payment flow failed:", e.message);
+      // Past Proceed For Payment a proposal / payment link may exist: manual review, never a completed job
+      console.error(`[${jobId}] ❌ Proceed For Payment flow failed (payment link sent: ${portalArtifacts.paymentLinkSent}):`, e.message);
+      postSubmissionFailed = true;
+      postSubmissionError = `Proceed For Payment flow failed ${portalArtifacts.paymentLinkSent ? "after" : "before"} the payment link was sent: ${e.message}`;
+      paymentErrorDetails = await captureErrorScreenshot(driver, e, data, "proceed-for-payment", { portal: "national" });
     }
 
-    console.log(`✅ [${jobId}] National Insurance form automation completed successfully!`);
+    // The payment flow's failures are recorded, not thrown; a cancel must still not be reported as completed
+    throwIfCancelled(driver);
 
     // Return success if post-calculation failed
     if (postCalculationFailed) {
@@ -3195,6 +2827,7 @@ async function fillNationalForm(
         error: postCalculationError || "Post-calculation stage failed",
         postSubmissionFailed: true, // Treat as post-submission failure
         stage: "post-calculation",
+        portalArtifacts,
       };
     }
 
@@ -3204,21 +2837,21 @@ async function fillNationalForm(
         success: false,
         error: postSubmissionError || "Post-submission stage failed",
         postSubmissionFailed: true,
+        moneyBoundaryCrossed: true,
         stage: "post-submission",
+        screenshotUrl: paymentErrorDetails.screenshotUrl || null,
+        screenshotKey: paymentErrorDetails.screenshotKey || null,
+        portalArtifacts,
       };
     }
 
-    return { success: true };
+    console.log(`✅ [${jobId}] National Insurance form automation completed successfully!`);
+    return { success: true, portalArtifacts };
   } catch (error) {
     console.error(`[${jobId}] [nationalForm] Error:`, error.message || error);
 
     // Capture error screenshot using centralized handler
-    const errorDetails = await captureErrorScreenshot(
-      driver,
-      error,
-      data,
-      "form-error"
-    );
+    const errorDetails = await captureErrorScreenshot(driver, error, data, "form-error", { portal: "national" });
 
     return {
       success: false,
@@ -3229,10 +2862,17 @@ async function fillNationalForm(
       pageSourceUrl: errorDetails.pageSourceUrl,
       pageSourceKey: errorDetails.pageSourceKey,
       timestamp: new Date(),
-      stage: "login-form", // Indicate this is a login form error
-      postSubmissionFailed: false,
+      // Structured errors keep their code; E406 and the like are not retried
+      ...(error instanceof PolicyAutomationError ? { errorCode: error.code, retryable: error.retryable } : {}),
+      // A cancel / timeout after Proceed For Payment started is post-submission: a proposal or link may exist
+      stage: moneyBoundaryCrossed ? "post-submission" : "login-form",
+      postSubmissionFailed: moneyBoundaryCrossed,
+      moneyBoundaryCrossed,
+      portalArtifacts,
     };
   } finally {
+    unbindCancellation();
+    unbindActionLog();
     // Cleanup: Always close browser and delete cloned profile
     // if (jobBrowser) {
     //   await cleanupNationalJobBrowser(jobBrowser);
@@ -3246,7 +2886,8 @@ async function main() {
 
   // Parse command line arguments
   const formData = parseCommandLineArgs();
-  console.log("📋 Using form data:", formData);
+  const { password, ...loggableFormData } = formData;
+  console.log("📋 Using form data:", loggableFormData);
 
   try {
     const result = await fillNationalForm(formData);
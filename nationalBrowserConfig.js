@@ -4,6 +4,7 @@ const os = require("os");
 const path = require("path");
 const fs = require("fs");
 const { execSync } = require("child_process");
+const { resolvePortalCredentials } = require("./lib/credentialVault");
 
 /**
  * Wait for loader to disappear
@@ -42,8 +43,6 @@ async function waitForLoaderToDisappear(driver, timeout = 30000) {
 const CONFIG = {
   LOGIN_URL: "https://nicportal.nic.co.in/nicportal/signin/login",
   DASHBOARD_URL: "https://nicportal.nic.co.in/nicportal/home/hcontent",
-  USERNAME: "9999839907",
-  PASSWORD: "Rayal$2025",
   LOGIN_TIMEOUT: 10000,
   CHECK_TIMEOUT: 5000,
 };
@@ -205,6 +204,9 @@ async function performNationalLogin(driver) {
   console.log("→ Filling login credentials...");
 
   try {
+    // Master session logs in with the vault's primary National account
+    const credentials = await resolvePortalCredentials("national");
+
     // Wait for page to load
     await waitForLoaderToDisappear(driver);
     
@@ -303,7 +305,7 @@ async function performNationalLogin(driver) {
       10000
     );
     await usernameField.clear();
-    await usernameField.sendKeys(CONFIG.USERNAME);
+    await usernameField.sendKeys(credentials.username);
 
     // Fill password
     const passwordField = await driver.wait(
@@ -311,7 +313,7 @@ async function performNationalLogin(driver) {
       10000
     );
     await passwordField.clear();
-    await passwordField.sendKeys(CONFIG.PASSWORD);
+    await passwordField.sendKeys(credentials.password);
 
     await driver.sleep(1000);
 
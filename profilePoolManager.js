@@ -17,7 +17,7 @@ class ProfilePoolManager extends EventEmitter {
       config.baseProfileDir || path.join(__dirname, "chrome-profile");
     this.poolDir = config.poolDir || path.join(__dirname, "profile-pool");
     this.ramDiskPath = config.useRamDisk
-      ? "/dev/shm/chrome-profiles"
+      ? config.ramDiskPath || "/dev/shm/chrome-profiles"
       : this.poolDir;
     this.poolSize = config.poolSize || 5; // Number of ready profiles
     this.maxProfileUses = config.maxProfileUses || 10; // Recycle after N uses
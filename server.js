@@ -3,7 +3,9 @@ require("dotenv").config();
 
 const http = require("http");
 const fs = require("fs");
+const os = require("os");
 const path = require("path");
+const crypto = require("crypto");
 const { Server } = require("socket.io");
 const AWS = require("aws-sdk");
 
@@ -40,20 +42,15 @@ const {
   createChromeDriver,
 } = require("./browser");
 const {
-  initializeMasterSession,
-  getSessionStatus,
   checkSession,
   reLoginIfNeeded,
 } = require("./sessionManager");
 const { captureAndLogError } = require("./errorLogger");
-const { fillRelianceForm } = require("./relianceForm");
-const { fillNationalForm } = require("./national");
+const { mergePDFsAndUpload } = require("./relianceForm");
 const { extractCaptchaText } = require("./Captcha");
-// National uses fresh login for each job, no master session needed
 const express = require("express");
 const multer = require("multer");
 const mongoose = require("mongoose");
-const moment = require("moment");
 
 // 🛡️ Import Enhanced Error Handler (CRITICAL: Money involved)
 const {
@@ -64,36 +61,174 @@ const {
   createErrorLogEntry,
   ERROR_CODES,
   ValidationError,
-  PolicyAutomationError
+  PolicyAutomationError,
+  JobCancelledError,
+  JOB_STATES,
+  isValidStateTransition
 } = require("./lib/errorHandler");
 
+// 🔀 Single entry point for job status changes (JOB_STATES enforcement + statusHistory)
+const { createJobStateService, hasCrossedMoneyBoundary, moneyBoundaryCrossedFilter } = require("./lib/jobStateService");
+
+// 🧾 Manual review queue for post-submission failures (ownership, outcomes, SLA)
+const {
+  REVIEW_STATUS,
+  REVIEW_OUTCOMES,
+  buildOpenReview,
+  computeSla,
+  formatReviewItem,
+  buildUnresolvedReviewFilter,
+  backfillReviews,
+  assignReview,
+} = require("./lib/reviewQueue");
+
+// 🗺️ onlinePolicy -> formData mapping (per-insurer field maps, portal state tables)
+const { mapPolicyToFormData, resolvePortalState } = require("./lib/policyMapper");
+
+// 🔁 onlinePolicy change stream with persisted resume tokens and auto re-open
+const { RESUME_TOKEN_COLLECTION, watchWithResume } = require("./lib/resumableChangeStream");
+
+// 🔐 Portal accounts (encrypted credential vault, per-job account selection)
+const {
+  CREDENTIAL_COLLECTION,
+  ACCOUNT_STATUS,
+  loadMasterKeys,
+  createCredentialVault,
+  registerVault,
+  acquireCredentials,
+} = require("./lib/credentialVault");
+// 🧾 Proposal / quote / premium the portal issued for a job
+const { hasPortalArtifacts } = require("./lib/portalArtifacts");
+
+// 🧪 Dry runs: stop on the quote, before Save / Pay / Send Payment Link
+const { isGlobalDryRun, isDryRunJob } = require("./lib/dryRun");
+
+// 🛑 Abort signals for running jobs (timeout / operator cancel tears the browser down)
+const { whenCancelled } = require("./lib/jobCancellation");
+
+// 🛵 Brisk certificate as a tracked sub-job of a completed Reliance job (own status, retries, operator retry)
+const {
+  BRISK_STATUS,
+  OPERATOR_RETRY_STATES: BRISK_OPERATOR_RETRY_STATES,
+  initialBriskState,
+  createBriskIssuanceService,
+} = require("./lib/briskIssuance");
+// 📒 Brisk plan catalogue (plan per vehicle type / insurer / cover / price)
+const { BRISK_PLAN_COLLECTION, COVER_TYPES, createBriskPlanCatalogue } = require("./lib/briskPlans");
+// 🩺 Portal selector health (which named selectors fail or match only through a fallback)
+const {
+  SELECTOR_HEALTH_COLLECTION,
+  SELECTOR_HEALTH,
+  SELECTOR_STATUS,
+  createSelectorHealthStore,
+} = require("./lib/selectorRegistry");
+const { PORTAL_SELECTORS } = require("./lib/portalSelectors");
+
+// 🧩 Insurer adapters (lib/insurers/): session strategy, field map, fill flow, documents, payment mode
+const {
+  DEFAULT_INSURER,
+  listInsurers,
+  getInsurer,
+  resolveInsurer,
+  runInsurerFill,
+  describeInsurer,
+} = require("./lib/insurerRegistry");
+
+// 🚦 Per-insurer queue lanes (separate concurrency limits, pause/resume, fair scheduling)
+const {
+  LANES,
+  LANE_SETTINGS_COLLECTION,
+  resolveLane,
+  isValidLane,
+  loadLaneSettings,
+  setLanePaused,
+  setLaneConcurrency,
+  getRotatedLaneOrder,
+  backfillJobLanes,
+} = require("./lib/queueLanes");
+
 mongoose.connect(process.env.MONGODB_URI);
 
 const db = mongoose.connection;
 
 // Persistent Queue System using MongoDB
-let activeRelianceJobs = 0;
-const MAX_PARALLEL_JOBS = 3; // Process 3 jobs in parallel using multiple tabs in same browser
+// Each insurer has its own lane and concurrency limit (see lib/queueLanes.js)
+const activeJobsByLane = Object.fromEntries(LANES.map((lane) => [lane, 0])); // Jobs running on THIS instance
+let laneCursor = 0; // Rotates which lane claims first on each pass (fairness)
+let laneSettingsCollection = null; // Persisted pause/limit settings shared by all instances
+const activeJobControllers = new Map(); // jobId -> AbortController for jobs running on THIS instance
+
+// Worker identity & leases: several server.js instances can share RelianceJobQueue.
+// A job is claimed atomically, then kept alive by heartbeats that push leaseExpiresAt forward.
+// Only jobs whose lease has expired (owner crashed or hung) are reclaimed by recovery.
+const WORKER_ID =
+  process.env.WORKER_ID ||
+  `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString("hex")}`;
+const JOB_LEASE_MS = parseInt(process.env.JOB_LEASE_MS) || 60000; // 1 minute lease
+const JOB_HEARTBEAT_INTERVAL_MS = Math.floor(JOB_LEASE_MS / 3); // Renew well before expiry
+const LEASE_RECOVERY_INTERVAL_MS = JOB_LEASE_MS; // How often to look for expired leases
 let jobQueueCollection = null; // Will be initialized after DB connection
+let jobStates = null; // Job state service; every status change goes through it
+let briskIssuance = null; // Brisk certificate sub-jobs (job.brisk)
+let briskPlans = null; // Brisk plan catalogue
+let selectorHealth = null; // Selector lookup counts, flushed on the lease recovery tick
+let credentialVault = null; // Portal accounts; null when no master key is configured
+// The Reliance session pool logs in with vault accounts, so it waits for the vault setup
+let markVaultReady;
+const vaultReady = new Promise((resolve) => (markVaultReady = resolve));
 let auditLogCollection = null; // For audit logging
 
+// Delayed retry scheduler: a single timer that wakes the queue when the earliest nextRetryAt comes due
+let retryWakeupTimer = null;
+let retryWakeupAt = null;
+const RETRY_WAKEUP_GRACE_MS = 250; // Fire slightly after nextRetryAt so the job is already eligible
+const MAX_TIMER_DELAY_MS = 2147483647; // setTimeout overflows beyond ~24.8 days
+
+// onlinePolicy intake: change stream + catch-up sweep for anything the stream missed
+let onlinePolicyCollection = null;
+let catchUpInProgress = false;
+const CATCH_UP_LOOKBACK_HOURS = parseInt(process.env.CATCH_UP_LOOKBACK_HOURS) || 48; // Never enqueue older policies automatically
+const CATCH_UP_MIN_AGE_MS = 5 * 60000; // Younger documents belong to the live stream
+const CATCH_UP_INTERVAL_MS = parseInt(process.env.CATCH_UP_INTERVAL_MS) || 15 * 60000;
+
 // Job statuses
 const JOB_STATUS = {
   PENDING: "pending", // Waiting in queue
   PROCESSING: "processing", // Currently being processed
   COMPLETED: "completed", // Successfully completed
+  COMPLETED_DRY_RUN: "completed_dry_run", // Dry run reached the quote; nothing was saved or paid
   FAILED_LOGIN_FORM: "failed_login_form", // Failed during login page form filling
   FAILED_POST_SUBMISSION: "failed_post_submission", // Failed after form submission
   FAILED_VALIDATION: "failed_validation", // Failed input validation
   FAILED_DUPLICATE: "failed_duplicate", // Duplicate submission detected
+  CANCELLED: "cancelled", // Cancelled by an operator
+  RESOLVED: "resolved", // Post-submission failure closed after manual portal verification
 };
 
+/**
+ * Idempotency key of a job; dry runs only dedupe against other dry runs so they never block the live job
+ */
+const jobIdempotencyKey = (formData, dryRun = false) =>
+  `${dryRun ? "dry-run:" : ""}${generateIdempotencyKey(formData)}`;
+
 /**
  * 🛡️ Enhanced Job Enqueue with Validation & Duplicate Detection
  * CRITICAL: Since money is involved, we validate and check for duplicates
+ *
+ * @param {Object} formData - Job form data
+ * @param {Object} options - { captchaId, source: "change-stream" | "api", mapping, accountId, dryRun }
+ *   mapping: { version, warnings } from lib/policyMapper when formData was mapped from onlinePolicy
+ *   accountId: vault account the job must log in with (default: least recently used)
+ *   dryRun: stop before Save / Pay / Send Payment Link (see lib/dryRun.js)
+ * @returns {Promise<Object>} { jobId, duplicate, existingJobStatus }
+ * @throws {ValidationError} details.errors lists every failed field, details.jobId the failed_validation record
  */
-const enqueueRelianceJob = async (formData, captchaId = null) => {
+const submitPolicyJob = async (
+  formData,
+  { captchaId = null, source = "change-stream", mapping = null, accountId = null, dryRun = false } = {}
+) => {
   const startTime = Date.now();
+  const mappingWarnings = mapping ? mapping.warnings : [];
 
   try {
     // Step 1: Sanitize form data
@@ -111,47 +246,67 @@ const enqueueRelianceJob = async (formData, captchaId = null) => {
       const failedJob = {
         captchaId: captchaId,
         formData: sanitizedData,
-        status: JOB_STATUS.FAILED_VALIDATION,
         createdAt: new Date(),
         failedAt: new Date(),
         attempts: 0,
         maxAttempts: 0,
         validationErrors: validation.errors.map(e => e.toJSON ? e.toJSON() : e),
-        errorSummary: validation.errorSummary
+        errorSummary: validation.errorSummary,
+        lane: resolveLane(sanitizedData),
+        mappingWarnings,
+        metadata: { company: company, source: source, mapperVersion: mapping ? mapping.version : null }
       };
 
-      await jobQueueCollection.insertOne(failedJob);
+      const failedInsert = await jobStates.insert(failedJob, JOB_STATUS.FAILED_VALIDATION, {
+        reason: validation.errorSummary,
+      });
 
       // Log audit entry
       await logAuditEntry('VALIDATION_FAILED', {
+        jobId: failedInsert.insertedId,
         captchaId,
+        source,
         customerName: `${sanitizedData.firstName} ${sanitizedData.lastName}`,
         errors: validation.errorSummary
       });
 
       throw new ValidationError('formData', null, 'E100_INVALID_INPUT', {
-        message: `Validation failed: ${validation.errorSummary}`
+        message: `Validation failed: ${validation.errorSummary}`,
+        errors: failedJob.validationErrors,
+        jobId: failedInsert.insertedId
       });
     }
 
+    // API callers may name the state; the filler selects the portal's value
+    sanitizedData.state = resolvePortalState(company, sanitizedData.state).value;
+
     // Step 3: Check for duplicate submissions (CRITICAL: Prevent double charges)
-    const idempotencyKey = generateIdempotencyKey(sanitizedData);
+    const idempotencyKey = jobIdempotencyKey(sanitizedData, dryRun);
     const existingJob = await checkDuplicateSubmission(jobQueueCollection, idempotencyKey, 60);
 
     if (existingJob) {
       console.warn(`[Reliance Queue] ⚠️ Duplicate submission detected for ${sanitizedData.firstName}`);
       console.warn(`   Existing Job ID: ${existingJob._id}, Status: ${existingJob.status}`);
 
+      // Link the policy to the job that covers it, so the catch-up sweep does not submit it again
+      if (captchaId && String(existingJob.captchaId) !== String(captchaId)) {
+        await jobQueueCollection.updateOne(
+          { _id: existingJob._id },
+          { $addToSet: { duplicateCaptchaIds: captchaId } }
+        );
+      }
+
       // Log audit entry
       await logAuditEntry('DUPLICATE_DETECTED', {
         captchaId,
+        source,
         customerName: `${sanitizedData.firstName} ${sanitizedData.lastName}`,
         existingJobId: existingJob._id,
         existingJobStatus: existingJob.status
       });
 
       // Return existing job ID instead of creating duplicate
-      return existingJob._id;
+      return { jobId: existingJob._id, duplicate: true, existingJobStatus: existingJob.status };
     }
 
     // Step 4: Create job with enhanced tracking
@@ -159,51 +314,55 @@ const enqueueRelianceJob = async (formData, captchaId = null) => {
       captchaId: captchaId,
       formData: sanitizedData,
       idempotencyKey: idempotencyKey,
-      status: JOB_STATUS.PENDING,
+      lane: resolveLane(sanitizedData),
+      accountId: accountId,
+      dryRun: dryRun,
       createdAt: new Date(),
       attempts: 0,
       maxAttempts: 3,
       lastError: null,
       errorLogs: [],
-      statusHistory: [{
-        from: null,
-        to: JOB_STATUS.PENDING,
-        timestamp: new Date()
-      }],
+      mappingWarnings,
       metadata: {
         company: company,
+        source: source,
+        mapperVersion: mapping ? mapping.version : null,
         enqueuedAt: new Date(),
         processingTimeMs: null,
         retryCount: 0
       }
     };
 
-    const result = await jobQueueCollection.insertOne(job);
+    const result = await jobStates.insert(job, JOB_STATUS.PENDING);
 
     const enqueueDuration = Date.now() - startTime;
     console.log(
-      `[Reliance Queue] ✅ Enqueued job for ${sanitizedData.firstName} (Job ID: ${result.insertedId}, Captcha ID: ${captchaId}) [${enqueueDuration}ms]`
+      `[Reliance Queue] ✅ Enqueued job for ${sanitizedData.firstName} (Job ID: ${result.insertedId}, Captcha ID: ${captchaId}, Lane: ${job.lane}) [${enqueueDuration}ms]`
     );
 
     // Log audit entry
     await logAuditEntry('JOB_ENQUEUED', {
       jobId: result.insertedId,
       captchaId,
+      source,
       customerName: `${sanitizedData.firstName} ${sanitizedData.lastName}`,
       company: company,
-      mobile: sanitizedData.mobile
+      mobile: sanitizedData.mobile,
+      mappingWarnings: mappingWarnings.length,
+      dryRun: dryRun
     });
 
     // Try to process queue
     void processRelianceQueue();
 
-    return result.insertedId;
+    return { jobId: result.insertedId, duplicate: false };
   } catch (error) {
     console.error("[Reliance Queue] ❌ Failed to enqueue job:", error.message);
 
     // Log audit entry for failure
     await logAuditEntry('ENQUEUE_FAILED', {
       captchaId,
+      source,
       error: error.message,
       errorCode: error.code || 'UNKNOWN'
     });
@@ -212,6 +371,15 @@ const enqueueRelianceJob = async (formData, captchaId = null) => {
   }
 };
 
+/**
+ * Enqueue a job for an onlinePolicy document (change stream / catch-up sweep)
+ * @returns {Promise<ObjectId>} New job ID, or the existing job's ID for a duplicate
+ */
+const enqueueRelianceJob = async (formData, captchaId = null, source = "change-stream", mapping = null) => {
+  const { jobId } = await submitPolicyJob(formData, { captchaId, source, mapping });
+  return jobId;
+};
+
 /**
  * Helper function to log audit entries
  */
@@ -232,98 +400,415 @@ async function logAuditEntry(action, details) {
   }
 }
 
-const processRelianceQueue = async () => {
+/**
+ * Filter for pending jobs that may run now.
+ * Jobs waiting out a retry backoff stay pending but are skipped until nextRetryAt has passed.
+ */
+const buildEligiblePendingFilter = (now = new Date()) => ({
+  status: JOB_STATUS.PENDING,
+  $or: [{ nextRetryAt: null }, { nextRetryAt: { $lte: now } }],
+});
+
+/**
+ * Milliseconds until a job becomes eligible to run again.
+ * Returns 0 for pending jobs that can run now and null for jobs that are not pending.
+ */
+const getTimeUntilEligibleMs = (job, now = Date.now()) => {
+  if (job.status !== JOB_STATUS.PENDING) return null;
+  if (!job.nextRetryAt) return 0;
+  return Math.max(0, new Date(job.nextRetryAt).getTime() - now);
+};
+
+/**
+ * Arm the retry timer for the earliest pending job still in backoff.
+ * Keeps an already-armed timer if it fires at or before that job's nextRetryAt.
+ */
+const scheduleRetryWakeup = async () => {
   if (!jobQueueCollection) return;
 
   try {
-    // Count how many jobs are currently processing
-    const processingCount = await jobQueueCollection.countDocuments({
-      status: JOB_STATUS.PROCESSING,
-    });
-
-    activeRelianceJobs = processingCount;
+    const nextRetryJob = await jobQueueCollection.findOne(
+      {
+        status: JOB_STATUS.PENDING,
+        nextRetryAt: { $gt: new Date() },
+      },
+      { sort: { nextRetryAt: 1 }, projection: { nextRetryAt: 1 } }
+    );
 
-    // Check if we can start more jobs
-    if (activeRelianceJobs >= MAX_PARALLEL_JOBS) {
-      return; // Already at max capacity
+    if (!nextRetryJob) {
+      return; // Nothing waiting on a backoff
     }
 
-    // Get pending jobs from database (oldest first)
-    const availableSlots = MAX_PARALLEL_JOBS - activeRelianceJobs;
-    const pendingJobs = await jobQueueCollection
-      .find({ status: JOB_STATUS.PENDING })
-      .sort({ createdAt: 1 })
-      .limit(availableSlots)
-      .toArray();
+    const wakeAt = new Date(nextRetryJob.nextRetryAt);
+    if (retryWakeupTimer && retryWakeupAt && retryWakeupAt <= wakeAt) {
+      return; // Existing timer already covers this retry
+    }
 
-    if (pendingJobs.length === 0) {
-      return; // No pending jobs
+    if (retryWakeupTimer) {
+      clearTimeout(retryWakeupTimer);
     }
 
+    const delay = Math.min(
+      Math.max(wakeAt.getTime() - Date.now(), 0) + RETRY_WAKEUP_GRACE_MS,
+      MAX_TIMER_DELAY_MS
+    );
+
+    retryWakeupAt = wakeAt;
+    retryWakeupTimer = setTimeout(() => {
+      retryWakeupTimer = null;
+      retryWakeupAt = null;
+      console.log("[Reliance Queue] ⏰ Retry backoff elapsed, waking queue...");
+      void processRelianceQueue();
+    }, delay);
+
     console.log(
-      `[Reliance Queue] Found ${pendingJobs.length} pending jobs, starting processing...`
+      `[Reliance Queue] ⏰ Next retry due at ${wakeAt.toISOString()} (in ${Math.round(delay / 1000)}s)`
     );
+  } catch (error) {
+    console.error("[Reliance Queue] Failed to schedule retry wakeup:", error.message);
+  }
+};
 
-    // Start processing each job
-    for (const job of pendingJobs) {
-      // Mark job as processing
-      await jobQueueCollection.updateOne(
-        { _id: job._id },
+/**
+ * Atomically claim the oldest eligible pending job in a lane for this worker.
+ * findOneAndUpdate guarantees two instances can never claim the same job.
+ * @param {string} lane - Lane to claim from ("reliance" / "national")
+ * @returns {Promise<Object|null>} The claimed job (post-update) or null if none is eligible
+ */
+const claimNextJob = async (lane) => {
+  const now = new Date();
+
+  return jobStates.claimOne({
+    from: JOB_STATUS.PENDING,
+    to: JOB_STATUS.PROCESSING,
+    filter: { ...buildEligiblePendingFilter(now), lane },
+    set: {
+      startedAt: now,
+      workerId: WORKER_ID,
+      claimedAt: now,
+      heartbeatAt: now,
+      leaseExpiresAt: new Date(now.getTime() + JOB_LEASE_MS),
+    },
+    sort: { createdAt: 1 },
+    reason: "Claimed by worker",
+  });
+};
+
+/**
+ * Keep the lease on a claimed job alive while it runs.
+ * If the lease was lost (another instance reclaimed the job) the heartbeat stops and logs it.
+ * @returns {Function} Stops the heartbeat
+ */
+const startJobHeartbeat = (job) => {
+  const timer = setInterval(async () => {
+    try {
+      const now = new Date();
+      const leased = await jobQueueCollection.findOneAndUpdate(
+        { _id: job._id, workerId: WORKER_ID, status: JOB_STATUS.PROCESSING },
         {
           $set: {
-            status: JOB_STATUS.PROCESSING,
-            startedAt: new Date(),
+            heartbeatAt: now,
+            leaseExpiresAt: new Date(now.getTime() + JOB_LEASE_MS),
           },
-        }
+        },
+        { projection: { cancelRequestedAt: 1, cancelRequestedBy: 1, cancelReason: 1 } }
       );
 
-      activeRelianceJobs++;
-      console.log(
-        `[Reliance Queue] Starting job for ${job.formData.firstName} (ID: ${job._id}); active=${activeRelianceJobs}`
-      );
+      if (!leased) {
+        console.warn(
+          `[Reliance Queue] ⚠️ Lost lease on job ${job._id} (no longer owned by ${WORKER_ID}), stopping heartbeat`
+        );
+        clearInterval(timer);
+        return;
+      }
 
-      // Run job in parallel (don't await)
-      runPolicyJob(job)
-        .catch((unexpectedError) => {
-          // Safety net: Catch any unhandled errors
-          console.error(
-            `[Reliance Queue] 💥 UNEXPECTED ERROR for ${job.formData.firstName}:`,
-            unexpectedError.message
-          );
-          console.error("Stack trace:", unexpectedError.stack);
-
-          // Ensure job is not left in "processing" state
-          jobQueueCollection
-            .updateOne(
-              { _id: job._id },
-              {
-                $set: {
-                  status: JOB_STATUS.PENDING, // Reset to pending for retry
-                  lastError: `Unexpected error: ${unexpectedError.message}`,
-                  lastErrorTimestamp: new Date(),
-                },
-                $inc: { attempts: 1 },
-              }
-            )
-            .catch((err) =>
-              console.error("Failed to update job after unexpected error:", err)
-            );
-        })
-        .finally(() => {
-          activeRelianceJobs--;
-          // Try to process more jobs
-          void processRelianceQueue();
-        });
+      // Cancel requested through another instance's API: this instance owns the browser, so it aborts
+      if (leased.cancelRequestedAt) {
+        abortLocalJob(job._id, { by: leased.cancelRequestedBy, reason: leased.cancelReason });
+      }
+    } catch (err) {
+      console.error(`[Reliance Queue] Heartbeat failed for job ${job._id}:`, err.message);
+    }
+  }, JOB_HEARTBEAT_INTERVAL_MS);
+
+  return () => clearInterval(timer);
+};
+
+/**
+ * CRASH RECOVERY: Return processing jobs with an expired lease to pending.
+ * Jobs still heartbeating on a live instance are left alone. Jobs without a lease
+ * (claimed before leases existed) are treated as expired. Jobs past the money
+ * boundary go to failed_post_submission with a review instead.
+ * @returns {Promise<number>} Number of jobs reclaimed
+ */
+const recoverExpiredLeases = async () => {
+  const now = new Date();
+  const expiredLease = {
+    $or: [{ leaseExpiresAt: null }, { leaseExpiresAt: { $lt: now } }],
+  };
+
+  // Owner died after Save / Pay started: the portal may hold a proposal or payment, so neither a
+  // cancel nor a from-scratch re-run is safe - a human checks it
+  const sentToReview = await jobStates.transitionMany(JOB_STATUS.PROCESSING, JOB_STATUS.FAILED_POST_SUBMISSION, {
+    filter: { $and: [expiredLease, moneyBoundaryCrossedFilter()] },
+    set: {
+      failedAt: now,
+      review: { $literal: buildOpenReview(now) },
+      failureType: "PostSubmissionError",
+      lastError: "Lease expired after the money boundary (worker crashed or hung)",
+      lastErrorCode: "E401",
+      lastErrorTimestamp: now,
+      recoveredFromWorkerId: "$workerId",
+      recoveredBy: WORKER_ID,
+      workerId: null,
+      leaseExpiresAt: null,
+    },
+    reason: "Lease expired after the money boundary",
+  });
+
+  if (sentToReview > 0) {
+    console.error(
+      `[Job Queue] 🔴 Sent ${sentToReview} jobs to manual review: their owner expired after Save / Pay started`
+    );
+    await logAuditEntry('JOB_LEASE_EXPIRED_POST_SUBMISSION', { count: sentToReview, recoveredBy: WORKER_ID });
+  }
+
+  // A cancel was requested but the owner died before acting on it: finish the cancel instead of re-queueing
+  const cancelled = await jobStates.transitionMany(JOB_STATUS.PROCESSING, JOB_STATUS.CANCELLED, {
+    filter: { ...expiredLease, cancelRequestedAt: { $ne: null } },
+    set: {
+      cancelledAt: now,
+      cancelledBy: "$cancelRequestedBy",
+      recoveredFromWorkerId: "$workerId",
+      workerId: null,
+      leaseExpiresAt: null,
+    },
+    reason: "Lease expired with a pending cancel request",
+  });
+
+  if (cancelled > 0) {
+    console.log(
+      `[Job Queue] 🛑 Cancelled ${cancelled} jobs whose owner expired before honouring a cancel`
+    );
+  }
+
+  // Pipeline update so the previous owner can be recorded from the document itself
+  const recovered = await jobStates.transitionMany(JOB_STATUS.PROCESSING, JOB_STATUS.PENDING, {
+    filter: expiredLease,
+    set: {
+      recoveredAt: now,
+      recoveredFromWorkerId: "$workerId",
+      recoveredBy: WORKER_ID,
+      workerId: null,
+      leaseExpiresAt: null,
+    },
+    reason: "Lease expired (worker crashed or hung)",
+  });
+
+  if (recovered > 0) {
+    console.log(
+      `[Job Queue] 🔄 Recovered ${recovered} jobs whose lease expired`
+    );
+  }
+
+  return recovered;
+};
+
+const processRelianceQueue = async () => {
+  if (!jobQueueCollection) return;
+
+  try {
+    const laneSettings = await loadLaneSettings(laneSettingsCollection);
+
+    // Round-robin over lanes, claiming one job per lane per round, so a backlog in one
+    // lane cannot starve the other. Lanes drop out when paused, full or empty.
+    const laneOrder = getRotatedLaneOrder(laneCursor++);
+    const exhaustedLanes = new Set();
+
+    const canClaim = (lane) =>
+      !exhaustedLanes.has(lane) &&
+      !laneSettings[lane].paused &&
+      activeJobsByLane[lane] < laneSettings[lane].maxConcurrent;
+
+    while (laneOrder.some(canClaim)) {
+      for (const lane of laneOrder) {
+        if (!canClaim(lane)) continue;
+
+        // Reserve the slot before the claim so concurrent calls cannot overshoot the lane limit
+        activeJobsByLane[lane]++;
+
+        let job;
+        try {
+          job = await claimNextJob(lane);
+        } catch (claimError) {
+          activeJobsByLane[lane]--;
+          throw claimError;
+        }
+
+        if (!job) {
+          activeJobsByLane[lane]--;
+          exhaustedLanes.add(lane); // No eligible pending jobs in this lane
+          continue;
+        }
+
+        startClaimedJob(job, lane);
+      }
     }
+
+    void scheduleRetryWakeup();
   } catch (error) {
     console.error("[Reliance Queue] Error processing queue:", error.message);
   }
 };
 
-const runPolicyJob = async (job) => {
+/**
+ * Run a claimed job in the background and release its lane slot when it settles
+ * @param {Object} job - Claimed job document
+ * @param {string} lane - Lane the slot was reserved in
+ */
+const startClaimedJob = (job, lane) => {
+  console.log(
+    `[Reliance Queue] Claimed ${lane} job for ${job.formData.firstName} (ID: ${job._id}) as ${WORKER_ID}; active ${lane}=${activeJobsByLane[lane]}`
+  );
+
+  const abortController = new AbortController();
+  activeJobControllers.set(String(job._id), abortController);
+  const stopHeartbeat = startJobHeartbeat(job);
+
+  // Run job in parallel (don't await)
+  runPolicyJob(job, abortController)
+    .catch((unexpectedError) => {
+      // Safety net: Catch any unhandled errors
+      console.error(
+        `[Reliance Queue] 💥 UNEXPECTED ERROR for ${job.formData.firstName}:`,
+        unexpectedError.message
+      );
+      console.error("Stack trace:", unexpectedError.stack);
+
+      // Ensure job is not left in "processing" state (no-op if runPolicyJob already moved it on)
+      jobStates
+        .transition(job._id, JOB_STATUS.PROCESSING, JOB_STATUS.PENDING, {
+          filter: { workerId: WORKER_ID },
+          set: {
+            lastError: `Unexpected error: ${unexpectedError.message}`,
+            lastErrorTimestamp: new Date(),
+            workerId: null,
+            leaseExpiresAt: null,
+          },
+          inc: { attempts: 1 },
+          reason: `Unexpected error: ${unexpectedError.message}`,
+        })
+        .catch((err) =>
+          console.error("Failed to update job after unexpected error:", err)
+        );
+    })
+    .finally(() => {
+      stopHeartbeat();
+      activeJobControllers.delete(String(job._id));
+      activeJobsByLane[lane]--;
+      // Try to process more jobs
+      void processRelianceQueue();
+    });
+};
+
+/**
+ * Abort a job running on this instance (operator cancel).
+ * The filler's browser is quit right away and runPolicyJob records the job as cancelled.
+ * @returns {boolean} false if the job is not running here
+ */
+const abortLocalJob = (jobId, { by = null, reason = null } = {}) => {
+  const controller = activeJobControllers.get(String(jobId));
+  if (!controller || controller.signal.aborted) {
+    return false;
+  }
+
+  console.warn(`[Reliance Queue] 🛑 Cancelling job ${jobId}${by ? ` (requested by ${by})` : ""}`);
+  controller.abort(new JobCancelledError("operator", { by, cancelReason: reason }));
+  return true;
+};
+
+/**
+ * Copy a job's portal artifacts (proposal no., quote no., premium, IDV, payment link flag)
+ * to the onlinePolicy record it came from, for reconciliation
+ */
+const recordPortalArtifacts = async (job, company, artifacts) => {
+  if (!job.captchaId || !onlinePolicyCollection || !hasPortalArtifacts(artifacts)) return;
+
+  try {
+    await onlinePolicyCollection.updateOne(
+      { _id: job.captchaId },
+      {
+        $set: {
+          portalArtifacts: { ...artifacts, insurer: company, jobId: job._id },
+          updatedAt: new Date(),
+        },
+      }
+    );
+  } catch (error) {
+    // The job document already has them; the policy copy is best effort
+    console.error(`[Job Queue] ⚠️ Could not copy portal artifacts to policy ${job.captchaId}: ${error.message}`);
+  }
+};
+
+/**
+ * Issue the Brisk certificate of a completed job now, if its sub-job is due.
+ * Runs outside the lanes: it only calls the Brisk API and merges PDFs, no browser.
+ */
+const runBriskIssuance = async (jobId) => {
+  try {
+    await briskIssuance.run(jobId);
+  } catch (error) {
+    // The sub-job stays claimable; the next sweep picks it up once its lease expires
+    console.error(`[Brisk] ❌ Certificate sub-job of job ${jobId} crashed: ${error.message}`);
+  }
+};
+
+/**
+ * Run Brisk sub-jobs whose retry is due (or whose worker died)
+ */
+const sweepBriskIssuance = async () => {
+  try {
+    const count = await briskIssuance.runDue();
+    if (count > 0) {
+      console.log(`[Brisk] 🧾 Sweep ran ${count} certificate sub-job(s)`);
+    }
+  } catch (error) {
+    console.error("[Brisk] Sweep failed:", error.message);
+  }
+};
+
+/**
+ * Persist the selector lookups recorded by the fillers since the last flush
+ */
+const flushSelectorHealth = async () => {
+  try {
+    await selectorHealth.flush();
+  } catch (error) {
+    // The counts stay in memory and go out with the next flush
+    console.error("[Selectors] Health flush failed:", error.message);
+  }
+};
+
+const runPolicyJob = async (job, abortController = new AbortController()) => {
   const jobIdentifier = `${job.formData.firstName}_${job._id}`;
   const JOB_TIMEOUT = 300000; // 5 minutes timeout per job
   const processingStartTime = Date.now();
+  let timeoutTimer = null;
+  // Only the worker holding the lease may write results; guards against a reclaimed job being overwritten
+  const finishJob = (to, { set = {}, ...options } = {}) =>
+    jobStates.transition(job._id, JOB_STATUS.PROCESSING, to, {
+      ...options,
+      filter: { workerId: WORKER_ID },
+      set: { ...set, leaseExpiresAt: null },
+    });
+  // What this attempt got through on the portal, kept in memory so a timeout / exception is classified
+  // from the step it stopped in. A resumed attempt starts past Save.
+  const attemptProgress = {
+    moneyBoundaryCrossed: Boolean(job.resumeFrom),
+    moneyBoundaryStep: job.resumeFrom ? job.moneyBoundaryStep || null : null,
+    lastCompletedStep: job.resumeFrom ? job.lastCompletedStep || null : null,
+    checkpoint: job.resumeFrom ? job.checkpoint || {} : {},
+  };
 
   // Log processing start
   await logAuditEntry('JOB_PROCESSING_STARTED', {
@@ -334,77 +819,168 @@ const runPolicyJob = async (job) => {
   });
 
   try {
-    // Normalize company name - check both Companyname and company fields, convert to lowercase
-    const companyName = (job.formData.Companyname || job.formData.company || "reliance").toLowerCase();
-    const queueName = companyName === "national" ? "National Queue" : "Reliance Queue";
+    // The insurer adapter the job's Companyname names (lib/insurers/), the default insurer otherwise
+    const insurer = resolveInsurer(job.formData);
+    const companyName = insurer.key;
+    const queueName = `${insurer.label} Queue`;
 
     console.log(`\n${'═'.repeat(70)}`);
     console.log(`[${queueName}] 🔄 Processing ${companyName} form for: ${job.formData.firstName} ${job.formData.lastName}`);
     console.log(`[${queueName}] 📋 Job ID: ${job._id} | Attempt: ${job.attempts + 1}/${job.maxAttempts}`);
     console.log(`${'═'.repeat(70)}`);
     console.log(
-      `[${queueName}] Company detection: job.formData.Companyname="${job.formData.Companyname}", job.formData.company="${job.formData.company}", normalized="${companyName}"`
+      `[${queueName}] Company detection: job.formData.Companyname="${job.formData.Companyname}", job.formData.company="${job.formData.company}", insurer="${companyName}"`
     );
 
-    // Route to appropriate form filling function based on Companyname
-    let fillFormPromise;
-    if (companyName === "national") {
-      // National Insurance form
-      fillFormPromise = fillNationalForm({
-        ...job.formData,
-        username: "9999839907", // Always use this username for National
-        password: "Rayal$2025", // Always use this password for National
-        _jobId: job._id, // Pass job ID for error logging
-        _jobIdentifier: jobIdentifier,
-        _attemptNumber: job.attempts + 1, // Current attempt number
-        _jobQueueCollection: jobQueueCollection, // Pass collection for logging
-      });
-    } else {
-      // Reliance form (default)
-      fillFormPromise = fillRelianceForm({
-        username: "rfcpolicy",
-        password: "Pass@123",
-        ...job.formData,
-        _jobId: job._id, // Pass job ID for error logging
-        _jobIdentifier: jobIdentifier,
-        _attemptNumber: job.attempts + 1, // Current attempt number
-        _jobQueueCollection: jobQueueCollection, // Pass collection for logging
-      });
+    // 🔐 Portal account for this attempt (the password only lives in memory)
+    const recordAccount = async (account) => {
+      if (account.accountId) {
+        await jobQueueCollection.updateOne(
+          { _id: job._id },
+          { $set: { lastAccountId: account.accountId, lastAccountUsername: account.username } }
+        );
+      }
+      console.log(`[${queueName}] 🔐 Using portal account ${account.username}${account.label ? ` (${account.label})` : ""}`);
+    };
+
+    // 🪜 Step checkpoints: the job records the last portal step that completed
+    const recordCheckpoint = async ({ step, moneyBoundaryCrossed, completedAt, data }) => {
+      attemptProgress.lastCompletedStep = step;
+      attemptProgress.moneyBoundaryCrossed = attemptProgress.moneyBoundaryCrossed || moneyBoundaryCrossed;
+      attemptProgress.checkpoint = data || {};
+      await jobQueueCollection.updateOne(
+        { _id: job._id, workerId: WORKER_ID, status: JOB_STATUS.PROCESSING },
+        {
+          $set: {
+            lastCompletedStep: step,
+            checkpointAt: completedAt,
+            checkpointAttempt: job.attempts + 1,
+            moneyBoundaryCrossed,
+            checkpoint: data, // Proposal number, KYC done, payment link sent - what a resume needs
+          },
+        }
+      );
+    };
+
+    // 💰 Money boundary: set before Save / Pay / Send Payment Link starts, so a timeout, cancel or crash
+    // from then on goes to review rather than a from-scratch retry that could buy a second policy.
+    // Throws when it is not on the job (write failed, lease lost): the filler must not start the step then.
+    const recordMoneyBoundary = async ({ step, startedAt }) => {
+      const moneyBoundaryStep = attemptProgress.moneyBoundaryStep || step;
+      const written = await jobQueueCollection.updateOne(
+        { _id: job._id, workerId: WORKER_ID, status: JOB_STATUS.PROCESSING },
+        {
+          $set: {
+            moneyBoundaryCrossed: true,
+            moneyBoundaryStep: moneyBoundaryStep,
+            moneyBoundaryAt: startedAt,
+            checkpointAttempt: job.attempts + 1,
+          },
+        }
+      );
+      if (written.matchedCount !== 1) {
+        throw new Error(`Job ${job._id} is no longer processing on ${WORKER_ID}`);
+      }
+      attemptProgress.moneyBoundaryCrossed = true;
+      attemptProgress.moneyBoundaryStep = moneyBoundaryStep;
+    };
+
+    // Per-job flag or the global DRY_RUN switch
+    const dryRun = isDryRunJob(job);
+    if (dryRun) {
+      console.log(`[${queueName}] 🧪 Dry run: stopping on the quote, nothing will be saved or paid`);
     }
 
-    const timeoutPromise = new Promise((_, reject) =>
-      setTimeout(
-        () =>
-          reject(new Error(`[E302] Job timeout after ${JOB_TIMEOUT / 1000} seconds`)),
-        JOB_TIMEOUT
-      )
+    // The adapter logs in its way (session pool or per-job vault account) and runs its fill flow
+    const fillFormPromise = runInsurerFill(insurer, job, {
+      acquireCredentials,
+      recordAccount,
+      onCheckpoint: recordCheckpoint,
+      onMoneyBoundary: recordMoneyBoundary,
+      // Set by an earlier attempt that failed after Save: pick up on the saved proposal
+      resume: job.resumeFrom ? { from: job.resumeFrom, checkpoint: job.checkpoint || {} } : null,
+      jobIdentifier,
+      jobQueueCollection, // For the filler's error logging
+      abortSignal: abortController.signal, // Timeout / cancel stops the filler
+      dryRun, // Stop before Save / Pay / Send Payment Link
+    });
+
+    // The timeout aborts the job rather than just abandoning it, so the filler's browser is torn down
+    timeoutTimer = setTimeout(
+      () =>
+        abortController.abort(
+          new JobCancelledError("timeout", {
+            message: `[E302] Job timeout after ${JOB_TIMEOUT / 1000} seconds`,
+          })
+        ),
+      JOB_TIMEOUT
     );
 
-    // Race between job completion and timeout
-    const result = await Promise.race([fillFormPromise, timeoutPromise]);
+    // Once aborted the filler only winds down; its late result is ignored
+    fillFormPromise.catch(() => {});
+
+    // Race between job completion and timeout / cancel
+    const result = await Promise.race([fillFormPromise, whenCancelled(abortController.signal)]);
 
     const processingTimeMs = Date.now() - processingStartTime;
 
-    if (result && result.success) {
-      // 🎉 SUCCESS - Mark as completed in database
-      await jobQueueCollection.updateOne(
-        { _id: job._id },
-        {
-          $set: {
-            status: JOB_STATUS.COMPLETED,
-            completedAt: new Date(),
-            completedAttempt: job.attempts + 1,
-            processingTimeMs: processingTimeMs
+    // Keep what the portal issued; an attempt that got nothing does not wipe an earlier attempt's
+    const portalArtifacts = hasPortalArtifacts(result?.portalArtifacts) ? result.portalArtifacts : null;
+    const artifactFields = portalArtifacts
+      ? { portalArtifacts, proposalNumber: portalArtifacts.proposalNumber || job.proposalNumber || null }
+      : {};
+
+    if (result && result.success && result.dryRun) {
+      // 🧪 DRY RUN - Reached the quote; the policy record is left untouched
+      await finishJob(JOB_STATUS.COMPLETED_DRY_RUN, {
+        set: {
+          ...artifactFields,
+          dryRunResult: {
+            stoppedBefore: result.stoppedBefore || null,
+            screenshotUrl: result.screenshotUrl || null,
+            screenshotKey: result.screenshotKey || null,
+            globalSwitch: job.dryRun !== true,
           },
-          $push: {
-            statusHistory: {
-              from: JOB_STATUS.PROCESSING,
-              to: JOB_STATUS.COMPLETED,
-              timestamp: new Date()
-            }
-          }
+          completedAt: new Date(),
+          completedAttempt: job.attempts + 1,
+          processingTimeMs: processingTimeMs
         }
-      );
+      });
+
+      console.log(`[${queueName}] 🧪 DRY RUN completed for ${job.formData.firstName} (ID: ${job._id}), stopped before ${result.stoppedBefore}`);
+
+      await logAuditEntry('JOB_COMPLETED_DRY_RUN', {
+        jobId: job._id,
+        customerName: `${job.formData.firstName} ${job.formData.lastName}`,
+        company: companyName,
+        stoppedBefore: result.stoppedBefore || null,
+        totalPremium: portalArtifacts?.premium?.totalPremium ?? null,
+        premiumCheck: portalArtifacts?.premiumCheck?.status || null,
+        processingTimeMs: processingTimeMs,
+        attemptNumber: job.attempts + 1
+      });
+
+    } else if (result && result.success) {
+      // 🎉 SUCCESS - Mark as completed in database
+      // Insurers with a Brisk certificate go on to it, tracked separately in job.brisk
+      const issuesBrisk = insurer.documents.briskCertificate;
+      const completed = await finishJob(JOB_STATUS.COMPLETED, {
+        set: {
+          ...artifactFields,
+          ...(issuesBrisk ? { brisk: initialBriskState() } : {}),
+          ...(result.lastCompletedStep ? { lastCompletedStep: result.lastCompletedStep } : {}),
+          resumeFrom: null,
+          // Which downloaded policy PDF was linked to this job (and merged), or why none was
+          ...(result.policyPdf ? { policyPdf: result.policyPdf } : {}),
+          completedAt: new Date(),
+          completedAttempt: job.attempts + 1,
+          processingTimeMs: processingTimeMs
+        }
+      });
+      await recordPortalArtifacts(job, companyName, portalArtifacts);
+      if (issuesBrisk && completed.ok) {
+        void runBriskIssuance(job._id);
+      }
 
       console.log(`\n${'═'.repeat(70)}`);
       console.log(`[Reliance Queue] ✅ SUCCESS for ${job.formData.firstName} (ID: ${job._id})`);
@@ -416,6 +992,9 @@ const runPolicyJob = async (job) => {
         jobId: job._id,
         customerName: `${job.formData.firstName} ${job.formData.lastName}`,
         company: companyName,
+        proposalNumber: portalArtifacts?.proposalNumber || null,
+        quoteNumber: portalArtifacts?.quoteNumber || null,
+        totalPremium: portalArtifacts?.premium?.totalPremium ?? null,
         processingTimeMs: processingTimeMs,
         attemptNumber: job.attempts + 1
       });
@@ -424,14 +1003,22 @@ const runPolicyJob = async (job) => {
       // ❌ FAILURE - Handle based on failure type
       const newAttemptCount = job.attempts + 1;
 
-      // Classify the error
-      const isPostSubmissionFailure =
-        result?.postSubmissionFailed ||
-        result?.stage === "post-submission" ||
-        result?.stage === "post-calculation";
-
-      // Use structured error codes
-      const errorCode = isPostSubmissionFailure ? 'E401' : 'E300';
+      // Classify the error: step-based fillers report whether a money-boundary step had started
+      const isPostSubmissionFailure = attemptProgress.moneyBoundaryCrossed || (typeof result?.moneyBoundaryCrossed === "boolean"
+        ? result.moneyBoundaryCrossed
+        : Boolean(
+          result?.postSubmissionFailed ||
+          result?.stage === "post-submission" ||
+          result?.stage === "post-calculation" ||
+          result?.stage === "pre-payment" // E405 premium mismatch: stopped before paying, needs a human
+        ));
+
+      // After Save a failure in a resumable step retries on the saved proposal instead of going to review
+      const resumeFrom = isPostSubmissionFailure ? result?.resumeFrom || null : null;
+      const resumeRetry = Boolean(resumeFrom) && newAttemptCount < job.maxAttempts;
+
+      // Use structured error codes (fillers report specific ones such as E405)
+      const errorCode = result?.errorCode || (isPostSubmissionFailure ? 'E401' : 'E300');
       const failureType = isPostSubmissionFailure
         ? "PostSubmissionError"
         : "LoginFormError";
@@ -445,52 +1032,48 @@ const runPolicyJob = async (job) => {
         errorMessage: result?.error || "Unknown error",
         errorType: failureType,
         severity: severity,
-        stage: result?.stage || (isPostSubmissionFailure ? "post-submission" : "login-form"),
+        stage: isPostSubmissionFailure && (!result?.stage || result.stage === "login-form")
+          ? "post-submission"
+          : result?.stage || "login-form",
+        failedStep: result?.failedStep || null,
+        lastCompletedStep: result?.lastCompletedStep || attemptProgress.lastCompletedStep,
         screenshotUrl: result?.screenshotUrl || null,
         screenshotKey: result?.screenshotKey || null,
         processingTimeMs: processingTimeMs,
-        retryable: !isPostSubmissionFailure
+        retryable: isPostSubmissionFailure ? resumeRetry : result?.retryable !== false
       };
 
-      // Add error to errorLogs array
-      await jobQueueCollection.updateOne(
-        { _id: job._id },
-        {
-          $inc: { attempts: 1 },
-          $push: {
-            errorLogs: errorLog,
-            statusHistory: {
-              from: JOB_STATUS.PROCESSING,
-              to: isPostSubmissionFailure ? JOB_STATUS.FAILED_POST_SUBMISSION : JOB_STATUS.PROCESSING,
-              timestamp: new Date(),
-              reason: errorLog.errorMessage
-            }
-          },
-          $set: {
-            lastError: errorLog.errorMessage,
-            lastErrorCode: errorCode,
-            lastErrorTimestamp: errorLog.timestamp,
-            lastAttemptAt: new Date(),
-            failureType: failureType,
-            processingTimeMs: processingTimeMs
-          },
-        }
-      );
-
-      const updatedJob = await jobQueueCollection.findOne({ _id: job._id });
+      // Error log + attempt count are written together with the status change
+      const failureUpdate = {
+        inc: { attempts: 1 },
+        push: { errorLogs: errorLog },
+        set: {
+          ...artifactFields,
+          lastError: errorLog.errorMessage,
+          lastErrorCode: errorCode,
+          lastErrorTimestamp: errorLog.timestamp,
+          lastAttemptAt: new Date(),
+          failedStep: errorLog.failedStep,
+          ...(errorLog.lastCompletedStep ? { lastCompletedStep: errorLog.lastCompletedStep } : {}),
+          failureType: failureType,
+          processingTimeMs: processingTimeMs
+        },
+        reason: errorLog.errorMessage
+      };
 
       // 🔴 Post-submission failures: Mark as failed immediately (CRITICAL - NO RETRY - money involved)
-      if (isPostSubmissionFailure) {
-        await jobQueueCollection.updateOne(
-          { _id: job._id },
-          {
-            $set: {
-              status: JOB_STATUS.FAILED_POST_SUBMISSION,
-              failedAt: new Date(),
-              finalError: errorLog,
-            },
+      if (isPostSubmissionFailure && !resumeRetry) {
+        const review = buildOpenReview(new Date());
+        await finishJob(JOB_STATUS.FAILED_POST_SUBMISSION, {
+          ...failureUpdate,
+          set: {
+            ...failureUpdate.set,
+            failedAt: new Date(),
+            finalError: errorLog,
+            proposalNumber: result?.proposalNumber || job.proposalNumber || null,
+            review: review // Opens an item in the manual review queue
           }
-        );
+        });
 
         console.error(`\n${'🔴'.repeat(35)}`);
         console.error(`[Reliance Queue] ❌ CRITICAL FAILURE (POST-SUBMISSION) for ${job.formData.firstName}`);
@@ -510,26 +1093,22 @@ const runPolicyJob = async (job) => {
           errorMessage: errorLog.errorMessage,
           severity: 'CRITICAL',
           requiresManualReview: true,
+          proposalNumber: result?.proposalNumber || null,
+          reviewSlaDueAt: review.slaDueAt,
           processingTimeMs: processingTimeMs
         });
       }
-      // 🟠 Login form failures: Retry logic
-      else if (updatedJob.attempts >= updatedJob.maxAttempts) {
+      // 🟠 Login form failures: Retry logic (none for errors the filler marks final, e.g. E406)
+      else if (newAttemptCount >= job.maxAttempts || result?.retryable === false) {
         // Max attempts reached for login form failures
-        await jobQueueCollection.updateOne(
-          { _id: job._id },
-          {
-            $set: {
-              status: JOB_STATUS.FAILED_LOGIN_FORM,
-              failedAt: new Date(),
-              finalError: errorLog,
-            },
-          }
-        );
+        await finishJob(JOB_STATUS.FAILED_LOGIN_FORM, {
+          ...failureUpdate,
+          set: { ...failureUpdate.set, failedAt: new Date(), finalError: errorLog }
+        });
 
         console.error(`\n${'🟠'.repeat(35)}`);
         console.error(`[Reliance Queue] ❌ FAILED PERMANENTLY (LOGIN FORM) for ${job.formData.firstName}`);
-        console.error(`[Reliance Queue] 📋 Attempts exhausted: ${updatedJob.attempts}/${updatedJob.maxAttempts}`);
+        console.error(`[Reliance Queue] 📋 Attempts exhausted: ${newAttemptCount}/${job.maxAttempts}`);
         console.error(`[Reliance Queue] 📋 Error Code: ${errorCode}`);
         console.error(`[Reliance Queue] 📝 Last error: ${errorLog.errorMessage}`);
         if (errorLog.screenshotUrl) {
@@ -543,29 +1122,32 @@ const runPolicyJob = async (job) => {
           customerName: `${job.formData.firstName} ${job.formData.lastName}`,
           errorCode: errorCode,
           errorMessage: errorLog.errorMessage,
-          attempts: updatedJob.attempts,
-          maxAttempts: updatedJob.maxAttempts,
+          attempts: newAttemptCount,
+          maxAttempts: job.maxAttempts,
           processingTimeMs: processingTimeMs
         });
       } else {
-        // Retry login form failures: reset to pending
-        const retryDelay = 60000 * Math.pow(2, updatedJob.attempts - 1); // Exponential backoff
+        // Retry login form failures (and resumable post-Save failures): reset to pending
+        const retryDelay = 60000 * Math.pow(2, newAttemptCount - 1); // Exponential backoff
         const nextRetryAt = new Date(Date.now() + retryDelay);
-
-        await jobQueueCollection.updateOne(
-          { _id: job._id },
-          {
-            $set: {
-              status: JOB_STATUS.PENDING,
-              nextRetryAt: nextRetryAt,
-            },
-            $inc: { 'metadata.retryCount': 1 }
-          }
-        );
+        const resumeFields = resumeRetry
+          ? { resumeFrom: resumeFrom, checkpoint: result.checkpoint || job.checkpoint || {} }
+          : {};
+
+        await finishJob(JOB_STATUS.PENDING, {
+          ...failureUpdate,
+          set: { ...failureUpdate.set, ...resumeFields, nextRetryAt: nextRetryAt },
+          inc: { ...failureUpdate.inc, 'metadata.retryCount': 1 }
+        });
 
         console.warn(`\n${'🟡'.repeat(35)}`);
-        console.warn(`[Reliance Queue] ⚠️ FAILED (LOGIN FORM) for ${job.formData.firstName}`);
-        console.warn(`[Reliance Queue] 🔄 Will retry in ${retryDelay / 1000}s (attempt ${updatedJob.attempts}/${updatedJob.maxAttempts})`);
+        if (resumeRetry) {
+          console.warn(`[Reliance Queue] ⚠️ FAILED (AFTER SAVE) for ${job.formData.firstName} in step ${result.failedStep}`);
+          console.warn(`[Reliance Queue] ⏩ Will resume proposal ${resumeFields.checkpoint.proposalNumber} at ${resumeFrom} in ${retryDelay / 1000}s (attempt ${newAttemptCount}/${job.maxAttempts})`);
+        } else {
+          console.warn(`[Reliance Queue] ⚠️ FAILED (LOGIN FORM) for ${job.formData.firstName}`);
+          console.warn(`[Reliance Queue] 🔄 Will retry in ${retryDelay / 1000}s (attempt ${newAttemptCount}/${job.maxAttempts})`);
+        }
         console.warn(`[Reliance Queue] 📋 Error Code: ${errorCode}`);
         if (errorLog.screenshotUrl) {
           console.warn(`[Reliance Queue] 📸 Screenshot: ${errorLog.screenshotUrl}`);
@@ -577,23 +1159,56 @@ const runPolicyJob = async (job) => {
           jobId: job._id,
           customerName: `${job.formData.firstName} ${job.formData.lastName}`,
           errorCode: errorCode,
-          attempt: updatedJob.attempts,
-          maxAttempts: updatedJob.maxAttempts,
+          resumeFrom: resumeFrom,
+          attempt: newAttemptCount,
+          maxAttempts: job.maxAttempts,
           nextRetryAt: nextRetryAt
         });
       }
+
+      await recordPortalArtifacts(job, companyName, portalArtifacts);
     }
   } catch (e) {
     const processingTimeMs = Date.now() - processingStartTime;
 
-    console.error(
-      `[Reliance Queue] ❌ EXCEPTION for ${job.formData.firstName}:`,
-      e.message
-    );
-
-    // Classify the error using our error handler
-    const { classifyError } = require("./lib/errorHandler");
-    const classified = classifyError(e);
+    const operatorCancel = e instanceof JobCancelledError && e.reason !== "timeout";
+
+    // 🛑 Operator cancel: final, no retry (a timeout falls through to the E302 path below).
+    // Once Save / Pay has started a cancel cannot undo it, so it goes to review further down.
+    if (operatorCancel && !attemptProgress.moneyBoundaryCrossed) {
+      await finishJob(JOB_STATUS.CANCELLED, {
+        set: {
+          cancelledAt: new Date(),
+          cancelledBy: e.details.by || null,
+          cancelReason: e.details.cancelReason || null,
+          lastAttemptAt: new Date(),
+          processingTimeMs: processingTimeMs,
+        },
+        reason: e.details.cancelReason || "Cancelled by operator",
+        by: e.details.by || null,
+      });
+
+      console.warn(`[Reliance Queue] 🛑 Job ${job._id} cancelled after ${(processingTimeMs / 1000).toFixed(2)}s`);
+
+      await logAuditEntry('JOB_CANCELLED', {
+        jobId: job._id,
+        customerName: `${job.formData.firstName} ${job.formData.lastName}`,
+        cancelledBy: e.details.by || null,
+        reason: e.details.cancelReason || null,
+        wasProcessing: true,
+        processingTimeMs: processingTimeMs
+      });
+      return;
+    }
+
+    console.error(
+      `[Reliance Queue] ❌ EXCEPTION for ${job.formData.firstName}:`,
+      e.message
+    );
+
+    // Classify the error using our error handler
+    const { classifyError } = require("./lib/errorHandler");
+    const classified = classifyError(e);
 
     // Increment attempt and create enhanced error log
     const newAttemptCount = job.attempts + 1;
@@ -604,45 +1219,78 @@ const runPolicyJob = async (job) => {
       errorCode: classified.code,
       errorMessage: e.message,
       errorStack: e.stack || null,
-      errorType: classified.severity === 'critical' ? 'SystemError' : 'LoginFormError',
-      severity: classified.severity,
-      stage: "exception",
-      retryable: classified.retryable,
+      errorType: attemptProgress.moneyBoundaryCrossed
+        ? 'PostSubmissionError'
+        : classified.severity === 'critical' ? 'SystemError' : 'LoginFormError',
+      severity: attemptProgress.moneyBoundaryCrossed ? 'critical' : classified.severity,
+      stage: attemptProgress.moneyBoundaryCrossed ? "post-submission" : "exception",
+      lastCompletedStep: attemptProgress.lastCompletedStep,
+      moneyBoundaryStep: attemptProgress.moneyBoundaryStep,
+      retryable: classified.retryable && !attemptProgress.moneyBoundaryCrossed,
       processingTimeMs: processingTimeMs
     };
 
-    // Add error to errorLogs array
-    await jobQueueCollection.updateOne(
-      { _id: job._id },
-      {
-        $inc: { attempts: 1 },
-        $push: { errorLogs: errorLog },
-        $set: {
-          lastError: e.message,
-          lastErrorCode: classified.code,
-          lastErrorTimestamp: errorLog.timestamp,
-          lastAttemptAt: new Date(),
-          failureType: errorLog.errorType,
-          processingTimeMs: processingTimeMs
+    // Error log + attempt count are written together with the status change
+    const failureUpdate = {
+      inc: { attempts: 1 },
+      push: { errorLogs: errorLog },
+      set: {
+        lastError: e.message,
+        lastErrorCode: classified.code,
+        lastErrorTimestamp: errorLog.timestamp,
+        lastAttemptAt: new Date(),
+        failureType: errorLog.errorType,
+        ...(attemptProgress.lastCompletedStep ? { lastCompletedStep: attemptProgress.lastCompletedStep } : {}),
+        processingTimeMs: processingTimeMs
+      },
+      reason: `[${classified.code}] ${e.message}`
+    };
+
+    // 🔴 Timed out / crashed after Save, Pay or Send Payment Link started: the portal may hold a
+    // proposal or payment, so a human checks it (a from-scratch retry could buy a second policy)
+    if (attemptProgress.moneyBoundaryCrossed) {
+      const review = buildOpenReview(new Date());
+      await finishJob(JOB_STATUS.FAILED_POST_SUBMISSION, {
+        ...failureUpdate,
+        set: {
+          ...failureUpdate.set,
+          failedAt: new Date(),
+          finalError: errorLog,
+          proposalNumber: attemptProgress.checkpoint.proposalNumber || job.proposalNumber || null,
+          ...(operatorCancel
+            ? { cancelledBy: e.details.by || null, cancelReason: e.details.cancelReason || null, cancelledAt: new Date() }
+            : {}),
+          review: review
         },
-      }
-    );
+        ...(operatorCancel ? { by: e.details.by || null } : {})
+      });
 
-    const updatedJob = await jobQueueCollection.findOne({ _id: job._id });
+      console.error(`[Reliance Queue] ❌ CRITICAL [${classified.code}] after ${attemptProgress.moneyBoundaryStep || "Save"} started (last step: ${attemptProgress.lastCompletedStep || "none"}) - NO RETRY, sent to review`);
 
-    if (updatedJob.attempts >= updatedJob.maxAttempts || !classified.retryable) {
-      await jobQueueCollection.updateOne(
-        { _id: job._id },
-        {
-          $set: {
-            status: JOB_STATUS.FAILED_LOGIN_FORM,
-            failedAt: new Date(),
-            finalError: errorLog,
-          },
-        }
-      );
+      await logAuditEntry('JOB_FAILED_CRITICAL', {
+        jobId: job._id,
+        customerName: `${job.formData.firstName} ${job.formData.lastName}`,
+        errorCode: classified.code,
+        errorMessage: e.message,
+        severity: 'CRITICAL',
+        requiresManualReview: true,
+        moneyBoundaryStep: attemptProgress.moneyBoundaryStep,
+        lastCompletedStep: attemptProgress.lastCompletedStep,
+        proposalNumber: attemptProgress.checkpoint.proposalNumber || null,
+        ...(operatorCancel ? { cancelledBy: e.details.by || null } : {}),
+        reviewSlaDueAt: review.slaDueAt,
+        processingTimeMs: processingTimeMs
+      });
+      return;
+    }
+
+    if (newAttemptCount >= job.maxAttempts || !classified.retryable) {
+      await finishJob(JOB_STATUS.FAILED_LOGIN_FORM, {
+        ...failureUpdate,
+        set: { ...failureUpdate.set, failedAt: new Date(), finalError: errorLog }
+      });
 
-      console.error(`[Reliance Queue] ❌ Failed permanently [${classified.code}] after ${updatedJob.attempts} attempts`);
+      console.error(`[Reliance Queue] ❌ Failed permanently [${classified.code}] after ${newAttemptCount} attempts`);
 
       // Log audit entry
       await logAuditEntry('JOB_FAILED_EXCEPTION', {
@@ -650,26 +1298,21 @@ const runPolicyJob = async (job) => {
         customerName: `${job.formData.firstName} ${job.formData.lastName}`,
         errorCode: classified.code,
         errorMessage: e.message,
-        attempts: updatedJob.attempts,
+        attempts: newAttemptCount,
         retryable: classified.retryable,
         processingTimeMs: processingTimeMs
       });
     } else {
-      const retryDelay = 60000 * Math.pow(2, updatedJob.attempts - 1);
+      const retryDelay = 60000 * Math.pow(2, newAttemptCount - 1);
       const nextRetryAt = new Date(Date.now() + retryDelay);
 
-      await jobQueueCollection.updateOne(
-        { _id: job._id },
-        {
-          $set: {
-            status: JOB_STATUS.PENDING,
-            nextRetryAt: nextRetryAt,
-          },
-        }
-      );
+      await finishJob(JOB_STATUS.PENDING, {
+        ...failureUpdate,
+        set: { ...failureUpdate.set, nextRetryAt: nextRetryAt }
+      });
 
       console.warn(
-        `[Reliance Queue] ⚠️ Will retry [${classified.code}] in ${retryDelay / 1000}s (attempt ${updatedJob.attempts}/${updatedJob.maxAttempts})`
+        `[Reliance Queue] ⚠️ Will retry [${classified.code}] in ${retryDelay / 1000}s (attempt ${newAttemptCount}/${job.maxAttempts})`
       );
 
       // Log audit entry
@@ -677,10 +1320,162 @@ const runPolicyJob = async (job) => {
         jobId: job._id,
         customerName: `${job.formData.firstName} ${job.formData.lastName}`,
         errorCode: classified.code,
-        attempt: updatedJob.attempts,
+        attempt: newAttemptCount,
         nextRetryAt: nextRetryAt
       });
     }
+  } finally {
+    clearTimeout(timeoutTimer);
+  }
+};
+
+/**
+ * Map an onlinePolicy document to job formData and enqueue it
+ * @param {Object} data - onlinePolicy document
+ * @param {string} source - What found the document ("change-stream" / "catch-up")
+ */
+const enqueuePolicyDocument = async (data, source) => {
+  // Get the Captcha document _id for reference
+  const captchaId = data?._id;
+
+  // Generate presigned URLs for document downloads
+  let aadharPresignedUrl = null;
+  let panPresignedUrl = null;
+
+  if (data?.aadharCard?.key) {
+    aadharPresignedUrl = await getPresignedUrl(data.aadharCard.key);
+    console.log(`📄 Aadhar presigned URL generated: ${aadharPresignedUrl ? 'YES' : 'NO'}`);
+  }
+
+  if (data?.panCard?.key) {
+    panPresignedUrl = await getPresignedUrl(data.panCard.key);
+    console.log(`📄 PAN presigned URL generated: ${panPresignedUrl ? 'YES' : 'NO'}`);
+  }
+
+  const { formData, warnings, mapperVersion } = mapPolicyToFormData(data, {
+    presignedUrls: { aadharCard: aadharPresignedUrl, panCard: panPresignedUrl },
+  });
+
+  if (warnings.length > 0) {
+    console.warn(`[MongoDB Watch] ⚠️ ${warnings.length} mapping warning(s) for policy ${captchaId}:`);
+    warnings.forEach((w) => console.warn(`   - ${w.field} [${w.code}]: ${w.message}`));
+  }
+
+  console.log(
+    "formData: ******* ******* ******* ******* ******* ******* ",
+    formData
+  );
+  console.log(
+    `[MongoDB Watch] New customer data received: ${formData.firstName} (Captcha ID: ${captchaId})`
+  );
+  console.log(
+    `[MongoDB Watch] Company mapping: data.company="${data?.company}", data.Companyname="${data?.Companyname}", formData.Companyname="${formData.Companyname}"`
+  );
+
+  // Add to queue with captchaId reference
+  await enqueueRelianceJob(formData, captchaId, source, { version: mapperVersion, warnings });
+};
+
+/**
+ * Handle one onlinePolicy change event (insert, or update that completes the documents)
+ */
+const handlePolicyChange = async (change) => {
+  console.log(`📡 Change detected: ${change.operationType}`);
+
+  let data = change?.fullDocument;
+  const documentId = change.documentKey?._id;
+
+  // If this is an update operation and we don't have fullDocument, fetch it
+  if (!data && documentId) {
+    console.log("📥 Fetching full document from database...");
+    data = await onlinePolicyCollection.findOne({ _id: documentId });
+  }
+
+  console.log("data: ******* ******* ******* ******* ******* ******* ", data);
+
+  // Skip if this is just a document update (not initial insert)
+  // We only want to process when aadharCard and panCard are present
+  if (change.operationType === "update") {
+    const hasAadhar = data?.aadharCard?.key;
+    const hasPan = data?.panCard?.key;
+
+    if (!hasAadhar || !hasPan) {
+      console.log("⏭️  Skipping update - waiting for both documents to be uploaded");
+      return;
+    }
+
+    console.log("✅ Both documents uploaded, processing policy...");
+  }
+
+  await enqueuePolicyDocument(data, "change-stream");
+};
+
+/**
+ * CATCH-UP SWEEP: enqueue onlinePolicy documents that have both documents uploaded
+ * but no job, e.g. because they arrived while the stream was down. A policy that
+ * submitPolicyJob de-duplicated onto another job is listed in that job's
+ * duplicateCaptchaIds and counts as having one, whatever the job's age or status.
+ * Only looks back CATCH_UP_LOOKBACK_HOURS, and skips documents younger than
+ * CATCH_UP_MIN_AGE_MS which the live stream (possibly on another instance) is handling.
+ * @param {string} reason - Why the sweep runs (logged / audited)
+ * @returns {Promise<number>} Number of policies enqueued
+ */
+const sweepMissedPolicies = async (reason) => {
+  if (!onlinePolicyCollection || catchUpInProgress) return 0;
+  catchUpInProgress = true;
+
+  try {
+    const { ObjectId } = require("mongodb");
+    const now = Date.now();
+    const toObjectIdTime = (ms) => ObjectId.createFromTime(Math.floor(ms / 1000));
+
+    const missed = await onlinePolicyCollection
+      .aggregate([
+        {
+          $match: {
+            _id: {
+              $gte: toObjectIdTime(now - CATCH_UP_LOOKBACK_HOURS * 3600000),
+              $lte: toObjectIdTime(now - CATCH_UP_MIN_AGE_MS),
+            },
+            "aadharCard.key": { $nin: [null, ""] },
+            "panCard.key": { $nin: [null, ""] },
+          },
+        },
+        { $lookup: { from: "RelianceJobQueue", localField: "_id", foreignField: "captchaId", as: "jobs" } },
+        // Policies de-duplicated onto another policy's job are linked there
+        { $lookup: { from: "RelianceJobQueue", localField: "_id", foreignField: "duplicateCaptchaIds", as: "duplicateOf" } },
+        { $match: { jobs: { $size: 0 }, duplicateOf: { $size: 0 } } },
+        { $project: { jobs: 0, duplicateOf: 0 } },
+      ])
+      .toArray();
+
+    if (missed.length === 0) return 0;
+
+    console.warn(`[MongoDB Watch] 🧹 Catch-up (${reason}): ${missed.length} policies without a job`);
+
+    let enqueued = 0;
+    for (const policy of missed) {
+      try {
+        await enqueuePolicyDocument(policy, "catch-up");
+        enqueued++;
+      } catch (err) {
+        console.error(`[MongoDB Watch] Catch-up failed for policy ${policy._id}:`, err.message);
+      }
+    }
+
+    await logAuditEntry('CATCH_UP_SWEEP', {
+      reason,
+      found: missed.length,
+      enqueued,
+      policyIds: missed.map((policy) => policy._id),
+    });
+
+    return enqueued;
+  } catch (error) {
+    console.error(`[MongoDB Watch] Catch-up sweep (${reason}) failed:`, error.message);
+    return 0;
+  } finally {
+    catchUpInProgress = false;
   }
 };
 
@@ -690,32 +1485,118 @@ db.once("open", async () => {
 
   // Initialize job queue collection
   jobQueueCollection = db.collection("RelianceJobQueue");
+  jobStates = createJobStateService({
+    collection: jobQueueCollection,
+    audit: logAuditEntry,
+    workerId: WORKER_ID,
+  });
+  briskPlans = createBriskPlanCatalogue({
+    collection: db.collection(BRISK_PLAN_COLLECTION),
+    audit: logAuditEntry,
+  });
+  briskIssuance = createBriskIssuanceService({
+    collection: jobQueueCollection,
+    planCatalogue: briskPlans,
+    mergeAndUpload: mergePDFsAndUpload,
+    audit: logAuditEntry,
+    workerId: WORKER_ID,
+  });
+  laneSettingsCollection = db.collection(LANE_SETTINGS_COLLECTION);
+  selectorHealth = createSelectorHealthStore({
+    collection: db.collection(SELECTOR_HEALTH_COLLECTION),
+  });
 
   // Create indexes for better performance
   await jobQueueCollection.createIndex({ status: 1, createdAt: 1 });
+  await jobQueueCollection.createIndex({ status: 1, nextRetryAt: 1 }); // For delayed retry scheduling
+  await jobQueueCollection.createIndex({ status: 1, leaseExpiresAt: 1 }); // For lease-based crash recovery
+  await jobQueueCollection.createIndex({ status: 1, lane: 1, createdAt: 1 }); // For per-lane claims
   await jobQueueCollection.createIndex({ createdAt: 1 });
   await jobQueueCollection.createIndex({ captchaId: 1 }); // For job-status API lookups
+  await jobQueueCollection.createIndex({ duplicateCaptchaIds: 1 }); // Policies de-duplicated onto a job (catch-up sweep)
+  await jobQueueCollection.createIndex({ "brisk.status": 1, "brisk.nextAttemptAt": 1 }); // For Brisk sub-job sweeps
   await jobQueueCollection.createIndex({ "errorLogs.timestamp": 1 }); // For error history queries
+  await jobQueueCollection.createIndex({ status: 1, "review.status": 1, "review.slaDueAt": 1 }); // For the review queue
 
   console.log("[Job Queue] Initialized persistent job queue with indexes");
 
-  // CRASH RECOVERY: Reset any jobs stuck in "processing" state back to "pending"
-  // This happens when server crashes while processing jobs
-  const stuckJobs = await jobQueueCollection.updateMany(
-    { status: JOB_STATUS.PROCESSING },
-    {
-      $set: {
-        status: JOB_STATUS.PENDING,
-        recoveredAt: new Date(),
-      },
+  await briskPlans.ensureIndexes();
+  const seededPlans = await briskPlans.seedDefaults();
+  if (seededPlans > 0) {
+    console.log(`[Brisk Plans] 📒 Seeded the plan catalogue with ${seededPlans} default plan(s)`);
+  }
+  await selectorHealth.ensureIndexes();
+  console.log(`[Job Queue] Worker ID: ${WORKER_ID} (lease ${JOB_LEASE_MS / 1000}s)`);
+
+  // Jobs created before lanes existed get their lane from formData
+  const backfilled = await backfillJobLanes(jobQueueCollection);
+  if (backfilled > 0) {
+    console.log(`[Job Queue] 🚦 Assigned lanes to ${backfilled} existing jobs`);
+  }
+
+  // Post-submission failures from before the review queue existed get a review item
+  const reviewsOpened = await backfillReviews(jobQueueCollection);
+  if (reviewsOpened > 0) {
+    console.log(`[Job Queue] 🧾 Opened manual reviews for ${reviewsOpened} existing post-submission failures`);
+  }
+
+  // 🔐 Credential vault: needs the local master key; without it jobs fall back to <INSURER>_USERNAME/_PASSWORD
+  try {
+    credentialVault = createCredentialVault({
+      collection: db.collection(CREDENTIAL_COLLECTION),
+      keys: loadMasterKeys(),
+      audit: logAuditEntry,
+    });
+    await credentialVault.ensureIndexes();
+    registerVault(credentialVault);
+
+    const imported = await credentialVault.importFromEnv(LANES);
+    if (imported.length > 0) {
+      console.log(`[Credential Vault] 🔐 Imported accounts from environment for: ${imported.join(", ")}`);
     }
+    const reencrypted = await credentialVault.reencryptStale();
+    if (reencrypted > 0) {
+      console.log(`[Credential Vault] 🔁 Re-encrypted ${reencrypted} accounts with the current master key`);
+    }
+  } catch (error) {
+    credentialVault = null;
+    console.error(`[Credential Vault] ❌ Vault unavailable: ${error.message}`);
+  }
+  markVaultReady();
+
+  // Jobs created before the vault carried portal passwords in formData
+  const scrubbed = await jobQueueCollection.updateMany(
+    { $or: [{ "formData.username": { $exists: true } }, { "formData.password": { $exists: true } }] },
+    { $unset: { "formData.username": "", "formData.password": "" } }
   );
+  if (scrubbed.modifiedCount > 0) {
+    console.log(`[Credential Vault] 🧽 Removed stored credentials from ${scrubbed.modifiedCount} job documents`);
+  }
 
-  if (stuckJobs.modifiedCount > 0) {
+  const laneSettings = await loadLaneSettings(laneSettingsCollection);
+  Object.values(laneSettings).forEach((settings) =>
     console.log(
-      `[Job Queue] 🔄 Recovered ${stuckJobs.modifiedCount} jobs that were stuck in processing state`
-    );
-  }
+      `[Job Queue] 🚦 Lane ${settings.lane}: max ${settings.maxConcurrent} parallel${settings.paused ? " (PAUSED)" : ""}`
+    )
+  );
+
+  // CRASH RECOVERY: Reclaim only jobs whose lease expired (their worker crashed or hung).
+  // Jobs in flight on other live instances keep heartbeating and are not touched.
+  await recoverExpiredLeases();
+
+  // Keep sweeping so jobs of an instance that dies later are picked up by the survivors.
+  // The queue is polled on the same tick so lane pause/resume and jobs enqueued by
+  // other instances are noticed here too.
+  setInterval(async () => {
+    try {
+      await recoverExpiredLeases();
+    } catch (err) {
+      console.error("[Job Queue] Lease recovery failed:", err.message);
+    }
+    void processRelianceQueue();
+    void sweepBriskIssuance();
+    void flushSelectorHealth();
+  }, LEASE_RECOVERY_INTERVAL_MS);
 
   // Count pending jobs and start processing
   const pendingCount = await jobQueueCollection.countDocuments({
@@ -726,176 +1607,43 @@ db.once("open", async () => {
     console.log(
       `[Job Queue] Found ${pendingCount} pending jobs, will start processing...`
     );
-    void processRelianceQueue();
+    void processRelianceQueue(); // Also arms the retry timer for jobs still in backoff
   }
 
-  const collection = db.collection("onlinePolicy");
-
-  const changeStream = collection.watch([
-    {
-      $match: {
-        $or: [
-          { operationType: "insert" },
-          {
-            operationType: "update",
-            "updateDescription.updatedFields.aadharCard": { $exists: true }
-          },
-          {
-            operationType: "update",
-            "updateDescription.updatedFields.panCard": { $exists: true }
-          }
-        ],
-      },
-    },
-  ]);
-
-  changeStream.on("change", async (change) => {
-    console.log(`📡 Change detected: ${change.operationType}`);
-
-    let data = change?.fullDocument;
-    const documentId = change.documentKey?._id;
-
-    // If this is an update operation and we don't have fullDocument, fetch it
-    if (!data && documentId) {
-      console.log("📥 Fetching full document from database...");
-      data = await collection.findOne({ _id: documentId });
-    }
-
-    console.log("data: ******* ******* ******* ******* ******* ******* ", data);
-
-    // Skip if this is just a document update (not initial insert)
-    // We only want to process when aadharCard and panCard are present
-    if (change.operationType === "update") {
-      const hasAadhar = data?.aadharCard?.key;
-      const hasPan = data?.panCard?.key;
-
-      if (!hasAadhar || !hasPan) {
-        console.log("⏭️  Skipping update - waiting for both documents to be uploaded");
-        return;
-      }
-
-      console.log("✅ Both documents uploaded, processing policy...");
-    }
-
-    // Get the Captcha document _id for reference
-    const captchaId = data?._id;
-
-    // Generate presigned URLs for document downloads
-    let aadharPresignedUrl = null;
-    let panPresignedUrl = null;
-
-    if (data?.aadharCard?.key) {
-      aadharPresignedUrl = await getPresignedUrl(data.aadharCard.key);
-      console.log(`📄 Aadhar presigned URL generated: ${aadharPresignedUrl ? 'YES' : 'NO'}`);
-    }
-
-    if (data?.panCard?.key) {
-      panPresignedUrl = await getPresignedUrl(data.panCard.key);
-      console.log(`📄 PAN presigned URL generated: ${panPresignedUrl ? 'YES' : 'NO'}`);
-    }
-
-    let formData = {
-      // MongoDB document identifiers (CRITICAL for updates)
-      _id: data?._id,
-      policyId: data?.policyId,
-      userId: data?.userId,
-
-      username: "rfcpolicy",
-      password: "Pass@123",
-      // Proposer details
-      proposerTitle: data?.proposerTitle || "Mr.",
-      firstName: data?.fullName || data?.firstName,
-      middleName: data?.middleName || "",
-      lastName: data?.surname || data?.lastName,
-      dob: data?.dateOfBirth?.$date
-        ? moment(data.dateOfBirth.$date).format("DD-MM-YYYY")
-        : data?.dateOfBirth
-          ? moment(data.dateOfBirth).format("DD-MM-YYYY")
-          : "",
-      gender: data?.gender,
-      // Father details
-      fatherTitle: data?.fatherTitle || "Mr.",
-      fatherName: data?.fatherName,
-      // Address details
-      flatNo: data?.flatDoorNo,
-      flatDoorNo: data?.flatDoorNo, // Added to match onlinePolicy schema
-      floorNo: data?.floorNo,
-      premisesName: data?.buildingName,
-      buildingName: data?.buildingName, // Added to match onlinePolicy schema
-      blockNo: data?.blockName || data?.blockNo,
-      blockName: data?.blockName, // Added to match onlinePolicy schema
-      road: data?.roadStreetLane || data?.road,
-      roadStreetLane: data?.roadStreetLane, // Added to match onlinePolicy schema
-      areaAndLocality: data?.areaAndLocality || data?.area || data?.locality || "",
-      state: data?.state == "TAMILNADU" ? "30" : data?.state == "KARNATAKA" ? "26" : "30",
-      pinCode: data?.pincode,
-      // Contact details
-      mobile: data?.mobileNumber,
-      email: data?.email,
-      aadhar: data?.aadhar,
-      // Document uploads (from S3) - with presigned URLs for download
-      aadharCard: data?.aadharCard ? {
-        ...data.aadharCard,
-        presignedUrl: aadharPresignedUrl
-      } : null,
-      panCard: data?.panCard ? {
-        ...data.panCard,
-        presignedUrl: panPresignedUrl
-      } : null,
-      // Vehicle details
-      vehicleMake: data?.vehicleMake,
-      vehicleModel: data?.vehicleModel,
-      vehicleCC: data?.vehicleCC,
-      rtoCityLocation: data?.rtoCityLocation,
-      idv: data?.idv,
-      manufacturingYear: data?.manufacturingYear,
-      manufacturingMonth: data?.manufacturingMonth,
-      engineNumber: data?.engineNumber,
-      chassisNumber: data?.chassisNumber,
-      purchaseDate: data?.purchaseDate?.$date
-        ? moment(data.purchaseDate.$date).format("DD-MM-YYYY")
-        : data?.purchaseDate
-          ? moment(data.purchaseDate).format("DD-MM-YYYY")
-          : "",
-      registrationDate: data?.registrationDate?.$date
-        ? moment(data.registrationDate.$date).format("DD-MM-YYYY")
-        : data?.registrationDate
-          ? moment(data.registrationDate).format("DD-MM-YYYY")
-          : "",
-      // Coverage options
-      zeroDepreciation: data?.zeroDepreciation,
-      tppdRestrict: data?.tppdRestrict,
-      paCover: data?.paCover,
-      // Financier details
-      hasFinancier: data?.hasFinancier,
-      financierType: data?.financierType,
-      financierName: data?.financierName,
-      financierAddress: data?.financierAddress,
-      // Registration address
-      isRegistrationAddressSame: data?.isRegistrationAddressSame,
-      // Discount mapping (normalize multiple possible fields from Mongo)
-      discount: data?.ODDiscount ?? data?.odDiscount ?? data?.Detariff_Discount_Rate ?? data?.discount,
-      ODDiscount: data?.ODDiscount ?? data?.odDiscount ?? data?.Detariff_Discount_Rate ?? data?.discount,
-      // Payment Method
-      Paymentmethod: data?.Paymentmethod,
-      // Company name mapping - check both 'company' and 'Companyname' fields, normalize to lowercase
-      Companyname: data?.Companyname || (data?.company ? data.company.toLowerCase() : "reliance")
-    };
+  onlinePolicyCollection = db.collection("onlinePolicy");
 
-    console.log(
-      "formData: ******* ******* ******* ******* ******* ******* ",
-      formData
-    );
-    console.log(
-      `[MongoDB Watch] New customer data received: ${formData.firstName} (Captcha ID: ${captchaId})`
-    );
-    console.log(
-      `[MongoDB Watch] Company mapping: data.company="${data?.company}", data.Companyname="${data?.Companyname}", formData.Companyname="${formData.Companyname}"`
-    );
+  // Pick up policies that arrived while no server was watching (resume history lost, first start, ...)
+  await sweepMissedPolicies("startup");
 
-    // Add to queue with captchaId reference
-    await enqueueRelianceJob(formData, captchaId);
+  // Resumes from the last handled event after a restart; re-opens itself on stream errors
+  watchWithResume({
+    collection: onlinePolicyCollection,
+    tokenCollection: db.collection(RESUME_TOKEN_COLLECTION),
+    name: "onlinePolicy",
+    pipeline: [
+      {
+        $match: {
+          $or: [
+            { operationType: "insert" },
+            {
+              operationType: "update",
+              "updateDescription.updatedFields.aadharCard": { $exists: true }
+            },
+            {
+              operationType: "update",
+              "updateDescription.updatedFields.panCard": { $exists: true }
+            }
+          ],
+        },
+      },
+    ],
+    onChange: handlePolicyChange,
+    onResumeLost: () => sweepMissedPolicies("resume-lost"),
+    log: (message) => console.log(`[MongoDB Watch] ${message}`),
   });
+
+  // Safety net for events whose handler failed (e.g. DB hiccup during enqueue)
+  setInterval(() => void sweepMissedPolicies("periodic"), CATCH_UP_INTERVAL_MS);
 });
 
 // Setup Express app for API routes
@@ -932,12 +1680,18 @@ app.post("/api/extract-captcha", upload.single("image"), async (req, res) => {
 // JOB STATUS API ENDPOINTS
 // ============================================
 
+// Seconds until a job's next eligible run (rounded up), for API responses
+const formatSecondsUntilEligible = (job) => {
+  const remainingMs = getTimeUntilEligibleMs(job);
+  return remainingMs === null ? null : Math.ceil(remainingMs / 1000);
+};
+
 /**
  * GET /api/job-status/:captchaId
  * Get job status and details by Captcha ID
  *
  * Returns:
- * - Job status (pending/processing/completed/failed_login_form/failed_post_submission)
+ * - Job status (pending/processing/completed/completed_dry_run/failed_login_form/failed_post_submission)
  * - Failure type (LoginFormError/PostSubmissionError)
  * - Attempt count
  * - Error logs with screenshots
@@ -959,10 +1713,11 @@ app.get("/api/job-status/:captchaId", async (req, res) => {
     const ObjectId = require("mongodb").ObjectId;
     const captchaObjectId = new ObjectId(captchaId);
 
-    // Find job by captchaId reference
-    const job = await jobQueueCollection.findOne({
-      captchaId: captchaObjectId,
-    });
+    // Find job by captchaId reference (or the job the policy was de-duplicated onto)
+    const job = await jobQueueCollection.findOne(
+      { $or: [{ captchaId: captchaObjectId }, { duplicateCaptchaIds: captchaObjectId }] },
+      { sort: { createdAt: -1 } }
+    );
 
     if (!job) {
       return res.status(404).json({
@@ -982,6 +1737,36 @@ app.get("/api/job-status/:captchaId", async (req, res) => {
       status: job.status,
       failureType: job.failureType || null, // "LoginFormError" or "PostSubmissionError"
 
+      // Ownership (which server instance holds the job)
+      workerId: job.workerId || null,
+      heartbeatAt: job.heartbeatAt || null,
+      leaseExpiresAt: job.leaseExpiresAt || null,
+
+      // Cancellation
+      cancelRequestedAt: job.cancelRequestedAt || null,
+      cancelledAt: job.cancelledAt || null,
+      cancelledBy: job.cancelledBy || null,
+
+      // onlinePolicy values the mapper could not map cleanly
+      mappingWarnings: job.mappingWarnings || [],
+
+      // What the portal issued (proposal no., quote no., premium breakdown, IDV, payment link)
+      proposalNumber: job.proposalNumber || null,
+      portalArtifacts: job.portalArtifacts || null,
+      policyPdf: job.policyPdf || null, // Downloaded policy PDF linked to this job
+      brisk: job.brisk || null, // Brisk certificate sub-job (status, attempts, policy ID, merged PDF)
+
+      // Dry run (stopped on the quote)
+      dryRun: job.dryRun === true,
+      dryRunResult: job.dryRunResult || null,
+
+      // Portal steps (Reliance step pipeline)
+      lastCompletedStep: job.lastCompletedStep || null,
+      failedStep: job.failedStep || null,
+      moneyBoundaryCrossed: job.moneyBoundaryCrossed === true,
+      resumeFrom: job.resumeFrom || null, // Next attempt resumes here instead of starting over
+      checkpoint: job.checkpoint || null,
+
       // Progress
       attempts: job.attempts,
       maxAttempts: job.maxAttempts,
@@ -1012,6 +1797,7 @@ app.get("/api/job-status/:captchaId", async (req, res) => {
       failedAt: job.failedAt || null,
       lastAttemptAt: job.lastAttemptAt || null,
       nextRetryAt: job.nextRetryAt || null,
+      nextEligibleInSeconds: formatSecondsUntilEligible(job),
 
       // Form data (customer info)
       customerData: {
@@ -1041,22 +1827,30 @@ app.get("/api/job-status/:captchaId", async (req, res) => {
  * Get list of jobs with optional filtering
  *
  * Query parameters:
- * - status: Filter by status (pending/processing/completed/failed_login_form/failed_post_submission)
+ * - status: Filter by status (pending/processing/completed/completed_dry_run/failed_login_form/failed_post_submission)
+ * - lane: Filter by insurer lane (reliance/national)
+ * - briskStatus: Filter by Brisk certificate sub-job status (pending/processing/retry_scheduled/completed/failed/invalid_payload)
  * - limit: Number of results (default: 50, max: 100)
  * - skip: Number to skip for pagination (default: 0)
  * - sortBy: Sort field (default: createdAt)
  * - sortOrder: asc or desc (default: desc)
  *
+ * Each job includes nextRetryAt and nextEligibleInSeconds (0 = can run now,
+ * null = not pending) so jobs waiting out a retry backoff are visible.
+ *
  * Examples:
  * - GET /api/jobs?status=failed_login_form
  * - GET /api/jobs?status=failed_post_submission
  * - GET /api/jobs?status=completed&limit=20
+ * - GET /api/jobs?briskStatus=failed
  * - GET /api/jobs?limit=10&skip=10
  */
 app.get("/api/jobs", async (req, res) => {
   try {
     const {
       status,
+      lane,
+      briskStatus,
       limit = 50,
       skip = 0,
       sortBy = "createdAt",
@@ -1066,14 +1860,8 @@ app.get("/api/jobs", async (req, res) => {
     // Build filter
     const filter = {};
     if (status) {
-      // Validate status
-      const validStatuses = [
-        "pending",
-        "processing",
-        "completed",
-        "failed_login_form",
-        "failed_post_submission",
-      ];
+      // Validate status (every state of the job state machine)
+      const validStatuses = Object.keys(JOB_STATES);
       if (!validStatuses.includes(status)) {
         return res.status(400).json({
           success: false,
@@ -1084,6 +1872,25 @@ app.get("/api/jobs", async (req, res) => {
       }
       filter.status = status;
     }
+    if (lane) {
+      if (!isValidLane(lane)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid lane. Must be one of: ${LANES.join(", ")}`,
+        });
+      }
+      filter.lane = lane;
+    }
+    if (briskStatus) {
+      const validBriskStatuses = Object.values(BRISK_STATUS);
+      if (!validBriskStatuses.includes(briskStatus)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid briskStatus. Must be one of: ${validBriskStatuses.join(", ")}`,
+        });
+      }
+      filter["brisk.status"] = briskStatus;
+    }
 
     // Validate and sanitize pagination
     const limitNum = Math.min(parseInt(limit) || 50, 100); // Max 100
@@ -1111,6 +1918,8 @@ app.get("/api/jobs", async (req, res) => {
       captchaId: job.captchaId ? job.captchaId.toString() : null,
       status: job.status,
       failureType: job.failureType || null, // "LoginFormError" or "PostSubmissionError"
+      lane: job.lane || resolveLane(job.formData),
+      workerId: job.workerId || null,
       attempts: job.attempts,
       customerName: `${job.formData?.firstName || ""} ${job.formData?.lastName || ""
         }`.trim(),
@@ -1118,6 +1927,9 @@ app.get("/api/jobs", async (req, res) => {
       hasErrors: job.errorLogs && job.errorLogs.length > 0,
       errorCount: job.errorLogs ? job.errorLogs.length : 0,
       lastError: job.lastError,
+      nextRetryAt: job.nextRetryAt || null,
+      nextEligibleInSeconds: formatSecondsUntilEligible(job),
+      briskStatus: job.brisk?.status || null,
       createdAt: job.createdAt,
       completedAt: job.completedAt,
       failedAt: job.failedAt,
@@ -1197,6 +2009,7 @@ app.get("/api/jobs/stats", async (req, res) => {
           failed: failedCount,
           pending: statusCounts.pending?.count || 0,
           processing: statusCounts.processing?.count || 0,
+          dryRun: statusCounts.completed_dry_run?.count || 0,
         },
       },
     });
@@ -1210,67 +2023,1600 @@ app.get("/api/jobs/stats", async (req, res) => {
   }
 });
 
-// Create HTTP server with integrated Express app
-const server = http.createServer((req, res) => {
-  // Try Express routes first (for /api/* endpoints)
-  if (req.url.startsWith("/api/")) {
-    app(req, res);
-    return;
-  }
-
-  // Serve the Vite app
-  let filePath = path.join(
-    __dirname,
-    "vite-app",
-    "dist",
-    req.url === "/" ? "index.html" : req.url
-  );
-  const extname = path.extname(filePath);
-  let contentType = "text/html";
+/**
+ * Parse a job ID route parameter
+ * @returns {ObjectId|null} null if the ID is not a valid ObjectId
+ */
+const parseJobId = (id) => {
+  const ObjectId = require("mongodb").ObjectId;
+  return ObjectId.isValid(id) ? new ObjectId(id) : null;
+};
 
-  switch (extname) {
-    case ".js":
-      contentType = "text/javascript";
-      break;
-    case ".css":
-      contentType = "text/css";
-      break;
-    case ".json":
-      contentType = "application/json";
-      break;
-    case ".png":
-      contentType = "image/png";
-      break;
-    case ".jpg":
-      contentType = "image/jpg";
-      break;
-    case ".wav":
-      contentType = "audio/wav";
-      break;
-  }
+/**
+ * POST /api/jobs
+ * Enqueue a policy job directly (partner systems, test scripts) without writing to onlinePolicy
+ *
+ * Body: { formData: {...}, captchaId?: string, accountId?: string, dryRun?: boolean } or the formData object itself
+ *
+ * - formData has the same shape the change stream builds (firstName, mobile, chassisNumber, Companyname, ...)
+ * - Portal credentials are never taken from the request; accountId pins the job to one vault account
+ * - dryRun: true runs up to the quote and ends in completed_dry_run (nothing saved, paid or sent)
+ * - 201: job created | 200: duplicate of an existing job (its ID is returned) | 400: validation errors
+ */
+app.post("/api/jobs", async (req, res) => {
+  try {
+    const body = req.body || {};
+    const submitted = body.formData && typeof body.formData === "object" ? body.formData : body;
+    // Credentials always come from the server; captchaId is a job reference, not form data
+    const { username, password, captchaId: inlineCaptchaId, dryRun: inlineDryRun, ...formData } = submitted;
+    const requestedCaptchaId = body.captchaId || inlineCaptchaId;
+    const dryRun = body.dryRun ?? inlineDryRun ?? false;
+
+    if (!formData || typeof formData !== "object" || Array.isArray(formData) || Object.keys(formData).length === 0) {
+      return res.status(400).json({ success: false, message: "formData must be a non-empty object" });
+    }
 
-  fs.readFile(filePath, (err, content) => {
-    if (err) {
-      if (err.code == "ENOENT") {
-        fs.readFile(
-          path.join(__dirname, "vite-app", "dist", "index.html"),
-          (err, content) => {
-            res.writeHead(200, { "Content-Type": "text/html" });
-            res.end(content, "utf-8");
-          }
-        );
-      } else {
-        res.writeHead(500);
-        res.end(
-          "Sorry, check with the site admin for error: " + err.code + "..\n"
-        );
-        res.end();
+    let captchaId = null;
+    if (requestedCaptchaId) {
+      captchaId = parseJobId(requestedCaptchaId);
+      if (!captchaId) {
+        return res.status(400).json({ success: false, message: "Invalid captchaId format" });
       }
-    } else {
-      res.writeHead(200, { "Content-Type": contentType });
-      res.end(content, "utf-8");
     }
-  });
+
+    if (typeof dryRun !== "boolean") {
+      return res.status(400).json({ success: false, message: "dryRun must be a boolean" });
+    }
+
+    let accountId = null;
+    if (body.accountId) {
+      accountId = parseJobId(body.accountId);
+      if (!accountId) {
+        return res.status(400).json({ success: false, message: "Invalid accountId format" });
+      }
+      if (!credentialVault) {
+        return res.status(503).json({ success: false, message: "Credential vault unavailable, cannot pin an account" });
+      }
+      const lane = resolveLane(sanitizeFormData(formData));
+      const accounts = await credentialVault.listAccounts({ insurer: lane, status: ACCOUNT_STATUS.ACTIVE });
+      if (!accounts.some((account) => account._id.equals(accountId))) {
+        return res.status(400).json({ success: false, message: `accountId is not an active ${lane} portal account` });
+      }
+    }
+
+    const { jobId, duplicate, existingJobStatus } = await submitPolicyJob(formData, {
+      captchaId,
+      source: "api",
+      accountId,
+      dryRun,
+    });
+
+    if (duplicate) {
+      return res.status(200).json({
+        success: true,
+        duplicate: true,
+        message: "An identical job already exists",
+        data: { jobId, status: existingJobStatus },
+      });
+    }
+
+    return res.status(201).json({
+      success: true,
+      duplicate: false,
+      message: "Job enqueued",
+      data: { jobId, status: JOB_STATUS.PENDING, lane: resolveLane(sanitizeFormData(formData)), dryRun },
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        errors: error.details.errors || [],
+        data: { jobId: error.details.jobId || null, status: JOB_STATUS.FAILED_VALIDATION },
+      });
+    }
+
+    console.error("[API] Error enqueuing job:", error.message);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/jobs/:id/cancel
+ * Cancel a queued or running job
+ *
+ * Body: { by?: string, reason?: string, force?: boolean }
+ *
+ * - pending: cancelled immediately (200)
+ * - processing: browser is quit and the flow stops at its next step (202).
+ *   If another instance owns the job it picks the request up on its next heartbeat.
+ * - past Save / Pay / Send Payment Link (money boundary): 409, as the portal may
+ *   already hold a proposal or payment. A running job can still be stopped with
+ *   force: true; it then ends in failed_post_submission with a review, not cancelled.
+ *   A pending job waiting to resume a saved proposal cannot be cancelled.
+ * - anything else: 409
+ */
+app.post("/api/jobs/:id/cancel", async (req, res) => {
+  try {
+    const jobId = parseJobId(req.params.id);
+    if (!jobId) {
+      return res.status(400).json({ success: false, message: "Invalid job ID format" });
+    }
+
+    const { by = null, reason = null, force = false } = req.body || {};
+    const now = new Date();
+
+    // Not running anywhere yet: the status filter makes this lose cleanly against a concurrent claim
+    const job = await jobQueueCollection.findOne(
+      { _id: jobId },
+      {
+        projection: {
+          status: 1, attempts: 1, resumeFrom: 1, moneyBoundaryCrossed: 1, moneyBoundaryStep: 1,
+          checkpointAttempt: 1, lastCompletedStep: 1, proposalNumber: 1, "checkpoint.proposalNumber": 1,
+        },
+      }
+    );
+    if (!job) {
+      return res.status(404).json({ success: false, message: "Job not found" });
+    }
+
+    // 💰 The portal may already hold a proposal / payment: cancelling would hide it from review
+    const crossed = [JOB_STATUS.PENDING, JOB_STATUS.PROCESSING].includes(job.status) && hasCrossedMoneyBoundary(job);
+    if (crossed && (job.status === JOB_STATUS.PENDING || force !== true)) {
+      await logAuditEntry('JOB_CANCEL_REFUSED', {
+        jobId, cancelledBy: by, reason, status: job.status,
+        moneyBoundaryStep: job.moneyBoundaryStep || null, resumeFrom: job.resumeFrom || null,
+      });
+      return res.status(409).json({
+        success: false,
+        message: job.status === JOB_STATUS.PENDING
+          ? `Job is waiting to resume saved proposal ${job.checkpoint?.proposalNumber || job.proposalNumber || "(unknown)"} and cannot be cancelled`
+          : "Job is past the money boundary; cancel with force: true to stop it and send it to manual review",
+        data: {
+          jobId,
+          status: job.status,
+          moneyBoundaryCrossed: true,
+          moneyBoundaryStep: job.moneyBoundaryStep || null,
+          lastCompletedStep: job.lastCompletedStep || null,
+          resumeFrom: job.resumeFrom || null,
+        },
+      });
+    }
+
+    if (job.status === JOB_STATUS.PENDING) {
+      const cancelledPending = await jobStates.transition(jobId, JOB_STATUS.PENDING, JOB_STATUS.CANCELLED, {
+        set: { cancelledAt: now, cancelledBy: by, cancelReason: reason, nextRetryAt: null },
+        reason: reason || "Cancelled by operator",
+        by,
+      });
+
+      if (!cancelledPending.ok) {
+        return res.status(409).json({ success: false, message: "Job status changed concurrently, please retry" });
+      }
+
+
+      console.log(`[Job Queue] 🛑 Pending job ${jobId} cancelled`);
+      await logAuditEntry('JOB_CANCELLED', { jobId, cancelledBy: by, reason, wasProcessing: false });
+
+      return res.json({
+        success: true,
+        message: "Job cancelled",
+        data: { jobId, status: JOB_STATUS.CANCELLED },
+      });
+    }
+
+    // Running: record the request so whichever instance owns the browser acts on it
+    const running = job.status === JOB_STATUS.PROCESSING
+      ? await jobQueueCollection.findOneAndUpdate(
+        { _id: jobId, status: JOB_STATUS.PROCESSING },
+        { $set: { cancelRequestedAt: now, cancelRequestedBy: by, cancelReason: reason } },
+        { returnDocument: "after" }
+      )
+      : null;
+
+    if (running) {
+      const abortedHere = running.workerId === WORKER_ID && abortLocalJob(jobId, { by, reason });
+      await logAuditEntry('JOB_CANCEL_REQUESTED', { jobId, cancelledBy: by, reason, workerId: running.workerId, forced: crossed });
+
+      return res.status(202).json({
+        success: true,
+        message: (abortedHere
+          ? "Job is being cancelled"
+          : `Cancellation requested; worker ${running.workerId} will stop the job within ${JOB_HEARTBEAT_INTERVAL_MS / 1000}s`) +
+          (crossed ? "; it is past the money boundary and will go to manual review" : ""),
+        data: { jobId, status: JOB_STATUS.PROCESSING, workerId: running.workerId, moneyBoundaryCrossed: crossed },
+      });
+    }
+
+    if (job.status === JOB_STATUS.PROCESSING) {
+      return res.status(409).json({ success: false, message: "Job finished while cancelling, please reload" });
+    }
+
+    // Finished/failed jobs: the state machine rejects the cancel and flags it in the audit log
+    await jobStates.transition(jobId, job.status, JOB_STATUS.CANCELLED, { reason, by });
+
+    return res.status(409).json({
+      success: false,
+      message: `Job is ${job.status} and can no longer be cancelled`,
+    });
+  } catch (error) {
+    console.error("[API] Error cancelling job:", error.message);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+});
+
+// ============================================
+// JOB RECOVERY API ENDPOINTS (manual ops actions)
+// ============================================
+
+/**
+ * Move a failed job back to pending so the queue picks it up again.
+ * Uses the job's current status as an optimistic lock: returns false if it changed meanwhile.
+ * @param {Object} job - Job document as last read
+ * @param {Object} options - { by, reason, resetAttempts, extraUpdates }
+ * @returns {Promise<boolean>} Whether the job was requeued
+ */
+const requeueJob = async (job, { by = null, reason = null, resetAttempts = false, extraUpdates = {} } = {}) => {
+  const now = new Date();
+  const update = {
+    nextRetryAt: null,
+    failedAt: null,
+    workerId: null,
+    leaseExpiresAt: null,
+    requeuedAt: now,
+    requeuedBy: by,
+    ...extraUpdates,
+  };
+
+  if (resetAttempts) {
+    update.attempts = 0;
+  }
+  // Jobs rejected at enqueue were stored with maxAttempts 0
+  if (!job.maxAttempts) {
+    update.maxAttempts = 3;
+  }
+
+  const result = await jobStates.transition(job._id, job.status, JOB_STATUS.PENDING, {
+    set: update,
+    reason: reason || "Manual requeue",
+    by,
+  });
+
+  return result.ok;
+};
+
+/**
+ * POST /api/jobs/:id/retry
+ * Requeue a failed job (e.g. failed_login_form after a portal outage)
+ *
+ * Body: { by?: string, reason?: string, resetAttempts?: boolean }
+ *
+ * Without resetAttempts an exhausted job gets exactly one more attempt.
+ * failed_post_submission jobs cannot be retried (money involved) - they go through the review queue.
+ * failed_validation jobs cannot be retried either: PATCH /api/jobs/:id/form-data corrects and
+ * re-validates them, and gives them the idempotency key the duplicate check needs.
+ */
+app.post("/api/jobs/:id/retry", async (req, res) => {
+  try {
+    const jobId = parseJobId(req.params.id);
+    if (!jobId) {
+      return res.status(400).json({ success: false, message: "Invalid job ID format" });
+    }
+
+    const { by = null, reason = null, resetAttempts = false } = req.body || {};
+
+    const job = await jobQueueCollection.findOne({ _id: jobId });
+    if (!job) {
+      return res.status(404).json({ success: false, message: "Job not found" });
+    }
+
+    // Never validated, no idempotency key: only the form-data correction may requeue it
+    if (job.status === JOB_STATUS.FAILED_VALIDATION) {
+      await logAuditEntry('JOB_RETRY_REJECTED', { jobId, status: job.status, by, reason });
+      return res.status(409).json({
+        success: false,
+        message: "Job failed validation; correct it with PATCH /api/jobs/:id/form-data and requeue: true",
+        errors: job.validationErrors || [],
+      });
+    }
+
+    // processing -> pending is reserved for lease recovery; running jobs are cancelled, not retried.
+    // failed_post_submission -> pending only happens through the review queue (outcome rerun_safe).
+    if (
+      job.status === JOB_STATUS.PROCESSING ||
+      job.status === JOB_STATUS.FAILED_POST_SUBMISSION ||
+      !isValidStateTransition(job.status, JOB_STATUS.PENDING)
+    ) {
+      await logAuditEntry('JOB_RETRY_REJECTED', { jobId, status: job.status, by, reason });
+      return res.status(409).json({
+        success: false,
+        message: `Job in status "${job.status}" cannot be retried`,
+      });
+    }
+
+    const requeued = await requeueJob(job, { by, reason, resetAttempts: resetAttempts === true });
+    if (!requeued) {
+      return res.status(409).json({ success: false, message: "Job status changed concurrently, please reload" });
+    }
+
+    console.log(`[Job Queue] 🔁 Job ${jobId} requeued manually from ${job.status}${by ? ` by ${by}` : ""}`);
+    await logAuditEntry('JOB_MANUAL_RETRY', {
+      jobId,
+      customerName: `${job.formData?.firstName} ${job.formData?.lastName}`,
+      previousStatus: job.status,
+      resetAttempts: resetAttempts === true,
+      by,
+      reason,
+    });
+
+    void processRelianceQueue();
+
+    return res.json({
+      success: true,
+      message: "Job requeued",
+      data: {
+        jobId,
+        previousStatus: job.status,
+        status: JOB_STATUS.PENDING,
+        attempts: resetAttempts === true ? 0 : job.attempts,
+      },
+    });
+  } catch (error) {
+    console.error("[API] Error retrying job:", error.message);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/jobs/:id/brisk/retry
+ * Re-run the Brisk certificate sub-job of a completed job (brisk.status failed / invalid_payload / retry_scheduled)
+ *
+ * Body: { by?: string, reason?: string, resetAttempts?: boolean, formData?: object }
+ *
+ * formData corrects the values the payload was rejected for (nominee, city, registration no., Brisk cover / price, ...);
+ * it is merged into the job's formData. A certificate that was already created is never created again -
+ * the retry only redoes the download and merge.
+ */
+app.post("/api/jobs/:id/brisk/retry", async (req, res) => {
+  try {
+    const jobId = parseJobId(req.params.id);
+    if (!jobId) {
+      return res.status(400).json({ success: false, message: "Invalid job ID format" });
+    }
+
+    const { by = null, reason = null, resetAttempts = false, formData: changes = null } = req.body || {};
+    if (changes !== null && (typeof changes !== "object" || Array.isArray(changes))) {
+      return res.status(400).json({ success: false, message: "formData must be an object" });
+    }
+
+    const job = await jobQueueCollection.findOne({ _id: jobId });
+    if (!job) {
+      return res.status(404).json({ success: false, message: "Job not found" });
+    }
+
+    if (job.status !== JOB_STATUS.COMPLETED || !job.brisk || !BRISK_OPERATOR_RETRY_STATES.includes(job.brisk.status)) {
+      await logAuditEntry('BRISK_RETRY_REJECTED', { jobId, status: job.status, briskStatus: job.brisk?.status || null, by });
+      return res.status(409).json({
+        success: false,
+        message: job.brisk
+          ? `Brisk sub-job in status "${job.brisk.status}" cannot be retried`
+          : `Job in status "${job.status}" has no Brisk certificate sub-job`,
+      });
+    }
+
+    if (changes && Object.keys(changes).length > 0) {
+      const corrected = await jobQueueCollection.updateOne(
+        { _id: jobId, "brisk.status": job.brisk.status },
+        { $set: { formData: sanitizeFormData({ ...job.formData, ...changes }), formDataUpdatedAt: new Date(), formDataUpdatedBy: by } }
+      );
+      if (corrected.matchedCount === 0) {
+        return res.status(409).json({ success: false, message: "Brisk sub-job changed concurrently, please reload" });
+      }
+    }
+
+    const requeued = await briskIssuance.requeue(job, { by, reason, resetAttempts: resetAttempts === true });
+    if (!requeued) {
+      return res.status(409).json({ success: false, message: "Brisk sub-job changed concurrently, please reload" });
+    }
+
+    console.log(`[Brisk] 🔁 Certificate sub-job of job ${jobId} requeued from ${job.brisk.status}${by ? ` by ${by}` : ""}`);
+    await logAuditEntry('BRISK_MANUAL_RETRY', {
+      jobId,
+      customerName: `${job.formData?.firstName} ${job.formData?.lastName}`,
+      previousBriskStatus: job.brisk.status,
+      correctedFields: changes ? Object.keys(changes) : [],
+      resetAttempts: resetAttempts === true,
+      by,
+      reason,
+    });
+
+    void runBriskIssuance(jobId);
+
+    return res.json({
+      success: true,
+      message: "Brisk certificate sub-job requeued",
+      data: {
+        jobId,
+        previousBriskStatus: job.brisk.status,
+        briskStatus: BRISK_STATUS.PENDING,
+        briskPolicyId: job.brisk.policyId || null, // Set when only the download / merge is left
+      },
+    });
+  } catch (error) {
+    console.error("[API] Error retrying Brisk sub-job:", error.message);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Record a manual-review outcome on a failed_post_submission job and close its review.
+ * policy_issued / refund_needed close the job as resolved; rerun_safe puts it back in the queue.
+ * @param {Object} job - Job document as last read
+ * @param {Object} resolution - { reviewer, note, outcome, policyNumber, refundReference }
+ * @returns {Promise<Object>} { ok, status, resolvedAt }
+ */
+const applyReviewOutcome = async (job, { reviewer, note, outcome, policyNumber = null, refundReference = null }) => {
+  const now = new Date();
+  const reviewUpdates = {
+    review: {
+      ...(job.review || buildOpenReview(job.failedAt || job.createdAt)),
+      status: REVIEW_STATUS.RESOLVED,
+      outcome,
+      resolvedAt: now,
+      resolvedBy: reviewer,
+      note,
+      policyNumber,
+      refundReference,
+    },
+  };
+
+  let result;
+  let status;
+  if (outcome === REVIEW_OUTCOMES.RERUN_SAFE) {
+    status = JOB_STATUS.PENDING;
+    result = {
+      ok: await requeueJob(job, {
+        by: reviewer,
+        reason: `Review ${outcome}: ${note}`,
+        // The reviewer cleared a full re-run; an old checkpoint must not turn it into a resume
+        extraUpdates: { ...reviewUpdates, resumeFrom: null, checkpoint: null },
+      }),
+    };
+  } else {
+    status = JOB_STATUS.RESOLVED;
+    result = await jobStates.transition(job._id, job.status, JOB_STATUS.RESOLVED, {
+      set: {
+        ...reviewUpdates,
+        resolvedAt: now,
+        resolvedBy: reviewer,
+        resolutionNote: note,
+        resolutionOutcome: outcome,
+        resolvedPolicyNumber: policyNumber,
+      },
+      reason: `Review ${outcome}: ${note}`,
+      by: reviewer,
+    });
+  }
+
+  if (result.ok) {
+    await logAuditEntry('JOB_REVIEW_RESOLVED', {
+      jobId: job._id,
+      customerName: `${job.formData?.firstName} ${job.formData?.lastName}`,
+      previousStatus: job.status,
+      newStatus: status,
+      outcome,
+      reviewer,
+      note,
+      policyNumber,
+      refundReference,
+      proposalNumber: job.proposalNumber || null,
+      sla: job.review ? computeSla({ ...job.review, status: REVIEW_STATUS.RESOLVED, resolvedAt: now }) : null,
+    });
+  }
+
+  return { ok: result.ok, status, resolvedAt: now };
+};
+
+/**
+ * POST /api/jobs/:id/resolve
+ * Close a failed_post_submission job after the policy was verified on the insurer portal
+ *
+ * Body: { reviewer: string, note: string, policyNumber?: string }
+ */
+app.post("/api/jobs/:id/resolve", async (req, res) => {
+  try {
+    const jobId = parseJobId(req.params.id);
+    if (!jobId) {
+      return res.status(400).json({ success: false, message: "Invalid job ID format" });
+    }
+
+    const { reviewer, note, policyNumber = null } = req.body || {};
+    if (!reviewer || !String(reviewer).trim() || !note || !String(note).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "reviewer and note are required to resolve a job",
+      });
+    }
+
+    const job = await jobQueueCollection.findOne({ _id: jobId });
+    if (!job) {
+      return res.status(404).json({ success: false, message: "Job not found" });
+    }
+
+    if (!isValidStateTransition(job.status, JOB_STATUS.RESOLVED)) {
+      await logAuditEntry('JOB_RESOLVE_REJECTED', { jobId, status: job.status, reviewer });
+      return res.status(409).json({
+        success: false,
+        message: `Only ${JOB_STATUS.FAILED_POST_SUBMISSION} jobs can be resolved (job is "${job.status}")`,
+      });
+    }
+
+    const result = await applyReviewOutcome(job, {
+      reviewer: String(reviewer).trim(),
+      note: String(note).trim(),
+      outcome: REVIEW_OUTCOMES.POLICY_ISSUED,
+      policyNumber,
+    });
+
+    if (!result.ok) {
+      return res.status(409).json({ success: false, message: "Job status changed concurrently, please reload" });
+    }
+
+    console.log(`[Job Queue] ✅ Job ${jobId} resolved by ${reviewer}`);
+
+    return res.json({
+      success: true,
+      message: "Job resolved",
+      data: { jobId, status: result.status, resolvedBy: String(reviewer).trim(), resolvedAt: result.resolvedAt },
+    });
+  } catch (error) {
+    console.error("[API] Error resolving job:", error.message);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * PATCH /api/jobs/:id/form-data
+ * Correct a job's input before it is (re)run
+ *
+ * Body: { formData: { ...fieldsToChange }, by?: string, reason?: string, requeue?: boolean }
+ *
+ * - Only pending jobs and failed jobs that may go back to pending can be edited
+ * - The merged data is sanitized and validated exactly like at enqueue time
+ * - requeue: true moves a failed job back to pending in the same step
+ */
+app.patch("/api/jobs/:id/form-data", async (req, res) => {
+  try {
+    const jobId = parseJobId(req.params.id);
+    if (!jobId) {
+      return res.status(400).json({ success: false, message: "Invalid job ID format" });
+    }
+
+    const { formData: changes, by = null, reason = null, requeue = false } = req.body || {};
+    if (!changes || typeof changes !== "object" || Array.isArray(changes) || Object.keys(changes).length === 0) {
+      return res.status(400).json({ success: false, message: "formData must be a non-empty object" });
+    }
+
+    const job = await jobQueueCollection.findOne({ _id: jobId });
+    if (!job) {
+      return res.status(404).json({ success: false, message: "Job not found" });
+    }
+
+    const editable =
+      job.status === JOB_STATUS.PENDING ||
+      (job.status !== JOB_STATUS.PROCESSING &&
+        job.status !== JOB_STATUS.FAILED_POST_SUBMISSION &&
+        isValidStateTransition(job.status, JOB_STATUS.PENDING));
+    if (!editable) {
+      await logAuditEntry('JOB_FORM_DATA_UPDATE_REJECTED', { jobId, status: job.status, by });
+      return res.status(409).json({
+        success: false,
+        message: `Form data of a job in status "${job.status}" cannot be changed`,
+      });
+    }
+
+    const sanitizedData = sanitizeFormData({ ...job.formData, ...changes });
+    const company = sanitizedData.Companyname || 'reliance';
+    const validation = validateFormData(sanitizedData, company);
+
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        message: `Validation failed: ${validation.errorSummary}`,
+        errors: validation.errors.map(e => e.toJSON ? e.toJSON() : e),
+      });
+    }
+    sanitizedData.state = resolvePortalState(company, sanitizedData.state).value;
+
+    // Corrected data must not turn this job into a copy of another live/issued policy
+    const idempotencyKey = jobIdempotencyKey(sanitizedData, job.dryRun === true);
+    const duplicate = await jobQueueCollection.findOne({
+      _id: { $ne: jobId },
+      idempotencyKey,
+      status: { $in: [JOB_STATUS.PENDING, JOB_STATUS.PROCESSING, JOB_STATUS.COMPLETED] },
+    });
+    if (duplicate) {
+      return res.status(409).json({
+        success: false,
+        message: "Another job with the same customer/vehicle details already exists",
+        data: { existingJobId: duplicate._id, existingJobStatus: duplicate.status },
+      });
+    }
+
+    const changedFields = Object.keys(changes).filter(
+      (field) => JSON.stringify(job.formData?.[field]) !== JSON.stringify(sanitizedData[field])
+    );
+    const dataUpdates = {
+      formData: sanitizedData,
+      idempotencyKey,
+      lane: resolveLane(sanitizedData),
+      validationErrors: [],
+      errorSummary: null,
+      formDataUpdatedAt: new Date(),
+      formDataUpdatedBy: by,
+    };
+
+    let requeued = false;
+    if (requeue === true && job.status !== JOB_STATUS.PENDING) {
+      requeued = await requeueJob(job, {
+        by,
+        reason: reason || "Form data corrected",
+        extraUpdates: dataUpdates,
+      });
+      if (!requeued) {
+        return res.status(409).json({ success: false, message: "Job status changed concurrently, please reload" });
+      }
+    } else {
+      const result = await jobQueueCollection.updateOne(
+        { _id: jobId, status: job.status },
+        { $set: dataUpdates }
+      );
+      if (result.modifiedCount !== 1) {
+        return res.status(409).json({ success: false, message: "Job status changed concurrently, please reload" });
+      }
+    }
+
+    console.log(`[Job Queue] ✏️  Form data of job ${jobId} updated (${changedFields.join(", ") || "no changes"})`);
+    await logAuditEntry('JOB_FORM_DATA_UPDATED', {
+      jobId,
+      customerName: `${sanitizedData.firstName} ${sanitizedData.lastName}`,
+      status: job.status,
+      changedFields,
+      requeued,
+      by,
+      reason,
+    });
+
+    if (requeued) {
+      void processRelianceQueue();
+    }
+
+    return res.json({
+      success: true,
+      message: requeued ? "Form data updated and job requeued" : "Form data updated",
+      data: {
+        jobId,
+        status: requeued ? JOB_STATUS.PENDING : job.status,
+        changedFields,
+      },
+    });
+  } catch (error) {
+    console.error("[API] Error updating job form data:", error.message);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+});
+
+// ============================================
+// MANUAL REVIEW QUEUE API ENDPOINTS
+// ============================================
+
+/**
+ * GET /api/review-queue
+ * Unresolved post-submission failures, most urgent first
+ *
+ * Query Parameters:
+ * - assignee: only items owned by this reviewer ("none" for unassigned)
+ * - slaState: ok | at_risk | breached
+ *
+ * Each item carries screenshots/page sources from errorLogs, the proposal
+ * number saved on the portal (if it got that far) and SLA ageing.
+ */
+app.get("/api/review-queue", async (req, res) => {
+  try {
+    const { assignee, slaState } = req.query;
+    const filter = buildUnresolvedReviewFilter();
+
+    if (assignee === "none") {
+      filter["review.assignee"] = null;
+    } else if (assignee) {
+      filter["review.assignee"] = assignee;
+    }
+
+    const jobs = await jobQueueCollection
+      .find(filter)
+      .sort({ "review.slaDueAt": 1, failedAt: 1 })
+      .toArray();
+
+    const now = new Date();
+    let items = jobs.map((job) => formatReviewItem(job, now));
+    if (slaState) {
+      items = items.filter((item) => item.review.slaState === slaState);
+    }
+
+    const summary = {
+      total: items.length,
+      unassigned: items.filter((item) => !item.review.assignee).length,
+      atRisk: items.filter((item) => item.review.slaState === "at_risk").length,
+      breached: items.filter((item) => item.review.slaState === "breached").length,
+    };
+
+    return res.json({ success: true, summary, data: items });
+  } catch (error) {
+    console.error("[API] Error fetching review queue:", error.message);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/review-queue/:id/claim
+ * Take ownership of an unassigned review item
+ *
+ * Body: { reviewer: string }
+ */
+app.post("/api/review-queue/:id/claim", async (req, res) => {
+  try {
+    const jobId = parseJobId(req.params.id);
+    if (!jobId) {
+      return res.status(400).json({ success: false, message: "Invalid job ID format" });
+    }
+
+    const { reviewer } = req.body || {};
+    if (!reviewer || !String(reviewer).trim()) {
+      return res.status(400).json({ success: false, message: "reviewer is required" });
+    }
+
+    const job = await assignReview(jobQueueCollection, jobId, String(reviewer).trim(), { onlyIfUnassigned: true });
+    if (!job) {
+      return res.status(409).json({
+        success: false,
+        message: "Review item not found, already resolved or owned by another reviewer",
+      });
+    }
+
+    console.log(`[Review Queue] 🙋 Job ${jobId} claimed by ${reviewer}`);
+    await logAuditEntry('REVIEW_CLAIMED', { jobId, reviewer: String(reviewer).trim() });
+
+    return res.json({ success: true, data: formatReviewItem(job) });
+  } catch (error) {
+    console.error("[API] Error claiming review:", error.message);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/review-queue/:id/assign
+ * Assign or reassign a review item
+ *
+ * Body: { assignee: string, by: string }
+ */
+app.post("/api/review-queue/:id/assign", async (req, res) => {
+  try {
+    const jobId = parseJobId(req.params.id);
+    if (!jobId) {
+      return res.status(400).json({ success: false, message: "Invalid job ID format" });
+    }
+
+    const { assignee, by } = req.body || {};
+    if (!assignee || !String(assignee).trim() || !by || !String(by).trim()) {
+      return res.status(400).json({ success: false, message: "assignee and by are required" });
+    }
+
+    const previous = await jobQueueCollection.findOne({ _id: jobId }, { projection: { review: 1 } });
+    const job = await assignReview(jobQueueCollection, jobId, String(assignee).trim(), { by: String(by).trim() });
+    if (!job) {
+      return res.status(409).json({ success: false, message: "Review item not found or already resolved" });
+    }
+
+    console.log(`[Review Queue] 👉 Job ${jobId} assigned to ${assignee} by ${by}`);
+    await logAuditEntry('REVIEW_ASSIGNED', {
+      jobId,
+      assignee: String(assignee).trim(),
+      previousAssignee: previous?.review?.assignee || null,
+      by: String(by).trim(),
+    });
+
+    return res.json({ success: true, data: formatReviewItem(job) });
+  } catch (error) {
+    console.error("[API] Error assigning review:", error.message);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/review-queue/:id/resolve
+ * Record the outcome of a manual portal check
+ *
+ * Body: {
+ *   reviewer: string,           // must own the item (an unassigned item is claimed implicitly)
+ *   outcome: "policy_issued" | "refund_needed" | "rerun_safe",
+ *   note: string,
+ *   policyNumber?: string,      // required for policy_issued
+ *   refundReference?: string
+ * }
+ */
+app.post("/api/review-queue/:id/resolve", async (req, res) => {
+  try {
+    const jobId = parseJobId(req.params.id);
+    if (!jobId) {
+      return res.status(400).json({ success: false, message: "Invalid job ID format" });
+    }
+
+    const { reviewer, outcome, note, policyNumber = null, refundReference = null } = req.body || {};
+    if (!reviewer || !String(reviewer).trim() || !note || !String(note).trim()) {
+      return res.status(400).json({ success: false, message: "reviewer and note are required" });
+    }
+    if (!Object.values(REVIEW_OUTCOMES).includes(outcome)) {
+      return res.status(400).json({
+        success: false,
+        message: `outcome must be one of: ${Object.values(REVIEW_OUTCOMES).join(", ")}`,
+      });
+    }
+    if (outcome === REVIEW_OUTCOMES.POLICY_ISSUED && !policyNumber) {
+      return res.status(400).json({ success: false, message: "policyNumber is required when the policy was issued" });
+    }
+
+    const job = await jobQueueCollection.findOne({ ...buildUnresolvedReviewFilter(), _id: jobId });
+    if (!job) {
+      return res.status(404).json({ success: false, message: "Review item not found or already resolved" });
+    }
+
+    const reviewerName = String(reviewer).trim();
+    if (job.review?.assignee && job.review.assignee !== reviewerName) {
+      return res.status(409).json({
+        success: false,
+        message: `Review item is assigned to ${job.review.assignee}`,
+      });
+    }
+
+    const result = await applyReviewOutcome(job, {
+      reviewer: reviewerName,
+      note: String(note).trim(),
+      outcome,
+      policyNumber,
+      refundReference,
+    });
+
+    if (!result.ok) {
+      return res.status(409).json({ success: false, message: "Job status changed concurrently, please reload" });
+    }
+
+    console.log(`[Review Queue] ✅ Job ${jobId} resolved as ${outcome} by ${reviewerName}`);
+
+    if (result.status === JOB_STATUS.PENDING) {
+      void processRelianceQueue();
+    }
+
+    return res.json({
+      success: true,
+      message: outcome === REVIEW_OUTCOMES.RERUN_SAFE ? "Review resolved, job requeued" : "Review resolved",
+      data: { jobId, outcome, status: result.status, resolvedAt: result.resolvedAt },
+    });
+  } catch (error) {
+    console.error("[API] Error resolving review:", error.message);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+});
+
+// ============================================
+// PORTAL ACCOUNT API ENDPOINTS (credential vault)
+// ============================================
+
+/**
+ * Guard for the portal account endpoints: 503 while the vault is not open
+ */
+const requireVault = (res) => {
+  if (credentialVault) {
+    return true;
+  }
+  res.status(503).json({
+    success: false,
+    message: "Credential vault unavailable (set CREDENTIAL_MASTER_KEY or CREDENTIAL_MASTER_KEY_FILE)",
+  });
+  return false;
+};
+
+/**
+ * Shared admin token for the portal account endpoints (ADMIN_API_TOKEN), sent as
+ * "Authorization: Bearer <token>" or "x-admin-token". Without the variable every
+ * request is refused. Refused calls and account changes go to the audit log.
+ */
+const adminTokenDigest = (value) => crypto.createHash("sha256").update(String(value)).digest();
+
+const requireAdminToken = async (req, res, next) => {
+  const expected = process.env.ADMIN_API_TOKEN;
+  const bearer = /^Bearer\s+(.+)$/i.exec(req.get("authorization") || "");
+  const presented = bearer ? bearer[1].trim() : req.get("x-admin-token");
+  const audit = { method: req.method, path: req.originalUrl, ip: req.ip, by: req.body?.by || null };
+
+  if (!expected) {
+    await logAuditEntry('ADMIN_API_REJECTED', { ...audit, reason: 'ADMIN_API_TOKEN not set' });
+    return res.status(503).json({ success: false, message: "Admin API disabled (set ADMIN_API_TOKEN)" });
+  }
+  if (!presented || !crypto.timingSafeEqual(adminTokenDigest(presented), adminTokenDigest(expected))) {
+    console.warn(`[API] ⛔ Rejected ${req.method} ${req.originalUrl} from ${req.ip}: invalid admin token`);
+    await logAuditEntry('ADMIN_API_REJECTED', { ...audit, reason: presented ? 'invalid token' : 'no token' });
+    return res.status(401).json({ success: false, message: "Admin token required" });
+  }
+
+  if (req.method !== "GET") {
+    // Never the password itself
+    await logAuditEntry('PORTAL_ACCOUNT_CHANGE', audit);
+  }
+  return next();
+};
+
+app.use("/api/portal-accounts", requireAdminToken);
+
+/**
+ * GET /api/portal-accounts
+ * List portal accounts (passwords are never returned)
+ *
+ * Query: ?insurer=reliance|national&status=active|disabled
+ */
+app.get("/api/portal-accounts", async (req, res) => {
+  try {
+    if (!requireVault(res)) return;
+
+    const accounts = await credentialVault.listAccounts({
+      insurer: req.query.insurer || null,
+      status: req.query.status || null,
+    });
+
+    return res.json({ success: true, data: { total: accounts.length, accounts } });
+  } catch (error) {
+    console.error("[API] Error listing portal accounts:", error.message);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Open/retire an insurer's master sessions after an account change (in the background;
+ * logging in can take a while and the API call should not wait for it).
+ * Only insurers with a session pool have anything to refresh.
+ */
+const syncSessionPool = (insurerKey) => {
+  const insurer = getInsurer(insurerKey);
+  if (!insurer || !insurer.session.refresh) return;
+  insurer.session.refresh()
+    .then(({ added, retired }) => {
+      if (added.length > 0 || retired.length > 0) {
+        console.log(`[${insurer.label} Queue] 🔀 Session pool updated (added: ${added.join(", ") || "none"}, retired: ${retired.join(", ") || "none"})`);
+      }
+    })
+    .catch((error) => console.error(`[${insurer.label} Queue] ❌ Session pool refresh failed: ${error.message}`));
+};
+
+/**
+ * GET /api/portal-accounts/sessions
+ * Master session pool of an insurer: per-account login, load, health and recovery history
+ *
+ * Query: insurer (default: reliance) - must have a session pool
+ */
+app.get("/api/portal-accounts/sessions", async (req, res) => {
+  try {
+    const insurer = getInsurer(req.query.insurer || DEFAULT_INSURER);
+    if (!insurer || !insurer.session.status) {
+      const pooled = listInsurers().filter((item) => item.session.status).map((item) => item.key);
+      return res.status(400).json({
+        success: false,
+        message: `insurer must be one with a session pool: ${pooled.join(", ")}`,
+      });
+    }
+    return res.json({ success: true, data: insurer.session.status() });
+  } catch (error) {
+    console.error("[API] Error fetching session pool status:", error.message);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/portal-accounts
+ * Add an agent account to the vault
+ *
+ * Body: { insurer: "reliance" | "national", username, password, label?, by? }
+ */
+app.post("/api/portal-accounts", async (req, res) => {
+  try {
+    if (!requireVault(res)) return;
+
+    const { insurer, username, password, label = null, by = null } = req.body || {};
+    if (!isValidLane(insurer)) {
+      return res.status(400).json({ success: false, message: `insurer must be one of: ${LANES.join(", ")}` });
+    }
+    if (!username || !String(username).trim() || !password) {
+      return res.status(400).json({ success: false, message: "username and password are required" });
+    }
+
+    const account = await credentialVault.addAccount({ insurer, username, password, label }, { by });
+    console.log(`[Credential Vault] ➕ Added ${account.insurer} account ${account.username}`);
+    syncSessionPool(account.insurer);
+
+    return res.status(201).json({ success: true, message: "Portal account added", data: account });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, message: "This account already exists for the insurer" });
+    }
+    console.error("[API] Error adding portal account:", error.message);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/portal-accounts/:id/rotate
+ * Replace an account's password (after changing it on the portal)
+ *
+ * Body: { password, by? }
+ */
+app.post("/api/portal-accounts/:id/rotate", async (req, res) => {
+  try {
+    if (!requireVault(res)) return;
+
+    const accountId = parseJobId(req.params.id);
+    if (!accountId) {
+      return res.status(400).json({ success: false, message: "Invalid account ID format" });
+    }
+
+    const { password, by = null } = req.body || {};
+    if (!password) {
+      return res.status(400).json({ success: false, message: "password is required" });
+    }
+
+    const account = await credentialVault.rotatePassword(accountId, password, { by });
+    if (!account) {
+      return res.status(404).json({ success: false, message: "Portal account not found" });
+    }
+
+    console.log(`[Credential Vault] 🔁 Password rotated for ${account.insurer} account ${account.username}`);
+    return res.json({ success: true, message: "Password rotated", data: account });
+  } catch (error) {
+    console.error("[API] Error rotating portal account:", error.message);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/portal-accounts/:id/status
+ * Enable or disable an account (disabled accounts are not given to new jobs)
+ *
+ * Body: { status: "active" | "disabled", by?, reason? }
+ */
+app.post("/api/portal-accounts/:id/status", async (req, res) => {
+  try {
+    if (!requireVault(res)) return;
+
+    const accountId = parseJobId(req.params.id);
+    if (!accountId) {
+      return res.status(400).json({ success: false, message: "Invalid account ID format" });
+    }
+
+    const { status, by = null, reason = null } = req.body || {};
+    if (!Object.values(ACCOUNT_STATUS).includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: ${Object.values(ACCOUNT_STATUS).join(", ")}`,
+      });
+    }
+
+    const account = await credentialVault.setStatus(accountId, status, { by, reason });
+    if (!account) {
+      return res.status(404).json({ success: false, message: "Portal account not found" });
+    }
+
+    console.log(`[Credential Vault] ${status === ACCOUNT_STATUS.ACTIVE ? "✅" : "⛔"} ${account.insurer} account ${account.username} is now ${status}`);
+    syncSessionPool(account.insurer);
+    return res.json({ success: true, message: `Portal account ${status}`, data: account });
+  } catch (error) {
+    console.error("[API] Error updating portal account:", error.message);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+});
+
+// ============================================
+// INSURER API ENDPOINTS (adapter registry)
+// ============================================
+
+/**
+ * GET /api/insurers
+ * Insurer adapters the queue routes to (lib/insurers/), default insurer first
+ *
+ * Returns for each insurer: key (= lane), aliases, lane defaults, session
+ * strategy, documents handled (KYC upload, Brisk certificate) and payment modes
+ */
+app.get("/api/insurers", async (req, res) => {
+  try {
+    return res.json({ success: true, data: listInsurers().map(describeInsurer) });
+  } catch (error) {
+    console.error("[API] Error listing insurers:", error.message);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+});
+
+// ============================================
+// QUEUE LANE API ENDPOINTS
+// ============================================
+
+/**
+ * GET /api/queue/lanes
+ * Per-insurer lane status
+ *
+ * Returns for each lane:
+ * - paused flag (with who/why), maxConcurrent
+ * - activeOnThisWorker: jobs running on this server instance
+ * - processing / eligible / waitingRetry counts across all instances
+ */
+app.get("/api/queue/lanes", async (req, res) => {
+  try {
+    const laneSettings = await loadLaneSettings(laneSettingsCollection);
+    const now = new Date();
+
+    const data = await Promise.all(
+      LANES.map(async (lane) => {
+        const [processing, eligible, waitingRetry] = await Promise.all([
+          jobQueueCollection.countDocuments({ lane, status: JOB_STATUS.PROCESSING }),
+          jobQueueCollection.countDocuments({ ...buildEligiblePendingFilter(now), lane }),
+          jobQueueCollection.countDocuments({
+            lane,
+            status: JOB_STATUS.PENDING,
+            nextRetryAt: { $gt: now },
+          }),
+        ]);
+
+        return {
+          ...laneSettings[lane],
+          activeOnThisWorker: activeJobsByLane[lane],
+          processing,
+          eligible,
+          waitingRetry,
+        };
+      })
+    );
+
+    return res.json({ success: true, workerId: WORKER_ID, data });
+  } catch (error) {
+    console.error("[API] Error fetching lanes:", error.message);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/queue/lanes/:lane/pause
+ * Stop claiming new jobs in a lane (running jobs finish normally)
+ *
+ * Body: { by?: string, reason?: string }
+ */
+app.post("/api/queue/lanes/:lane/pause", async (req, res) => {
+  try {
+    const { lane } = req.params;
+    if (!isValidLane(lane)) {
+      return res.status(404).json({ success: false, message: `Unknown lane: ${lane}` });
+    }
+
+    const { by = null, reason = null } = req.body || {};
+    const settings = await setLanePaused(laneSettingsCollection, lane, true, { by, reason });
+
+    console.warn(`[Job Queue] ⏸️  Lane ${lane} paused${reason ? `: ${reason}` : ""}`);
+    await logAuditEntry('LANE_PAUSED', { lane, by, reason });
+
+    return res.json({ success: true, data: settings });
+  } catch (error) {
+    console.error("[API] Error pausing lane:", error.message);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/queue/lanes/:lane/resume
+ * Resume claiming jobs in a paused lane
+ *
+ * Body: { by?: string }
+ */
+app.post("/api/queue/lanes/:lane/resume", async (req, res) => {
+  try {
+    const { lane } = req.params;
+    if (!isValidLane(lane)) {
+      return res.status(404).json({ success: false, message: `Unknown lane: ${lane}` });
+    }
+
+    const { by = null } = req.body || {};
+    const settings = await setLanePaused(laneSettingsCollection, lane, false, { by });
+
+    console.log(`[Job Queue] ▶️  Lane ${lane} resumed`);
+    await logAuditEntry('LANE_RESUMED', { lane, by });
+
+    void processRelianceQueue();
+
+    return res.json({ success: true, data: settings });
+  } catch (error) {
+    console.error("[API] Error resuming lane:", error.message);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * PATCH /api/queue/lanes/:lane
+ * Change a lane's concurrency limit (per server instance)
+ *
+ * Body: { maxConcurrent: number, by?: string }
+ */
+app.patch("/api/queue/lanes/:lane", async (req, res) => {
+  try {
+    const { lane } = req.params;
+    if (!isValidLane(lane)) {
+      return res.status(404).json({ success: false, message: `Unknown lane: ${lane}` });
+    }
+
+    const { maxConcurrent, by = null } = req.body || {};
+
+    let settings;
+    try {
+      settings = await setLaneConcurrency(laneSettingsCollection, lane, Number(maxConcurrent));
+    } catch (limitError) {
+      if (!(limitError instanceof RangeError)) throw limitError;
+      return res.status(400).json({ success: false, message: limitError.message });
+    }
+
+    console.log(`[Job Queue] 🚦 Lane ${lane} limit set to ${settings.maxConcurrent}`);
+    await logAuditEntry('LANE_LIMIT_CHANGED', { lane, maxConcurrent: settings.maxConcurrent, by });
+
+    void processRelianceQueue();
+
+    return res.json({ success: true, data: settings });
+  } catch (error) {
+    console.error("[API] Error updating lane:", error.message);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+});
+
+// ============================================
+// BRISK PLAN API ENDPOINTS (plan catalogue)
+// ============================================
+
+/**
+ * GET /api/brisk-plans
+ * List the Brisk plan catalogue
+ *
+ * Query: ?vehicleType=TW&insurer=reliance|national|*&includeInactive=true
+ */
+app.get("/api/brisk-plans", async (req, res) => {
+  try {
+    const plans = await briskPlans.listPlans({
+      vehicleType: req.query.vehicleType || null,
+      insurer: req.query.insurer || null,
+      active: req.query.includeInactive === "true" ? null : true,
+    });
+
+    return res.json({ success: true, data: { total: plans.length, coverTypes: COVER_TYPES, plans } });
+  } catch (error) {
+    console.error("[API] Error listing Brisk plans:", error.message);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/brisk-plans
+ * Add a plan
+ *
+ * Body: { planName, vehicleType, insurer?: "reliance" | "national" | "*", cover: "cpa" | "rsa" | "cpa/rsa",
+ *         price, isDefault?, label?, by? }
+ */
+app.post("/api/brisk-plans", async (req, res) => {
+  try {
+    const { by = null, ...input } = req.body || {};
+
+    let plan;
+    try {
+      plan = await briskPlans.addPlan(input, { by });
+    } catch (planError) {
+      if (!(planError instanceof RangeError)) throw planError;
+      return res.status(400).json({ success: false, message: planError.message });
+    }
+
+    console.log(`[Brisk Plans] ➕ Added plan ${plan.planName} (${plan.vehicleType} / ${plan.insurer} / ${plan.cover} / ₹${plan.price})`);
+    return res.status(201).json({ success: true, message: "Brisk plan added", data: plan });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: "An active plan already exists for this vehicle type, insurer, cover and price",
+      });
+    }
+    console.error("[API] Error adding Brisk plan:", error.message);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * PATCH /api/brisk-plans/:id
+ * Change a plan; { active: false } retires it (jobs keep the plan they were issued on)
+ *
+ * Body: any of { planName, vehicleType, insurer, cover, price, isDefault, active, label }, plus by?
+ */
+app.patch("/api/brisk-plans/:id", async (req, res) => {
+  try {
+    const planId = parseJobId(req.params.id);
+    if (!planId) {
+      return res.status(400).json({ success: false, message: "Invalid plan ID format" });
+    }
+
+    const { by = null, ...changes } = req.body || {};
+
+    let plan;
+    try {
+      plan = await briskPlans.updatePlan(planId, changes, { by });
+    } catch (planError) {
+      if (!(planError instanceof RangeError)) throw planError;
+      return res.status(400).json({ success: false, message: planError.message });
+    }
+    if (!plan) {
+      return res.status(404).json({ success: false, message: "Brisk plan not found" });
+    }
+
+    console.log(`[Brisk Plans] ✏️  Updated plan ${plan.planName}${plan.active ? "" : " (retired)"}`);
+    return res.json({ success: true, message: "Brisk plan updated", data: plan });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: "An active plan already exists for this vehicle type, insurer, cover and price",
+      });
+    }
+    console.error("[API] Error updating Brisk plan:", error.message);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/brisk-plans/resolve
+ * Show which plan a job's formData would be issued on, without issuing anything
+ *
+ * Body: { formData } - vehicleType, Companyname, briskCover, briskPrice, briskPlanName
+ */
+app.post("/api/brisk-plans/resolve", async (req, res) => {
+  try {
+    const { formData = {} } = req.body || {};
+    const { plan, criteria } = await briskPlans.selectPlan(formData);
+    return res.json({ success: true, data: { criteria, plan } });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        errors: error.details.problems || [],
+        data: { criteria: error.value },
+      });
+    }
+    console.error("[API] Error resolving Brisk plan:", error.message);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+});
+
+// ============================================
+// SELECTOR HEALTH API ENDPOINTS (portal UI changes)
+// ============================================
+
+/**
+ * GET /api/selectors/health
+ * Named portal selectors (lib/portalSelectors.js) by how well they still match
+ *
+ * Query:
+ * - portal: reliance | national
+ * - status: failing | falling_back | healthy | unused (default: failing and falling_back)
+ *   "all" lists every selector
+ * - days: window in days (default 7, max 90)
+ *
+ * Each selector shows lookups, failed / fallback counts and rates, how often
+ * each locator of its chain matched, and the last error. Worst first.
+ */
+app.get("/api/selectors/health", async (req, res) => {
+  try {
+    const { portal = null, status = null } = req.query;
+    const days = req.query.days === undefined ? SELECTOR_HEALTH.windowDays : Number(req.query.days);
+
+    if (portal && !PORTAL_SELECTORS[portal]) {
+      return res.status(400).json({
+        success: false,
+        message: `portal must be one of: ${Object.keys(PORTAL_SELECTORS).join(", ")}`,
+      });
+    }
+    const statuses = Object.values(SELECTOR_STATUS);
+    if (status && status !== "all" && !statuses.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be "all" or one of: ${statuses.join(", ")}`,
+      });
+    }
+    if (!Number.isInteger(days) || days < 1 || days > 90) {
+      return res.status(400).json({ success: false, message: "days must be a whole number from 1 to 90" });
+    }
+
+    // Include this instance's lookups that have not been flushed yet
+    await selectorHealth.flush();
+    const report = await selectorHealth.report({ portal, days, status: status === "all" ? null : status });
+    if (!status) {
+      report.selectors = report.selectors.filter((item) =>
+        [SELECTOR_STATUS.FAILING, SELECTOR_STATUS.FALLING_BACK].includes(item.status)
+      );
+    }
+
+    const { selectors, ...summary } = report;
+    return res.json({ success: true, summary, data: selectors });
+  } catch (error) {
+    console.error("[API] Error fetching selector health:", error.message);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+});
+
+// Create HTTP server with integrated Express app
+const server = http.createServer((req, res) => {
+  // Try Express routes first (for /api/* endpoints)
+  if (req.url.startsWith("/api/")) {
+    app(req, res);
+    return;
+  }
+
+  // Serve the Vite app
+  let filePath = path.join(
+    __dirname,
+    "vite-app",
+    "dist",
+    req.url === "/" ? "index.html" : req.url
+  );
+  const extname = path.extname(filePath);
+  let contentType = "text/html";
+
+  switch (extname) {
+    case ".js":
+      contentType = "text/javascript";
+      break;
+    case ".css":
+      contentType = "text/css";
+      break;
+    case ".json":
+      contentType = "application/json";
+      break;
+    case ".png":
+      contentType = "image/png";
+      break;
+    case ".jpg":
+      contentType = "image/jpg";
+      break;
+    case ".wav":
+      contentType = "audio/wav";
+      break;
+  }
+
+  fs.readFile(filePath, (err, content) => {
+    if (err) {
+      if (err.code == "ENOENT") {
+        fs.readFile(
+          path.join(__dirname, "vite-app", "dist", "index.html"),
+          (err, content) => {
+            res.writeHead(200, { "Content-Type": "text/html" });
+            res.end(content, "utf-8");
+          }
+        );
+      } else {
+        res.writeHead(500);
+        res.end(
+          "Sorry, check with the site admin for error: " + err.code + "..\n"
+        );
+        res.end();
+      }
+    } else {
+      res.writeHead(200, { "Content-Type": contentType });
+      res.end(content, "utf-8");
+    }
+  });
 });
 
 const io = new Server(server);
@@ -1280,27 +3626,35 @@ server.listen(8800, async () => {
   console.log("Server started on http://localhost:8800");
 
   // ============================================
-  // INITIALIZE MASTER SESSION
+  // INITIALIZE INSURER SESSION POOLS
   // ============================================
-  try {
-    console.log("\n" + "=".repeat(60));
-    console.log("  🚀 INITIALIZING RELIANCE AUTOMATION");
-    console.log("=".repeat(60) + "\n");
-
-    await initializeMasterSession();
-    console.log("✅ Reliance master session initialized successfully\n");
+  console.log("\n" + "=".repeat(60));
+  console.log("  🚀 INITIALIZING INSURER AUTOMATION");
+  console.log("=".repeat(60) + "\n");
+
+  await vaultReady;
+  const sessionStatus = [];
+  for (const insurer of listInsurers()) {
+    if (!insurer.session.initialize) {
+      sessionStatus.push(`📊 ${insurer.label}: Uses fresh login for each job (no master session)`);
+      continue;
+    }
+    try {
+      await insurer.session.initialize();
+      console.log(`✅ ${insurer.label} session pool initialized successfully\n`);
+      sessionStatus.push(`📊 ${insurer.label} Session Status: ${JSON.stringify(insurer.session.status?.() ?? null, null, 2)}`);
+    } catch (e) {
+      console.error(`\n❌ Failed to initialize ${insurer.label} session pool:`, e.message);
+      console.error("⚠️  Jobs may require manual login\n");
+    }
+  }
 
-    console.log("\n" + "=".repeat(60));
-    console.log("  ✅ READY TO PROCESS JOBS");
-    console.log("=".repeat(60));
-    console.log(
-      "📊 Reliance Session Status:",
-      JSON.stringify(getSessionStatus(), null, 2)
-    );
-    console.log("📊 National: Uses fresh login for each job (no master session)");
-    console.log("=".repeat(60) + "\n");
-  } catch (e) {
-    console.error("\n❌ Failed to initialize master session:", e.message);
-    console.error("⚠️  Jobs may require manual login\n");
+  console.log("\n" + "=".repeat(60));
+  console.log("  ✅ READY TO PROCESS JOBS");
+  console.log("=".repeat(60));
+  sessionStatus.forEach((line) => console.log(line));
+  if (isGlobalDryRun()) {
+    console.log("🧪 DRY_RUN=true: every job stops on the quote (nothing saved, paid or sent)");
   }
+  console.log("=".repeat(60) + "\n");
 });
@@ -28,15 +28,16 @@ class SessionHealthManager extends EventEmitter {
   }
 
   /**
-   * Register a session for monitoring
+   * Register a session for monitoring (re-registering replaces the driver)
+   * @param {Object} meta - { sessionKey, username } of the pooled account session
    */
-  registerSession(sessionId, driver, credentials) {
+  registerSession(sessionId, driver, meta = {}) {
     console.log(`📝 Registering session: ${sessionId}`);
 
     const session = {
       id: sessionId,
       driver,
-      credentials,
+      meta,
       startTime: Date.now(),
       lastCheck: Date.now(),
       status: "active",
@@ -250,7 +251,7 @@ class SessionHealthManager extends EventEmitter {
       const { reLoginIfNeeded } = require("./sessionManager");
 
       console.log("   Attempting session refresh...");
-      const success = await reLoginIfNeeded();
+      const success = await reLoginIfNeeded(session.meta.sessionKey);
 
       if (success) {
         // Reset session start time
@@ -1,11 +1,16 @@
 /**
- * Session Manager - Manages master session and cloned profiles for parallel jobs
+ * Session Manager - Manages a pool of master sessions and cloned profiles for parallel jobs
  *
  * Architecture:
- * 1. Master Profile: Contains the logged-in session
- * 2. Cloned Profiles: Each job gets a clone of the master profile
+ * 1. Account Sessions: One logged-in master profile per Reliance portal account
+ *    (credential vault), each with its own health state and recovery history
+ * 2. Cloned Profiles: Each job gets a clone of the master profile of the
+ *    healthiest account session that has spare capacity
  * 3. Session Check: Verifies login before processing jobs
  *
+ * When the portal allows one session per user or rate-limits an account, only
+ * that account's session stalls; jobs keep flowing through the others.
+ *
  * Enhanced Scenarios Handled:
  * - Scenario 1: Master session valid, clone session valid
  * - Scenario 2: Master session valid, clone session expired
@@ -13,6 +18,7 @@
  * - Scenario 4: Master browser crashed, needs recreation
  * - Scenario 5: Profile corrupted, needs fresh start
  * - Scenario 6: Multiple jobs with expired sessions (lock coordination)
+ * - Scenario 7: Account keeps failing, cooled down while others take its jobs
  */
 
 const {
@@ -21,9 +27,13 @@ const {
   cloneChromeProfile,
   isUserLoggedIn,
   performLogin,
+  getMasterProfilePaths,
   CONFIG,
-  PATHS,
 } = require("./browserv2");
+const {
+  listPortalAccounts,
+  resolvePortalCredentials,
+} = require("./lib/credentialVault");
 const fs = require("fs");
 const path = require("path");
 
@@ -39,14 +49,8 @@ const {
   getRamDiskPath,
 } = require("./chromeOptimizedConfig");
 
-// Initialize optimization managers
+// Profile pools are per account session (see AccountSession)
 const useRamDisk = isRamDiskAvailable();
-const profilePoolManager = new ProfilePoolManager({
-  poolSize: 5, // 5 ready profiles
-  useRamDisk: useRamDisk,
-  maxProfileUses: 10, // Recycle after 10 uses
-  maxProfileLifetime: 30 * 60 * 1000, // 30 minutes
-});
 
 const sessionHealthManager = new SessionHealthManager({
   sessionLifetime: 60 * 60 * 1000, // 1 hour
@@ -55,24 +59,46 @@ const sessionHealthManager = new SessionHealthManager({
   refreshThreshold: 0.9, // Refresh at 90%
 });
 
+// ============================================
+// POOL CONFIGURATION
+// ============================================
+
+const POOL_CONFIG = {
+  maxSessions: parseInt(process.env.RELIANCE_MAX_SESSIONS || "3", 10), // Accounts logged in at once
+  jobsPerSession: parseInt(process.env.RELIANCE_JOBS_PER_SESSION || "3", 10), // Concurrent clones per account
+  failureThreshold: 3, // Consecutive failures before an account is cooled down
+  unhealthyCooldown: 10 * 60 * 1000, // 10 minutes
+  staleCheckAfter: 2 * 60 * 1000, // Re-verify a session flag older than 2 minutes
+  capacityWait: 60 * 1000, // How long a job waits for a free slot
+  capacityPollInterval: 2000,
+};
+
 // ============================================
 // STATE MANAGEMENT
 // ============================================
 
-let masterDriver = null;
-let isSessionActive = false;
-let sessionLastChecked = null;
-let optimizationsEnabled = false;
+const sessions = new Map(); // sessionKey -> AccountSession
 
 /**
- * Get session status
+ * Session key (and profile directory name) for a portal account
+ */
+function sessionKeyFor(username) {
+  return `acct_${String(username).toLowerCase().replace(/[^a-z0-9]+/g, "_")}`;
+}
+
+/**
+ * Get session status (per account session plus pool totals)
  */
 function getSessionStatus() {
+  const all = [...sessions.values()].map((session) => session.getStatus());
   return {
-    isActive: isSessionActive,
-    lastChecked: sessionLastChecked,
-    hasMasterDriver: masterDriver !== null,
-    recoveryHistory: recoveryManager ? recoveryManager.getHistory() : [],
+    isActive: all.some((session) => session.isActive),
+    hasMasterDriver: all.some((session) => session.hasMasterDriver),
+    activeSessions: all.filter((session) => session.isActive).length,
+    totalSessions: all.length,
+    activeJobs: all.reduce((sum, session) => sum + session.activeJobs, 0),
+    capacity: all.reduce((sum, session) => sum + session.maxJobs, 0),
+    sessions: all,
   };
 }
 
@@ -81,7 +107,7 @@ function getSessionStatus() {
 // ============================================
 
 /**
- * Multi-Level Master Session Recovery
+ * Multi-Level Master Session Recovery (one instance per account session)
  *
  * Handles session failures with progressive recovery strategies:
  * Level 1 (Soft): Re-login on existing browser (max 3 attempts)
@@ -89,7 +115,12 @@ function getSessionStatus() {
  * Level 3 (Nuclear): Delete profile and fresh start (max 1 attempt)
  */
 class MasterSessionRecovery {
-  constructor() {
+  /**
+   * @param {AccountSession} session - The account session this manager recovers
+   */
+  constructor(session) {
+    this.session = session;
+
     this.recoveryAttempts = {
       soft: { count: 0, max: 3 },
       hard: { count: 0, max: 2 },
@@ -142,7 +173,7 @@ class MasterSessionRecovery {
   async _performRecovery() {
     try {
       console.log("\n" + "=".repeat(60));
-      console.log("  🔄 MASTER SESSION RECOVERY INITIATED");
+      console.log(`  🔄 MASTER SESSION RECOVERY INITIATED [${this.session.key}]`);
       console.log("=".repeat(60) + "\n");
 
       // Level 1: Soft Recovery
@@ -231,10 +262,11 @@ class MasterSessionRecovery {
    * Level 1: Soft Recovery - Re-login on same browser
    */
   async softRecover() {
+    const session = this.session;
     try {
       console.log("   → Checking if master browser is responsive...");
 
-      if (!masterDriver) {
+      if (!session.driver) {
         console.log("   ✗ No master driver exists");
         this.recordRecovery("soft", false, "No driver");
         return false;
@@ -242,7 +274,7 @@ class MasterSessionRecovery {
 
       // Health check
       try {
-        await masterDriver.getCurrentUrl();
+        await session.driver.getCurrentUrl();
         console.log("   ✓ Master browser is responsive");
       } catch (error) {
         console.log("   ✗ Master browser is unresponsive:", error.message);
@@ -251,16 +283,18 @@ class MasterSessionRecovery {
       }
 
       console.log("   → Navigating to dashboard...");
-      await masterDriver.get(CONFIG.DASHBOARD_URL);
-      await masterDriver.sleep(2000);
+      await session.driver.get(CONFIG.DASHBOARD_URL);
+      await session.driver.sleep(2000);
 
       console.log("   → Attempting re-login...");
-      const loginSuccess = await performLogin(masterDriver);
+      const loginSuccess = await performLogin(
+        session.driver,
+        await session.getCredentials()
+      );
 
       if (loginSuccess) {
         console.log("   ✓ Re-login successful");
-        isSessionActive = true;
-        sessionLastChecked = new Date();
+        session.markChecked(true);
         this.recordRecovery("soft", true, "Re-login successful");
         return true;
       }
@@ -279,12 +313,13 @@ class MasterSessionRecovery {
    * Level 2: Hard Recovery - Recreate master browser
    */
   async hardRecover() {
+    const session = this.session;
     try {
       console.log("   → Closing broken master browser...");
 
-      if (masterDriver) {
+      if (session.driver) {
         try {
-          await masterDriver.quit();
+          await session.driver.quit();
           console.log("   ✓ Broken browser closed");
           await new Promise((resolve) => setTimeout(resolve, 2000));
         } catch (error) {
@@ -292,24 +327,26 @@ class MasterSessionRecovery {
         }
       }
 
-      masterDriver = null;
-      isSessionActive = false;
+      session.driver = null;
+      session.isActive = false;
 
       console.log("   → Creating new master browser...");
-      masterDriver = await createMasterBrowser();
+      await session.openMasterBrowser();
       console.log("   ✓ New master browser created");
 
       console.log("   → Navigating to dashboard...");
-      await masterDriver.get(CONFIG.DASHBOARD_URL);
-      await masterDriver.sleep(3000);
+      await session.driver.get(CONFIG.DASHBOARD_URL);
+      await session.driver.sleep(3000);
 
       console.log("   → Attempting login on new browser...");
-      const loginSuccess = await performLogin(masterDriver);
+      const loginSuccess = await performLogin(
+        session.driver,
+        await session.getCredentials()
+      );
 
       if (loginSuccess) {
         console.log("   ✓ Login successful on new browser");
-        isSessionActive = true;
-        sessionLastChecked = new Date();
+        session.markChecked(true);
         this.recordRecovery("hard", true, "New browser login successful");
         return true;
       }
@@ -328,6 +365,7 @@ class MasterSessionRecovery {
    * Level 3: Nuclear Recovery - Delete profile and fresh start
    */
   async nuclearRecover() {
+    const session = this.session;
     try {
       console.log(
         "   ⚠️  WARNING: This will delete and recreate the master profile!"
@@ -340,43 +378,46 @@ class MasterSessionRecovery {
       }
 
       console.log("   → Closing master browser...");
-      if (masterDriver) {
+      if (session.driver) {
         try {
-          await masterDriver.quit();
+          await session.driver.quit();
           await new Promise((resolve) => setTimeout(resolve, 3000));
         } catch (error) {
           console.log("   ⚠️  Error closing browser");
         }
       }
 
-      masterDriver = null;
-      isSessionActive = false;
+      session.driver = null;
+      session.isActive = false;
 
+      const masterProfile = session.paths.masterProfile;
       console.log("   → Deleting corrupted profile...");
-      if (fs.existsSync(PATHS.MASTER_PROFILE)) {
-        deleteDirectoryRecursive(PATHS.MASTER_PROFILE);
+      if (fs.existsSync(masterProfile)) {
+        deleteDirectoryRecursive(masterProfile);
         console.log("   ✓ Profile deleted");
       }
 
       console.log("   → Creating fresh profile directory...");
-      fs.mkdirSync(PATHS.MASTER_PROFILE, { recursive: true });
+      fs.mkdirSync(masterProfile, { recursive: true });
       console.log("   ✓ Fresh profile directory created");
 
       console.log("   → Creating new master browser with fresh profile...");
-      masterDriver = await createMasterBrowser();
+      await session.openMasterBrowser();
       console.log("   ✓ New master browser created");
 
       console.log("   → Navigating to dashboard...");
-      await masterDriver.get(CONFIG.DASHBOARD_URL);
-      await masterDriver.sleep(3000);
+      await session.driver.get(CONFIG.DASHBOARD_URL);
+      await session.driver.sleep(3000);
 
       console.log("   → Attempting login on fresh profile...");
-      const loginSuccess = await performLogin(masterDriver);
+      const loginSuccess = await performLogin(
+        session.driver,
+        await session.getCredentials()
+      );
 
       if (loginSuccess) {
         console.log("   ✓ Login successful on fresh profile!");
-        isSessionActive = true;
-        sessionLastChecked = new Date();
+        session.markChecked(true);
         this.recordRecovery("nuclear", true, "Fresh profile login successful");
         return true;
       }
@@ -407,13 +448,15 @@ class MasterSessionRecovery {
   async backupProfile() {
     try {
       const timestamp = Date.now();
+      const { baseProfile, masterProfile, profileDirectory } =
+        this.session.paths;
       const backupPath = path.join(
-        PATHS.BASE_PROFILE,
-        `Demo_backup_${timestamp}`
+        baseProfile,
+        `${profileDirectory}_backup_${timestamp}`
       );
 
-      if (fs.existsSync(PATHS.MASTER_PROFILE)) {
-        copyDirectoryRecursive(PATHS.MASTER_PROFILE, backupPath);
+      if (fs.existsSync(masterProfile)) {
+        copyDirectoryRecursive(masterProfile, backupPath);
         return backupPath;
       }
 
@@ -429,11 +472,12 @@ class MasterSessionRecovery {
    */
   async restoreProfile(backupPath) {
     try {
-      if (fs.existsSync(PATHS.MASTER_PROFILE)) {
-        deleteDirectoryRecursive(PATHS.MASTER_PROFILE);
+      const { masterProfile } = this.session.paths;
+      if (fs.existsSync(masterProfile)) {
+        deleteDirectoryRecursive(masterProfile);
       }
 
-      copyDirectoryRecursive(backupPath, PATHS.MASTER_PROFILE);
+      copyDirectoryRecursive(backupPath, masterProfile);
       console.log("   ✓ Profile restored from backup");
     } catch (error) {
       console.error("   ✗ Restore failed:", error.message);
@@ -485,7 +529,9 @@ class MasterSessionRecovery {
   sendCriticalAlert() {
     // TODO: Implement alerting (email, Slack, SMS, etc.)
     console.error("\n🚨 CRITICAL ALERT TRIGGERED 🚨");
-    console.error("Master session recovery failed completely!");
+    console.error(
+      `Master session recovery failed completely for account ${this.session.account.username} [${this.session.key}]!`
+    );
     console.error(
       "Recent recovery attempts:",
       JSON.stringify(this.recoveryHistory.slice(-5), null, 2)
@@ -516,162 +562,425 @@ function copyDirectoryRecursive(source, destination) {
   });
 }
 
-// Create recovery manager instance
-const recoveryManager = new MasterSessionRecovery();
-
 // ============================================
-// SESSION INITIALIZATION
+// ACCOUNT SESSION
 // ============================================
 
 /**
- * Initialize master session - called once on server start
- * This creates the master browser and ensures user is logged in
+ * One portal account's master session: its own master profile, browser,
+ * profile pool, health state and recovery history
  */
-async function initializeMasterSession() {
-  try {
-    console.log("\n" + "=".repeat(60));
-    console.log("  🔐 INITIALIZING MASTER SESSION");
-    console.log("=".repeat(60) + "\n");
-
-    // Step 1: Create master browser (this creates the base profile directory)
-    console.log("📂 Creating master browser with profile...");
-    masterDriver = await createMasterBrowser();
-    console.log("✅ Master browser created\n");
-
-    // Step 2: Navigate to dashboard
-    console.log("🌐 Navigating to dashboard...");
-    await masterDriver.get(CONFIG.DASHBOARD_URL);
-    await masterDriver.sleep(3000);
-
-    // Step 3: Check if already logged in
-    console.log("🔍 Checking login status...");
-    const loggedIn = await isUserLoggedIn(masterDriver);
-
-    if (loggedIn) {
-      console.log("✅ Already logged in! Session is active.\n");
-      isSessionActive = true;
-      sessionLastChecked = new Date();
+class AccountSession {
+  /**
+   * @param {Object} account - Public account from listPortalAccounts()
+   */
+  constructor(account) {
+    this.key = sessionKeyFor(account.username);
+    this.account = {
+      accountId: account._id || null,
+      username: account.username,
+      label: account.label || null,
+    };
+    this.paths = getMasterProfilePaths(this.key);
+
+    this.driver = null;
+    this.isActive = false;
+    this.lastChecked = null;
+
+    // Capacity
+    this.activeJobs = new Set();
+    this.maxJobs = POOL_CONFIG.jobsPerSession;
+    this.jobsServed = 0;
+
+    // Health
+    this.consecutiveFailures = 0;
+    this.lastFailure = null;
+    this.unhealthyUntil = null;
+    this.retired = false; // Account disabled/removed; finishes its jobs, takes no new ones
+
+    this.recoveryManager = new MasterSessionRecovery(this);
+
+    this.optimizationsEnabled = false;
+    this.profilePoolManager = new ProfilePoolManager({
+      baseProfileDir: this.paths.userDataDir,
+      poolDir: path.join(__dirname, "profile-pool", this.key),
+      useRamDisk: useRamDisk,
+      ramDiskPath: path.join("/dev/shm/chrome-profiles", this.key),
+      poolSize: 2, // Per account; the pool as a whole keeps a few ready profiles each
+      maxProfileUses: 10, // Recycle after 10 uses
+      maxProfileLifetime: 30 * 60 * 1000, // 30 minutes
+    });
+  }
+
+  get healthSessionId() {
+    return `master_${this.key}`;
+  }
+
+  /**
+   * Decrypt this account's credentials for a login (never stored on the session)
+   */
+  async getCredentials() {
+    const credentials = await resolvePortalCredentials("reliance", {
+      accountId: this.account.accountId,
+    });
+    return { username: credentials.username, password: credentials.password };
+  }
+
+  /**
+   * Open (or re-open) the master browser and hand it to the health monitor
+   */
+  async openMasterBrowser() {
+    this.driver = await createMasterBrowser(this.paths);
+    sessionHealthManager.registerSession(this.healthSessionId, this.driver, {
+      sessionKey: this.key,
+      username: this.account.username,
+    });
+    return this.driver;
+  }
+
+  markChecked(active) {
+    this.isActive = active;
+    this.lastChecked = new Date();
+  }
+
+  /**
+   * Create the master browser and make sure the account is logged in
+   */
+  async initialize() {
+    console.log(
+      `📂 [${this.key}] Creating master browser for ${this.account.username}...`
+    );
+    await this.openMasterBrowser();
+    console.log(`✅ [${this.key}] Master browser created`);
+
+    console.log(`🌐 [${this.key}] Navigating to dashboard...`);
+    await this.driver.get(CONFIG.DASHBOARD_URL);
+    await this.driver.sleep(3000);
+
+    console.log(`🔍 [${this.key}] Checking login status...`);
+    if (await isUserLoggedIn(this.driver)) {
+      console.log(`✅ [${this.key}] Already logged in! Session is active.`);
+      this.markChecked(true);
     } else {
-      // Step 4: Perform login if needed
-      console.log("⚠️  Not logged in. Starting login process...\n");
-      const loginSuccess = await performLogin(masterDriver);
+      console.log(`⚠️  [${this.key}] Not logged in. Starting login process...`);
+      const loginSuccess = await performLogin(
+        this.driver,
+        await this.getCredentials()
+      );
 
-      if (loginSuccess) {
-        console.log("✅ Login successful! Session is now active.\n");
-        isSessionActive = true;
-        sessionLastChecked = new Date();
-      } else {
-        console.error("❌ Login failed!\n");
-        isSessionActive = false;
-        throw new Error("Login failed. Cannot proceed with job processing.");
+      if (!loginSuccess) {
+        this.markChecked(false);
+        throw new Error(`Login failed for account ${this.account.username}`);
       }
+
+      console.log(`✅ [${this.key}] Login successful! Session is now active.`);
+      this.markChecked(true);
     }
 
-    // Step 5: Initialize optimizations AFTER master profile exists
-    if (!optimizationsEnabled) {
-      console.log("🚀 Initializing performance optimizations...");
+    // Profile pool AFTER the master profile exists
+    if (!this.optimizationsEnabled) {
       try {
-        await profilePoolManager.initialize();
-        console.log("✅ Profile pool ready\n");
-        optimizationsEnabled = true;
+        await this.profilePoolManager.initialize();
+        this.optimizationsEnabled = true;
       } catch (poolError) {
         console.warn(
-          "⚠️  Profile pool initialization failed:",
-          poolError.message
+          `⚠️  [${this.key}] Profile pool initialization failed: ${poolError.message}`
         );
         console.warn(
-          "⚠️  Continuing without optimizations (will use standard cloning)\n"
+          `⚠️  [${this.key}] Continuing without optimizations (will use standard cloning)`
         );
-        optimizationsEnabled = false;
+        this.optimizationsEnabled = false;
       }
     }
+  }
+
+  /**
+   * Check if the master session is still logged in
+   */
+  async check() {
+    try {
+      if (!this.driver) {
+        console.log(`⚠️  [${this.key}] No master driver found`);
+        this.markChecked(false);
+        return false;
+      }
+
+      console.log(`🔍 [${this.key}] Checking session status...`);
+      const loggedIn = await isUserLoggedIn(this.driver);
+      this.markChecked(loggedIn);
+
+      if (loggedIn) {
+        console.log(`✅ [${this.key}] Session is active`);
+      } else {
+        console.log(`❌ [${this.key}] Session expired or invalid`);
+      }
 
-    // Step 6: Register session with health manager
-    console.log("💓 Registering session with health monitor...");
-    sessionHealthManager.registerSession(
-      "master_session",
-      masterDriver,
-      CONFIG.CREDENTIALS
+      return loggedIn;
+    } catch (error) {
+      console.error(`❌ [${this.key}] Error checking session:`, error.message);
+      this.markChecked(false);
+      return false;
+    }
+  }
+
+  /**
+   * Re-login if the session expired, using this account's recovery manager
+   */
+  async reLoginIfNeeded() {
+    try {
+      if (await this.check()) {
+        return true;
+      }
+
+      console.log(
+        `🔄 [${this.key}] Session invalid - initiating multi-level recovery...\n`
+      );
+      const recovered = await this.recoveryManager.recover();
+
+      if (recovered) {
+        console.log(`\n✅ [${this.key}] Master session recovered successfully!`);
+        this.recordSuccess();
+        return true;
+      }
+
+      console.error(`\n❌ [${this.key}] Master session recovery FAILED!`);
+      this.recordFailure("Master session recovery failed");
+      return false;
+    } catch (error) {
+      console.error(`❌ [${this.key}] Error in reLoginIfNeeded:`, error.message);
+      this.recordFailure(error.message);
+      return false;
+    }
+  }
+
+  recordFailure(reason) {
+    this.consecutiveFailures++;
+    this.lastFailure = { reason, timestamp: new Date() };
+
+    if (this.consecutiveFailures >= POOL_CONFIG.failureThreshold) {
+      this.unhealthyUntil = new Date(Date.now() + POOL_CONFIG.unhealthyCooldown);
+      console.warn(
+        `🧊 [${this.key}] ${this.consecutiveFailures} consecutive failures - ` +
+          `cooling down until ${this.unhealthyUntil.toISOString()}`
+      );
+    }
+  }
+
+  recordSuccess() {
+    this.consecutiveFailures = 0;
+    this.unhealthyUntil = null;
+  }
+
+  isCoolingDown() {
+    return this.unhealthyUntil !== null && this.unhealthyUntil > new Date();
+  }
+
+  hasCapacity() {
+    return this.activeJobs.size < this.maxJobs;
+  }
+
+  /**
+   * Whether the last check is recent enough to trust isActive
+   */
+  isFresh() {
+    return (
+      this.isActive &&
+      this.lastChecked !== null &&
+      Date.now() - this.lastChecked.getTime() <= POOL_CONFIG.staleCheckAfter
     );
-    console.log("✅ Session health monitoring active\n");
+  }
 
-    console.log("=".repeat(60));
-    console.log("  ✅ MASTER SESSION READY");
-    console.log("=".repeat(60) + "\n");
+  async shutdown() {
+    sessionHealthManager.unregisterSession(this.healthSessionId);
+    if (this.optimizationsEnabled) {
+      await this.profilePoolManager.shutdown();
+    }
+    if (this.driver) {
+      await this.driver.quit().catch(() => {});
+      this.driver = null;
+    }
+    this.isActive = false;
+  }
 
+  getStatus() {
     return {
-      success: true,
-      isActive: isSessionActive,
-      masterDriver: masterDriver,
+      sessionKey: this.key,
+      accountId: this.account.accountId,
+      username: this.account.username,
+      label: this.account.label,
+      isActive: this.isActive,
+      lastChecked: this.lastChecked,
+      hasMasterDriver: this.driver !== null,
+      activeJobs: this.activeJobs.size,
+      maxJobs: this.maxJobs,
+      jobsServed: this.jobsServed,
+      consecutiveFailures: this.consecutiveFailures,
+      lastFailure: this.lastFailure,
+      unhealthyUntil: this.isCoolingDown() ? this.unhealthyUntil : null,
+      retired: this.retired,
+      optimizationsEnabled: this.optimizationsEnabled,
+      recoveryHistory: this.recoveryManager.getHistory(),
     };
-  } catch (error) {
-    console.error("\n❌ Failed to initialize master session:", error.message);
-    isSessionActive = false;
-    throw error;
   }
 }
 
+// ============================================
+// SESSION INITIALIZATION
+// ============================================
+
 /**
- * Check if session is still active
- * Should be called periodically or before processing jobs
+ * Bring the pool in line with the active Reliance accounts: open sessions for
+ * new accounts (up to maxSessions) and retire sessions whose account is gone
+ * or disabled. Sessions are opened one at a time - each is a Chrome instance.
+ * @returns {Promise<Object>} { added, retired }
  */
-async function checkSession() {
-  try {
-    if (!masterDriver) {
-      console.log("⚠️  No master driver found");
-      return false;
+async function refreshSessionPool() {
+  const accounts = (await listPortalAccounts("reliance")).slice(
+    0,
+    POOL_CONFIG.maxSessions
+  );
+  const wanted = new Set(accounts.map((account) => sessionKeyFor(account.username)));
+  const added = [];
+  const retired = [];
+
+  for (const session of sessions.values()) {
+    if (!wanted.has(session.key) && !session.retired) {
+      session.retired = true;
+      retired.push(session.key);
+      console.log(`📴 [${session.key}] Account no longer active - retiring session`);
     }
+  }
 
-    console.log("🔍 Checking session status...");
-    const loggedIn = await isUserLoggedIn(masterDriver);
+  for (const account of accounts) {
+    const key = sessionKeyFor(account.username);
+    const existing = sessions.get(key);
+    if (existing) {
+      existing.retired = false;
+      existing.account.accountId = account._id || null;
+      existing.account.label = account.label || null;
+      continue;
+    }
 
-    isSessionActive = loggedIn;
-    sessionLastChecked = new Date();
+    const session = new AccountSession(account);
+    sessions.set(key, session);
+    added.push(key);
 
-    if (loggedIn) {
-      console.log("✅ Session is active");
-    } else {
-      console.log("❌ Session expired or invalid");
+    try {
+      await session.initialize();
+    } catch (error) {
+      // Left in the pool; createJobBrowser recovers it when it is picked
+      console.error(`❌ [${key}] Failed to initialize session:`, error.message);
+      session.recordFailure(error.message);
     }
+  }
 
-    return loggedIn;
-  } catch (error) {
-    console.error("❌ Error checking session:", error.message);
-    isSessionActive = false;
-    return false;
+  // Retired sessions close once their last job releases them
+  for (const key of retired) {
+    const session = sessions.get(key);
+    if (session.activeJobs.size === 0) {
+      await closeRetiredSession(session);
+    }
   }
+
+  return { added, retired };
+}
+
+async function closeRetiredSession(session) {
+  sessions.delete(session.key);
+  await session.shutdown();
+  console.log(`✅ [${session.key}] Retired session closed`);
 }
 
 /**
- * Re-login if session expired
- * Uses multi-level recovery manager for robust session restoration
+ * Initialize the session pool - called once on server start
+ * Opens a logged-in master browser for each active Reliance account
  */
-async function reLoginIfNeeded() {
-  try {
-    const sessionValid = await checkSession();
+async function initializeSessionPool() {
+  console.log("\n" + "=".repeat(60));
+  console.log("  🔐 INITIALIZING MASTER SESSION POOL");
+  console.log("=".repeat(60) + "\n");
 
-    if (!sessionValid) {
-      console.log("🔄 Session invalid - initiating multi-level recovery...\n");
+  await refreshSessionPool();
 
-      // Use multi-level recovery instead of simple re-login
-      const recovered = await recoveryManager.recover();
+  const status = getSessionStatus();
+  if (status.totalSessions === 0) {
+    throw new Error(
+      "No active Reliance portal account. Add one to the credential vault or set RELIANCE_USERNAME/RELIANCE_PASSWORD."
+    );
+  }
+  if (status.activeSessions === 0) {
+    throw new Error("Login failed on every account. Cannot proceed with job processing.");
+  }
 
-      if (recovered) {
-        console.log("\n✅ Master session recovered successfully!");
-        console.log("=".repeat(60) + "\n");
-        return true;
-      } else {
-        console.error("\n❌ Master session recovery FAILED!");
-        console.error("⚠️  All recovery attempts exhausted");
-        console.error("=".repeat(60) + "\n");
-        return false;
-      }
-    }
+  console.log("=".repeat(60));
+  console.log(
+    `  ✅ MASTER SESSION POOL READY (${status.activeSessions}/${status.totalSessions} accounts, ${status.capacity} job slots)`
+  );
+  console.log("=".repeat(60) + "\n");
 
-    return true; // Session still valid
-  } catch (error) {
-    console.error("❌ Error in reLoginIfNeeded:", error.message);
-    return false;
+  return { success: true, ...status };
+}
+
+/**
+ * Look up a session by key
+ * @throws {Error} When the key is unknown
+ */
+function getSession(sessionKey) {
+  const session = sessions.get(sessionKey);
+  if (!session) {
+    throw new Error(`Unknown session: ${sessionKey}`);
+  }
+  return session;
+}
+
+/**
+ * Check if a session is still active (every session when no key is given)
+ */
+async function checkSession(sessionKey = null) {
+  if (sessionKey) {
+    return getSession(sessionKey).check();
+  }
+  const results = [];
+  for (const session of sessions.values()) {
+    results.push(await session.check());
+  }
+  return results.some(Boolean);
+}
+
+/**
+ * Re-login if a session expired (every session when no key is given)
+ * Uses the session's multi-level recovery manager
+ */
+async function reLoginIfNeeded(sessionKey = null) {
+  if (sessionKey) {
+    return sessions.has(sessionKey) ? getSession(sessionKey).reLoginIfNeeded() : false;
+  }
+  const results = [];
+  for (const session of sessions.values()) {
+    results.push(await session.reLoginIfNeeded());
+  }
+  return results.some(Boolean);
+}
+
+/**
+ * Whether a session's master recovery is in progress
+ */
+function isSessionRecovering(sessionKey) {
+  const session = sessions.get(sessionKey);
+  return session ? session.recoveryManager.isRecovering : false;
+}
+
+/**
+ * Report how a job's clone fared on its account session
+ * (a clone that cannot log in counts against the account's health)
+ */
+function reportSessionResult(jobBrowserInfo, success, reason = null) {
+  const session = jobBrowserInfo && sessions.get(jobBrowserInfo.sessionKey);
+  if (!session) return;
+  if (success) {
+    session.recordSuccess();
+  } else {
+    session.recordFailure(reason || "Clone session failed");
   }
 }
 
@@ -680,96 +989,230 @@ async function reLoginIfNeeded() {
 // ============================================
 
 /**
- * Create a cloned browser for a job
- * This clones the master profile so the job has an independent browser with active session
- * Enhanced with stale flag detection and recovery lock coordination
+ * Pick the healthiest session with spare capacity:
+ * recently verified first, then fewest failures, then least loaded.
+ * @param {string} accountId - Only consider this account's session
+ * @param {Set} exclude - Session keys already tried for this job
  */
-async function createJobBrowser(jobId) {
-  try {
-    console.log(`\n📋 [Job ${jobId}] Creating cloned browser...`);
+function selectSession(accountId = null, exclude = new Set()) {
+  const candidates = [...sessions.values()].filter(
+    (session) =>
+      !exclude.has(session.key) &&
+      !session.retired &&
+      !session.isCoolingDown() &&
+      session.hasCapacity() &&
+      (!accountId || String(session.account.accountId) === String(accountId))
+  );
+
+  candidates.sort(
+    (a, b) =>
+      Number(b.isFresh()) - Number(a.isFresh()) ||
+      Number(b.isActive) - Number(a.isActive) ||
+      a.consecutiveFailures - b.consecutiveFailures ||
+      a.activeJobs.size / a.maxJobs - b.activeJobs.size / b.maxJobs ||
+      a.jobsServed - b.jobsServed
+  );
+
+  return candidates[0] || null;
+}
 
-    // Step 1: Ensure session is active (with proactive check to catch stale flags)
-    // Check if flag is stale (last check > 2 minutes ago)
-    const isStaleCheck =
-      sessionLastChecked && Date.now() - sessionLastChecked.getTime() > 120000;
+/**
+ * Reserve a slot on a session, waiting for capacity if every session is busy
+ */
+async function reserveSession(jobId, accountId, exclude) {
+  if (
+    accountId &&
+    ![...sessions.values()].some(
+      (session) => String(session.account.accountId) === String(accountId)
+    )
+  ) {
+    // Account added or re-enabled after startup
+    await refreshSessionPool();
+  }
 
-    if (!isSessionActive || isStaleCheck) {
-      if (isStaleCheck) {
-        console.log(
-          `⏳ [Job ${jobId}] Session check is stale, verifying current status...`
-        );
-      }
+  const deadline = Date.now() + POOL_CONFIG.capacityWait;
+  let announced = false;
 
-      // Quick session verification before recovery
-      const sessionValid = await checkSession();
+  while (true) {
+    const session = selectSession(accountId, exclude);
+    if (session) {
+      session.activeJobs.add(jobId);
+      session.jobsServed++;
+      return session;
+    }
 
-      if (!sessionValid) {
-        // Session is expired, need recovery
-        // Check if another job is already recovering
-        if (recoveryManager.isRecovering) {
-          console.log(
-            `⏳ [Job ${jobId}] Another job is recovering master session...`
-          );
-          console.log(
-            `⏳ [Job ${jobId}] Waiting for recovery to complete before cloning...`
-          );
-        } else {
-          console.log(
-            `⚠️  [Job ${jobId}] Master session expired. Triggering recovery...`
-          );
-        }
+    if (sessions.size === 0) {
+      throw new Error("Reliance session pool is empty (no active portal account)");
+    }
+    if (exclude.size >= sessions.size) {
+      throw new Error("Every Reliance session failed its login check");
+    }
+    if (Date.now() >= deadline) {
+      throw new Error(
+        accountId
+          ? `No healthy session with capacity for account ${accountId}`
+          : "No healthy Reliance session with spare capacity"
+      );
+    }
 
-        // This will either start recovery or wait for ongoing recovery
-        const recovered = await reLoginIfNeeded();
+    if (!announced) {
+      console.log(`⏳ [Job ${jobId}] All sessions busy or cooling down, waiting for a slot...`);
+      announced = true;
+    }
+    await new Promise((resolve) =>
+      setTimeout(resolve, POOL_CONFIG.capacityPollInterval)
+    );
+  }
+}
 
-        if (!recovered) {
-          throw new Error("Master session is not active and re-login failed");
-        }
+/**
+ * Free a job's slot on its session (closing the session if it was retired)
+ */
+function releaseSessionSlot(sessionKey, jobId) {
+  const session = sessions.get(sessionKey);
+  if (!session || !session.activeJobs.delete(jobId)) return;
 
-        console.log(`✅ [Job ${jobId}] Master session recovered and active!`);
-      } else {
-        console.log(`✅ [Job ${jobId}] Master session verified as active!`);
-      }
-    } else {
+  if (session.retired && session.activeJobs.size === 0) {
+    closeRetiredSession(session).catch((error) =>
+      console.error(`⚠️  [${session.key}] Error closing retired session:`, error.message)
+    );
+  }
+}
+
+/**
+ * Make sure a reserved session is logged in (with proactive check to catch stale flags)
+ * @returns {Promise<boolean>} true when the session can be cloned
+ */
+async function ensureSessionActive(session, jobId) {
+  if (session.isFresh()) {
+    console.log(
+      `✅ [Job ${jobId}] Master session ${session.key} is active (verified recently)`
+    );
+    return true;
+  }
+
+  if (session.isActive) {
+    console.log(
+      `⏳ [Job ${jobId}] Session check for ${session.key} is stale, verifying current status...`
+    );
+  }
+
+  // Quick session verification before recovery
+  if (await session.check()) {
+    console.log(`✅ [Job ${jobId}] Master session ${session.key} verified as active!`);
+    return true;
+  }
+
+  // Session is expired, need recovery
+  // Check if another job is already recovering this account's master session
+  if (session.recoveryManager.isRecovering) {
+    console.log(
+      `⏳ [Job ${jobId}] Another job is recovering master session ${session.key}...`
+    );
+    console.log(
+      `⏳ [Job ${jobId}] Waiting for recovery to complete before cloning...`
+    );
+  } else {
+    console.log(
+      `⚠️  [Job ${jobId}] Master session ${session.key} expired. Triggering recovery...`
+    );
+  }
+
+  // This will either start recovery or wait for ongoing recovery
+  const recovered = await session.reLoginIfNeeded();
+  if (recovered) {
+    console.log(`✅ [Job ${jobId}] Master session ${session.key} recovered and active!`);
+  }
+  return recovered;
+}
+
+/**
+ * Create a cloned browser for a job
+ * Picks the healthiest account session with spare capacity and clones its master
+ * profile, so the job has an independent browser with an active session.
+ * If the picked session cannot be recovered, the next healthiest one is tried.
+ *
+ * @param {string} jobId - Job identifier
+ * @param {Object} options - { accountId } to pin the job to one portal account,
+ *   { downloadDir } for the job's own download directory
+ * @returns {Promise<Object>} { driver, profileInfo, sessionKey, account, credentials, downloadDir, ... }
+ */
+async function createJobBrowser(jobId, { accountId = null, downloadDir = null } = {}) {
+  const tried = new Set();
+  let session = null;
+
+  try {
+    console.log(`\n📋 [Job ${jobId}] Creating cloned browser...`);
+
+    // Step 1: Reserve a healthy session with spare capacity
+    while (true) {
+      session = await reserveSession(jobId, accountId, tried);
       console.log(
-        `✅ [Job ${jobId}] Master session is active (verified recently)`
+        `🔀 [Job ${jobId}] Using session ${session.key} (${session.account.username}) - ` +
+          `${session.activeJobs.size}/${session.maxJobs} slots busy`
       );
+
+      if (await ensureSessionActive(session, jobId)) {
+        break;
+      }
+
+      releaseSessionSlot(session.key, jobId);
+      tried.add(session.key);
+      session = null;
+
+      if (accountId) {
+        throw new Error(
+          `Master session for account ${accountId} is not active and re-login failed`
+        );
+      }
+      console.log(`🔀 [Job ${jobId}] Trying the next healthiest session...`);
     }
 
-    // Step 2: Acquire profile from pool (OPTIMIZED!)
+    const credentials = await session.getCredentials();
+    const sessionInfo = {
+      jobId: jobId,
+      sessionKey: session.key,
+      account: { ...session.account },
+      credentials,
+      downloadDir,
+    };
+
+    // Step 2: Acquire profile from the session's pool (OPTIMIZED!)
     let profile = null;
     let clonedDriver = null;
 
-    if (optimizationsEnabled) {
+    if (session.optimizationsEnabled) {
       console.log(`⚡ [Job ${jobId}] Acquiring profile from pool...`);
-      profile = await profilePoolManager.acquireProfile(jobId);
+      profile = await session.profilePoolManager.acquireProfile(jobId);
       console.log(
         `✅ [Job ${jobId}] Profile acquired instantly: ${profile.id}`
       );
 
-      // Step 3: Create browser with pooled profile
-      console.log(`🌐 [Job ${jobId}] Opening browser with pooled profile...`);
-      clonedDriver = await createClonedBrowser({
-        fullPath: profile.path,
+      const profileInfo = {
+        fullPath: path.join(profile.path, session.paths.profileDirectory),
         userDataDir: profile.path,
+        profileDirectory: session.paths.profileDirectory,
         profileName: profile.id,
-      });
+      };
+
+      // Step 3: Create browser with pooled profile
+      console.log(`🌐 [Job ${jobId}] Opening browser with pooled profile...`);
+      clonedDriver = await createClonedBrowser(profileInfo, { downloadDir });
 
       return {
+        ...sessionInfo,
         driver: clonedDriver,
         profile: profile,
-        profileInfo: {
-          fullPath: profile.path,
-          userDataDir: profile.path,
-          profileName: profile.id,
-        },
-        jobId: jobId,
+        profileInfo,
         usingPool: true,
       };
     } else {
       // Fallback to old method (if optimizations not enabled)
       console.log(`📂 [Job ${jobId}] Cloning master profile...`);
-      const clonedProfileInfo = cloneChromeProfile(`job_${jobId}`);
+      const clonedProfileInfo = cloneChromeProfile(
+        `job_${jobId}`,
+        session.paths.masterProfile
+      );
 
       if (!clonedProfileInfo) {
         throw new Error("Failed to clone profile");
@@ -781,18 +1224,24 @@ async function createJobBrowser(jobId) {
 
       // Step 3: Create browser with cloned profile
       console.log(`🌐 [Job ${jobId}] Opening browser with cloned profile...`);
-      clonedDriver = await createClonedBrowser(clonedProfileInfo);
+      clonedDriver = await createClonedBrowser(clonedProfileInfo, { downloadDir });
 
       console.log(`✅ [Job ${jobId}] Cloned browser created successfully\n`);
 
       return {
+        ...sessionInfo,
         driver: clonedDriver,
         profileInfo: clonedProfileInfo,
-        jobId: jobId,
         usingPool: false,
       };
     }
   } catch (error) {
+    if (session) {
+      if (session.optimizationsEnabled) {
+        await session.profilePoolManager.releaseProfile(jobId).catch(() => {});
+      }
+      releaseSessionSlot(session.key, jobId);
+    }
     console.error(
       `❌ [Job ${jobId}] Failed to create job browser:`,
       error.message
@@ -801,6 +1250,16 @@ async function createJobBrowser(jobId) {
   }
 }
 
+/**
+ * Free the job's session slot without closing its browser
+ * (jobs may leave the browser open for the operator). Safe to call twice.
+ */
+function releaseJobBrowser(jobBrowserInfo) {
+  if (jobBrowserInfo && jobBrowserInfo.sessionKey) {
+    releaseSessionSlot(jobBrowserInfo.sessionKey, jobBrowserInfo.jobId);
+  }
+}
+
 /**
  * Cleanup job browser and profile
  */
@@ -816,10 +1275,11 @@ async function cleanupJobBrowser(jobBrowserInfo) {
     }
 
     // Handle profile cleanup based on method used
-    if (jobBrowserInfo.usingPool && optimizationsEnabled) {
-      // Release profile back to pool (OPTIMIZED!)
+    const session = sessions.get(jobBrowserInfo.sessionKey);
+    if (jobBrowserInfo.usingPool && session && session.optimizationsEnabled) {
+      // Release profile back to the session's pool (OPTIMIZED!)
       console.log(`♻️  [Job ${jobId}] Releasing profile back to pool...`);
-      await profilePoolManager.releaseProfile(jobId);
+      await session.profilePoolManager.releaseProfile(jobId);
     } else {
       // Delete cloned profile (old method)
       if (
@@ -842,6 +1302,8 @@ async function cleanupJobBrowser(jobBrowserInfo) {
       `⚠️  Error cleaning up job ${jobBrowserInfo.jobId}:`,
       error.message
     );
+  } finally {
+    releaseJobBrowser(jobBrowserInfo);
   }
 }
 
@@ -872,9 +1334,19 @@ function deleteDirectoryRecursive(dirPath) {
  * Get optimization statistics
  */
 function getOptimizationStats() {
+  const profilePools = {};
+  for (const session of sessions.values()) {
+    profilePools[session.key] = {
+      optimizationsEnabled: session.optimizationsEnabled,
+      ...session.profilePoolManager.getStats(),
+    };
+  }
+
   return {
-    optimizationsEnabled,
-    profilePool: profilePoolManager.getStats(),
+    optimizationsEnabled: [...sessions.values()].some(
+      (session) => session.optimizationsEnabled
+    ),
+    profilePools,
     sessionHealth: sessionHealthManager.getStats(),
     ramDiskEnabled: useRamDisk,
   };
@@ -882,38 +1354,35 @@ function getOptimizationStats() {
 
 module.exports = {
   // Initialization
-  initializeMasterSession,
+  initializeSessionPool,
+  refreshSessionPool,
+  POOL_CONFIG,
 
   // Session management
   checkSession,
   reLoginIfNeeded,
+  isSessionRecovering,
+  reportSessionResult,
   getSessionStatus,
 
   // Job processing
   createJobBrowser,
+  releaseJobBrowser,
   cleanupJobBrowser,
 
   // Optimization stats
   getOptimizationStats,
 
-  // Recovery management
-  get recoveryManager() {
-    return recoveryManager;
-  },
-
   // Optimization managers
-  get profilePoolManager() {
-    return profilePoolManager;
-  },
   get sessionHealthManager() {
     return sessionHealthManager;
   },
 
   // Direct access to state (read-only)
-  get masterDriver() {
-    return masterDriver;
+  get sessions() {
+    return [...sessions.values()];
   },
   get isSessionActive() {
-    return isSessionActive;
+    return [...sessions.values()].some((session) => session.isActive);
   },
 };
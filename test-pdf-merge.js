@@ -4,19 +4,20 @@
  * 1. Brisk Certificate API creation
  * 2. Brisk PDF download
  * 3. Finding Reliance PDF
- * 4. Merging PDFs via API
+ * 4. Merging PDFs locally (lib/pdfMerge.js)
  * 5. Uploading to AWS S3
  * 6. Updating online policy schema
  */
 
 const fs = require('fs');
 const path = require('path');
-const FormData = require('form-data');
 const axios = require('axios');
 const AWS = require('aws-sdk');
 const http = require('http');
 const https = require('https');
 require('dotenv').config();
+const { mergePdfs } = require('./lib/pdfMerge');
+const { BRISK_API } = require('./lib/briskCertificate');
 
 // Configure AWS S3
 const s3 = new AWS.S3({
@@ -92,11 +93,16 @@ async function testBriskAPI() {
             policyType: testData.policyType
         };
 
+        if (!BRISK_API.baseUrl) {
+            throw new Error('Set BRISK_API_URL (e.g. http://brisk-host:8080) to test the Brisk API');
+        }
+        const briskUrl = new URL(BRISK_API.createPath, BRISK_API.baseUrl).toString();
+
         console.log('📤 Sending Brisk Certificate request...');
-        console.log('   API: http://192.168.1.7:8080/api/createBriskCertificate');
+        console.log(`   API: ${briskUrl}`);
 
         const briskResponse = await axios.post(
-            'http://192.168.1.7:8080/api/createBriskCertificate',
+            briskUrl,
             briskPayload,
             {
                 headers: {
@@ -256,35 +262,22 @@ async function testPDFMergeFlow() {
         console.log(`✅ Reliance PDF loaded: ${reliancePdfBuffer.length} bytes`);
         console.log(`✅ Brisk PDF loaded: ${briskPdfBuffer.length} bytes\n`);
 
-        // Create FormData and merge PDFs
-        console.log('🔄 Calling merge-pdf API...');
-        const formData = new FormData();
-        formData.append('files', reliancePdfBuffer, {
-            filename: 'reliance.pdf',
-            contentType: 'application/pdf'
-        });
-        formData.append('files', briskPdfBuffer, {
-            filename: 'brisk.pdf',
-            contentType: 'application/pdf'
-        });
-
-        const mergeResponse = await axios.post(
-            'http://192.168.1.7:3010/api/merge-pdf',
-            formData,
+        // Merge PDFs in-process (remote service only as a fallback, see lib/pdfMerge.js)
+        console.log('🔄 Merging PDFs locally...');
+        const merged = await mergePdfs(
+            { policy: reliancePdfBuffer, brisk: briskPdfBuffer },
             {
-                headers: {
-                    ...formData.getHeaders(),
-                    'clientid': testData.userId,
-                    'userid': testData.userId
-                },
-                responseType: 'arraybuffer',
-                timeout: 30000
+                title: 'Policy documents (test)',
+                cover: { title: 'Two Wheeler Policy Documents', fields: { 'Policy ID': testData.policyId } },
+                remoteHeaders: { clientid: testData.userId, userid: testData.userId }
             }
         );
 
         console.log(`✅ PDFs merged successfully!`);
-        console.log(`   Response status: ${mergeResponse.status}`);
-        console.log(`   Merged PDF size: ${mergeResponse.data.length} bytes\n`);
+        console.log(`   Method: ${merged.method}, order: ${merged.order.join(' -> ')}`);
+        console.log(`   Pages: ${merged.pageCount ?? '?'}`);
+        console.log(`   Merged PDF size: ${merged.buffer.length} bytes`);
+        console.log(`   SHA-256: ${merged.sha256.hex}\n`);
 
         // Save merged PDF temporarily
         console.log('💾 Saving merged PDF temporarily...');
@@ -295,7 +288,7 @@ async function testPDFMergeFlow() {
             fs.mkdirSync(mergedDir, { recursive: true });
         }
 
-        fs.writeFileSync(mergedPdfPath, mergeResponse.data);
+        fs.writeFileSync(mergedPdfPath, merged.buffer);
         console.log(`✅ Merged PDF saved: ${mergedPdfPath}\n`);
 
         // Upload to AWS S3
@@ -305,12 +298,16 @@ async function testPDFMergeFlow() {
         const uploadParams = {
             Bucket: process.env.AWS_BUCKET_NAME || process.env.S3_BUCKET_NAME,
             Key: s3Key,
-            Body: fs.readFileSync(mergedPdfPath),
+            Body: merged.buffer,
             ContentType: 'application/pdf',
+            ChecksumSHA256: merged.sha256.base64,
+            Metadata: { sha256: merged.sha256.hex, 'merge-method': merged.method },
             ACL: 'private'
         };
 
-        const s3UploadResult = await s3.upload(uploadParams).promise();
+        const s3UploadResult = await s3.upload(uploadParams, {
+            partSize: Math.max(5 * 1024 * 1024, merged.buffer.length + 1)
+        }).promise();
         console.log(`✅ Merged PDF uploaded to S3!`);
         console.log(`   S3 Location: ${s3UploadResult.Location}`);
         console.log(`   S3 Key: ${s3UploadResult.Key}\n`);
@@ -321,7 +318,10 @@ async function testPDFMergeFlow() {
             mergedPolicyPdf: {
                 fileName: `${testData.policyId}_merged_test.pdf`,
                 key: s3Key,
-                location: s3UploadResult.Location
+                location: s3UploadResult.Location,
+                sha256: merged.sha256.hex,
+                pageCount: merged.pageCount,
+                mergeMethod: merged.method
             },
             updatedAt: new Date()
         };
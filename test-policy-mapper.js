@@ -0,0 +1,200 @@
+/**
+ * Policy Mapper Test Script
+ *
+ * Maps fixture onlinePolicy documents with lib/policyMapper.js and checks
+ * the formData and mapping warnings. No database or portal needed.
+ *
+ * Usage: node test-policy-mapper.js
+ */
+
+const assert = require("assert");
+const {
+  MAPPER_VERSION,
+  WARNING_CODES,
+  mapPolicyToFormData,
+  normalizeStateName,
+  resolvePortalState,
+  formatDate,
+} = require("./lib/policyMapper");
+const { validateFormData } = require("./lib/errorHandler");
+
+// Fixture: complete Reliance onlinePolicy document (as stored by the website)
+const relianceDoc = {
+  _id: "6943c17251c7a9f762b68b8d",
+  policyId: "OP53347dfdershdfwsdsdsss53e9gfj5etrt169",
+  userId: "65a343220a6016a8f93424e7",
+  company: "Reliance",
+  proposerTitle: "Mr.",
+  fullName: "RETO",
+  surname: "TR",
+  dateOfBirth: { $date: "1990-05-17T00:00:00.000Z" },
+  gender: "Male",
+  fatherTitle: "Mr.",
+  fatherName: "RAMU",
+  flatDoorNo: "12",
+  buildingName: "SUN APARTMENTS",
+  roadStreetLane: "GANDHI ROAD",
+  areaAndLocality: "T NAGAR",
+  state: "TAMILNADU",
+  pincode: "600017",
+  mobileNumber: "7890767890",
+  email: "karthi123@gmail.com",
+  aadharCard: { key: "docs/aadhar.pdf" },
+  panCard: { key: "docs/pan.pdf" },
+  vehicleMake: "HONDA",
+  vehicleModel: "ACTIVA",
+  rtoCityLocation: "CHENNAI",
+  engineNumber: "ENG123456",
+  chassisNumber: "CHS123456789",
+  purchaseDate: new Date("2024-01-10T00:00:00.000Z"),
+  registrationDate: "2024-01-12",
+  odDiscount: 60,
+};
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+const codes = (warnings) => warnings.map((w) => `${w.field}:${w.code}`);
+
+test("maps a complete Reliance document without warnings", () => {
+  const { formData, warnings, insurer, mapperVersion } = mapPolicyToFormData(relianceDoc, {
+    presignedUrls: { aadharCard: "https://s3/aadhar", panCard: "https://s3/pan" },
+  });
+
+  assert.deepStrictEqual(warnings, []);
+  assert.strictEqual(insurer, "reliance");
+  assert.strictEqual(mapperVersion, MAPPER_VERSION);
+  assert.strictEqual(formData.firstName, "RETO");
+  assert.strictEqual(formData.lastName, "TR");
+  assert.strictEqual(formData.dob, "17-05-1990");
+  assert.strictEqual(formData.purchaseDate, "10-01-2024");
+  assert.strictEqual(formData.registrationDate, "12-01-2024");
+  assert.strictEqual(formData.state, "30");
+  assert.strictEqual(formData.stateName, "TAMIL NADU");
+  assert.strictEqual(formData.pinCode, "600017");
+  assert.strictEqual(formData.mobile, "7890767890");
+  assert.strictEqual(formData.discount, 60);
+  assert.strictEqual(formData.ODDiscount, 60);
+  assert.strictEqual(formData.middleName, "");
+  assert.strictEqual(formData.Companyname, "reliance");
+  assert.deepStrictEqual(formData.aadharCard, { key: "docs/aadhar.pdf", presignedUrl: "https://s3/aadhar" });
+  assert.deepStrictEqual(formData.panCard, { key: "docs/pan.pdf", presignedUrl: "https://s3/pan" });
+});
+
+test("never injects portal credentials", () => {
+  const { formData } = mapPolicyToFormData(relianceDoc);
+  assert.ok(!("username" in formData));
+  assert.ok(!("password" in formData));
+});
+
+test("passes the quoted premium through for the pre-payment check", () => {
+  const { formData, warnings } = mapPolicyToFormData({ ...relianceDoc, expectedPremium: 1850 });
+  assert.strictEqual(formData.expectedPremium, 1850);
+  assert.deepStrictEqual(warnings, []);
+});
+
+test("maps Karnataka to the Reliance code in any spelling", () => {
+  for (const state of ["KARNATAKA", "Karnataka", " karnataka ", "KA"]) {
+    const { formData, warnings } = mapPolicyToFormData({ ...relianceDoc, state });
+    assert.strictEqual(formData.state, "26", state);
+    assert.deepStrictEqual(warnings, []);
+  }
+});
+
+test("reports a state without a Reliance code instead of sending another state's", () => {
+  const { formData, warnings } = mapPolicyToFormData({ ...relianceDoc, state: "Kerala" });
+  assert.strictEqual(formData.state, "Kerala");
+  assert.deepStrictEqual(codes(warnings), [`state:${WARNING_CODES.UNKNOWN_STATE}`]);
+});
+
+test("fails validation when the state has no portal value", () => {
+  const validate = (state, company = "reliance") =>
+    validateFormData({ ...mapPolicyToFormData({ ...relianceDoc, company, state }).formData }, company);
+
+  assert.strictEqual(validate("TAMILNADU").valid, true);
+  assert.strictEqual(validate("Kerala, India", "national").valid, false);
+  for (const state of ["Kerala", "Atlantis", ""]) {
+    const validation = validate(state);
+    assert.strictEqual(validation.valid, false, state);
+    assert.deepStrictEqual(validation.errors.map(e => e.code), ["E110"], state);
+    assert.strictEqual(validation.errors[0].details.warning, WARNING_CODES.UNKNOWN_STATE);
+  }
+});
+
+test("sends the state name to National", () => {
+  const { formData, warnings } = mapPolicyToFormData({ ...relianceDoc, company: "NATIONAL", state: "tamil nadu" });
+  assert.strictEqual(formData.Companyname, "national");
+  assert.strictEqual(formData.state, "TAMIL NADU");
+  assert.deepStrictEqual(warnings, []);
+
+  const unknown = mapPolicyToFormData({ ...relianceDoc, company: "national", state: "Atlantis" });
+  assert.strictEqual(unknown.formData.state, "Atlantis");
+  assert.deepStrictEqual(codes(unknown.warnings), [`state:${WARNING_CODES.UNKNOWN_STATE}`]);
+});
+
+test("reports missing required values and applied defaults", () => {
+  const doc = { ...relianceDoc };
+  delete doc.mobileNumber;
+  delete doc.proposerTitle;
+  delete doc.state;
+
+  const { formData, warnings } = mapPolicyToFormData(doc);
+  assert.strictEqual(formData.mobile, undefined);
+  assert.strictEqual(formData.proposerTitle, "Mr.");
+  assert.deepStrictEqual(codes(warnings).sort(), [
+    `mobile:${WARNING_CODES.MISSING_VALUE}`,
+    `proposerTitle:${WARNING_CODES.DEFAULT_APPLIED}`,
+    `state:${WARNING_CODES.MISSING_VALUE}`,
+  ]);
+});
+
+test("reports unparseable dates instead of sending 'Invalid date'", () => {
+  const { formData, warnings } = mapPolicyToFormData({ ...relianceDoc, dateOfBirth: "not a date" });
+  assert.strictEqual(formData.dob, "");
+  assert.deepStrictEqual(codes(warnings), [`dob:${WARNING_CODES.INVALID_DATE}`]);
+});
+
+test("reports OD discount aliases that disagree", () => {
+  const { formData, warnings } = mapPolicyToFormData({ ...relianceDoc, ODDiscount: 50, odDiscount: 60 });
+  assert.strictEqual(formData.discount, 50);
+  assert.strictEqual(formData.ODDiscount, 50);
+  assert.deepStrictEqual(codes(warnings), [`discount:${WARNING_CODES.CONFLICTING_VALUES}`]);
+});
+
+test("maps an unknown insurer with the Reliance map and says so", () => {
+  const { formData, warnings, insurer } = mapPolicyToFormData({ ...relianceDoc, company: "Acme" });
+  assert.strictEqual(insurer, "reliance");
+  assert.strictEqual(formData.Companyname, "acme");
+  assert.deepStrictEqual(codes(warnings), [`Companyname:${WARNING_CODES.UNKNOWN_INSURER}`]);
+});
+
+test("normalises state names and portal values", () => {
+  assert.strictEqual(normalizeStateName("Orissa"), "ODISHA");
+  assert.strictEqual(normalizeStateName("Jammu & Kashmir"), "JAMMU AND KASHMIR");
+  assert.strictEqual(normalizeStateName("Nowhere"), null);
+  assert.deepStrictEqual(resolvePortalState("reliance", "26"), { value: "26", stateName: null, known: true });
+});
+
+test("formats every stored date shape", () => {
+  assert.strictEqual(formatDate(new Date("2000-02-29T00:00:00.000Z")), "29-02-2000");
+  assert.strictEqual(formatDate({ $date: "2000-02-29T00:00:00.000Z" }), "29-02-2000");
+  assert.strictEqual(formatDate({ $date: { $numberLong: "951782400000" } }), "29-02-2000");
+  assert.strictEqual(formatDate("29-02-2000"), "29-02-2000");
+  assert.strictEqual(formatDate("2000-02-29"), "29-02-2000");
+  assert.strictEqual(formatDate("31-02-2000"), null);
+});
+
+// Run tests
+let failed = 0;
+for (const { name, fn } of tests) {
+  try {
+    fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failed++;
+    console.error(`❌ ${name}\n   ${error.message}`);
+  }
+}
+
+console.log(`\n${tests.length - failed}/${tests.length} policy mapper tests passed`);
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,112 @@
+/**
+ * Portal Artifacts Test Script
+ *
+ * Builds premium breakdowns from the label/amount rows the portals show on
+ * the quote page and parses amounts with lib/portalArtifacts.js. No browser needed.
+ *
+ * Usage: node test-portal-artifacts.js
+ */
+
+const assert = require("assert");
+const { parseAmount, parseProposalMessage, buildPremiumBreakdown } = require("./lib/portalArtifacts");
+
+// Fixture: Reliance premium summary as read by PREMIUM_SUMMARY_SCRIPT
+const relianceSummary = [
+  { label: "Basic OD Premium", value: "₹ 620.00" },
+  { label: "Total OD Premium", value: "₹ 560.00" },
+  { label: "Basic TP Premium", value: "₹ 440.00" },
+  { label: "Total TP Premium", value: "₹ 440.00" },
+  { label: "Net Premium (excl. GST)", value: "₹ 1,000.00" },
+  { label: "GST (18%)", value: "₹ 180.00" },
+  { label: "Total Premium (incl. GST)", value: "₹ 1,180.00" },
+];
+
+// Fixture: National quote page (labels carry colons / required markers)
+const nationalSummary = [
+  { label: "Own Damage Premium :", value: "Rs. 1,234.50" },
+  { label: "Third Party Premium :", value: "Rs. 714" },
+  { label: "Net Premium :", value: "Rs. 1,948.50" },
+  { label: "GST Amount :", value: "Rs. 350.73" },
+  { label: "Premium Payable *", value: "Rs. 2,299.23" },
+];
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+test("reads a Reliance summary with GST in the total's label", () => {
+  const breakdown = buildPremiumBreakdown(relianceSummary);
+  assert.strictEqual(breakdown.basicOd, 620);
+  assert.strictEqual(breakdown.odPremium, 560);
+  assert.strictEqual(breakdown.tpPremium, 440);
+  assert.strictEqual(breakdown.netPremium, 1000);
+  assert.strictEqual(breakdown.gst, 180);
+  assert.strictEqual(breakdown.totalPremium, 1180);
+  assert.strictEqual(breakdown.components.length, 7);
+});
+
+test("does not take the total as GST when it comes first", () => {
+  const breakdown = buildPremiumBreakdown([
+    { label: "Total Premium (incl. GST)", value: "1180" },
+    { label: "GST", value: "180" },
+  ]);
+  assert.strictEqual(breakdown.totalPremium, 1180);
+  assert.strictEqual(breakdown.gst, 180);
+});
+
+test("reads a National summary", () => {
+  const breakdown = buildPremiumBreakdown(nationalSummary);
+  assert.strictEqual(breakdown.odPremium, 1234.5);
+  assert.strictEqual(breakdown.tpPremium, 714);
+  assert.strictEqual(breakdown.netPremium, 1948.5);
+  assert.strictEqual(breakdown.gst, 350.73);
+  assert.strictEqual(breakdown.totalPremium, 2299.23);
+  assert.deepStrictEqual(breakdown.components[0], { label: "Own Damage Premium", amount: 1234.5 });
+});
+
+test("keeps the first amount of a repeated label and skips unreadable rows", () => {
+  const breakdown = buildPremiumBreakdown([
+    { label: "Net Premium", value: "1000" },
+    { label: "Net  Premium", value: "9999" },
+    { label: "Service Tax", value: "-" },
+    { label: "", value: "5" },
+  ]);
+  assert.strictEqual(breakdown.netPremium, 1000);
+  assert.strictEqual(breakdown.gst, undefined);
+  assert.strictEqual(breakdown.components.length, 1);
+});
+
+test("returns null when nothing was read", () => {
+  assert.strictEqual(buildPremiumBreakdown([]), null);
+  assert.strictEqual(buildPremiumBreakdown(null), null);
+});
+
+test("parses portal amounts", () => {
+  assert.strictEqual(parseAmount("₹ 1,234.50"), 1234.5);
+  assert.strictEqual(parseAmount("Rs. 714"), 714);
+  assert.strictEqual(parseAmount(980), 980);
+  assert.strictEqual(parseAmount("N/A"), null);
+  assert.strictEqual(parseAmount(null), null);
+});
+
+test("parses the proposal saved message", () => {
+  assert.deepStrictEqual(
+    parseProposalMessage("Proposal Saved Successfully. Proposal No. R12345678 and Quote No. is QT9876543"),
+    { proposalNumber: "R12345678", quoteNumber: "QT9876543" }
+  );
+  assert.deepStrictEqual(parseProposalMessage(""), { proposalNumber: null, quoteNumber: null });
+});
+
+// Run tests
+let failed = 0;
+for (const { name, fn } of tests) {
+  try {
+    fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failed++;
+    console.error(`❌ ${name}\n   ${error.message}`);
+  }
+}
+
+console.log(`\n${tests.length - failed}/${tests.length} portal artifacts tests passed`);
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,137 @@
+/**
+ * Premium Guard Test Script
+ *
+ * Compares portal premiums with what the request expects using
+ * lib/premiumGuard.js, from amounts and from premium summaries read off the
+ * quote page, and checks the E405 error that stops a payment. No portal needed.
+ *
+ * Usage: node test-premium-guard.js
+ */
+
+const assert = require("assert");
+
+// The defaults under test, whatever the environment sets
+delete process.env.PREMIUM_CHECK_STRICT;
+
+const {
+  PREMIUM_CHECK_STATUS,
+  PREMIUM_TOLERANCE,
+  expectedPremiumRange,
+  payablePremium,
+  checkPremium,
+  premiumMismatchError,
+} = require("./lib/premiumGuard");
+const { buildPremiumBreakdown } = require("./lib/portalArtifacts");
+
+// Fixed tolerance so PREMIUM_TOLERANCE_* in the environment cannot change the results
+const tolerance = { percent: 10, amount: 100, strict: false };
+
+// Reliance premium summary for a 1,180 quote
+const relianceSummary = [
+  { label: "Net Premium (excl. GST)", value: "₹ 1,000.00" },
+  { label: "GST (18%)", value: "₹ 180.00" },
+  { label: "Total Premium (incl. GST)", value: "₹ 1,180.00" },
+];
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+test("passes the premium read off the quote page", () => {
+  const check = checkPremium({ expectedPremium: "1180" }, buildPremiumBreakdown(relianceSummary), { tolerance });
+  assert.strictEqual(check.status, PREMIUM_CHECK_STATUS.PASSED);
+  assert.strictEqual(check.actual, 1180);
+  assert.strictEqual(check.blocksPayment, false);
+});
+
+test("allows the tolerance either side and no more", () => {
+  const range = expectedPremiumRange({ expectedPremium: "1180" }, { tolerance });
+  assert.deepStrictEqual(range, { source: "expectedPremium", expected: 1180, min: 1062, max: 1298 });
+  assert.strictEqual(checkPremium({ expectedPremium: 1180 }, { totalPremium: 1298 }, { tolerance }).status, PREMIUM_CHECK_STATUS.PASSED);
+  assert.strictEqual(checkPremium({ expectedPremium: 1180 }, { totalPremium: 1298.5 }, { tolerance }).status, PREMIUM_CHECK_STATUS.MISMATCH);
+  assert.strictEqual(checkPremium({ expectedPremium: 1180 }, { totalPremium: 1061 }, { tolerance }).status, PREMIUM_CHECK_STATUS.MISMATCH);
+});
+
+test("uses the rupee floor for small premiums", () => {
+  const range = expectedPremiumRange({ expectedPremium: "500" }, { tolerance });
+  assert.strictEqual(range.min, 400);
+  assert.strictEqual(range.max, 600);
+});
+
+test("blocks payment on a mismatch with E405", () => {
+  const check = checkPremium({ expectedPremium: "1180" }, { totalPremium: 2180 }, { tolerance });
+  assert.strictEqual(check.status, PREMIUM_CHECK_STATUS.MISMATCH);
+  assert.strictEqual(check.blocksPayment, true);
+  assert.match(check.reason, /2180 is outside the expected 1062-1298 \(expectedPremium\)/);
+
+  const error = premiumMismatchError(check, { insurer: "reliance", proposalNumber: "R100200300" });
+  assert.strictEqual(error.code, "E405");
+  assert.strictEqual(error.retryable, false);
+  assert.strictEqual(error.stage, "pre-payment");
+  assert.strictEqual(error.transactionId, "R100200300");
+  assert.strictEqual(error.details.premiumCheck, check);
+});
+
+test("adds net premium and GST when the portal shows no total", () => {
+  assert.strictEqual(payablePremium({ netPremium: 1000, gst: 180 }), 1180);
+  assert.strictEqual(payablePremium({ netPremium: 1000 }), null);
+  assert.strictEqual(payablePremium(null), null);
+});
+
+test("skips the check without an expectation", () => {
+  const skipped = checkPremium({}, { totalPremium: 1180 });
+  assert.strictEqual(skipped.status, PREMIUM_CHECK_STATUS.SKIPPED);
+  assert.strictEqual(skipped.blocksPayment, false);
+});
+
+test("blocks payment by default when the expected premium cannot be verified", () => {
+  assert.strictEqual(PREMIUM_TOLERANCE.strict, true);
+
+  const unreadable = checkPremium({ expectedPremium: "1180" }, buildPremiumBreakdown([{ label: "Basic OD Premium", value: "620" }]));
+  assert.strictEqual(unreadable.status, PREMIUM_CHECK_STATUS.UNREADABLE);
+  assert.strictEqual(unreadable.actual, null);
+  assert.strictEqual(unreadable.blocksPayment, true);
+  assert.strictEqual(checkPremium({ idv: "50000" }, null).blocksPayment, true);
+
+  const error = premiumMismatchError(unreadable, { insurer: "national" });
+  assert.strictEqual(error.code, "E405");
+  assert.match(error.message, /could not be read/);
+
+  // PREMIUM_CHECK_STRICT=false opts out
+  const lenient = checkPremium({ expectedPremium: "1180" }, null, { tolerance: { ...tolerance, strict: false } });
+  assert.strictEqual(lenient.status, PREMIUM_CHECK_STATUS.UNREADABLE);
+  assert.strictEqual(lenient.blocksPayment, false);
+});
+
+test("derives a range from IDV, discount and add-ons", () => {
+  const rates = {
+    odRatePercent: { min: 1, max: 2 },
+    tpPremium: { min: 700, max: 800 },
+    addOns: { zeroDepreciation: { idvPercent: { min: 0, max: 1 } }, paCover: { amount: { min: 0, max: 0 } } },
+    gstPercent: 18,
+  };
+  const none = { percent: 0, amount: 0, strict: false };
+  assert.deepStrictEqual(
+    expectedPremiumRange({ idv: "50,000", discount: "50" }, { tolerance: none, rates }),
+    { source: "derived", expected: null, min: 1121, max: 1534 }
+  );
+  assert.strictEqual(
+    expectedPremiumRange({ idv: "50000", discount: "50", zeroDepreciation: "yes" }, { tolerance: none, rates }).max,
+    2124
+  );
+  assert.strictEqual(expectedPremiumRange({ idv: "0" }, { tolerance: none, rates }), null);
+});
+
+// Run tests
+let failed = 0;
+for (const { name, fn } of tests) {
+  try {
+    fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failed++;
+    console.error(`❌ ${name}\n   ${error.message}`);
+  }
+}
+
+console.log(`\n${tests.length - failed}/${tests.length} premium guard tests passed`);
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,316 @@
+/**
+ * Step Pipeline Test Script
+ *
+ * Runs a small flow shaped like the Reliance one (open, fill, Save, KYC, Pay)
+ * through lib/stepPipeline.js with fake steps, and checks how failures,
+ * timeouts and cancels are classified: which step failed, whether the money
+ * boundary was crossed, where a retry may resume. Also covers the job state
+ * rules that act on that classification. No database or portal needed.
+ *
+ * Usage: node test-step-pipeline.js
+ */
+
+const assert = require("assert");
+const { defineStep, defineSteps, runPipeline, STEP_STATUS } = require("./lib/stepPipeline");
+const { bindDriverToSignal } = require("./lib/jobCancellation");
+const { JobCancelledError, isValidStateTransition } = require("./lib/errorHandler");
+const { hasCrossedMoneyBoundary } = require("./lib/jobStateService");
+const { premiumMismatchError, checkPremium } = require("./lib/premiumGuard");
+
+/**
+ * Flow with a hook per step: failures[name] is thrown by that step (or called, if a function)
+ * @returns {Object} { steps, ran } - ran lists the steps that ran, in order
+ */
+const buildFlow = (failures = {}) => {
+  const ran = [];
+  const step = (name, options = {}) => ({
+    name,
+    timeoutMs: 1000,
+    ...options,
+    run: async (ctx) => {
+      ran.push(name);
+      const failure = failures[name];
+      if (typeof failure === "function") await failure(ctx);
+      else if (failure) throw failure;
+      if (options.after) options.after(ctx);
+    },
+  });
+
+  const steps = defineSteps([
+    step("open-portal", { repeatOnResume: true }),
+    step("fill-details"),
+    step("save-proposal", {
+      moneyBoundary: true,
+      after: (ctx) => { ctx.proposalNumber = "R100200300"; },
+      checkpoint: (ctx) => ({ proposalNumber: ctx.proposalNumber }),
+    }),
+    step("upload-kyc", { resumeFrom: "upload-kyc", checkpoint: () => ({ kycDone: true }) }),
+    step("check-premium"),
+    step("pay", { moneyBoundary: true, checkpoint: () => ({ paymentStarted: true }) }),
+  ]);
+  return { steps, ran };
+};
+
+// Records what the pipeline reports to server.js
+const recorder = () => {
+  const events = [];
+  return {
+    events,
+    onCheckpoint: async ({ step, moneyBoundaryCrossed, data }) =>
+      events.push({ type: "checkpoint", step, moneyBoundaryCrossed, data }),
+    onMoneyBoundary: async ({ step }) => events.push({ type: "boundary", step }),
+  };
+};
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+test("a failure before Save is a plain step failure", async () => {
+  const { steps, ran } = buildFlow({ "fill-details": new Error("Field not found") });
+  const hooks = recorder();
+  const result = await runPipeline(steps, { driver: {} }, { ...hooks });
+
+  assert.strictEqual(result.ok, false);
+  assert.strictEqual(result.failedStep, "fill-details");
+  assert.strictEqual(result.lastCompletedStep, "open-portal");
+  assert.strictEqual(result.moneyBoundaryCrossed, false);
+  assert.strictEqual(result.resumeFrom, null);
+  assert.strictEqual(result.error.code, "E300");
+  assert.strictEqual(result.error.details.step, "fill-details");
+  assert.deepStrictEqual(ran, ["open-portal", "fill-details"]);
+  assert.ok(hooks.events.every((event) => event.type !== "boundary"));
+});
+
+test("a failure inside Save has crossed the money boundary", async () => {
+  const { steps } = buildFlow({ "save-proposal": new Error("Save button did nothing") });
+  const hooks = recorder();
+  const result = await runPipeline(steps, { driver: {} }, { ...hooks });
+
+  assert.strictEqual(result.failedStep, "save-proposal");
+  assert.strictEqual(result.moneyBoundaryCrossed, true);
+  assert.strictEqual(result.resumeFrom, null); // Nothing to resume on: send it to review
+  // The boundary is reported before Save runs, after the last checkpoint
+  assert.deepStrictEqual(
+    hooks.events.map((event) => `${event.type}:${event.step}`),
+    ["checkpoint:open-portal", "checkpoint:fill-details", "boundary:save-proposal"]
+  );
+});
+
+test("a failure after Save names its resume point and keeps the proposal", async () => {
+  const { steps } = buildFlow({ "upload-kyc": new Error("Upload timed out") });
+  const hooks = recorder();
+  const result = await runPipeline(steps, { driver: {} }, { ...hooks });
+
+  assert.strictEqual(result.failedStep, "upload-kyc");
+  assert.strictEqual(result.lastCompletedStep, "save-proposal");
+  assert.strictEqual(result.moneyBoundaryCrossed, true);
+  assert.strictEqual(result.resumeFrom, "upload-kyc");
+  assert.deepStrictEqual(result.checkpoint, { proposalNumber: "R100200300" });
+  const saved = hooks.events.find((event) => event.step === "save-proposal" && event.type === "checkpoint");
+  assert.strictEqual(saved.moneyBoundaryCrossed, true);
+});
+
+test("a resumed attempt repeats login, restores the rest and never saves again", async () => {
+  const { steps, ran } = buildFlow();
+  const hooks = recorder();
+  const result = await runPipeline(steps, { driver: {} }, {
+    ...hooks,
+    resumeFrom: "upload-kyc",
+    checkpoint: { proposalNumber: "R100200300" },
+  });
+
+  assert.strictEqual(result.ok, true);
+  assert.deepStrictEqual(ran, ["open-portal", "upload-kyc", "check-premium", "pay"]);
+  assert.strictEqual(result.moneyBoundaryCrossed, true);
+  assert.deepStrictEqual(
+    result.history.filter((entry) => entry.status === STEP_STATUS.RESTORED).map((entry) => entry.step),
+    ["fill-details", "save-proposal"]
+  );
+  assert.deepStrictEqual(result.checkpoint, { proposalNumber: "R100200300", kycDone: true, paymentStarted: true });
+});
+
+test("a dry run stops before Save without reporting the boundary", async () => {
+  const { steps, ran } = buildFlow();
+  const hooks = recorder();
+  const result = await runPipeline(steps, { driver: {} }, { ...hooks, stopAtMoneyBoundary: true });
+
+  assert.strictEqual(result.ok, true);
+  assert.strictEqual(result.stoppedBefore, "save-proposal");
+  assert.strictEqual(result.moneyBoundaryCrossed, false);
+  assert.deepStrictEqual(ran, ["open-portal", "fill-details"]);
+  assert.ok(hooks.events.every((event) => event.type !== "boundary"));
+});
+
+test("E405 from the premium check keeps its code and stops before Pay", async () => {
+  const check = checkPremium({ expectedPremium: "1180" }, { totalPremium: 2180 });
+  const { steps, ran } = buildFlow({ "check-premium": premiumMismatchError(check, { proposalNumber: "R100200300" }) });
+  const result = await runPipeline(steps, { driver: {} });
+
+  assert.strictEqual(result.failedStep, "check-premium");
+  assert.strictEqual(result.error.code, "E405");
+  assert.strictEqual(result.error.retryable, false);
+  assert.strictEqual(result.moneyBoundaryCrossed, true); // Save happened; the saved proposal needs a human
+  assert.ok(!ran.includes("pay"));
+});
+
+test("a step timeout is E302, tears the browser down and is not retried", async () => {
+  const { steps } = buildFlow({ "fill-details": () => new Promise(() => {}) });
+  const slow = defineSteps(steps.map((step) => (step.name === "fill-details"
+    ? { ...step, timeoutMs: 20, retry: { attempts: 2, delayMs: 0 } }
+    : step)));
+  const timedOut = [];
+  const result = await runPipeline(slow, { driver: {} }, { onStepTimeout: (step) => timedOut.push(step.name) });
+
+  assert.strictEqual(result.failedStep, "fill-details");
+  assert.strictEqual(result.error.code, "E302");
+  assert.deepStrictEqual(timedOut, ["fill-details"]);
+  assert.strictEqual(result.history.find((entry) => entry.step === "fill-details").attempts, 1);
+});
+
+test("a cancel before Save reports that the boundary was not crossed", async () => {
+  const controller = new AbortController();
+  const driver = {};
+  bindDriverToSignal(driver, controller.signal, () => {});
+  const { steps } = buildFlow({
+    "fill-details": () => controller.abort(new JobCancelledError("operator", { by: "ops" })),
+  });
+
+  await assert.rejects(runPipeline(steps, { driver }), (error) => {
+    assert.ok(error instanceof JobCancelledError);
+    assert.strictEqual(error.code, "E309");
+    assert.strictEqual(error.details.moneyBoundaryCrossed, false);
+    assert.strictEqual(error.details.lastCompletedStep, "fill-details");
+    return true;
+  });
+});
+
+test("a timeout after Save reports the boundary and the last step", async () => {
+  const controller = new AbortController();
+  const driver = {};
+  bindDriverToSignal(driver, controller.signal, () => {});
+  const { steps } = buildFlow({
+    "upload-kyc": () => controller.abort(new JobCancelledError("timeout", { message: "[E302] Job timeout" })),
+  });
+  const hooks = recorder();
+
+  await assert.rejects(runPipeline(steps, { driver }, { ...hooks }), (error) => {
+    assert.strictEqual(error.code, "E302");
+    assert.strictEqual(error.details.moneyBoundaryCrossed, true);
+    assert.strictEqual(error.details.lastCompletedStep, "upload-kyc");
+    return true;
+  });
+  assert.ok(hooks.events.some((event) => event.type === "boundary" && event.step === "save-proposal"));
+});
+
+/**
+ * Job document as server.js writes it during an attempt (recordCheckpoint / recordMoneyBoundary)
+ * @param {Object} options - { failBoundaryAt: step whose boundary write fails }
+ */
+const jobDocument = ({ attempts = 0, failBoundaryAt = null } = {}) => {
+  const doc = { attempts, moneyBoundaryCrossed: false };
+  return {
+    doc,
+    onCheckpoint: async ({ step, moneyBoundaryCrossed }) =>
+      Object.assign(doc, { lastCompletedStep: step, moneyBoundaryCrossed, checkpointAttempt: attempts + 1 }),
+    onMoneyBoundary: async ({ step }) => {
+      if (step === failBoundaryAt) throw new Error("connection pool closed");
+      Object.assign(doc, { moneyBoundaryCrossed: true, moneyBoundaryStep: step, checkpointAttempt: attempts + 1 });
+    },
+  };
+};
+
+test("a boundary that cannot be recorded stops the run before the money step (E406)", async () => {
+  const { steps, ran } = buildFlow();
+  const job = jobDocument({ failBoundaryAt: "save-proposal" });
+  const result = await runPipeline(steps, { driver: {} }, { ...job });
+
+  assert.strictEqual(result.ok, false);
+  assert.strictEqual(result.failedStep, "save-proposal");
+  assert.strictEqual(result.error.code, "E406");
+  assert.strictEqual(result.error.retryable, false);
+  assert.strictEqual(result.moneyBoundaryCrossed, false); // Save never ran
+  assert.strictEqual(result.resumeFrom, null);
+  assert.deepStrictEqual(ran, ["open-portal", "fill-details"]);
+  assert.strictEqual(result.history.find((entry) => entry.step === "save-proposal").attempts, 0);
+});
+
+test("a failed boundary write before Pay keeps the job post-submission and never pays", async () => {
+  const { steps, ran } = buildFlow();
+  const job = jobDocument({ failBoundaryAt: "pay" });
+  const result = await runPipeline(steps, { driver: {} }, { ...job });
+
+  assert.strictEqual(result.failedStep, "pay");
+  assert.strictEqual(result.error.code, "E406");
+  assert.strictEqual(result.moneyBoundaryCrossed, true); // The proposal was saved
+  assert.ok(!ran.includes("pay"));
+  assert.strictEqual(hasCrossedMoneyBoundary(job.doc), true);
+});
+
+test("a lease that expires with a failed boundary write leaves nothing on the portal to buy twice", async () => {
+  // The worker dies right after the failed write: the job still looks pre-boundary,
+  // which lease recovery may requeue because Save never started
+  const { steps, ran } = buildFlow();
+  const job = jobDocument({ attempts: 1, failBoundaryAt: "save-proposal" });
+  await runPipeline(steps, { driver: {} }, { ...job });
+
+  assert.strictEqual(hasCrossedMoneyBoundary(job.doc), false);
+  assert.ok(!ran.includes("save-proposal"));
+});
+
+test("a lease that expires inside a money step after the boundary was written goes to review", async () => {
+  // Save hangs (worker hung / died mid-step); the boundary was already on the job
+  const { steps } = buildFlow({ "save-proposal": () => new Promise(() => {}) });
+  const hanging = defineSteps(steps.map((step) => (step.name === "save-proposal" ? { ...step, timeoutMs: 20 } : step)));
+  const job = jobDocument({ attempts: 1 });
+  const result = await runPipeline(hanging, { driver: {} }, { ...job });
+
+  assert.strictEqual(result.failedStep, "save-proposal");
+  assert.strictEqual(job.doc.moneyBoundaryStep, "save-proposal");
+  assert.strictEqual(job.doc.lastCompletedStep, "fill-details");
+  assert.strictEqual(hasCrossedMoneyBoundary(job.doc), true);
+});
+
+test("money-boundary steps cannot be retried", () => {
+  assert.throws(
+    () => defineStep({ name: "pay", run: async () => {}, moneyBoundary: true, retry: { attempts: 1 } }),
+    /cannot be retried/
+  );
+  assert.throws(() => defineSteps([{ name: "a", run: async () => {}, resumeFrom: "b" }]), /unknown step/);
+});
+
+test("a job's recorded boundary only counts for the attempt that wrote it", () => {
+  // Running attempt 2 (attempts = 1) wrote the boundary
+  assert.strictEqual(hasCrossedMoneyBoundary({ attempts: 1, moneyBoundaryCrossed: true, checkpointAttempt: 2 }), true);
+  // Left over from an earlier attempt, not the one running now
+  assert.strictEqual(hasCrossedMoneyBoundary({ attempts: 1, moneyBoundaryCrossed: true, checkpointAttempt: 1 }), false);
+  assert.strictEqual(hasCrossedMoneyBoundary({ attempts: 0, moneyBoundaryCrossed: false, checkpointAttempt: 1 }), false);
+  // Waiting to resume a saved proposal
+  assert.strictEqual(hasCrossedMoneyBoundary({ attempts: 1, resumeFrom: "upload-kyc" }), true);
+});
+
+test("post-submission failures only leave through review", () => {
+  assert.strictEqual(isValidStateTransition("processing", "failed_post_submission"), true);
+  assert.strictEqual(isValidStateTransition("failed_post_submission", "resolved"), true);
+  assert.strictEqual(isValidStateTransition("failed_post_submission", "pending"), true); // rerun_safe
+  assert.strictEqual(isValidStateTransition("pending", "failed_post_submission"), false);
+  assert.strictEqual(isValidStateTransition("failed_validation", "pending"), true);
+  assert.strictEqual(isValidStateTransition("cancelled", "pending"), false);
+  assert.strictEqual(isValidStateTransition("resolved", "pending"), false);
+});
+
+// Run tests
+(async () => {
+  let failed = 0;
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      failed++;
+      console.error(`❌ ${name}\n   ${error.message}`);
+    }
+  }
+
+  console.log(`\n${tests.length - failed}/${tests.length} step pipeline tests passed`);
+  process.exit(failed > 0 ? 1 : 0);
+})();
@@ -29,6 +29,37 @@ function httpGet(url) {
   });
 }
 
+// Helper function to POST JSON
+function httpPost(url, body) {
+  return new Promise((resolve, reject) => {
+    const payload = JSON.stringify(body);
+    const req = http.request(
+      url,
+      {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "Content-Length": Buffer.byteLength(payload),
+        },
+      },
+      (res) => {
+        let data = "";
+        res.on("data", (chunk) => (data += chunk));
+        res.on("end", () => {
+          try {
+            resolve({ data: JSON.parse(data), status: res.statusCode });
+          } catch (e) {
+            reject(new Error("Invalid JSON response"));
+          }
+        });
+      }
+    );
+    req.on("error", reject);
+    req.write(payload);
+    req.end();
+  });
+}
+
 // Colors for console output
 const colors = {
   green: "\x1b[32m",
@@ -210,6 +241,25 @@ async function testAPI() {
       log("red", "❌ Completed jobs filter not working");
     }
 
+    console.log("\n");
+
+    // Test 6: Submit an invalid job (validation errors come back synchronously, nothing is run)
+    console.log("📝 Test 6: POST /api/jobs (invalid formData)");
+    console.log("-".repeat(60));
+
+    const submitResponse = await httpPost(`${BASE_URL}/jobs`, {
+      formData: { firstName: "API Test", mobile: "123", Companyname: "reliance" },
+    });
+
+    if (submitResponse.status === 400 && submitResponse.data.errors?.length > 0) {
+      log("green", "✅ Job submission validates input!");
+      submitResponse.data.errors.forEach((err) => {
+        console.log(`  - ${err.details?.field || err.field || "formData"}: ${err.message}`);
+      });
+    } else {
+      log("red", `❌ Expected 400 with validation errors, got ${submitResponse.status}`);
+    }
+
     console.log("\n" + "=".repeat(60));
     console.log("  ALL TESTS COMPLETED");
     console.log("=".repeat(60) + "\n");